@@ -0,0 +1,51 @@
+const fs = require('fs');
+
+/**
+ * Record status state machine.
+ *
+ * Each status lists the statuses a record may move to next and which actors
+ * may make that move: 'agent', 'admin', or 'system' for automated jobs.
+ * Transitions flagged with `recycle` put the record back into circulation.
+ *
+ * Set RECORD_TRANSITIONS_PATH to a JSON file with the same shape to replace
+ * the default table.
+ */
+const RECORD_STATUSES = ['pending', 'in-progress', 'completed', 'failed'];
+
+const defaultTransitions = {
+  pending: {
+    'in-progress': { roles: ['agent', 'admin', 'system'] },
+    completed: { roles: ['agent', 'admin', 'system'] },
+    failed: { roles: ['agent', 'admin', 'system'] }
+  },
+  'in-progress': {
+    pending: { roles: ['agent', 'admin', 'system'] },
+    completed: { roles: ['agent', 'admin', 'system'] },
+    failed: { roles: ['agent', 'admin', 'system'] }
+  },
+  completed: {
+    pending: { roles: ['admin'] }
+  },
+  failed: {
+    pending: { roles: ['admin', 'system'], recycle: true }
+  }
+};
+
+const loadTransitions = () => {
+  const customPath = process.env.RECORD_TRANSITIONS_PATH;
+  if (!customPath) {
+    return defaultTransitions;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(customPath, 'utf8'));
+  } catch (error) {
+    console.error(`⚠️  Could not load record transitions from ${customPath}:`, error.message);
+    return defaultTransitions;
+  }
+};
+
+module.exports = {
+  RECORD_STATUSES,
+  transitions: loadTransitions()
+};
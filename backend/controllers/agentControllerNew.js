@@ -25,7 +25,7 @@ const getAgents = asyncHandler(async (req, res) => {
  * @access  Private (Admin)
  */
 const createAgent = asyncHandler(async (req, res) => {
-  const { name, email, countryCode, phone, password } = req.body;
+  const { name, email, countryCode, phone, password, skills, languages, maxOpenRecords } = req.body;
 
   // Check if agent already exists
   const existingAgent = await User.findOne({ email });
@@ -43,6 +43,9 @@ const createAgent = asyncHandler(async (req, res) => {
     countryCode,
     phone,
     password,
+    skills,
+    languages,
+    maxOpenRecords,
     role: 'agent',
     isActive: true
   });
@@ -252,7 +255,7 @@ const getAgentAssignments = asyncHandler(async (req, res) => {
         pendingRecords: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
         inProgressRecords: { $sum: { $cond: [{ $eq: ['$status', 'in-progress'] }, 1, 0] } },
         completedRecords: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
-        cancelledRecords: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } }
+        failedRecords: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } }
       }
     },
     {
@@ -277,7 +280,7 @@ const getAgentAssignments = asyncHandler(async (req, res) => {
         pendingRecords: 1,
         inProgressRecords: 1,
         completedRecords: 1,
-        cancelledRecords: 1,
+        failedRecords: 1,
         completionRate: {
           $cond: [
             { $eq: ['$totalRecords', 0] },
@@ -1,5 +1,8 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const DispositionCode = require('../models/DispositionCode');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 /**
@@ -52,32 +55,12 @@ const getDashboardOverview = asyncHandler(async (req, res) => {
     })
       .sort({ createdAt: -1 })
       .limit(5)
-      .select('fileName totalRecords createdAt agents.$')
+      .select('fileName totalRecords lifecycle createdAt agents.$')
       .populate('uploadedBy', 'name');
 
     // Calculate agent's task summary
-    const taskSummary = await Distribution.aggregate([
-      { $match: { 'agents.agentId': req.user._id } },
-      { $unwind: '$agents' },
-      { $match: { 'agents.agentId': req.user._id } },
-      { $unwind: '$agents.records' },
-      {
-        $group: {
-          _id: '$agents.records.status',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-
-    const taskCounts = {
-      pending: 0,
-      inProgress: 0,
-      completed: 0,
-      failed: 0
-    };
-
-    taskSummary.forEach(item => {
-      taskCounts[item._id] = item.count;
+    const { total, ...taskCounts } = await Record.getStatusSummary({
+      assignedAgent: req.user._id
     });
 
     res.json({
@@ -186,13 +169,11 @@ const getAnalytics = asyncHandler(async (req, res) => {
   ]);
 
   // Get task status distribution
-  const taskStatusDistribution = await Distribution.aggregate([
-    { $match: { createdAt: { $gte: startDate } } },
-    { $unwind: '$agents' },
-    { $unwind: '$agents.records' },
+  const taskStatusDistribution = await Record.aggregate([
+    { $match: { createdAt: { $gte: startDate }, assignedAgent: { $ne: null } } },
     {
       $group: {
-        _id: '$agents.records.status',
+        _id: '$status',
         count: { $sum: 1 }
       }
     }
@@ -392,10 +373,119 @@ const getInsights = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Break call outcomes down by disposition per agent and per distribution
+ * @route   GET /api/dashboard/dispositions
+ * @access  Private (Admin)
+ */
+const getDispositionBreakdown = asyncHandler(async (req, res) => {
+  const { period = '30d', distributionId } = req.query;
+  const days = parseInt(period) || 30;
+  const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  // Every disposition given in the period counts, not only each record's latest
+  const given = {
+    disposition: { $type: 'string' },
+    changedAt: { $gte: startDate }
+  };
+
+  const match = { history: { $elemMatch: given } };
+  if (distributionId) {
+    match.distribution = new mongoose.Types.ObjectId(distributionId);
+  }
+
+  const countBy = (field, filter = {}) => Record.aggregate([
+    { $match: match },
+    { $unwind: '$history' },
+    {
+      $match: {
+        'history.disposition': given.disposition,
+        'history.changedAt': given.changedAt,
+        ...filter
+      }
+    },
+    {
+      $group: {
+        _id: { group: field, code: '$history.disposition' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  // Agents are credited with the dispositions they gave; automation
+  // (exhausted attempts) runs as the system user, who isn't an agent
+  const systemUser = await User.getSystemUser();
+  const [agentCounts, distributionCounts, codes] = await Promise.all([
+    countBy('$history.changedBy', { 'history.changedBy': { $ne: systemUser._id } }),
+    countBy('$distribution'),
+    DispositionCode.find()
+      .sort({ sortOrder: 1, label: 1 })
+      .select('code label status suppress isActive')
+  ]);
+
+  const byAgent = foldDispositionCounts(agentCounts);
+  const byDistribution = foldDispositionCounts(distributionCounts);
+
+  const [agents, distributions] = await Promise.all([
+    User.find({ _id: { $in: [...byAgent.keys()] } }).select('name email'),
+    Distribution.find({ _id: { $in: [...byDistribution.keys()] } }).select('fileName originalFileName')
+  ]);
+
+  const totals = {};
+  distributionCounts.forEach(({ _id, count }) => {
+    totals[_id.code] = (totals[_id.code] || 0) + count;
+  });
+
+  res.json({
+    success: true,
+    data: {
+      period,
+      codes,
+      totals,
+      byAgent: agents
+        .map(agent => ({
+          agentId: agent._id,
+          name: agent.name,
+          email: agent.email,
+          ...byAgent.get(agent._id.toString())
+        }))
+        .sort((a, b) => b.total - a.total),
+      byDistribution: distributions
+        .map(distribution => ({
+          distributionId: distribution._id,
+          fileName: distribution.originalFileName || distribution.fileName,
+          ...byDistribution.get(distribution._id.toString())
+        }))
+        .sort((a, b) => b.total - a.total)
+    }
+  });
+});
+
+// Helper functions
+
+// Turn { _id: { group, code }, count } rows into a map of group -> { total, counts by code }
+const foldDispositionCounts = (rows) => {
+  const groups = new Map();
+
+  rows.forEach(({ _id, count }) => {
+    if (!_id.group) return;
+
+    const key = _id.group.toString();
+    const group = groups.get(key) || { total: 0, counts: {} };
+
+    group.total += count;
+    group.counts[_id.code] = (group.counts[_id.code] || 0) + count;
+    groups.set(key, group);
+  });
+
+  return groups;
+};
+
 module.exports = {
   getDashboardOverview,
   getAnalytics,
   getRecentActivity,
   getSystemHealth,
-  getInsights
+  getInsights,
+  getDispositionBreakdown
 };
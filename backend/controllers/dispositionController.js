@@ -0,0 +1,132 @@
+const DispositionCode = require('../models/DispositionCode');
+const Record = require('../models/Record');
+const { parseFieldSchema } = require('../utils/customFields');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+
+const EDITABLE_FIELDS = ['label', 'description', 'status', 'suppress', 'sortOrder', 'isActive'];
+
+/**
+ * @desc    List disposition codes
+ * @route   GET /api/dispositions
+ * @access  Private (Agents see active codes only)
+ */
+const getDispositionCodes = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.user.role !== 'admin' || req.query.includeInactive !== 'true') {
+    query.isActive = true;
+  }
+
+  const codes = await DispositionCode.find(query).sort({ sortOrder: 1, label: 1 });
+
+  res.json({
+    success: true,
+    data: { codes }
+  });
+});
+
+/**
+ * @desc    Create a disposition code
+ * @route   POST /api/dispositions
+ * @access  Private (Admin)
+ */
+const createDispositionCode = asyncHandler(async (req, res) => {
+  const code = DispositionCode.normalizeCode(req.body.code);
+
+  if (await DispositionCode.exists({ code })) {
+    throw createError(409, `Disposition code ${code} already exists`);
+  }
+
+  const disposition = await DispositionCode.create({
+    ...pick(req.body, EDITABLE_FIELDS),
+    code,
+    fields: parseFieldSchema(req.body.fields),
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Disposition code created successfully',
+    data: { code: disposition }
+  });
+});
+
+/**
+ * @desc    Update a disposition code. The code itself can't change, since
+ *          records and reports refer to it.
+ * @route   PUT /api/dispositions/:id
+ * @access  Private (Admin)
+ */
+const updateDispositionCode = asyncHandler(async (req, res) => {
+  const disposition = await DispositionCode.findById(req.params.id);
+
+  if (!disposition) {
+    return res.status(404).json({
+      success: false,
+      message: 'Disposition code not found'
+    });
+  }
+
+  Object.assign(disposition, pick(req.body, EDITABLE_FIELDS));
+  if (req.body.fields !== undefined) {
+    disposition.fields = parseFieldSchema(req.body.fields);
+  }
+
+  await disposition.save();
+
+  res.json({
+    success: true,
+    message: 'Disposition code updated successfully',
+    data: { code: disposition }
+  });
+});
+
+/**
+ * @desc    Delete a disposition code. Codes already given to records are
+ *          retired instead so reports keep them.
+ * @route   DELETE /api/dispositions/:id
+ * @access  Private (Admin)
+ */
+const deleteDispositionCode = asyncHandler(async (req, res) => {
+  const disposition = await DispositionCode.findById(req.params.id);
+
+  if (!disposition) {
+    return res.status(404).json({
+      success: false,
+      message: 'Disposition code not found'
+    });
+  }
+
+  if (await Record.exists({ 'disposition.codeId': disposition._id })) {
+    disposition.isActive = false;
+    await disposition.save();
+
+    return res.json({
+      success: true,
+      message: 'Disposition code is in use and was retired instead of deleted',
+      data: { code: disposition, retired: true }
+    });
+  }
+
+  await disposition.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Disposition code deleted successfully',
+    data: { retired: false }
+  });
+});
+
+// Helper functions
+const pick = (source, fields) => fields.reduce((values, field) => {
+  if (source[field] !== undefined) {
+    values[field] = source[field];
+  }
+  return values;
+}, {});
+
+module.exports = {
+  getDispositionCodes,
+  createDispositionCode,
+  updateDispositionCode,
+  deleteDispositionCode
+};
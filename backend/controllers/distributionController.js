@@ -327,8 +327,7 @@ const getAllMyRecords = asyncHandler(async (req, res) => {
       pending: allRecords.filter(r => r.status === 'pending').length,
       inProgress: allRecords.filter(r => r.status === 'in-progress').length,
       completed: allRecords.filter(r => r.status === 'completed').length,
-      failed: allRecords.filter(r => r.status === 'failed').length,
-      cancelled: allRecords.filter(r => r.status === 'cancelled').length
+      failed: allRecords.filter(r => r.status === 'failed').length
     }
   });
 });
@@ -1,11 +1,38 @@
 const Distribution = require('../models/Distribution');
-const User = require('../models/User');
 const Record = require('../models/Record');
+const RejectedRow = require('../models/RejectedRow');
+const Schedule = require('../models/Schedule');
+const DispositionCode = require('../models/DispositionCode');
+const User = require('../models/User');
+const FileProcessor = require('../utils/fileProcessor');
+const { HELD_REASONS, releasePool, adjustAgentCount } = require('../utils/recordPool');
+const {
+  planDistribution,
+  assertPlanApplies,
+  commitPlan,
+  appendPlan,
+  summarizeAgents
+} = require('../utils/importPipeline');
+const { buildRejectionReport } = require('../utils/rejectionReport');
+const { cleanupFile } = require('../utils/upload');
+const { savePreview, takePreview } = require('../utils/previewStore');
+const { getAllowedTransitions } = require('../utils/recordStateMachine');
+const { suppressRecord } = require('../utils/suppressionList');
+const { resolveDisposition } = require('../utils/dispositions');
+const { resolveFollowUp, listFollowUps } = require('../utils/followUps');
+const {
+  toRecordState,
+  assertEditable,
+  saveRecord,
+  acquireClaim,
+  releaseClaim
+} = require('../utils/recordLocking');
+const {
+  assertLifecycleTransition,
+  assertWorkable,
+  emitLifecycleChange
+} = require('../utils/distributionLifecycle');
 const asyncHandler = require('express-async-handler');
-const path = require('path');
-const fs = require('fs');
-const csv = require('csv-parser');
-const XLSX = require('xlsx');
 
 /**
  * @desc    Upload file and distribute among agents
@@ -21,97 +48,170 @@ const uploadAndDistribute = asyncHandler(async (req, res) => {
       });
     }
 
-    const filePath = req.file.path;
-    const fileName = req.file.originalname;
-    const fileExtension = path.extname(fileName).toLowerCase();
-
-    // Validate file type
-    if (!['.csv', '.xlsx', '.xls'].includes(fileExtension)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid file type. Only CSV, XLSX, and XLS files are allowed.'
-      });
-    }
-
-    // Parse file data
-    let records = [];
-    
-    if (fileExtension === '.csv') {
-      records = await parseCSV(filePath);
-    } else {
-      records = await parseExcel(filePath);
-    }
+    const plan = await planDistribution(req.file, {
+      strategy: req.body.strategy || 'equal',
+      mappingTemplateId: req.body.mappingTemplateId,
+      fieldSchema: req.body.fieldSchema,
+      duplicatePolicy: req.body.duplicatePolicy,
+      duplicateMatch: req.body.duplicateMatch,
+      defaultCountry: req.body.defaultCountry,
+      suppressionMode: req.body.suppressionMode,
+      sheetName: req.body.sheetName,
+      allSheets: req.body.allSheets,
+      encoding: req.body.encoding,
+      delimiter: req.body.delimiter,
+      reuploadMode: req.body.reuploadMode,
+      force: req.body.force === true,
+      releaseAt: req.body.releaseAt,
+      timezone: req.body.timezone,
+      assignmentMode: req.body.assignmentMode
+    });
 
-    // Validate records format
-    if (!validateRecords(records)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid file format. Required columns: FirstName, Phone, Notes'
-      });
-    }
+    const distribution = await commitPlan(plan, { uploadedBy: req.user._id });
 
-    // Get all active agents
-    const agents = await User.find({ role: 'agent', isActive: true });
-    
-    if (agents.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No active agents found. Please ensure at least one agent is registered.'
-      });
-    }
+    res.json({
+      success: true,
+      message: 'File uploaded and distributed successfully',
+      data: formatCommitResponse(distribution, plan)
+    });
 
-    // Distribute records among agents
-    const distributedRecords = distributeRecords(records, agents);
-
-    // Create distribution document
-const distribution = new Distribution({
-  fileName,
-  originalFileName: fileName,
-  filePath,
-  fileSize: req.file.size,
-  uploadedBy: req.user._id,
-  totalRecords: records.length,
-  strategy: req.body.strategy || 'equal',
-  agents: distributedRecords.map(agent => ({
-    agentId: agent.agentId,
-    agentName: agent.agentName,
-    agentEmail: agent.agentEmail,
-    assignedCount: agent.records.length,
-    records: agent.records
-  })),
-  status: 'completed'
+  } catch (error) {
+    console.error('Error in uploadAndDistribute:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error processing file distribution',
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
 });
 
-    await distribution.save();
+/**
+ * @desc    Preview an upload without saving anything
+ * @route   POST /api/distributions/upload/preview
+ * @access  Private (Admin)
+ */
+const previewUpload = asyncHandler(async (req, res) => {
+  try {
+    const plan = await planDistribution(req.file, {
+      strategy: req.body.strategy || 'equal',
+      mappingTemplateId: req.body.mappingTemplateId,
+      fieldSchema: req.body.fieldSchema,
+      duplicatePolicy: req.body.duplicatePolicy,
+      duplicateMatch: req.body.duplicateMatch,
+      defaultCountry: req.body.defaultCountry,
+      suppressionMode: req.body.suppressionMode,
+      sheetName: req.body.sheetName,
+      allSheets: req.body.allSheets,
+      encoding: req.body.encoding,
+      delimiter: req.body.delimiter,
+      reuploadMode: req.body.reuploadMode,
+      force: req.body.force === true,
+      releaseAt: req.body.releaseAt,
+      timezone: req.body.timezone,
+      assignmentMode: req.body.assignmentMode
+    });
 
-    // Clean up uploaded file
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
+    const { token, expiresAt } = savePreview(plan, req.user._id);
 
     res.json({
       success: true,
-      message: 'File uploaded and distributed successfully',
+      message: 'Upload preview generated. Commit the token to save this distribution.',
       data: {
-        distributionId: distribution._id,
-        totalRecords: records.length,
-        agentsCount: agents.length,
-        distributedRecords: distributedRecords.map(agent => ({
-          agentName: agent.agentName,
-          agentEmail: agent.agentEmail,
-          recordsAssigned: agent.records.length
-        }))
+        token,
+        expiresAt,
+        fileName: plan.fileName,
+        strategy: plan.strategy,
+        totalRecords: plan.totalRecords,
+        agentsCount: plan.agentsCount,
+        unassignedCount: plan.unassigned.length,
+        overflowCount: plan.summary.overflowRecords,
+        distributedRecords: summarizeAgents(plan.agents),
+        fairnessScore: plan.summary.fairnessScore,
+        summary: plan.summary,
+        fileStats: plan.fileStats,
+        validationErrors: plan.errors,
+        sample: plan.sample,
+        headers: plan.headers,
+        sheets: plan.sheets,
+        files: plan.files,
+        fieldSchema: plan.fieldSchema,
+        duplicates: plan.duplicates,
+        suppressions: plan.suppressions,
+        mappingTemplate: plan.mappingTemplate,
+        suggestedTemplate: plan.suggestedTemplate,
+        reupload: plan.reupload,
+        release: plan.release,
+        assignmentMode: plan.assignmentMode
       }
     });
 
   } catch (error) {
-    console.error('Error in uploadAndDistribute:', error);
-    res.status(500).json({
+    console.error('Error in previewUpload:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error previewing file distribution',
+      error: error.message,
+      ...(error.details && { details: error.details })
+    });
+  }
+});
+
+/**
+ * @desc    List the sheets of an uploaded workbook so one (or all) can be
+ *          chosen for the upload
+ * @route   POST /api/distributions/upload/sheets
+ * @access  Private (Admin)
+ */
+const listUploadSheets = asyncHandler(async (req, res) => {
+  const fileProcessor = new FileProcessor();
+  let sheets;
+
+  try {
+    sheets = fileProcessor.listSheets(req.file);
+  } catch (error) {
+    return res.status(400).json({
       success: false,
-      message: 'Error processing file distribution',
-      error: error.message
+      message: `Could not read workbook: ${error.message}`
     });
+  } finally {
+    cleanupFile(req.file.path);
   }
+
+  res.json({
+    success: true,
+    data: {
+      fileName: req.file.originalname,
+      sheets
+    }
+  });
+});
+
+/**
+ * @desc    Commit a previously previewed upload
+ * @route   POST /api/distributions/upload/commit
+ * @access  Private (Admin)
+ */
+const commitUpload = asyncHandler(async (req, res) => {
+  const plan = takePreview(req.body.token, req.user._id);
+
+  if (!plan) {
+    return res.status(410).json({
+      success: false,
+      message: 'Preview token is invalid or has expired. Please preview the file again.'
+    });
+  }
+
+  // Agents may have been deactivated or filled up since the preview
+  await assertPlanApplies(plan);
+
+  const distribution = await commitPlan(plan, { uploadedBy: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Distribution committed successfully',
+    data: formatCommitResponse(distribution, plan)
+  });
 });
 
 /**
@@ -125,20 +225,29 @@ const getDistributions = asyncHandler(async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
+    const query = {};
+    if (req.query.lifecycle) {
+      query.lifecycle = req.query.lifecycle;
+    }
+
     const distributions = await Distribution
-      .find({})
+      .find(query)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .populate('uploadedBy', 'name email')
       .populate('agents.agentId', 'name email');
 
-    const total = await Distribution.countDocuments({});
+    const total = await Distribution.countDocuments(query);
+
+    const progress = await Record.getProgressByDistribution(distributions.map(d => d._id));
 
     res.json({
       success: true,
       data: {
-        distributions,
+        distributions: distributions.map(distribution =>
+          withProgress(distribution, progress[distribution._id.toString()])
+        ),
         pagination: {
           page,
           limit,
@@ -175,7 +284,7 @@ const getDistribution = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: { distribution }
+    data: { distribution: await withRecords(distribution, req.query) }
   });
 });
 
@@ -186,42 +295,42 @@ const getDistribution = asyncHandler(async (req, res) => {
  */
 const getMyRecords = asyncHandler(async (req, res) => {
   try {
-    // Find all distributions where this agent is assigned
-    const distributions = await Distribution.find({
-      'agents.agentId': req.user._id
-    }).populate('uploadedBy', 'name email');
-
-    // Collect all records assigned to this agent
-    let allRecords = [];
-    
-    distributions.forEach(distribution => {
-      const agentData = distribution.agents.find(
-        agent => agent.agentId.toString() === req.user._id.toString()
-      );
-      
-      if (agentData && agentData.records) {
-        // Add distribution info to each record
-        const recordsWithDistribution = agentData.records.map(record => ({
-          ...record.toObject(),
-          distributionId: distribution._id,
-          distributionName: distribution.fileName,
-          uploadedBy: distribution.uploadedBy
-        }));
-        
-        allRecords = allRecords.concat(recordsWithDistribution);
-      }
+    // Records of paused, closed and draft distributions drop out of the list
+    const hidden = await Distribution.getHiddenFromAgents();
+    const query = { assignedAgent: req.user._id, distribution: { $nin: hidden } };
+    if (typeof req.query.sheetName === 'string' && req.query.sheetName) {
+      query.sheetName = req.query.sheetName;
+    }
+
+    // Due follow-ups and other high-priority records come first
+    const records = await Record.find(query)
+      .select('-history')
+      .sort({ priority: -1, assignedAt: -1, _id: 1 })
+      .populate({
+        path: 'distribution',
+        select: 'fileName uploadedBy',
+        populate: { path: 'uploadedBy', select: 'name email' }
+      })
+      .lean();
+
+    // Add distribution info to each record
+    const allRecords = records.map(({ distribution, ...record }) => ({
+      ...record,
+      version: record.__v || 0,
+      distributionId: distribution ? distribution._id : null,
+      distributionName: distribution ? distribution.fileName : null,
+      uploadedBy: distribution ? distribution.uploadedBy : null
+    }));
+
+    const summary = await Record.getStatusSummary({
+      assignedAgent: req.user._id,
+      distribution: { $nin: hidden }
     });
 
     res.json({
       success: true,
       records: allRecords,
-      summary: {
-        total: allRecords.length,
-        pending: allRecords.filter(r => r.status === 'pending').length,
-        inProgress: allRecords.filter(r => r.status === 'in-progress').length,
-        completed: allRecords.filter(r => r.status === 'completed').length,
-        failed: allRecords.filter(r => r.status === 'failed').length
-      }
+      summary
     });
   } catch (error) {
     console.error('Error in getMyRecords:', error);
@@ -233,13 +342,14 @@ const getMyRecords = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Update record status
- * @route   PUT /api/distributions/:id/records/:recordIndex
+ * @desc    Update record status. The record may also be given by its index
+ *          among the agent's records (deprecated; kept for older clients).
+ * @route   PUT /api/distributions/:id/records/:recordId
  * @access  Private (Agent)
  */
 const updateRecordStatus = asyncHandler(async (req, res) => {
-  const { status, notes } = req.body;
-  const { id: distributionId, recordIndex } = req.params;
+  const { status, notes, doNotCall, disposition, version } = req.body;
+  const { id: distributionId, recordId } = req.params;
 
   const distribution = await Distribution.findById(distributionId);
 
@@ -262,25 +372,364 @@ const updateRecordStatus = asyncHandler(async (req, res) => {
     });
   }
 
-  // Update record
-  const recordIdx = parseInt(recordIndex);
-  if (recordIdx >= 0 && recordIdx < agentData.records.length) {
-    agentData.records[recordIdx].status = status;
-    if (notes) agentData.records[recordIdx].notes = notes;
-    agentData.records[recordIdx].updatedAt = new Date();
+  assertWorkable(distribution);
 
-    await distribution.save();
+  const record = await Record.findOne({
+    _id: await resolveRecordRef(res, distributionId, req.user._id, recordId),
+    distribution: distributionId,
+    assignedAgent: req.user._id
+  });
 
-    res.json({
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      message: 'Record not found or not assigned to you'
+    });
+  }
+
+  // 409 with the current state when claimed by someone else or out of date
+  assertEditable(record, { userId: req.user._id, version });
+
+  // A disposition decides the status and may carry extra required fields
+  const outcome = disposition
+    ? await resolveDisposition(req.body, { setBy: req.user._id })
+    : null;
+
+  record.recordChange({
+    status: outcome ? outcome.status : status,
+    notes: notes || undefined,
+    changedBy: req.user._id,
+    source: 'agent-ui',
+    disposition: outcome ? outcome.disposition : undefined
+  });
+
+  await saveRecord(record);
+
+  // "Do not call" outcomes add the contact to the suppression list
+  const suppressDisposition = Boolean(outcome && outcome.code.suppress);
+  if (doNotCall || suppressDisposition) {
+    await suppressRecord(record, {
+      addedBy: req.user._id,
+      reason: suppressDisposition ? `Disposition: ${outcome.code.label}` : undefined
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Record status updated successfully',
+    data: {
+      status: record.status,
+      disposition: record.disposition,
+      suppressed: Boolean(doNotCall) || suppressDisposition,
+      version: record.version
+    }
+  });
+});
+
+/**
+ * @desc    Get a record's status history
+ * @route   GET /api/distributions/records/:recordId/history
+ * @access  Private (Agent: own records, Admin: all)
+ */
+const getRecordHistory = asyncHandler(async (req, res) => {
+  const query = { _id: req.params.recordId };
+  if (req.user.role === 'agent') {
+    query.assignedAgent = req.user._id;
+  }
+
+  const record = await Record.findOne(query)
+    .select('firstName phone status assignedAgent distribution history')
+    .populate('history.changedBy', 'name email role');
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      message: 'Record not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      recordId: record._id,
+      distributionId: record.distribution,
+      currentStatus: record.status,
+      history: record.history
+    }
+  });
+});
+
+/**
+ * @desc    List the statuses a record can move to next
+ * @route   GET /api/distributions/records/:recordId/transitions
+ * @access  Private (Agent: own records, Admin: all)
+ */
+const getRecordTransitions = asyncHandler(async (req, res) => {
+  const query = { _id: req.params.recordId };
+  if (req.user.role === 'agent') {
+    query.assignedAgent = req.user._id;
+  }
+
+  const record = await Record.findOne(query).select('status');
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      message: 'Record not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      recordId: record._id,
+      currentStatus: record.status,
+      allowedStatuses: getAllowedTransitions(record.status, req.user.role)
+    }
+  });
+});
+
+/**
+ * @desc    Schedule a callback on a record, optionally for another agent
+ * @route   PUT /api/distributions/records/:recordId/follow-up
+ * @access  Private (Agent: own records, Admin: all)
+ */
+const setRecordFollowUp = asyncHandler(async (req, res) => {
+  const record = await findEditableRecord(req);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      message: 'Record not found or not assigned to you'
+    });
+  }
+
+  assertEditable(record, { userId: req.user._id, version: req.body.version });
+
+  const followUp = await resolveFollowUp(req.body, { setBy: req.user._id });
+
+  // Rescheduling starts over, undoing any queue bump from the old follow-up
+  record.clearFollowUp();
+  record.followUp = followUp;
+  await saveRecord(record);
+
+  res.json({
+    success: true,
+    message: 'Follow-up scheduled',
+    data: {
+      recordId: record._id,
+      followUp: record.followUp,
+      version: record.version
+    }
+  });
+});
+
+/**
+ * @desc    Cancel a record's follow-up
+ * @route   DELETE /api/distributions/records/:recordId/follow-up
+ * @access  Private (Agent: own records, Admin: all)
+ */
+const clearRecordFollowUp = asyncHandler(async (req, res) => {
+  const record = await findEditableRecord(req);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      message: 'Record not found or not assigned to you'
+    });
+  }
+
+  assertEditable(record, { userId: req.user._id, version: req.body.version });
+
+  if (record.clearFollowUp()) {
+    await saveRecord(record);
+  }
+
+  res.json({
+    success: true,
+    message: 'Follow-up cancelled',
+    data: {
+      recordId: record._id,
+      version: record.version
+    }
+  });
+});
+
+/**
+ * @desc    List the agent's overdue and upcoming follow-ups
+ * @route   GET /api/distributions/my-follow-ups
+ * @access  Private (Agent)
+ */
+const getMyFollowUps = asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days) || 7;
+  const { overdue, upcoming } = await listFollowUps(req.user._id, { days });
+
+  res.json({
+    success: true,
+    data: {
+      overdue,
+      upcoming,
+      days
+    }
+  });
+});
+
+/**
+ * @desc    Claim a record while working it, so nobody else can edit or
+ *          reassign it until it is released or the claim expires
+ * @route   POST /api/distributions/records/:recordId/claim
+ * @access  Private (Agent: own records, Admin: all)
+ */
+const claimRecord = asyncHandler(async (req, res) => {
+  const record = await acquireClaim(req.params.recordId, req.user);
+
+  res.json({
+    success: true,
+    message: 'Record claimed',
+    data: toRecordState(record)
+  });
+});
+
+/**
+ * @desc    Release a claim on a record
+ * @route   POST /api/distributions/records/:recordId/release
+ * @access  Private (Agent: own claims, Admin: any claim)
+ */
+const releaseRecord = asyncHandler(async (req, res) => {
+  const record = await releaseClaim(req.params.recordId, req.user);
+
+  res.json({
+    success: true,
+    message: 'Record released',
+    data: toRecordState(record)
+  });
+});
+
+/**
+ * @desc    Reassign a record to another agent. Refused (409) while someone
+ *          else has the record claimed, when the version is out of date, or
+ *          when the record is held (suppressed or awaiting its release).
+ * @route   PUT /api/distributions/records/:recordId/assign
+ * @access  Private (Admin)
+ */
+const reassignRecord = asyncHandler(async (req, res) => {
+  const { agentId, version } = req.body;
+
+  const record = await Record.findById(req.params.recordId).select('-history');
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      message: 'Record not found'
+    });
+  }
+
+  // Closed, archived and still-importing distributions keep their records
+  const distribution = await Distribution.findById(record.distribution).select('lifecycle status');
+  if (!distribution) {
+    return res.status(404).json({
+      success: false,
+      message: 'Distribution not found'
+    });
+  }
+  assertWorkable(distribution);
+
+  if (HELD_REASONS.includes(record.unassignedReason)) {
+    return res.status(409).json({
+      success: false,
+      message: record.unassignedReason === 'suppressed'
+        ? 'This contact is on the suppression list and cannot be assigned'
+        : 'This record is held until its distribution is released',
+      data: toRecordState(record)
+    });
+  }
+
+  assertEditable(record, { userId: req.user._id, version });
+
+  const agent = await User.findOne({ _id: agentId, role: 'agent', isActive: true });
+
+  if (!agent) {
+    return res.status(400).json({
+      success: false,
+      message: 'Agent not found or inactive'
+    });
+  }
+
+  const previousAgent = record.assignedAgent;
+
+  if (previousAgent && previousAgent.toString() === agent._id.toString()) {
+    return res.json({
       success: true,
-      message: 'Record status updated successfully'
+      message: 'Record is already assigned to this agent',
+      data: toRecordState(record)
+    });
+  }
+
+  record.assignedAgent = agent._id;
+  record.assignedAt = new Date();
+  record.unassignedReason = null;
+  record.leaseExpiresAt = null;
+  record.claimedBy = null;
+  record.claimedAt = null;
+  record.claimExpiresAt = null;
+  await saveRecord(record);
+
+  if (previousAgent) {
+    await adjustAgentCount(record.distribution, { _id: previousAgent }, -1);
+  }
+  await adjustAgentCount(record.distribution, agent, 1);
+
+  const io = req.app.get('io');
+  if (io) {
+    if (previousAgent) {
+      io.to(`agent_${previousAgent}`).emit('recordReassigned', {
+        recordId: record._id,
+        distributionId: record.distribution
+      });
+    }
+    io.to(`agent_${agent._id}`).emit('recordsAssigned', {
+      distributionId: record.distribution,
+      count: 1
     });
-  } else {
-    res.status(400).json({
+  }
+
+  res.json({
+    success: true,
+    message: `Record reassigned to ${agent.name}`,
+    data: toRecordState(record)
+  });
+});
+
+/**
+ * @desc    Release unassigned (overflow) records to agents with free capacity
+ * @route   POST /api/distributions/:id/unassigned/release
+ * @access  Private (Admin)
+ */
+const releaseUnassignedRecords = asyncHandler(async (req, res) => {
+  const { agentIds, count, ignoreCapacity = false } = req.body;
+
+  const distribution = await Distribution.findById(req.params.id);
+
+  if (!distribution) {
+    return res.status(404).json({
       success: false,
-      message: 'Invalid record index'
+      message: 'Distribution not found'
     });
   }
+
+  assertWorkable(distribution);
+
+  const result = await releasePool(distribution, { agentIds, count, ignoreCapacity });
+
+  res.json({
+    success: true,
+    message: `${result.releasedCount} unassigned records released`,
+    data: {
+      releasedCount: result.releasedCount,
+      remainingUnassigned: result.remainingUnassigned,
+      distributedRecords: summarizeAgents(result.agents)
+    }
+  });
 });
 
 /**
@@ -327,7 +776,224 @@ const exportDistribution = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: distribution
+    data: await withRecords(distribution, req.query)
+  });
+});
+
+/**
+ * @desc    Download rejected rows with their original columns plus the row
+ *          number and errors, ready to be corrected and re-imported
+ * @route   GET /api/distributions/:id/rejected-rows/report
+ * @access  Private (Admin)
+ */
+const downloadRejectedRows = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'csv';
+  const status = req.query.status || 'open';
+
+  const distribution = await Distribution.findById(req.params.id);
+
+  if (!distribution) {
+    return res.status(404).json({
+      success: false,
+      message: 'Distribution not found'
+    });
+  }
+
+  const rejectedRows = await RejectedRow.find({
+    distribution: distribution._id,
+    ...(status !== 'all' && { status })
+  }).sort({ rowNumber: 1, _id: 1 });
+
+  const report = buildRejectionReport(rejectedRows, {
+    headers: distribution.metadata.headers,
+    format
+  });
+  const baseName = distribution.originalFileName.replace(/\.[^.]+$/, '');
+
+  res.setHeader('Content-Type', report.contentType);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${encodeURIComponent(`${baseName}-rejected-rows.${format}`)}"`
+  );
+  res.send(report.content);
+});
+
+/**
+ * @desc    Re-import corrected rows into an existing distribution using the
+ *          settings of its original upload
+ * @route   POST /api/distributions/:id/reimport
+ * @access  Private (Admin)
+ */
+const reimportRejectedRows = asyncHandler(async (req, res) => {
+  const distribution = await Distribution.findById(req.params.id);
+
+  if (!distribution) {
+    cleanupFile(req.file.path);
+    return res.status(404).json({
+      success: false,
+      message: 'Distribution not found'
+    });
+  }
+
+  try {
+    assertWorkable(distribution);
+  } catch (error) {
+    cleanupFile(req.file.path);
+    throw error;
+  }
+
+  const { metadata } = distribution;
+  const plan = await planDistribution(req.file, {
+    strategy: req.body.strategy || distribution.distributionStrategy,
+    mappingTemplateId: metadata.mappingTemplate,
+    fieldSchema: distribution.fieldSchema,
+    duplicatePolicy: metadata.duplicates && metadata.duplicates.policy,
+    duplicateMatch: metadata.duplicates && metadata.duplicates.matchBy,
+    defaultCountry: metadata.defaultCountry,
+    suppressionMode: metadata.suppressions && metadata.suppressions.mode,
+    force: req.body.force === true,
+    excludeDistribution: distribution._id
+  });
+
+  const { resolvedRows } = await appendPlan(distribution, plan, {
+    uploadedBy: req.user._id,
+    fileName: req.file.originalname
+  });
+
+  const openRows = await RejectedRow.countDocuments({ distribution: distribution._id, status: 'open' });
+
+  res.status(201).json({
+    success: true,
+    message: `${plan.totalRecords} corrected records added to the distribution`,
+    data: {
+      ...formatCommitResponse(distribution, plan),
+      resolvedRows,
+      openRejectedRows: openRows,
+      validationErrors: plan.errors
+    }
+  });
+});
+
+/**
+ * @desc    Activate a draft distribution
+ * @route   POST /api/distributions/:id/activate
+ * @access  Private (Admin)
+ */
+const activateDistribution = asyncHandler(async (req, res) => {
+  await changeLifecycle(req, res, 'active', 'Distribution activated');
+});
+
+/**
+ * @desc    Pause a distribution; its records drop out of agents' lists
+ * @route   POST /api/distributions/:id/pause
+ * @access  Private (Admin)
+ */
+const pauseDistribution = asyncHandler(async (req, res) => {
+  await changeLifecycle(req, res, 'paused', 'Distribution paused');
+});
+
+/**
+ * @desc    Resume a paused distribution
+ * @route   POST /api/distributions/:id/resume
+ * @access  Private (Admin)
+ */
+const resumeDistribution = asyncHandler(async (req, res) => {
+  await changeLifecycle(req, res, 'active', 'Distribution resumed');
+});
+
+/**
+ * @desc    Close a distribution; its records no longer accept status updates
+ * @route   POST /api/distributions/:id/close
+ * @access  Private (Admin)
+ */
+const closeDistribution = asyncHandler(async (req, res) => {
+  await changeLifecycle(req, res, 'closed', 'Distribution closed');
+});
+
+/**
+ * @desc    Archive a closed distribution
+ * @route   POST /api/distributions/:id/archive
+ * @access  Private (Admin)
+ */
+const archiveDistribution = asyncHandler(async (req, res) => {
+  await changeLifecycle(req, res, 'archived', 'Distribution archived');
+});
+
+/**
+ * @desc    Switch how a distribution's pool reaches agents (push, pull or
+ *          hybrid). Records already assigned stay with their agents.
+ * @route   PUT /api/distributions/:id/assignment-mode
+ * @access  Private (Admin)
+ */
+const updateAssignmentMode = asyncHandler(async (req, res) => {
+  const distribution = await Distribution.findByIdAndUpdate(
+    req.params.id,
+    { $set: { assignmentMode: req.body.assignmentMode } },
+    { new: true, runValidators: true }
+  );
+
+  if (!distribution) {
+    return res.status(404).json({
+      success: false,
+      message: 'Distribution not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Distribution switched to ${distribution.assignmentMode} assignment`,
+    data: {
+      distributionId: distribution._id,
+      assignmentMode: distribution.assignmentMode
+    }
+  });
+});
+
+/**
+ * @desc    Change a distribution's automatic recycling rules
+ * @route   PUT /api/distributions/:id/recycling
+ * @access  Private (Admin)
+ */
+const updateRecyclingRules = asyncHandler(async (req, res) => {
+  const distribution = await Distribution.findById(req.params.id);
+
+  if (!distribution) {
+    return res.status(404).json({
+      success: false,
+      message: 'Distribution not found'
+    });
+  }
+
+  ['enabled', 'maxAttempts', 'cooldownMinutes', 'moveToDifferentAgent', 'recycleFailed'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      distribution.recycling[field] = req.body[field];
+    }
+  });
+
+  if (req.body.dispositions !== undefined) {
+    const codes = [...new Set(req.body.dispositions.map(DispositionCode.normalizeCode))];
+    const known = await DispositionCode.distinct('code', { code: { $in: codes } });
+    const unknown = codes.filter(code => !known.includes(code));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown disposition codes: ${unknown.join(', ')}`
+      });
+    }
+
+    distribution.recycling.dispositions = codes;
+  }
+
+  await distribution.save();
+
+  res.json({
+    success: true,
+    message: `Automatic recycling ${distribution.recycling.enabled ? 'enabled' : 'disabled'}`,
+    data: {
+      distributionId: distribution._id,
+      recycling: distribution.recycling
+    }
   });
 });
 
@@ -346,6 +1012,9 @@ const deleteDistribution = asyncHandler(async (req, res) => {
     });
   }
 
+  await Record.deleteMany({ distribution: distribution._id });
+  await RejectedRow.deleteMany({ distribution: distribution._id });
+  await Schedule.deleteMany({ type: 'release', distribution: distribution._id });
   await Distribution.findByIdAndDelete(req.params.id);
 
   res.json({
@@ -355,76 +1024,186 @@ const deleteDistribution = asyncHandler(async (req, res) => {
 });
 
 // Helper functions
-const parseCSV = (filePath) => {
-  return new Promise((resolve, reject) => {
-    const records = [];
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (data) => records.push(data))
-      .on('end', () => resolve(records))
-      .on('error', reject);
-  });
+
+// Resolve a record index (see Record.INDEX_PATTERN) to the record's id and
+// flag the response as deprecated; ids are passed through
+const resolveRecordRef = async (res, distributionId, agentId, ref) => {
+  if (!Record.INDEX_PATTERN.test(ref)) return ref;
+
+  res.set('Deprecation', 'true');
+  const record = await Record.findOne({ distribution: distributionId, assignedAgent: agentId })
+    .sort({ _id: 1 })
+    .skip(parseInt(ref))
+    .select('_id');
+
+  return record ? record._id : null;
 };
 
-const parseExcel = (filePath) => {
-  try {
-    const workbook = XLSX.readFile(filePath);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const records = XLSX.utils.sheet_to_json(worksheet);
-    return Promise.resolve(records);
-  } catch (error) {
-    return Promise.reject(error);
+// Load a record the user may edit: agents their own or ones whose follow-up
+// was handed to them, admins any
+const findEditableRecord = (req) => {
+  const query = { _id: req.params.recordId };
+  if (req.user.role === 'agent') {
+    query.$or = [{ assignedAgent: req.user._id }, { 'followUp.assignee': req.user._id }];
   }
+
+  return Record.findOne(query).select('-history');
 };
 
-const validateRecords = (records) => {
-  if (!records || records.length === 0) return false;
-  
-  const requiredFields = ['FirstName', 'Phone', 'Notes'];
-  const firstRecord = records[0];
-  
-  return requiredFields.every(field => field in firstRecord);
+// Move a distribution to a lifecycle state and tell its agents. Drafts wait
+// for their release schedule, so activating one with a pending release is
+// refused and closing one cancels the release.
+const changeLifecycle = async (req, res, target, message) => {
+  const distribution = await Distribution.findById(req.params.id);
+
+  if (!distribution) {
+    return res.status(404).json({
+      success: false,
+      message: 'Distribution not found'
+    });
+  }
+
+  // Background imports set the lifecycle themselves when they finish
+  if (distribution.status === 'processing') {
+    return res.status(409).json({
+      success: false,
+      message: 'This distribution is still being imported'
+    });
+  }
+
+  const previous = distribution.lifecycle;
+  assertLifecycleTransition(previous, target);
+
+  if (previous === 'draft') {
+    const release = await Schedule.findOne({
+      type: 'release',
+      distribution: distribution._id,
+      status: { $in: ['active', 'paused', 'failed'] }
+    });
+
+    if (release && target === 'active') {
+      return res.status(409).json({
+        success: false,
+        message: 'This distribution is waiting for a scheduled release; cancel the schedule to release it now',
+        details: { scheduleId: release._id, runAt: release.runAt }
+      });
+    }
+
+    if (release) {
+      release.status = 'cancelled';
+      await release.save();
+    }
+  }
+
+  distribution.lifecycle = target;
+  distribution.lifecycleChangedAt = new Date();
+  distribution.lifecycleChangedBy = req.user._id;
+  await distribution.save();
+
+  emitLifecycleChange(req.app.get('io'), distribution, previous);
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      distributionId: distribution._id,
+      lifecycle: distribution.lifecycle,
+      previousLifecycle: previous,
+      lifecycleChangedAt: distribution.lifecycleChangedAt
+    }
+  });
+};
+
+const withProgress = (distribution, progress = {}) => {
+  const completed = progress.completed || 0;
+
+  return {
+    ...distribution.toObject(),
+    completionPercentage: distribution.totalRecords > 0
+      ? Math.round((completed / distribution.totalRecords) * 100)
+      : 0,
+    pendingRecords: progress.pending || 0,
+    inProgressRecords: progress.inProgress || 0
+  };
 };
 
-const distributeRecords = (records, agents) => {
-  const recordsPerAgent = Math.floor(records.length / agents.length);
-  const remainder = records.length % agents.length;
-  
-  const distributedRecords = [];
-  let recordIndex = 0;
-  
-  agents.forEach((agent, index) => {
-    const recordsCount = recordsPerAgent + (index < remainder ? 1 : 0);
-    const agentRecords = records.slice(recordIndex, recordIndex + recordsCount);
-    
-    distributedRecords.push({
-      agentId: agent._id,
-      agentName: agent.name,
-      agentEmail: agent.email,
-      records: agentRecords.map(record => ({
-        firstName: record.FirstName,
-        phone: record.Phone,
-        notes: record.Notes,
-        status: 'pending',
-        assignedAt: new Date(),
-        updatedAt: new Date()
-      }))
-    });
-    
-    recordIndex += recordsCount;
+// Attach each agent's records and the unassigned pool to a distribution,
+// optionally limited to one workbook sheet
+const withRecords = async (distribution, { sheetName } = {}) => {
+  const records = await Record.find({
+    distribution: distribution._id,
+    ...(typeof sheetName === 'string' && sheetName && { sheetName })
+  })
+    .select('-history')
+    .sort({ _id: 1 })
+    .lean();
+
+  const progress = await Record.getProgressByDistribution([distribution._id]);
+  const result = withProgress(distribution, progress[distribution._id.toString()]);
+
+  result.agents = result.agents.map(agent => {
+    const agentId = (agent.agentId._id || agent.agentId).toString();
+    return {
+      ...agent,
+      records: records.filter(record =>
+        record.assignedAgent && record.assignedAgent.toString() === agentId
+      )
+    };
   });
-  
-  return distributedRecords;
+  result.unassigned = records.filter(record => !record.assignedAgent);
+
+  return result;
 };
 
+const formatCommitResponse = (distribution, plan) => ({
+  distributionId: distribution._id,
+  totalRecords: plan.totalRecords,
+  agentsCount: plan.agentsCount,
+  unassignedCount: plan.unassigned.length,
+  overflowCount: plan.summary.overflowRecords,
+  distributedRecords: summarizeAgents(plan.agents),
+  fileStats: plan.fileStats,
+  summary: plan.summary,
+  rejectedRows: plan.rejectedRows.length,
+  sheets: plan.sheets,
+  files: plan.files,
+  duplicates: plan.duplicates,
+  suppressions: plan.suppressions,
+  mappingTemplate: plan.mappingTemplate,
+  suggestedTemplate: plan.suggestedTemplate,
+  reupload: plan.reupload,
+  release: plan.release,
+  assignmentMode: plan.assignmentMode
+});
+
 module.exports = {
   uploadAndDistribute,
+  previewUpload,
+  listUploadSheets,
+  commitUpload,
   getDistributions,
   getDistribution,
   getMyRecords,
   updateRecordStatus,
+  getRecordHistory,
+  getRecordTransitions,
+  setRecordFollowUp,
+  clearRecordFollowUp,
+  getMyFollowUps,
+  claimRecord,
+  releaseRecord,
+  reassignRecord,
+  releaseUnassignedRecords,
   getDistributionStats,
   exportDistribution,
+  downloadRejectedRows,
+  reimportRejectedRows,
+  activateDistribution,
+  pauseDistribution,
+  resumeDistribution,
+  closeDistribution,
+  archiveDistribution,
+  updateAssignmentMode,
+  updateRecyclingRules,
   deleteDistribution
 };
\ No newline at end of file
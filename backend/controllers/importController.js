@@ -0,0 +1,92 @@
+const ImportJob = require('../models/ImportJob');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { queueImportJob } = require('../utils/importJobRunner');
+
+/**
+ * @desc    Upload a large file and import it in the background
+ * @route   POST /api/imports
+ * @access  Private (Admin)
+ */
+const createImportJob = asyncHandler(async (req, res) => {
+  const { job } = await queueImportJob(req.file, req.body, {
+    createdBy: req.user._id,
+    io: req.app.get('io')
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Import started. Progress will be reported over Socket.IO.',
+    data: {
+      jobId: job._id,
+      status: job.status,
+      reupload: job.reupload
+    }
+  });
+});
+
+/**
+ * @desc    Get import jobs
+ * @route   GET /api/imports
+ * @access  Private (Admin)
+ */
+const getImportJobs = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const [jobs, total] = await Promise.all([
+    ImportJob.find(query)
+      .select('-validationErrors')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('createdBy', 'name email'),
+    ImportJob.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Get a single import job and its progress
+ * @route   GET /api/imports/:id
+ * @access  Private (Admin)
+ */
+const getImportJob = asyncHandler(async (req, res) => {
+  const job = await ImportJob.findById(req.params.id)
+    .populate('createdBy', 'name email');
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Import job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { job }
+  });
+});
+
+module.exports = {
+  createImportJob,
+  getImportJobs,
+  getImportJob
+};
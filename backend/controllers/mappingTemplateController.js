@@ -0,0 +1,136 @@
+const MappingTemplate = require('../models/MappingTemplate');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * @desc    Get all saved mapping templates
+ * @route   GET /api/mapping-templates
+ * @access  Private (Admin)
+ */
+const getMappingTemplates = asyncHandler(async (req, res) => {
+  const templates = await MappingTemplate.find()
+    .sort({ lastUsedAt: -1, createdAt: -1 })
+    .populate('createdBy', 'name email');
+
+  res.json({
+    success: true,
+    data: { templates }
+  });
+});
+
+/**
+ * @desc    Get a single mapping template
+ * @route   GET /api/mapping-templates/:id
+ * @access  Private (Admin)
+ */
+const getMappingTemplate = asyncHandler(async (req, res) => {
+  const template = await MappingTemplate.findById(req.params.id)
+    .populate('createdBy', 'name email');
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: 'Mapping template not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { template }
+  });
+});
+
+/**
+ * @desc    Create a mapping template
+ * @route   POST /api/mapping-templates
+ * @access  Private (Admin)
+ */
+const createMappingTemplate = asyncHandler(async (req, res) => {
+  const { name, description, mappings } = req.body;
+
+  const template = await MappingTemplate.create({
+    name,
+    description,
+    mappings,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Mapping template created successfully',
+    data: { template }
+  });
+});
+
+/**
+ * @desc    Update a mapping template
+ * @route   PUT /api/mapping-templates/:id
+ * @access  Private (Admin)
+ */
+const updateMappingTemplate = asyncHandler(async (req, res) => {
+  const template = await MappingTemplate.findById(req.params.id);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: 'Mapping template not found'
+    });
+  }
+
+  ['name', 'description', 'mappings'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      template[field] = req.body[field];
+    }
+  });
+
+  await template.save();
+
+  res.json({
+    success: true,
+    message: 'Mapping template updated successfully',
+    data: { template }
+  });
+});
+
+/**
+ * @desc    Delete a mapping template
+ * @route   DELETE /api/mapping-templates/:id
+ * @access  Private (Admin)
+ */
+const deleteMappingTemplate = asyncHandler(async (req, res) => {
+  const template = await MappingTemplate.findByIdAndDelete(req.params.id);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: 'Mapping template not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Mapping template deleted successfully'
+  });
+});
+
+/**
+ * @desc    Suggest a saved template for a set of file headers
+ * @route   POST /api/mapping-templates/suggest
+ * @access  Private (Admin)
+ */
+const suggestMappingTemplate = asyncHandler(async (req, res) => {
+  const suggestedTemplate = await MappingTemplate.findBestMatch(req.body.headers);
+
+  res.json({
+    success: true,
+    data: { suggestedTemplate }
+  });
+});
+
+module.exports = {
+  getMappingTemplates,
+  getMappingTemplate,
+  createMappingTemplate,
+  updateMappingTemplate,
+  deleteMappingTemplate,
+  suggestMappingTemplate
+};
@@ -0,0 +1,44 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const { claimNextRecord, getLeaseMinutes } = require('../utils/workQueue');
+
+/**
+ * @desc    Claim the next record from the work queue of pull and hybrid
+ *          distributions. The record is leased to the agent and returns to
+ *          the pool if it isn't worked before the lease expires.
+ * @route   POST /api/queue/next
+ * @access  Private (Agent)
+ */
+const getNextRecord = asyncHandler(async (req, res) => {
+  const { record, resumed } = await claimNextRecord(req.user);
+
+  if (!record) {
+    return res.json({
+      success: true,
+      message: 'No records are waiting in the queue',
+      data: { record: null }
+    });
+  }
+
+  await record.populate('distribution', 'fileName');
+
+  const { distribution, ...fields } = record.toObject();
+
+  res.json({
+    success: true,
+    message: resumed ? 'You already have a claimed record to work' : 'Record claimed',
+    data: {
+      record: {
+        ...fields,
+        distributionId: distribution ? distribution._id : null,
+        distributionName: distribution ? distribution.fileName : null
+      },
+      leaseExpiresAt: record.leaseExpiresAt,
+      leaseMinutes: getLeaseMinutes(),
+      resumed
+    }
+  });
+});
+
+module.exports = {
+  getNextRecord
+};
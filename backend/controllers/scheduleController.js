@@ -0,0 +1,225 @@
+const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const Schedule = require('../models/Schedule');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getDefaultTimeZone, registerSchedule, unregisterSchedule } = require('../utils/scheduler');
+const { refreshPoolSummary } = require('../utils/recordPool');
+const { emitLifecycleChange } = require('../utils/distributionLifecycle');
+
+/**
+ * @desc    List schedules
+ * @route   GET /api/schedules
+ * @access  Private (Admin)
+ */
+const getSchedules = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+  if (req.query.type) {
+    query.type = req.query.type;
+  }
+
+  const [schedules, total] = await Promise.all([
+    Schedule.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('distribution', 'originalFileName status totalRecords')
+      .populate('createdBy', 'name email'),
+    Schedule.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      schedules,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Get a schedule
+ * @route   GET /api/schedules/:id
+ * @access  Private (Admin)
+ */
+const getSchedule = asyncHandler(async (req, res) => {
+  const schedule = await Schedule.findById(req.params.id)
+    .populate('distribution', 'originalFileName status totalRecords')
+    .populate('recycle.distributions', 'originalFileName status')
+    .populate('createdBy', 'name email');
+
+  if (!schedule) {
+    return res.status(404).json({
+      success: false,
+      message: 'Schedule not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { schedule }
+  });
+});
+
+/**
+ * @desc    Create a recurring schedule that re-distributes unworked or
+ *          failed records. Release schedules are created by uploading with
+ *          a releaseAt time.
+ * @route   POST /api/schedules
+ * @access  Private (Admin)
+ */
+const createSchedule = asyncHandler(async (req, res) => {
+  const { name, cronExpression, timezone, recycle = {} } = req.body;
+
+  const schedule = await Schedule.create({
+    name,
+    type: 'recycle',
+    cronExpression,
+    timezone: timezone || getDefaultTimeZone(),
+    recycle,
+    createdBy: req.user._id
+  });
+
+  registerSchedule(schedule);
+
+  res.status(201).json({
+    success: true,
+    message: 'Schedule created successfully',
+    data: { schedule }
+  });
+});
+
+/**
+ * @desc    Pause a schedule
+ * @route   POST /api/schedules/:id/pause
+ * @access  Private (Admin)
+ */
+const pauseSchedule = asyncHandler(async (req, res) => {
+  const schedule = await Schedule.findOneAndUpdate(
+    { _id: req.params.id, status: 'active' },
+    { $set: { status: 'paused' } },
+    { new: true }
+  );
+
+  if (!schedule) {
+    return respondNotChangeable(req, res, 'Only active schedules can be paused');
+  }
+
+  unregisterSchedule(schedule._id);
+
+  res.json({
+    success: true,
+    message: 'Schedule paused',
+    data: { schedule }
+  });
+});
+
+/**
+ * @desc    Resume a paused schedule, or retry a failed release. A release
+ *          whose time has passed runs within a minute.
+ * @route   POST /api/schedules/:id/resume
+ * @access  Private (Admin)
+ */
+const resumeSchedule = asyncHandler(async (req, res) => {
+  const schedule = await Schedule.findOneAndUpdate(
+    { _id: req.params.id, status: { $in: ['paused', 'failed'] } },
+    { $set: { status: 'active' } },
+    { new: true }
+  );
+
+  if (!schedule) {
+    return respondNotChangeable(req, res, 'Only paused or failed schedules can be resumed');
+  }
+
+  registerSchedule(schedule);
+
+  res.json({
+    success: true,
+    message: 'Schedule resumed',
+    data: { schedule }
+  });
+});
+
+/**
+ * @desc    Cancel a schedule. A cancelled release activates its draft
+ *          distribution and leaves the records in the unassigned pool for a
+ *          manual release.
+ * @route   DELETE /api/schedules/:id
+ * @access  Private (Admin)
+ */
+const cancelSchedule = asyncHandler(async (req, res) => {
+  const schedule = await Schedule.findOneAndUpdate(
+    { _id: req.params.id, status: { $in: ['active', 'paused', 'failed'] } },
+    { $set: { status: 'cancelled' } },
+    { new: true }
+  );
+
+  if (!schedule) {
+    return respondNotChangeable(req, res, 'This schedule has already finished');
+  }
+
+  unregisterSchedule(schedule._id);
+
+  if (schedule.type === 'release') {
+    const distribution = await Distribution.findById(schedule.distribution);
+
+    // Pull-mode records go straight to the work queue
+    await Record.updateMany(
+      { distribution: schedule.distribution, assignedAgent: null, unassignedReason: 'scheduled' },
+      { $set: { unassignedReason: distribution && distribution.assignmentMode === 'pull' ? 'queued' : null } }
+    );
+
+    if (distribution) {
+      const previous = distribution.lifecycle;
+
+      distribution.status = 'completed';
+      if (previous === 'draft') {
+        distribution.lifecycle = 'active';
+        distribution.lifecycleChangedAt = new Date();
+        distribution.lifecycleChangedBy = req.user._id;
+      }
+      await refreshPoolSummary(distribution);
+      await distribution.save();
+
+      if (previous === 'draft') {
+        emitLifecycleChange(req.app.get('io'), distribution, previous);
+      }
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'Schedule cancelled',
+    data: { schedule }
+  });
+});
+
+// 404 when the schedule doesn't exist, 409 when its status doesn't allow the change
+const respondNotChangeable = async (req, res, message) => {
+  const exists = await Schedule.exists({ _id: req.params.id });
+
+  return res.status(exists ? 409 : 404).json({
+    success: false,
+    message: exists ? message : 'Schedule not found'
+  });
+};
+
+module.exports = {
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  cancelSchedule
+};
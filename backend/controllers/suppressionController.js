@@ -0,0 +1,199 @@
+const SuppressionEntry = require('../models/SuppressionEntry');
+const FileProcessor = require('../utils/fileProcessor');
+const { normalizePhone, getDefaultPhoneCountry } = require('../utils/phoneNormalizer');
+const { cleanupFile } = require('../utils/upload');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+
+const MAX_IMPORT_ERRORS = 100;
+
+/**
+ * @desc    Search the do-not-contact list
+ * @route   GET /api/suppressions
+ * @access  Private (Admin)
+ */
+const getSuppressions = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+  const { search, source } = req.query;
+
+  const query = {};
+  if (req.query.includeExpired !== 'true') {
+    Object.assign(query, SuppressionEntry.activeFilter());
+  }
+  if (source) {
+    query.source = source;
+  }
+  if (search) {
+    const digits = search.replace(/\D/g, '');
+    query.$and = [{
+      $or: [
+        ...(digits ? [{ phoneKey: { $regex: digits } }] : []),
+        { nameKey: { $regex: escapeRegex(SuppressionEntry.toNameKey(search)) } }
+      ]
+    }];
+  }
+
+  const [entries, total] = await Promise.all([
+    SuppressionEntry.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('addedBy', 'name email'),
+    SuppressionEntry.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+/**
+ * @desc    Add a phone or name to the do-not-contact list
+ * @route   POST /api/suppressions
+ * @access  Private (Admin)
+ */
+const createSuppression = asyncHandler(async (req, res) => {
+  const { phone, name, reason, expiresAt, defaultCountry } = req.body;
+
+  const entry = await SuppressionEntry.create({
+    phone: phone ? normalizeEntryPhone(phone, defaultCountry) : undefined,
+    name,
+    reason,
+    expiresAt: expiresAt || null,
+    source: 'manual',
+    addedBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Suppression entry added successfully',
+    data: { entry }
+  });
+});
+
+/**
+ * @desc    Import suppression entries from a CSV/Excel file
+ *          (columns: Phone, Name, Reason, ExpiresAt)
+ * @route   POST /api/suppressions/import
+ * @access  Private (Admin)
+ */
+const importSuppressions = asyncHandler(async (req, res) => {
+  const defaultCountry = req.body.defaultCountry || getDefaultPhoneCountry();
+  const errors = [];
+  let errorCount = 0;
+  const docs = [];
+  let rowNumber = 0;
+
+  try {
+    for await (const row of new FileProcessor().iterateRows(req.file)) {
+      rowNumber++;
+
+      const entry = new SuppressionEntry({
+        name: row.name || row.firstName,
+        reason: row.reason || undefined,
+        expiresAt: row.expiresat ? new Date(row.expiresat) : null,
+        source: 'import',
+        addedBy: req.user._id
+      });
+
+      try {
+        if (row.phone) {
+          entry.phone = normalizeEntryPhone(row.phone, defaultCountry);
+        }
+        await entry.validate();
+        docs.push(entry);
+      } catch (error) {
+        errorCount++;
+        if (errors.length < MAX_IMPORT_ERRORS) {
+          errors.push({ row: rowNumber, error: error.message });
+        }
+      }
+    }
+  } finally {
+    cleanupFile(req.file.path);
+  }
+
+  // Skip phones that already have an active entry
+  const phoneKeys = docs.map(doc => doc.phoneKey).filter(Boolean);
+  const existing = new Set(
+    (await SuppressionEntry.find({ ...SuppressionEntry.activeFilter(), phoneKey: { $in: phoneKeys } })
+      .select('phoneKey')
+      .lean()
+    ).map(entry => entry.phoneKey)
+  );
+
+  const seen = new Set();
+  const toInsert = docs.filter(doc => {
+    if (!doc.phoneKey) return true;
+    if (existing.has(doc.phoneKey) || seen.has(doc.phoneKey)) return false;
+    seen.add(doc.phoneKey);
+    return true;
+  });
+
+  if (toInsert.length > 0) {
+    await SuppressionEntry.insertMany(toInsert);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${toInsert.length} suppression entries imported`,
+    data: {
+      totalRows: rowNumber,
+      imported: toInsert.length,
+      alreadySuppressed: docs.length - toInsert.length,
+      errorCount,
+      errors
+    }
+  });
+});
+
+/**
+ * @desc    Remove an entry from the do-not-contact list
+ * @route   DELETE /api/suppressions/:id
+ * @access  Private (Admin)
+ */
+const deleteSuppression = asyncHandler(async (req, res) => {
+  const entry = await SuppressionEntry.findByIdAndDelete(req.params.id);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'Suppression entry not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Suppression entry removed successfully'
+  });
+});
+
+// Helper functions
+const normalizeEntryPhone = (phone, defaultCountry) => {
+  const result = normalizePhone(phone, { defaultCountry: defaultCountry || getDefaultPhoneCountry() });
+
+  if (result.error) {
+    throw createError(400, `${result.error}: ${phone}`);
+  }
+
+  return result.phone;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  getSuppressions,
+  createSuppression,
+  importSuppressions,
+  deleteSuppression
+};
@@ -0,0 +1,324 @@
+const path = require('path');
+const fs = require('fs');
+const UploadSession = require('../models/UploadSession');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { getFileFormat, SUPPORTED_EXTENSIONS } = require('../utils/fileFormats');
+const { chunkSize, nextExpiry, writeChunk } = require('../utils/chunkedUpload');
+const { queueImportJob } = require('../utils/importJobRunner');
+const { resolveMappingTemplate, resolveFieldSchema } = require('../utils/importPipeline');
+const { cleanupFile, hashFile, maxImportFileSize, uploadDir } = require('../utils/upload');
+
+/**
+ * @desc    Start a resumable upload
+ * @route   POST /api/imports/uploads
+ * @access  Private (Admin)
+ */
+const createUploadSession = asyncHandler(async (req, res) => {
+  const { fileName, fileSize, checksum } = req.body;
+
+  if (!getFileFormat(fileName)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid file type. Allowed types: ${SUPPORTED_EXTENSIONS.join(', ')}`
+    });
+  }
+
+  if (fileSize > maxImportFileSize) {
+    return res.status(400).json({
+      success: false,
+      message: `File size too large. Maximum size allowed is ${maxImportFileSize} bytes.`
+    });
+  }
+
+  const session = new UploadSession({
+    originalFileName: fileName,
+    fileSize,
+    checksum: checksum || null,
+    createdBy: req.user._id,
+    expiresAt: nextExpiry()
+  });
+  session.filePath = path.join(uploadDir, `chunked-${session._id}${path.extname(fileName).toLowerCase()}`);
+
+  await fs.promises.writeFile(session.filePath, '');
+  await session.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Upload started. Send the file in chunks starting at offset 0.',
+    data: {
+      uploadId: session._id,
+      offset: 0,
+      chunkSize,
+      expiresAt: session.expiresAt
+    }
+  });
+});
+
+/**
+ * @desc    Get an upload's status and the offset to resume from
+ * @route   GET /api/imports/uploads/:uploadId
+ * @access  Private (Admin)
+ */
+const getUploadSession = asyncHandler(async (req, res) => {
+  const session = await UploadSession.findOne({ _id: req.params.uploadId, createdBy: req.user._id });
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Upload not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      upload: session,
+      offset: session.receivedBytes,
+      chunkSize
+    }
+  });
+});
+
+/**
+ * @desc    Write a chunk of the file at the given byte offset. Chunks must
+ *          continue from the received data; re-sending earlier bytes is allowed.
+ * @route   PUT /api/imports/uploads/:uploadId/chunks?offset=
+ * @access  Private (Admin)
+ */
+const uploadChunk = asyncHandler(async (req, res) => {
+  const offset = parseInt(req.query.offset);
+  const chunk = req.body;
+
+  const session = await UploadSession.findOne({ _id: req.params.uploadId, createdBy: req.user._id })
+    .select('+filePath');
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Upload not found'
+    });
+  }
+
+  if (session.status !== 'uploading') {
+    return res.status(409).json({
+      success: false,
+      message: `Upload is ${session.status}`
+    });
+  }
+
+  if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Chunk body is empty. Send the bytes as application/octet-stream.'
+    });
+  }
+
+  if (offset > session.receivedBytes) {
+    return res.status(409).json({
+      success: false,
+      message: `Chunk starts after the received data. Resume from offset ${session.receivedBytes}.`,
+      data: { offset: session.receivedBytes }
+    });
+  }
+
+  if (offset + chunk.length > session.fileSize) {
+    return res.status(400).json({
+      success: false,
+      message: 'Chunk runs past the declared file size'
+    });
+  }
+
+  // Register the write so the upload can't complete while it runs
+  const reserved = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading' },
+    { $inc: { writingChunks: 1 } }
+  );
+
+  if (!reserved) {
+    return res.status(409).json({
+      success: false,
+      message: 'Upload is no longer accepting chunks'
+    });
+  }
+
+  try {
+    await writeChunk(session.filePath, offset, chunk);
+  } catch (error) {
+    await UploadSession.updateOne({ _id: session._id }, { $inc: { writingChunks: -1 } });
+    throw error;
+  }
+
+  const updated = await UploadSession.findOneAndUpdate(
+    { _id: session._id },
+    {
+      $inc: { writingChunks: -1 },
+      $max: { receivedBytes: offset + chunk.length },
+      $set: { expiresAt: nextExpiry() }
+    },
+    { new: true }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      uploadId: session._id,
+      offset: updated.receivedBytes,
+      fileSize: updated.fileSize,
+      complete: updated.receivedBytes === updated.fileSize
+    }
+  });
+});
+
+/**
+ * @desc    Verify the assembled file's checksum and import it in the background
+ * @route   POST /api/imports/uploads/:uploadId/complete
+ * @access  Private (Admin)
+ */
+const completeUploadSession = asyncHandler(async (req, res) => {
+  const session = await UploadSession.findOne({ _id: req.params.uploadId, createdBy: req.user._id })
+    .select('+filePath');
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Upload not found'
+    });
+  }
+
+  if (session.status !== 'uploading') {
+    return res.status(409).json({
+      success: false,
+      message: `Upload is ${session.status}`
+    });
+  }
+
+  if (session.receivedBytes !== session.fileSize) {
+    return res.status(409).json({
+      success: false,
+      message: `Upload is incomplete: ${session.receivedBytes} of ${session.fileSize} bytes received`,
+      data: { offset: session.receivedBytes }
+    });
+  }
+
+  const expected = (req.body.checksum || session.checksum || '').toLowerCase();
+
+  if (!expected) {
+    return res.status(400).json({
+      success: false,
+      message: 'A SHA-256 checksum is required to complete the upload'
+    });
+  }
+
+  // Check the import options before the file is handed over
+  resolveFieldSchema(req.body.fieldSchema);
+  await resolveMappingTemplate(req.body.mappingTemplateId);
+
+  // Only one request may complete the upload, and not while a chunk is being
+  // written; this also stops further chunks from being accepted
+  const completing = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'uploading', writingChunks: { $not: { $gt: 0 } }, receivedBytes: session.fileSize },
+    { $set: { status: 'completing', expiresAt: nextExpiry() } },
+    { new: true }
+  );
+
+  if (!completing) {
+    return res.status(409).json({
+      success: false,
+      message: 'Upload is already being completed or a chunk is still being written; try again shortly'
+    });
+  }
+
+  const actual = await hashFile(session.filePath);
+
+  if (actual !== expected) {
+    // Start over: there is no way to tell which chunk was corrupted
+    await fs.promises.truncate(session.filePath, 0);
+    await UploadSession.updateOne(
+      { _id: session._id },
+      { $set: { status: 'uploading', receivedBytes: 0, expiresAt: nextExpiry() } }
+    );
+
+    return res.status(400).json({
+      success: false,
+      message: 'Checksum mismatch. The upload has been reset; send the file again from offset 0.',
+      details: { expected, actual }
+    });
+  }
+
+  let job;
+
+  try {
+    ({ job } = await queueImportJob(
+      {
+        path: session.filePath,
+        filename: path.basename(session.filePath),
+        originalname: session.originalFileName,
+        size: session.fileSize
+      },
+      req.body,
+      { createdBy: req.user._id, io: req.app.get('io') }
+    ));
+  } catch (error) {
+    session.status = 'failed';
+    await session.save();
+    cleanupFile(session.filePath);
+    throw error;
+  }
+
+  session.status = 'completed';
+  session.completedAt = new Date();
+  session.importJob = job._id;
+  await session.save();
+
+  res.status(202).json({
+    success: true,
+    message: 'Upload complete. Import started; progress will be reported over Socket.IO.',
+    data: {
+      uploadId: session._id,
+      jobId: job._id,
+      status: job.status,
+      reupload: job.reupload
+    }
+  });
+});
+
+/**
+ * @desc    Abandon an upload and remove its partial file
+ * @route   DELETE /api/imports/uploads/:uploadId
+ * @access  Private (Admin)
+ */
+const abortUploadSession = asyncHandler(async (req, res) => {
+  const session = await UploadSession.findOne({ _id: req.params.uploadId, createdBy: req.user._id })
+    .select('+filePath');
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Upload not found'
+    });
+  }
+
+  if (session.status !== 'uploading') {
+    return res.status(409).json({
+      success: false,
+      message: `Upload is ${session.status}`
+    });
+  }
+
+  cleanupFile(session.filePath);
+  session.status = 'aborted';
+  await session.save();
+
+  res.json({
+    success: true,
+    message: 'Upload aborted'
+  });
+});
+
+module.exports = {
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+  completeUploadSession,
+  abortUploadSession
+};
@@ -47,6 +47,12 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // Mongoose optimistic concurrency conflict
+  if (err.name === 'VersionError') {
+    const message = 'This resource was changed by someone else; reload and try again';
+    error = { message, statusCode: 409 };
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
@@ -72,6 +78,7 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
+    ...(error.details && { details: error.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -85,6 +92,14 @@ const notFound = (req, res, next) => {
   });
 };
 
+// Create an error carrying an HTTP status for the global error handler
+const createError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
 // Async error wrapper
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
@@ -94,5 +109,6 @@ module.exports = {
   handleValidationErrors,
   errorHandler,
   notFound,
+  createError,
   asyncHandler
 };
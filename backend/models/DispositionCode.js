@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { RECORD_STATUSES } = require('../config/recordStatus');
+const { FIELD_TYPES } = require('../utils/customFields');
+
+// Statuses of records still being worked
+const OPEN_STATUSES = ['pending', 'in-progress'];
+
+/**
+ * Normalize a disposition code (e.g. "No answer" -> NO_ANSWER)
+ */
+const normalizeCode = (code) => String(code || '').trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+const dispositionCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Disposition code is required'],
+    unique: true,
+    set: normalizeCode,
+    maxlength: [40, 'Disposition code cannot exceed 40 characters']
+  },
+  label: {
+    type: String,
+    required: [true, 'Disposition label is required'],
+    trim: true,
+    maxlength: [100, 'Disposition label cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Status a record moves to when given this disposition
+  status: {
+    type: String,
+    enum: RECORD_STATUSES,
+    required: [true, 'Disposition status is required']
+  },
+  // Add the contact to the suppression list (e.g. DNC)
+  suppress: {
+    type: Boolean,
+    default: false
+  },
+  // Extra fields the agent fills in with this disposition (see utils/customFields)
+  fields: [{
+    _id: false,
+    key: {
+      type: String,
+      required: true
+    },
+    label: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: FIELD_TYPES,
+      default: 'string'
+    },
+    required: {
+      type: Boolean,
+      default: false
+    },
+    options: [String]
+  }],
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  // Retired codes stay on the records that used them but can't be chosen
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+dispositionCodeSchema.index({ isActive: 1, sortOrder: 1 });
+
+// Virtual for whether the disposition closes the record
+dispositionCodeSchema.virtual('terminal').get(function() {
+  return !OPEN_STATUSES.includes(this.status);
+});
+
+// Static method to find an active code by its code
+dispositionCodeSchema.statics.findActive = function(code) {
+  return this.findOne({ code: normalizeCode(code), isActive: true });
+};
+
+const DispositionCode = mongoose.model('DispositionCode', dispositionCodeSchema);
+
+DispositionCode.normalizeCode = normalizeCode;
+
+module.exports = DispositionCode;
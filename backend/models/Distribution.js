@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const { FIELD_TYPES } = require('../utils/customFields');
+const { LIFECYCLE_STATES, AGENT_VISIBLE_STATES } = require('../utils/distributionLifecycle');
+
+// How records reach agents:
+// push   - assigned at import (or release)
+// pull   - kept in the pool; agents claim them one at a time from the queue
+// hybrid - assigned at import, and whatever stays in the pool can be claimed
+const ASSIGNMENT_MODES = ['push', 'pull', 'hybrid'];
 
 const distributionSchema = new mongoose.Schema({
   fileName: {
@@ -14,6 +22,11 @@ const distributionSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'File size is required']
   },
+  // SHA-256 of the uploaded file, used to spot the same file uploaded twice
+  contentHash: {
+    type: String,
+    default: null
+  },
   totalRecords: {
     type: Number,
     required: [true, 'Total records count is required'],
@@ -26,14 +39,61 @@ const distributionSchema = new mongoose.Schema({
   },
   distributionStrategy: {
     type: String,
-    enum: ['equal', 'weighted', 'priority'],
+    enum: ['equal', 'weighted', 'priority', 'skills'],
     default: 'equal'
   },
   status: {
     type: String,
-    enum: ['processing', 'completed', 'failed'],
+    enum: ['processing', 'scheduled', 'completed', 'failed'],
     default: 'processing'
   },
+  // Campaign state, driven by admins; see utils/distributionLifecycle
+  lifecycle: {
+    type: String,
+    enum: LIFECYCLE_STATES,
+    default: 'active'
+  },
+  lifecycleChangedAt: Date,
+  lifecycleChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignmentMode: {
+    type: String,
+    enum: ASSIGNMENT_MODES,
+    default: 'push'
+  },
+  // Automatic recycling of unsuccessful calls; see utils/recycling
+  recycling: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Calls a record gets before it closes as exhausted
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      min: [1, 'Max attempts must be at least 1'],
+      max: [20, 'Max attempts cannot exceed 20']
+    },
+    // Wait after an unsuccessful call before the record is worked again
+    cooldownMinutes: {
+      type: Number,
+      default: 240,
+      min: [0, 'Cooldown cannot be negative']
+    },
+    moveToDifferentAgent: {
+      type: Boolean,
+      default: false
+    },
+    // Failed records without a disposition qualify
+    recycleFailed: {
+      type: Boolean,
+      default: true
+    },
+    // Disposition codes that qualify, e.g. NO_ANSWER
+    dispositions: [String]
+  },
   agents: [{
     agentId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -52,41 +112,25 @@ const distributionSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: 0
+    }
+  }],
+  // Declared custom columns, validated on import and stored on each record
+  fieldSchema: [{
+    key: {
+      type: String,
+      required: true
     },
-    records: [{
-      firstName: {
-        type: String,
-        required: true,
-        trim: true
-      },
-      phone: {
-        type: String,
-        required: true,
-        validate: {
-          validator: function(v) {
-            return /^\+?\d{10,15}$/.test(v);
-          },
-          message: 'Please enter a valid phone number'
-        }
-      },
-      notes: {
-        type: String,
-        trim: true,
-        maxlength: [500, 'Notes cannot exceed 500 characters']
-      },
-      status: {
-        type: String,
-        enum: ['pending', 'in-progress', 'completed', 'failed'],
-        default: 'pending'
-      },
-      assignedAt: {
-        type: Date,
-        default: Date.now
-      },
-      completedAt: {
-        type: Date
-      }
-    }]
+    label: String,
+    type: {
+      type: String,
+      enum: FIELD_TYPES,
+      default: 'string'
+    },
+    required: {
+      type: Boolean,
+      default: false
+    },
+    options: [String]
   }],
   summary: {
     totalAgentsAssigned: {
@@ -100,6 +144,14 @@ const distributionSchema = new mongoose.Schema({
     distributionTime: {
       type: Number, // in milliseconds
       default: 0
+    },
+    unassignedRecords: {
+      type: Number,
+      default: 0
+    },
+    overflowRecords: {
+      type: Number,
+      default: 0
     }
   },
   metadata: {
@@ -110,6 +162,8 @@ const distributionSchema = new mongoose.Schema({
     }],
     validationErrors: [{
       row: Number,
+      sheet: String,
+      file: String,
       column: String,
       error: String,
       value: String
@@ -117,6 +171,80 @@ const distributionSchema = new mongoose.Schema({
     skippedRows: {
       type: Number,
       default: 0
+    },
+    mappingTemplate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MappingTemplate',
+      default: null
+    },
+    defaultCountry: {
+      type: String,
+      default: null
+    },
+    // Original column headers, used to lay out the rejected-rows report
+    headers: [String],
+    // Workbook sheets imported as tagged segments of this distribution
+    sheets: [{
+      name: String,
+      totalRows: Number,
+      validRows: Number
+    }],
+    // Files imported together from a ZIP archive
+    files: [{
+      name: String,
+      totalRows: Number,
+      validRows: Number,
+      encoding: String,
+      delimiter: String
+    }],
+    // Detected (or requested) text encoding and delimiter of CSV/TSV uploads
+    encoding: {
+      type: String,
+      default: null
+    },
+    delimiter: {
+      type: String,
+      default: null
+    },
+    // Earlier distribution this upload repeated, uploaded anyway (warn mode or forced)
+    reuploadOf: {
+      distribution: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Distribution'
+      },
+      match: {
+        type: String,
+        enum: ['file', 'rows']
+      },
+      matchedRows: Number,
+      overlap: Number,
+      forced: Boolean
+    },
+    // Corrected rows appended from rejected-rows reports
+    reimports: [{
+      fileName: String,
+      importedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      importedAt: Date,
+      totalRecords: Number,
+      resolvedRows: Number,
+      rejectedRows: Number
+    }],
+    suppressions: {
+      mode: String,
+      dropped: { type: Number, default: 0 },
+      flagged: { type: Number, default: 0 }
+    },
+    duplicates: {
+      policy: String,
+      matchBy: String,
+      inFile: { type: Number, default: 0 },
+      existing: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      merged: { type: Number, default: 0 },
+      sameAgent: { type: Number, default: 0 }
     }
   }
 }, {
@@ -125,35 +253,9 @@ const distributionSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Virtual for completion percentage
-distributionSchema.virtual('completionPercentage').get(function() {
-  if (this.totalRecords === 0) return 0;
-  
-  let completedRecords = 0;
-  this.agents.forEach(agent => {
-    completedRecords += agent.records.filter(record => record.status === 'completed').length;
-  });
-  
-  return Math.round((completedRecords / this.totalRecords) * 100);
-});
-
-// Virtual for pending records count
-distributionSchema.virtual('pendingRecords').get(function() {
-  let pendingCount = 0;
-  this.agents.forEach(agent => {
-    pendingCount += agent.records.filter(record => record.status === 'pending').length;
-  });
-  return pendingCount;
-});
-
-// Virtual for in-progress records count
-distributionSchema.virtual('inProgressRecords').get(function() {
-  let inProgressCount = 0;
-  this.agents.forEach(agent => {
-    inProgressCount += agent.records.filter(record => record.status === 'in-progress').length;
-  });
-  return inProgressCount;
-});
+distributionSchema.index({ contentHash: 1, createdAt: -1 });
+distributionSchema.index({ lifecycle: 1 });
+distributionSchema.index({ 'recycling.enabled': 1 });
 
 // Pre-save middleware to calculate summary
 distributionSchema.pre('save', function(next) {
@@ -198,38 +300,15 @@ distributionSchema.statics.getDistributionStats = async function() {
   }
 };
 
-// Method to update record status
-distributionSchema.methods.updateRecordStatus = function(agentId, recordIndex, status) {
-  const agent = this.agents.find(a => a.agentId.toString() === agentId.toString());
-  if (agent && agent.records[recordIndex]) {
-    agent.records[recordIndex].status = status;
-    if (status === 'completed') {
-      agent.records[recordIndex].completedAt = new Date();
-    }
-    return this.save();
-  }
-  throw new Error('Record not found');
+// Ids of distributions whose records agents shouldn't see right now.
+// Matches hidden states explicitly, as older documents have no lifecycle.
+distributionSchema.statics.getHiddenFromAgents = function() {
+  const hidden = LIFECYCLE_STATES.filter(state => !AGENT_VISIBLE_STATES.includes(state));
+  return this.distinct('_id', { lifecycle: { $in: hidden } });
 };
 
-// Method to get agent performance
-distributionSchema.methods.getAgentPerformance = function() {
-  return this.agents.map(agent => {
-    const total = agent.records.length;
-    const completed = agent.records.filter(r => r.status === 'completed').length;
-    const inProgress = agent.records.filter(r => r.status === 'in-progress').length;
-    const pending = agent.records.filter(r => r.status === 'pending').length;
-    
-    return {
-      agentId: agent.agentId,
-      agentName: agent.agentName,
-      agentEmail: agent.agentEmail,
-      totalAssigned: total,
-      completed,
-      inProgress,
-      pending,
-      completionRate: total > 0 ? Math.round((completed / total) * 100) : 0
-    };
-  });
-};
+const Distribution = mongoose.model('Distribution', distributionSchema);
+
+Distribution.ASSIGNMENT_MODES = ASSIGNMENT_MODES;
 
-module.exports = mongoose.model('Distribution', distributionSchema);
+module.exports = Distribution;
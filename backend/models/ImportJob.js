@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const Distribution = require('./Distribution');
+const { DUPLICATE_POLICIES, DUPLICATE_MATCH_MODES } = require('../utils/duplicateDetector');
+const { SUPPRESSION_MODES } = require('../utils/suppressionList');
+const { ENCODINGS, DELIMITERS } = require('../utils/fileFormats');
+const { REUPLOAD_MODES } = require('../utils/reuploadDetector');
+
+const importJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  fileName: {
+    type: String,
+    required: [true, 'File name is required']
+  },
+  originalFileName: {
+    type: String,
+    required: [true, 'Original file name is required']
+  },
+  filePath: {
+    type: String,
+    required: true,
+    select: false
+  },
+  fileSize: {
+    type: Number,
+    required: [true, 'File size is required']
+  },
+  contentHash: {
+    type: String,
+    default: null
+  },
+  reuploadMode: {
+    type: String,
+    enum: REUPLOAD_MODES,
+    default: 'warn'
+  },
+  force: {
+    type: Boolean,
+    default: false
+  },
+  // Hold the imported records until this time, then release them to agents
+  releaseAt: {
+    type: Date,
+    default: null
+  },
+  timezone: {
+    type: String,
+    default: null
+  },
+  // Earlier distribution this file or its rows repeat, from reuploadDetector
+  reupload: {
+    type: Object,
+    default: null
+  },
+  distributionStrategy: {
+    type: String,
+    enum: ['equal', 'weighted', 'priority', 'skills'],
+    default: 'equal'
+  },
+  assignmentMode: {
+    type: String,
+    enum: Distribution.ASSIGNMENT_MODES,
+    default: 'push'
+  },
+  fieldSchema: {
+    type: Array,
+    default: []
+  },
+  defaultCountry: {
+    type: String,
+    default: null
+  },
+  suppressionMode: {
+    type: String,
+    enum: SUPPRESSION_MODES,
+    default: 'drop'
+  },
+  duplicatePolicy: {
+    type: String,
+    enum: DUPLICATE_POLICIES,
+    default: 'skip'
+  },
+  duplicateMatch: {
+    type: String,
+    enum: DUPLICATE_MATCH_MODES,
+    default: 'phone'
+  },
+  mappingTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MappingTemplate',
+    default: null
+  },
+  sheetName: {
+    type: String,
+    default: null
+  },
+  allSheets: {
+    type: Boolean,
+    default: false
+  },
+  sheets: [{
+    name: String,
+    totalRows: Number,
+    validRows: Number
+  }],
+  encoding: {
+    type: String,
+    enum: ['auto', ...ENCODINGS],
+    default: 'auto'
+  },
+  delimiter: {
+    type: String,
+    enum: ['auto', ...Object.keys(DELIMITERS)],
+    default: 'auto'
+  },
+  files: [{
+    name: String,
+    totalRows: Number,
+    validRows: Number,
+    encoding: String,
+    delimiter: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  distribution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Distribution',
+    default: null
+  },
+  progress: {
+    processedRows: {
+      type: Number,
+      default: 0
+    },
+    validRows: {
+      type: Number,
+      default: 0
+    },
+    skippedRows: {
+      type: Number,
+      default: 0
+    },
+    assignedRecords: {
+      type: Number,
+      default: 0
+    },
+    unassignedRecords: {
+      type: Number,
+      default: 0
+    },
+    batches: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Duplicate counts from createDuplicateCounts()
+  duplicates: {
+    type: Object,
+    default: null
+  },
+  // Suppression counts from createSuppressionCounts()
+  suppressions: {
+    type: Object,
+    default: null
+  },
+  // First validation errors only; errorCount holds the full total
+  validationErrors: [{
+    row: Number,
+    sheet: String,
+    file: String,
+    column: String,
+    error: String,
+    value: String
+  }],
+  errorCount: {
+    type: Number,
+    default: 0
+  },
+  failureReason: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+importJobSchema.index({ createdBy: 1, createdAt: -1 });
+importJobSchema.index({ status: 1 });
+
+// Virtual for processing duration in milliseconds
+importJobSchema.virtual('duration').get(function() {
+  if (!this.startedAt) return 0;
+  return (this.completedAt || new Date()).getTime() - this.startedAt.getTime();
+});
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
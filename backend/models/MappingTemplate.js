@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const TRANSFORMS = ['trim', 'uppercase', 'lowercase', 'splitFullName'];
+
+/**
+ * Normalize a header for comparison (case, spacing and punctuation insensitive)
+ */
+const normalizeHeaderKey = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const mappingTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  mappings: {
+    type: [{
+      source: {
+        type: String,
+        required: [true, 'Source header is required'],
+        trim: true
+      },
+      target: {
+        type: String,
+        required: [true, 'Target field is required'],
+        trim: true
+      },
+      transforms: [{
+        type: String,
+        enum: TRANSFORMS
+      }]
+    }],
+    validate: {
+      validator: function(v) {
+        return v.length > 0;
+      },
+      message: 'A template needs at least one mapping'
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the normalized source headers this template expects
+mappingTemplateSchema.virtual('sourceKeys').get(function() {
+  return (this.mappings || []).map(mapping => normalizeHeaderKey(mapping.source));
+});
+
+// Static method to find the saved template whose headers best match a file
+mappingTemplateSchema.statics.findBestMatch = async function(headers) {
+  const fileKeys = new Set((headers || []).map(normalizeHeaderKey));
+  if (fileKeys.size === 0) return null;
+
+  const templates = await this.find().sort({ lastUsedAt: -1 });
+  let best = null;
+
+  templates.forEach(template => {
+    const sourceKeys = template.sourceKeys;
+    const matched = sourceKeys.filter(key => fileKeys.has(key)).length;
+
+    // Every source header the template maps must be present in the file
+    if (matched === 0 || matched < sourceKeys.length) return;
+
+    if (!best || matched > best.matchedHeaders) {
+      best = {
+        templateId: template._id,
+        name: template.name,
+        matchedHeaders: matched
+      };
+    }
+  });
+
+  return best;
+};
+
+const MappingTemplate = mongoose.model('MappingTemplate', mappingTemplateSchema);
+
+MappingTemplate.TRANSFORMS = TRANSFORMS;
+MappingTemplate.normalizeHeaderKey = normalizeHeaderKey;
+
+module.exports = MappingTemplate;
@@ -0,0 +1,404 @@
+const mongoose = require('mongoose');
+const { RECORD_STATUSES, roleForSource, assertTransition } = require('../utils/recordStateMachine');
+const { PHONE_TYPES } = require('../utils/phoneNormalizer');
+
+// Statuses of records still being worked
+const OPEN_STATUSES = ['pending', 'in-progress'];
+
+const recordSchema = new mongoose.Schema({
+  distribution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Distribution',
+    required: [true, 'Distribution is required']
+  },
+  assignedAgent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null while the record waits in the unassigned pool
+  },
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true
+  },
+  phone: {
+    type: String,
+    required: [true, 'Phone is required'],
+    validate: {
+      validator: function(v) {
+        return /^\+?\d{7,15}$/.test(v);
+      },
+      message: 'Please enter a valid phone number'
+    }
+  },
+  // Phone as it appeared in the uploaded file; phone holds the E.164 form
+  phoneOriginal: {
+    type: String,
+    trim: true
+  },
+  phoneType: {
+    type: String,
+    enum: PHONE_TYPES,
+    default: 'unknown'
+  },
+  phoneCountry: {
+    type: String
+  },
+  // Digits-only phone used for duplicate detection
+  phoneKey: {
+    type: String
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  requiredSkill: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Workbook sheet the record was imported from (e.g. a region or campaign)
+  sheetName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // File inside an uploaded ZIP archive the record was imported from
+  sourceFile: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Hash of the row's contact data, used to spot rows uploaded before
+  fingerprint: {
+    type: String,
+    default: null
+  },
+  // Extra columns from the uploaded file, typed per the distribution's field schema
+  customFields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Higher priorities are claimed first from the work queue
+  priority: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: RECORD_STATUSES,
+    default: 'pending'
+  },
+  unassignedReason: {
+    type: String,
+    enum: ['no-matching-skill', 'capacity', 'suppressed', 'scheduled', 'queued', null],
+    default: null
+  },
+  assignedAt: {
+    type: Date
+  },
+  // Set while a record claimed from the work queue hasn't been worked yet;
+  // it returns to the pool once this passes
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  },
+  // Explicit claim while someone works the record; others can't edit or
+  // reassign it until it is released or expires (see utils/recordLocking)
+  claimedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  claimExpiresAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date
+  },
+  // Callback the agent arranged with the contact
+  followUp: {
+    dueAt: Date,
+    // Time zone the callback was arranged in, for display
+    timezone: String,
+    // Agent who should make the callback, when not the assigned agent
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Follow-up note cannot exceed 500 characters']
+    },
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    setAt: Date,
+    remindedAt: Date,
+    // Set once the follow-up came due and the record was moved up the queue
+    bumpedAt: Date,
+    previousPriority: Number
+  },
+  // Outcome of the last call, from an admin-defined disposition code.
+  // Code and label are copied so reports survive later edits to the code.
+  disposition: {
+    code: String,
+    label: String,
+    codeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DispositionCode'
+    },
+    // Extra fields the code's form asked for
+    fields: mongoose.Schema.Types.Mixed,
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    setAt: Date
+  },
+  recycleCount: {
+    type: Number,
+    default: 0
+  },
+  lastRecycledAt: {
+    type: Date
+  },
+  // Calls counted by automatic recycling (see utils/recycling)
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When an agent last recorded an outcome recycling hasn't looked at yet
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the record ran out of attempts and was closed
+  exhaustedAt: {
+    type: Date,
+    default: null
+  },
+  // Append-only audit trail; only ever extended through recordChange()
+  history: [{
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    fromStatus: String,
+    toStatus: String,
+    oldNotes: String,
+    newNotes: String,
+    // Disposition code given with the change, if any
+    disposition: String,
+    source: {
+      type: String,
+      enum: ['agent-ui', 'admin-override', 'automation'],
+      required: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  // Saves fail with a VersionError when the record changed since it was read
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Version clients send back with updates to detect concurrent changes
+recordSchema.virtual('version').get(function() {
+  return this.__v || 0;
+});
+
+// Indexes for agent work lists, per-distribution views, dashboards and duplicate lookups
+recordSchema.index({ assignedAgent: 1, status: 1 });
+recordSchema.index({ distribution: 1, assignedAgent: 1 });
+recordSchema.index({ distribution: 1, status: 1 });
+recordSchema.index({ phoneKey: 1, status: 1 });
+recordSchema.index({ distribution: 1, sheetName: 1 });
+recordSchema.index({ fingerprint: 1 });
+recordSchema.index({ createdAt: -1 });
+recordSchema.index({ distribution: 1, assignedAgent: 1, status: 1, priority: -1 });
+recordSchema.index({ leaseExpiresAt: 1 }, { sparse: true });
+recordSchema.index({ distribution: 1, 'disposition.code': 1 });
+recordSchema.index({ 'history.changedAt': -1, 'history.disposition': 1 });
+recordSchema.index(
+  { distribution: 1, lastAttemptAt: 1 },
+  { partialFilterExpression: { lastAttemptAt: { $type: 'date' } } }
+);
+recordSchema.index(
+  { 'followUp.dueAt': 1 },
+  { partialFilterExpression: { 'followUp.dueAt': { $type: 'date' } } }
+);
+
+// Apply a status, notes and/or disposition change and append it to the history.
+// Throws a 409 error when the status transition is not allowed for the source.
+recordSchema.methods.recordChange = function({ status, notes, changedBy, source, disposition }) {
+  const fromStatus = this.status;
+  const oldNotes = this.notes;
+  const toStatus = status || fromStatus;
+  const newNotes = notes !== undefined && notes !== null ? notes : oldNotes;
+
+  const rule = assertTransition(fromStatus, toStatus, roleForSource(source));
+
+  if (toStatus === fromStatus && newNotes === oldNotes && !disposition) {
+    return false;
+  }
+
+  if (rule && rule.recycle) {
+    this.recycleCount += 1;
+    this.lastRecycledAt = new Date();
+  }
+
+  this.status = toStatus;
+  this.notes = newNotes;
+  if (disposition) {
+    this.disposition = disposition;
+  }
+  // Outcomes recorded by people are calls for automatic recycling to count
+  if (source !== 'automation' && (disposition || (toStatus !== fromStatus && !OPEN_STATUSES.includes(toStatus)))) {
+    this.lastAttemptAt = new Date();
+  }
+  // Reopening an exhausted record gives it a fresh set of attempts
+  if (this.exhaustedAt && OPEN_STATUSES.includes(toStatus)) {
+    this.exhaustedAt = null;
+    this.attempts = 0;
+  }
+  // Working a claimed record keeps it
+  this.leaseExpiresAt = null;
+
+  // Working a record after its follow-up came due, or closing it, completes the follow-up
+  if (source !== 'automation' && this.followUp && this.followUp.dueAt &&
+      (this.followUp.dueAt <= new Date() || !OPEN_STATUSES.includes(toStatus))) {
+    this.clearFollowUp();
+  }
+
+  if (toStatus === 'completed' && fromStatus !== 'completed') {
+    this.completedAt = new Date();
+  } else if (toStatus !== 'completed') {
+    this.completedAt = undefined;
+  }
+
+  this.history.push({
+    changedBy,
+    fromStatus,
+    toStatus,
+    oldNotes,
+    newNotes,
+    disposition: disposition ? disposition.code : undefined,
+    source,
+    changedAt: new Date()
+  });
+
+  return true;
+};
+
+// Remove the record's follow-up, undoing the queue bump it got when due
+recordSchema.methods.clearFollowUp = function() {
+  if (!this.followUp || !this.followUp.dueAt) return false;
+
+  if (this.followUp.bumpedAt && this.followUp.previousPriority !== undefined) {
+    this.priority = this.followUp.previousPriority;
+  }
+  this.followUp = undefined;
+
+  return true;
+};
+
+// Static method to count open (pending or in-progress) records per agent
+recordSchema.statics.getOpenRecordCounts = async function(agentIds) {
+  const counts = await this.aggregate([
+    {
+      $match: {
+        assignedAgent: { $in: agentIds },
+        status: { $in: ['pending', 'in-progress'] }
+      }
+    },
+    {
+      $group: {
+        _id: '$assignedAgent',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return counts.reduce((map, item) => {
+    map[item._id.toString()] = item.count;
+    return map;
+  }, {});
+};
+
+// Static method to get assigned record progress per distribution
+recordSchema.statics.getProgressByDistribution = async function(distributionIds) {
+  const progress = await this.aggregate([
+    {
+      $match: {
+        distribution: { $in: distributionIds },
+        assignedAgent: { $ne: null }
+      }
+    },
+    {
+      $group: {
+        _id: '$distribution',
+        total: { $sum: 1 },
+        pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+        inProgress: { $sum: { $cond: [{ $eq: ['$status', 'in-progress'] }, 1, 0] } },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return progress.reduce((map, item) => {
+    map[item._id.toString()] = item;
+    return map;
+  }, {});
+};
+
+// Static method to summarize record statuses for a query
+recordSchema.statics.getStatusSummary = async function(match) {
+  const counts = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const summary = {
+    total: 0,
+    pending: 0,
+    inProgress: 0,
+    completed: 0,
+    failed: 0
+  };
+
+  counts.forEach(item => {
+    const key = item._id === 'in-progress' ? 'inProgress' : item._id;
+    summary[key] = item.count;
+    summary.total += item.count;
+  });
+
+  return summary;
+};
+
+const Record = mongoose.model('Record', recordSchema);
+
+// Older clients address a record by its position among an agent's records in
+// a distribution instead of by id
+Record.INDEX_PATTERN = /^\d{1,9}$/;
+
+module.exports = Record;
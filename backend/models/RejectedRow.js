@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// One cell of a rejected row, kept under its original header
+const cellSchema = new mongoose.Schema({
+  column: String,
+  value: String
+}, { _id: false });
+
+const rowErrorSchema = new mongoose.Schema({
+  column: String,
+  error: String,
+  value: String
+}, { _id: false });
+
+const rejectedRowSchema = new mongoose.Schema({
+  distribution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Distribution',
+    required: true
+  },
+  // Row number in the file the row was rejected from
+  rowNumber: {
+    type: Number,
+    required: true
+  },
+  sheetName: {
+    type: String,
+    default: null
+  },
+  sourceFile: {
+    type: String,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['upload', 'reimport'],
+    default: 'upload'
+  },
+  data: [cellSchema],
+  validationErrors: [rowErrorSchema],
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+rejectedRowSchema.index({ distribution: 1, status: 1, rowNumber: 1 });
+
+// Instance method to get the row back as a header-keyed object
+rejectedRowSchema.methods.toRow = function() {
+  return this.data.reduce((row, cell) => {
+    row[cell.column] = cell.value;
+    return row;
+  }, {});
+};
+
+// Static method to store rows rejected while importing into a distribution
+rejectedRowSchema.statics.record = async function(distributionId, rejectedRows, { source = 'upload' } = {}) {
+  if (rejectedRows.length === 0) return [];
+
+  return this.insertMany(rejectedRows.map(row => ({
+    distribution: distributionId,
+    rowNumber: row.rowNumber,
+    sheetName: row.sheetName || null,
+    sourceFile: row.sourceFile || null,
+    source,
+    data: row.data,
+    validationErrors: row.errors
+  })));
+};
+
+module.exports = mongoose.model('RejectedRow', rejectedRowSchema);
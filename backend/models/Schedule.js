@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const SCHEDULE_TYPES = ['release', 'recycle'];
+const SCHEDULE_STATUSES = ['active', 'paused', 'completed', 'cancelled', 'failed'];
+const RECYCLE_STATUSES = ['pending', 'in-progress', 'failed'];
+
+const scheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Schedule name cannot exceed 100 characters']
+  },
+  // release: hand a held distribution to agents once, at runAt
+  // recycle: re-distribute stale or failed records on a cron expression
+  type: {
+    type: String,
+    enum: SCHEDULE_TYPES,
+    required: [true, 'Schedule type is required']
+  },
+  status: {
+    type: String,
+    enum: SCHEDULE_STATUSES,
+    default: 'active'
+  },
+  // IANA time zone the release time or cron expression is read in
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  runAt: {
+    type: Date,
+    required: function() {
+      return this.type === 'release';
+    }
+  },
+  cronExpression: {
+    type: String,
+    trim: true,
+    required: function() {
+      return this.type === 'recycle';
+    }
+  },
+  distribution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Distribution',
+    required: function() {
+      return this.type === 'release';
+    }
+  },
+  recycle: {
+    statuses: {
+      type: [{
+        type: String,
+        enum: RECYCLE_STATUSES
+      }],
+      default: ['pending', 'failed']
+    },
+    // Only records assigned at least this long ago are taken back
+    staleHours: {
+      type: Number,
+      min: [0, 'Stale hours cannot be negative'],
+      default: 24
+    },
+    // Limit to these distributions; empty means all of them
+    distributions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Distribution'
+    }],
+    strategy: {
+      type: String,
+      enum: ['equal', 'weighted', 'priority', 'skills'],
+      default: 'equal'
+    }
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  lastRunAt: Date,
+  lastResult: {
+    records: Number,
+    message: String
+  },
+  lastError: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+scheduleSchema.index({ type: 1, status: 1, runAt: 1 });
+scheduleSchema.index({ distribution: 1 });
+scheduleSchema.index({ createdAt: -1 });
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+Schedule.SCHEDULE_TYPES = SCHEDULE_TYPES;
+Schedule.SCHEDULE_STATUSES = SCHEDULE_STATUSES;
+Schedule.RECYCLE_STATUSES = RECYCLE_STATUSES;
+
+module.exports = Schedule;
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const LOOKUP_CHUNK_SIZE = 1000;
+
+/**
+ * Normalize a name for suppression matching
+ */
+const toNameKey = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Full name of a parsed row; last names come from a split full-name column
+const rowNameKey = (row) => toNameKey(`${row.firstName || ''} ${(row.customFields && row.customFields.lastname) || ''}`);
+
+const suppressionEntrySchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    trim: true
+  },
+  // Digits-only phone, matched against Record.phoneKey
+  phoneKey: {
+    type: String
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  nameKey: {
+    type: String
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+    default: 'Do not contact'
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import', 'agent'],
+    default: 'manual'
+  },
+  expiresAt: {
+    type: Date,
+    default: null // null means the entry never expires
+  },
+  record: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Record',
+    default: null
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+suppressionEntrySchema.index({ phoneKey: 1 });
+suppressionEntrySchema.index({ nameKey: 1 });
+suppressionEntrySchema.index({ createdAt: -1 });
+
+// An entry needs a phone or a name to match against
+suppressionEntrySchema.pre('validate', function(next) {
+  this.phoneKey = this.phone ? this.phone.replace(/\D/g, '') : undefined;
+  this.nameKey = this.name ? toNameKey(this.name) : undefined;
+
+  if (!this.phoneKey && !this.nameKey) {
+    this.invalidate('phone', 'A phone number or a name is required');
+  }
+  next();
+});
+
+// Virtual for whether the entry is still in force
+suppressionEntrySchema.virtual('isActive').get(function() {
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+// Static query filter for entries that have not expired
+suppressionEntrySchema.statics.activeFilter = function() {
+  return { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] };
+};
+
+// Static method to find active entries matching parsed rows. Entries with a
+// phone match on phone; name-only entries match on the full name.
+suppressionEntrySchema.statics.findMatches = async function(rows) {
+  const phoneKeys = [...new Set(rows.map(row => String(row.phone || '').replace(/\D/g, '')).filter(Boolean))];
+  const nameKeys = [...new Set(rows.map(rowNameKey).filter(Boolean))];
+
+  const byPhone = new Map();
+  const byName = new Map();
+
+  for (let i = 0; i < phoneKeys.length; i += LOOKUP_CHUNK_SIZE) {
+    const entries = await this.find({
+      ...this.activeFilter(),
+      phoneKey: { $in: phoneKeys.slice(i, i + LOOKUP_CHUNK_SIZE) }
+    }).lean();
+    entries.forEach(entry => byPhone.set(entry.phoneKey, entry));
+  }
+
+  for (let i = 0; i < nameKeys.length; i += LOOKUP_CHUNK_SIZE) {
+    const entries = await this.find({
+      ...this.activeFilter(),
+      phoneKey: null,
+      nameKey: { $in: nameKeys.slice(i, i + LOOKUP_CHUNK_SIZE) }
+    }).lean();
+    entries.forEach(entry => byName.set(entry.nameKey, entry));
+  }
+
+  return (row) =>
+    byPhone.get(String(row.phone || '').replace(/\D/g, '')) ||
+    byName.get(rowNameKey(row)) ||
+    null;
+};
+
+const SuppressionEntry = mongoose.model('SuppressionEntry', suppressionEntrySchema);
+
+SuppressionEntry.toNameKey = toNameKey;
+
+module.exports = SuppressionEntry;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const uploadSessionSchema = new mongoose.Schema({
+  originalFileName: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true
+  },
+  fileSize: {
+    type: Number,
+    required: [true, 'File size is required'],
+    min: [1, 'File size must be at least 1 byte']
+  },
+  // Expected SHA-256 of the whole file, checked when the upload completes
+  checksum: {
+    type: String,
+    lowercase: true,
+    match: [/^[a-f0-9]{64}$/, 'Checksum must be a hex SHA-256 digest'],
+    default: null
+  },
+  // Chunks are written in order, so this is also the offset to resume from
+  receivedBytes: {
+    type: Number,
+    default: 0
+  },
+  // Chunk writes in flight; an upload can't complete while any are running
+  writingChunks: {
+    type: Number,
+    default: 0
+  },
+  filePath: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    // completing: checksum verification and import hand-off are under way
+    enum: ['uploading', 'completing', 'completed', 'failed', 'aborted', 'expired'],
+    default: 'uploading'
+  },
+  importJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Pushed back on every chunk; idle uploads past this are cleaned up
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+uploadSessionSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Virtual for upload progress
+uploadSessionSchema.virtual('progressPercentage').get(function() {
+  return this.fileSize > 0 ? Math.round((this.receivedBytes / this.fileSize) * 100) : 0;
+});
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -86,6 +87,21 @@ const userSchema = new mongoose.Schema({
   profileImage: {
     type: String,
     default: null
+  },
+  skills: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  languages: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  maxOpenRecords: {
+    type: Number,
+    min: [0, 'Max open records cannot be negative'],
+    default: null // Falls back to DEFAULT_MAX_OPEN_RECORDS
   }
 }, {
   timestamps: true,
@@ -140,6 +156,30 @@ userSchema.methods.updateLastLogin = function() {
   return this.save({ validateBeforeSave: false });
 };
 
+// Static method to get (creating on first use) the inactive admin account
+// that unattended jobs act as. It can't log in: it is inactive and its
+// password is random.
+userSchema.statics.getSystemUser = async function() {
+  const email = (process.env.SYSTEM_USER_EMAIL || 'system@distributer.app').toLowerCase();
+  const existing = await this.findOne({ email });
+
+  if (existing) return existing;
+
+  try {
+    return await this.create({
+      name: process.env.SYSTEM_USER_NAME || 'System',
+      email,
+      password: crypto.randomBytes(24).toString('hex'),
+      role: 'admin',
+      isActive: false
+    });
+  } catch (error) {
+    // Another job created it first
+    if (error.code === 11000) return this.findOne({ email });
+    throw error;
+  }
+};
+
 // Static method to get agent statistics
 userSchema.statics.getAgentStats = async function() {
   try {
@@ -15,6 +15,31 @@ const { handleValidationErrors } = require('../middleware/errorHandler');
 const router = express.Router();
 
 // Validation rules
+const skillProfileValidation = [
+  body('skills')
+    .optional()
+    .isArray()
+    .withMessage('Skills must be an array of strings'),
+  body('skills.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each skill must be between 1 and 50 characters'),
+  body('languages')
+    .optional()
+    .isArray()
+    .withMessage('Languages must be an array of strings'),
+  body('languages.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each language must be between 1 and 50 characters'),
+  body('maxOpenRecords')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Max open records must be a non-negative integer')
+];
+
 const agentValidation = [
   body('name')
     .trim()
@@ -34,7 +59,8 @@ const agentValidation = [
     .isLength({ min: 6 })
     .withMessage('Password must be at least 6 characters')
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  ...skillProfileValidation
 ];
 
 const updateAgentValidation = [
@@ -55,7 +81,8 @@ const updateAgentValidation = [
   body('phone')
     .optional()
     .matches(/^\d{10}$/)
-    .withMessage('Please provide a valid 10-digit phone number')
+    .withMessage('Please provide a valid 10-digit phone number'),
+  ...skillProfileValidation
 ];
 
 // All routes require authentication and admin role
@@ -5,7 +5,8 @@ const {
   getAnalytics,
   getRecentActivity,
   getSystemHealth,
-  getInsights
+  getInsights,
+  getDispositionBreakdown
 } = require('../controllers/dashboardController');
 const { protect, restrictTo } = require('../middleware/auth');
 const { handleValidationErrors } = require('../middleware/errorHandler');
@@ -31,6 +32,14 @@ const activityValidation = [
     .withMessage('Limit must be between 1 and 100')
 ];
 
+const dispositionBreakdownValidation = [
+  ...analyticsValidation,
+  query('distributionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid distribution ID format')
+];
+
 // Routes
 router.get('/overview', getDashboardOverview);
 
@@ -56,4 +65,12 @@ router.get('/health',
 
 router.get('/insights', getInsights);
 
+router.get('/dispositions',
+  restrictTo('admin'),
+  dispositionBreakdownValidation,
+  handleValidationErrors,
+  apiLimiter,
+  getDispositionBreakdown
+);
+
 module.exports = router;
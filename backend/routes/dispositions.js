@@ -0,0 +1,82 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getDispositionCodes,
+  createDispositionCode,
+  updateDispositionCode,
+  deleteDispositionCode
+} = require('../controllers/dispositionController');
+const { protect, restrictTo } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { RECORD_STATUSES } = require('../config/recordStatus');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Validation rules
+const listValidation = [
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive must be a boolean')
+];
+
+const dispositionRules = (optional) => [
+  ...(optional ? [] : [
+    body('code')
+      .isString()
+      .trim()
+      .matches(/^[A-Za-z0-9][A-Za-z0-9 _-]{0,39}$/)
+      .withMessage('Code must be up to 40 letters, digits, spaces, dashes or underscores')
+  ]),
+  (optional ? body('label').optional() : body('label'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Label is required and cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  (optional ? body('status').optional() : body('status'))
+    .isIn(RECORD_STATUSES)
+    .withMessage(`Status must be one of: ${RECORD_STATUSES.join(', ')}`),
+  body('suppress')
+    .optional()
+    .isBoolean()
+    .withMessage('suppress must be a boolean')
+    .toBoolean(),
+  body('fields')
+    .optional()
+    .isArray()
+    .withMessage('Fields must be an array'),
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('Sort order must be an integer')
+    .toInt(),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid disposition code ID format')
+];
+
+// Routes
+router.route('/')
+  .get(listValidation, handleValidationErrors, getDispositionCodes)
+  .post(restrictTo('admin'), dispositionRules(false), handleValidationErrors, createDispositionCode);
+
+router.route('/:id')
+  .put(restrictTo('admin'), idValidation, dispositionRules(true), handleValidationErrors, updateDispositionCode)
+  .delete(restrictTo('admin'), idValidation, handleValidationErrors, deleteDispositionCode);
+
+module.exports = router;
@@ -25,8 +25,8 @@ router.use(protect);
 const uploadValidation = [
   body('strategy')
     .optional()
-    .isIn(['equal', 'weighted', 'priority'])
-    .withMessage('Strategy must be equal, weighted, or priority')
+    .isIn(['equal', 'weighted', 'priority', 'skills'])
+    .withMessage('Strategy must be equal, weighted, priority, or skills')
 ];
 
 const idValidation = [
@@ -74,8 +74,8 @@ const queryValidation = [
     .withMessage('Status must be processing, completed, or failed'),
   query('strategy')
     .optional()
-    .isIn(['equal', 'weighted', 'priority'])
-    .withMessage('Strategy must be equal, weighted, or priority'),
+    .isIn(['equal', 'weighted', 'priority', 'skills'])
+    .withMessage('Strategy must be equal, weighted, priority, or skills'),
   query('dateFrom')
     .optional()
     .isISO8601()
@@ -1,20 +1,53 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
+const Record = require('../models/Record');
 const Distribution = require('../models/Distribution');
 const {
   uploadAndDistribute,
+  previewUpload,
+  listUploadSheets,
+  commitUpload,
   getDistributions,
   getDistribution,
   getMyRecords,
   updateRecordStatus,
+  getRecordHistory,
+  getRecordTransitions,
+  setRecordFollowUp,
+  clearRecordFollowUp,
+  getMyFollowUps,
+  claimRecord,
+  releaseRecord,
+  reassignRecord,
+  releaseUnassignedRecords,
   getDistributionStats,
   exportDistribution,
+  downloadRejectedRows,
+  reimportRejectedRows,
+  activateDistribution,
+  pauseDistribution,
+  resumeDistribution,
+  closeDistribution,
+  archiveDistribution,
+  updateAssignmentMode,
+  updateRecyclingRules,
   deleteDistribution
 } = require('../controllers/distributionControllerNew');
 const { protect, restrictTo } = require('../middleware/auth');
-const { handleValidationErrors } = require('../middleware/errorHandler');
+const { asyncHandler, handleValidationErrors } = require('../middleware/errorHandler');
+const { DUPLICATE_POLICIES, DUPLICATE_MATCH_MODES } = require('../utils/duplicateDetector');
+const { SUPPORTED_COUNTRIES } = require('../utils/phoneNormalizer');
+const { ENCODINGS, DELIMITERS } = require('../utils/fileFormats');
+const { SUPPRESSION_MODES, suppressRecord } = require('../utils/suppressionList');
+const { resolveDisposition } = require('../utils/dispositions');
+const { REUPLOAD_MODES } = require('../utils/reuploadDetector');
+const { isValidTimeZone } = require('../utils/scheduler');
 const { uploadLimiter, apiLimiter } = require('../middleware/rateLimiter');
 const { uploadMiddleware } = require('../utils/upload');
+const { REPORT_FORMATS } = require('../utils/rejectionReport');
+const { RECORD_STATUSES } = require('../config/recordStatus');
+const { LIFECYCLE_STATES, assertWorkable } = require('../utils/distributionLifecycle');
+const { assertEditable, saveRecord } = require('../utils/recordLocking');
 
 const router = express.Router();
 
@@ -22,11 +55,87 @@ const router = express.Router();
 router.use(protect);
 
 // Validation rules
+const listValidation = [
+  query('lifecycle')
+    .optional()
+    .isIn(LIFECYCLE_STATES)
+    .withMessage(`Lifecycle must be one of: ${LIFECYCLE_STATES.join(', ')}`)
+];
+
 const uploadValidation = [
   body('strategy')
     .optional()
-    .isIn(['equal', 'weighted', 'priority'])
-    .withMessage('Strategy must be equal, weighted, or priority')
+    .isIn(['equal', 'weighted', 'priority', 'skills'])
+    .withMessage('Strategy must be equal, weighted, priority, or skills'),
+  body('mappingTemplateId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid mapping template ID format'),
+  body('duplicatePolicy')
+    .optional()
+    .isIn(DUPLICATE_POLICIES)
+    .withMessage(`Duplicate policy must be one of: ${DUPLICATE_POLICIES.join(', ')}`),
+  body('duplicateMatch')
+    .optional()
+    .isIn(DUPLICATE_MATCH_MODES)
+    .withMessage(`Duplicate match must be one of: ${DUPLICATE_MATCH_MODES.join(', ')}`),
+  body('defaultCountry')
+    .optional()
+    .toUpperCase()
+    .isIn(SUPPORTED_COUNTRIES)
+    .withMessage('Default country must be a supported ISO country code (e.g. US, IN)'),
+  body('suppressionMode')
+    .optional()
+    .isIn(SUPPRESSION_MODES)
+    .withMessage(`Suppression mode must be one of: ${SUPPRESSION_MODES.join(', ')}`),
+  body('sheetName')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 31 })
+    .withMessage('Sheet name must be between 1 and 31 characters'),
+  body('allSheets')
+    .optional()
+    .isBoolean()
+    .withMessage('allSheets must be a boolean')
+    .toBoolean(),
+  body('encoding')
+    .optional()
+    .toLowerCase()
+    .isIn(['auto', ...ENCODINGS])
+    .withMessage(`Encoding must be one of: auto, ${ENCODINGS.join(', ')}`),
+  body('delimiter')
+    .optional()
+    .isIn(['auto', ...Object.keys(DELIMITERS)])
+    .withMessage(`Delimiter must be one of: auto, ${Object.keys(DELIMITERS).join(', ')}`),
+  body('reuploadMode')
+    .optional()
+    .isIn(REUPLOAD_MODES)
+    .withMessage(`Re-upload mode must be one of: ${REUPLOAD_MODES.join(', ')}`),
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('force must be a boolean')
+    .toBoolean(),
+  body('releaseAt')
+    .optional()
+    .isISO8601()
+    .withMessage('releaseAt must be an ISO 8601 date and time'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('timezone must be an IANA time zone such as Europe/London'),
+  body('assignmentMode')
+    .optional()
+    .isIn(Distribution.ASSIGNMENT_MODES)
+    .withMessage(`Assignment mode must be one of: ${Distribution.ASSIGNMENT_MODES.join(', ')}`)
+];
+
+const commitValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Preview token is required')
 ];
 
 const idValidation = [
@@ -35,9 +144,198 @@ const idValidation = [
     .withMessage('Invalid distribution ID format')
 ];
 
+const recordIdValidation = [
+  param('recordId')
+    .isMongoId()
+    .withMessage('Invalid record ID format')
+];
+
+// Version the client last saw, for optimistic concurrency
+const versionValidation = body('version')
+  .optional()
+  .isInt({ min: 0 })
+  .withMessage('Version must be a non-negative integer')
+  .toInt();
+
+const dispositionValidation = [
+  body('disposition')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 40 })
+    .withMessage('Disposition must be a disposition code'),
+  body('dispositionFields')
+    .optional()
+    .isObject()
+    .withMessage('dispositionFields must be an object of field values')
+];
+
+const recordUpdateValidation = [
+  ...idValidation,
+  // Positions shift as records are reordered, reassigned and recycled, so
+  // records are addressed by id. Indexes are still accepted from older clients.
+  param('recordId')
+    .custom(value => Record.INDEX_PATTERN.test(value) || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage('Invalid record ID format'),
+  body('status')
+    .optional()
+    .isIn(RECORD_STATUSES)
+    .withMessage(`Status must be one of: ${RECORD_STATUSES.join(', ')}`),
+  body()
+    .custom(value => Boolean(value.status || value.disposition))
+    .withMessage('A status or a disposition is required'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  body('doNotCall')
+    .optional()
+    .isBoolean()
+    .withMessage('doNotCall must be a boolean')
+    .toBoolean(),
+  ...dispositionValidation,
+  versionValidation
+];
+
+const recordStatusValidation = [
+  ...recordIdValidation,
+  versionValidation
+];
+
+const recordStatusUpdateValidation = [
+  ...recordStatusValidation,
+  ...dispositionValidation
+];
+
+const followUpValidation = [
+  ...recordIdValidation,
+  body('dueAt')
+    .isISO8601()
+    .withMessage('dueAt must be an ISO 8601 date and time'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('timezone must be an IANA time zone such as Europe/London'),
+  body('assigneeId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid assignee ID format'),
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Follow-up note cannot exceed 500 characters'),
+  versionValidation
+];
+
+const followUpListValidation = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Days must be between 1 and 90')
+];
+
+const reassignValidation = [
+  ...recordIdValidation,
+  body('agentId')
+    .isMongoId()
+    .withMessage('Invalid agent ID format'),
+  versionValidation
+];
+
+const rejectedReportValidation = [
+  ...idValidation,
+  query('format')
+    .optional()
+    .isIn(REPORT_FORMATS)
+    .withMessage(`Format must be one of: ${REPORT_FORMATS.join(', ')}`),
+  query('status')
+    .optional()
+    .isIn(['open', 'resolved', 'all'])
+    .withMessage('Status must be open, resolved, or all')
+];
+
+const reimportValidation = [
+  ...idValidation,
+  body('strategy')
+    .optional()
+    .isIn(['equal', 'weighted', 'priority', 'skills'])
+    .withMessage('Strategy must be equal, weighted, priority, or skills'),
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('force must be a boolean')
+    .toBoolean()
+];
+
+const assignmentModeValidation = [
+  ...idValidation,
+  body('assignmentMode')
+    .isIn(Distribution.ASSIGNMENT_MODES)
+    .withMessage(`Assignment mode must be one of: ${Distribution.ASSIGNMENT_MODES.join(', ')}`)
+];
+
+const recyclingValidation = [
+  ...idValidation,
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean')
+    .toBoolean(),
+  body('maxAttempts')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Max attempts must be between 1 and 20')
+    .toInt(),
+  body('cooldownMinutes')
+    .optional()
+    .isInt({ min: 0, max: 43200 })
+    .withMessage('Cooldown must be between 0 and 43200 minutes (30 days)')
+    .toInt(),
+  body('moveToDifferentAgent')
+    .optional()
+    .isBoolean()
+    .withMessage('moveToDifferentAgent must be a boolean')
+    .toBoolean(),
+  body('recycleFailed')
+    .optional()
+    .isBoolean()
+    .withMessage('recycleFailed must be a boolean')
+    .toBoolean(),
+  body('dispositions')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Dispositions must be an array of disposition codes'),
+  body('dispositions.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each disposition must be a disposition code')
+];
+
+const releaseValidation = [
+  ...idValidation,
+  body('agentIds')
+    .optional()
+    .isArray()
+    .withMessage('agentIds must be an array'),
+  body('agentIds.*')
+    .isMongoId()
+    .withMessage('Invalid agent ID format'),
+  body('count')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Count must be a positive integer'),
+  body('ignoreCapacity')
+    .optional()
+    .isBoolean()
+    .withMessage('ignoreCapacity must be a boolean')
+    .toBoolean()
+];
+
 // Routes
 router.route('/')
-  .get(getDistributions);
+  .get(listValidation, handleValidationErrors, getDistributions);
 
 router.route('/upload')
   .post(
@@ -49,103 +347,167 @@ router.route('/upload')
     uploadAndDistribute
   );
 
+router.route('/upload/preview')
+  .post(
+    restrictTo('admin'),
+    uploadLimiter,
+    uploadMiddleware,
+    uploadValidation,
+    handleValidationErrors,
+    previewUpload
+  );
+
+router.route('/upload/sheets')
+  .post(restrictTo('admin'), uploadLimiter, uploadMiddleware, listUploadSheets);
+
+router.route('/upload/commit')
+  .post(restrictTo('admin'), commitValidation, handleValidationErrors, commitUpload);
+
 router.route('/stats')
   .get(restrictTo('admin'), apiLimiter, getDistributionStats);
 
 router.route('/my-records')
   .get(restrictTo('agent'), apiLimiter, getMyRecords);
 
+router.route('/my-follow-ups')
+  .get(restrictTo('agent'), apiLimiter, followUpListValidation, handleValidationErrors, getMyFollowUps);
+
 router.route('/:id')
   .get(idValidation, handleValidationErrors, getDistribution)
   .delete(restrictTo('admin'), idValidation, handleValidationErrors, deleteDistribution);
 
-router.route('/:id/records/:recordIndex')
-  .put(restrictTo('agent'), updateRecordStatus);
+router.route('/:id/records/:recordId')
+  .put(restrictTo('agent'), recordUpdateValidation, handleValidationErrors, updateRecordStatus);
 
 router.route('/:id/export')
   .get(exportDistribution);
 
+router.route('/:id/rejected-rows/report')
+  .get(restrictTo('admin'), rejectedReportValidation, handleValidationErrors, downloadRejectedRows);
+
+router.route('/:id/reimport')
+  .post(
+    restrictTo('admin'),
+    uploadLimiter,
+    uploadMiddleware,
+    reimportValidation,
+    handleValidationErrors,
+    reimportRejectedRows
+  );
+
+router.route('/:id/unassigned/release')
+  .post(restrictTo('admin'), releaseValidation, handleValidationErrors, releaseUnassignedRecords);
+
+router.post('/:id/activate', restrictTo('admin'), idValidation, handleValidationErrors, activateDistribution);
+router.post('/:id/pause', restrictTo('admin'), idValidation, handleValidationErrors, pauseDistribution);
+router.post('/:id/resume', restrictTo('admin'), idValidation, handleValidationErrors, resumeDistribution);
+router.post('/:id/close', restrictTo('admin'), idValidation, handleValidationErrors, closeDistribution);
+router.post('/:id/archive', restrictTo('admin'), idValidation, handleValidationErrors, archiveDistribution);
+
+router.route('/:id/assignment-mode')
+  .put(restrictTo('admin'), assignmentModeValidation, handleValidationErrors, updateAssignmentMode);
+
+router.route('/:id/recycling')
+  .put(restrictTo('admin'), recyclingValidation, handleValidationErrors, updateRecyclingRules);
+
+router.route('/records/:recordId/history')
+  .get(recordIdValidation, handleValidationErrors, getRecordHistory);
+
+router.route('/records/:recordId/transitions')
+  .get(recordIdValidation, handleValidationErrors, getRecordTransitions);
+
+router.route('/records/:recordId/follow-up')
+  .put(restrictTo('agent', 'admin'), followUpValidation, handleValidationErrors, setRecordFollowUp)
+  .delete(restrictTo('agent', 'admin'), recordStatusValidation, handleValidationErrors, clearRecordFollowUp);
+
+router.route('/records/:recordId/claim')
+  .post(restrictTo('agent', 'admin'), recordIdValidation, handleValidationErrors, claimRecord);
+
+router.route('/records/:recordId/release')
+  .post(restrictTo('agent', 'admin'), recordIdValidation, handleValidationErrors, releaseRecord);
+
+router.route('/records/:recordId/assign')
+  .put(restrictTo('admin'), reassignValidation, handleValidationErrors, reassignRecord);
+
 // Add this route for simpler record status updates
 // Add this route for record status updates
+// Admins may update any record; their changes are logged as overrides
 router.route('/records/:recordId/status')
-  .patch(restrictTo('agent'), async (req, res) => {
-    try {
-      console.log('=== Record Status Update Debug ===');
-      console.log('Record ID:', req.params.recordId);
-      console.log('User ID:', req.user._id);
-      console.log('New Status:', req.body.status);
-      
-      const { recordId } = req.params;
-      const { status } = req.body;
-      
-      // Validate status
-      const validStatuses = ['pending', 'in-progress', 'completed', 'failed'];
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid status. Must be one of: ' + validStatuses.join(', ')
-        });
-      }
-      
-      console.log('Looking for distribution...');
-      
-      // Find distribution containing this record
-      const distribution = await Distribution.findOne({
-        'agents.records._id': recordId,
-        'agents.agentId': req.user._id
-      });
-      
-      console.log('Distribution found:', !!distribution);
-      
-      if (!distribution) {
-        console.log('No distribution found for record ID:', recordId);
-        return res.status(404).json({
-          success: false,
-          message: 'Record not found or not assigned to you'
-        });
-      }
-      
-      // Find and update the specific record
-      let recordFound = false;
-      distribution.agents.forEach(agent => {
-        console.log('Checking agent:', agent.agentId.toString(), 'vs', req.user._id.toString());
-        if (agent.agentId.toString() === req.user._id.toString()) {
-          agent.records.forEach(record => {
-            console.log('Checking record:', record._id.toString(), 'vs', recordId);
-            if (record._id.toString() === recordId) {
-              console.log('Found record! Updating status from', record.status, 'to', status);
-              record.status = status;
-              record.updatedAt = new Date();
-              recordFound = true;
-            }
-          });
-        }
+  .patch(restrictTo('agent', 'admin'), recordStatusUpdateValidation, handleValidationErrors, asyncHandler(async (req, res) => {
+    const { recordId } = req.params;
+    const { notes, disposition } = req.body;
+    const doNotCall = req.body.doNotCall === true || req.body.doNotCall === 'true';
+    const isAdmin = req.user.role === 'admin';
+
+    // A disposition decides the status and may carry extra required fields
+    const outcome = disposition
+      ? await resolveDisposition(req.body, { setBy: req.user._id })
+      : null;
+    const status = outcome ? outcome.status : req.body.status;
+
+    // Validate status
+    if (!RECORD_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be one of: ' + RECORD_STATUSES.join(', ')
       });
-      
-      if (!recordFound) {
-        console.log('Record not found in agent records');
-        return res.status(404).json({
-          success: false,
-          message: 'Record not found in your assignments'
-        });
-      }
-      
-      console.log('Saving distribution...');
-      await distribution.save();
-      console.log('Distribution saved successfully');
-      
-      res.json({
-        success: true,
-        message: 'Record status updated successfully'
+    }
+
+    // Find the record among this agent's assignments
+    const record = await Record.findOne(
+      isAdmin ? { _id: recordId } : { _id: recordId, assignedAgent: req.user._id }
+    );
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Record not found or not assigned to you'
       });
-    } catch (error) {
-      console.error('=== Error in record status update ===');
-      console.error('Error message:', error.message);
-      console.error('Error stack:', error.stack);
-      res.status(500).json({
+    }
+
+    // Closed, archived and still-importing distributions don't accept updates
+    const distribution = await Distribution.findById(record.distribution).select('lifecycle status');
+    if (!distribution) {
+      return res.status(404).json({
         success: false,
-        message: 'Error updating record status: ' + error.message
+        message: 'Distribution not found'
       });
     }
-  });
+    assertWorkable(distribution);
+
+    // 409 with the current state when claimed by someone else or out of date
+    assertEditable(record, { userId: req.user._id, version: req.body.version });
+
+    // Throws a 409 error when the transition table does not allow the move
+    record.recordChange({
+      status,
+      notes,
+      changedBy: req.user._id,
+      source: isAdmin ? 'admin-override' : 'agent-ui',
+      disposition: outcome ? outcome.disposition : undefined
+    });
+
+    await saveRecord(record);
+
+    // "Do not call" outcomes add the contact to the suppression list
+    const suppressDisposition = Boolean(outcome && outcome.code.suppress);
+    if (doNotCall || suppressDisposition) {
+      await suppressRecord(record, {
+        addedBy: req.user._id,
+        reason: suppressDisposition ? `Disposition: ${outcome.code.label}` : undefined
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Record status updated successfully',
+      data: {
+        status: record.status,
+        disposition: record.disposition,
+        suppressed: doNotCall || suppressDisposition,
+        version: record.version
+      }
+    });
+  }));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,194 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  createImportJob,
+  getImportJobs,
+  getImportJob
+} = require('../controllers/importController');
+const {
+  createUploadSession,
+  getUploadSession,
+  uploadChunk,
+  completeUploadSession,
+  abortUploadSession
+} = require('../controllers/uploadSessionController');
+const Distribution = require('../models/Distribution');
+const { protect, restrictTo } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { DUPLICATE_POLICIES, DUPLICATE_MATCH_MODES } = require('../utils/duplicateDetector');
+const { SUPPORTED_COUNTRIES } = require('../utils/phoneNormalizer');
+const { ENCODINGS, DELIMITERS } = require('../utils/fileFormats');
+const { SUPPRESSION_MODES } = require('../utils/suppressionList');
+const { REUPLOAD_MODES } = require('../utils/reuploadDetector');
+const { isValidTimeZone } = require('../utils/scheduler');
+const { uploadLimiter } = require('../middleware/rateLimiter');
+const { importUploadMiddleware } = require('../utils/upload');
+const { chunkSize } = require('../utils/chunkedUpload');
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(restrictTo('admin'));
+
+// Validation rules
+const importValidation = [
+  body('strategy')
+    .optional()
+    .isIn(['equal', 'weighted', 'priority', 'skills'])
+    .withMessage('Strategy must be equal, weighted, priority, or skills'),
+  body('mappingTemplateId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid mapping template ID format'),
+  body('duplicatePolicy')
+    .optional()
+    .isIn(DUPLICATE_POLICIES)
+    .withMessage(`Duplicate policy must be one of: ${DUPLICATE_POLICIES.join(', ')}`),
+  body('duplicateMatch')
+    .optional()
+    .isIn(DUPLICATE_MATCH_MODES)
+    .withMessage(`Duplicate match must be one of: ${DUPLICATE_MATCH_MODES.join(', ')}`),
+  body('defaultCountry')
+    .optional()
+    .toUpperCase()
+    .isIn(SUPPORTED_COUNTRIES)
+    .withMessage('Default country must be a supported ISO country code (e.g. US, IN)'),
+  body('suppressionMode')
+    .optional()
+    .isIn(SUPPRESSION_MODES)
+    .withMessage(`Suppression mode must be one of: ${SUPPRESSION_MODES.join(', ')}`),
+  body('sheetName')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 31 })
+    .withMessage('Sheet name must be between 1 and 31 characters'),
+  body('allSheets')
+    .optional()
+    .isBoolean()
+    .withMessage('allSheets must be a boolean')
+    .toBoolean(),
+  body('encoding')
+    .optional()
+    .toLowerCase()
+    .isIn(['auto', ...ENCODINGS])
+    .withMessage(`Encoding must be one of: auto, ${ENCODINGS.join(', ')}`),
+  body('delimiter')
+    .optional()
+    .isIn(['auto', ...Object.keys(DELIMITERS)])
+    .withMessage(`Delimiter must be one of: auto, ${Object.keys(DELIMITERS).join(', ')}`),
+  body('reuploadMode')
+    .optional()
+    .isIn(REUPLOAD_MODES)
+    .withMessage(`Re-upload mode must be one of: ${REUPLOAD_MODES.join(', ')}`),
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('force must be a boolean')
+    .toBoolean(),
+  body('releaseAt')
+    .optional()
+    .isISO8601()
+    .withMessage('releaseAt must be an ISO 8601 date and time'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('timezone must be an IANA time zone such as Europe/London'),
+  body('assignmentMode')
+    .optional()
+    .isIn(Distribution.ASSIGNMENT_MODES)
+    .withMessage(`Assignment mode must be one of: ${Distribution.ASSIGNMENT_MODES.join(', ')}`)
+];
+
+const listValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('status')
+    .optional()
+    .isIn(['queued', 'running', 'completed', 'failed'])
+    .withMessage('Status must be queued, running, completed, or failed')
+];
+
+const checksumValidation = body('checksum')
+  .optional()
+  .isHash('sha256')
+  .withMessage('Checksum must be a hex SHA-256 digest');
+
+const uploadSessionValidation = [
+  body('fileName')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('File name is required'),
+  body('fileSize')
+    .isInt({ min: 1 })
+    .withMessage('File size must be a positive integer')
+    .toInt(),
+  checksumValidation
+];
+
+const uploadIdValidation = [
+  param('uploadId')
+    .isMongoId()
+    .withMessage('Invalid upload ID format')
+];
+
+const chunkValidation = [
+  ...uploadIdValidation,
+  query('offset')
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer')
+];
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid import job ID format')
+];
+
+// Routes
+router.route('/')
+  .get(listValidation, handleValidationErrors, getImportJobs)
+  .post(
+    uploadLimiter,
+    importUploadMiddleware,
+    importValidation,
+    handleValidationErrors,
+    createImportJob
+  );
+
+// Resumable uploads: start, send chunks at byte offsets, then complete
+router.post('/uploads', uploadLimiter, uploadSessionValidation, handleValidationErrors, createUploadSession);
+
+router.route('/uploads/:uploadId')
+  .get(uploadIdValidation, handleValidationErrors, getUploadSession)
+  .delete(uploadIdValidation, handleValidationErrors, abortUploadSession);
+
+router.put(
+  '/uploads/:uploadId/chunks',
+  chunkValidation,
+  handleValidationErrors,
+  express.raw({ type: () => true, limit: chunkSize }),
+  uploadChunk
+);
+
+router.post(
+  '/uploads/:uploadId/complete',
+  uploadIdValidation,
+  checksumValidation,
+  importValidation,
+  handleValidationErrors,
+  completeUploadSession
+);
+
+router.route('/:id')
+  .get(idValidation, handleValidationErrors, getImportJob);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const {
+  getMappingTemplates,
+  getMappingTemplate,
+  createMappingTemplate,
+  updateMappingTemplate,
+  deleteMappingTemplate,
+  suggestMappingTemplate
+} = require('../controllers/mappingTemplateController');
+const MappingTemplate = require('../models/MappingTemplate');
+const { protect, restrictTo } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(restrictTo('admin'));
+
+// Validation rules
+const mappingRules = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  (optional ? body('mappings').optional() : body('mappings'))
+    .isArray({ min: 1 })
+    .withMessage('Mappings must be a non-empty array'),
+  body('mappings.*.source')
+    .trim()
+    .notEmpty()
+    .withMessage('Each mapping needs a source header'),
+  body('mappings.*.target')
+    .trim()
+    .notEmpty()
+    .withMessage('Each mapping needs a target field'),
+  body('mappings.*.transforms')
+    .optional()
+    .isArray()
+    .withMessage('Transforms must be an array'),
+  body('mappings.*.transforms.*')
+    .isIn(MappingTemplate.TRANSFORMS)
+    .withMessage(`Transforms must be one of: ${MappingTemplate.TRANSFORMS.join(', ')}`)
+];
+
+const suggestValidation = [
+  body('headers')
+    .isArray({ min: 1 })
+    .withMessage('Headers must be a non-empty array')
+];
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid mapping template ID format')
+];
+
+// Routes
+router.route('/')
+  .get(getMappingTemplates)
+  .post(mappingRules(false), handleValidationErrors, createMappingTemplate);
+
+router.post('/suggest', suggestValidation, handleValidationErrors, suggestMappingTemplate);
+
+router.route('/:id')
+  .get(idValidation, handleValidationErrors, getMappingTemplate)
+  .put(idValidation, mappingRules(true), handleValidationErrors, updateMappingTemplate)
+  .delete(idValidation, handleValidationErrors, deleteMappingTemplate);
+
+module.exports = router;
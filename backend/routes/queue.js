@@ -0,0 +1,15 @@
+const express = require('express');
+const { getNextRecord } = require('../controllers/queueController');
+const { protect, restrictTo } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// All routes require authentication and agent role
+router.use(protect);
+router.use(restrictTo('agent'));
+
+// Routes
+router.post('/next', apiLimiter, getNextRecord);
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const cron = require('node-cron');
+const { body, param, query } = require('express-validator');
+const {
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  cancelSchedule
+} = require('../controllers/scheduleController');
+const Schedule = require('../models/Schedule');
+const { protect, restrictTo } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { isValidTimeZone } = require('../utils/scheduler');
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(restrictTo('admin'));
+
+// Validation rules
+const listValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(Schedule.SCHEDULE_STATUSES)
+    .withMessage(`Status must be one of: ${Schedule.SCHEDULE_STATUSES.join(', ')}`),
+  query('type')
+    .optional()
+    .isIn(Schedule.SCHEDULE_TYPES)
+    .withMessage(`Type must be one of: ${Schedule.SCHEDULE_TYPES.join(', ')}`)
+];
+
+const createValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('cronExpression')
+    .isString()
+    .trim()
+    .custom(value => cron.validate(value))
+    .withMessage('cronExpression must be a valid cron expression, e.g. "0 8 * * 1"'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('timezone must be an IANA time zone such as Europe/London'),
+  body('recycle.statuses')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('recycle.statuses must be a non-empty array'),
+  body('recycle.statuses.*')
+    .isIn(Schedule.RECYCLE_STATUSES)
+    .withMessage(`Recycled statuses must be among: ${Schedule.RECYCLE_STATUSES.join(', ')}`),
+  body('recycle.staleHours')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('recycle.staleHours must be a non-negative number')
+    .toFloat(),
+  body('recycle.distributions')
+    .optional()
+    .isArray()
+    .withMessage('recycle.distributions must be an array'),
+  body('recycle.distributions.*')
+    .isMongoId()
+    .withMessage('Invalid distribution ID format'),
+  body('recycle.strategy')
+    .optional()
+    .isIn(['equal', 'weighted', 'priority', 'skills'])
+    .withMessage('Strategy must be equal, weighted, priority, or skills')
+];
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid schedule ID format')
+];
+
+// Routes
+router.route('/')
+  .get(listValidation, handleValidationErrors, getSchedules)
+  .post(createValidation, handleValidationErrors, createSchedule);
+
+router.route('/:id')
+  .get(idValidation, handleValidationErrors, getSchedule)
+  .delete(idValidation, handleValidationErrors, cancelSchedule);
+
+router.post('/:id/pause', idValidation, handleValidationErrors, pauseSchedule);
+router.post('/:id/resume', idValidation, handleValidationErrors, resumeSchedule);
+
+module.exports = router;
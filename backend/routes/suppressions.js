@@ -0,0 +1,97 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const {
+  getSuppressions,
+  createSuppression,
+  importSuppressions,
+  deleteSuppression
+} = require('../controllers/suppressionController');
+const { protect, restrictTo } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { uploadLimiter } = require('../middleware/rateLimiter');
+const { uploadMiddleware } = require('../utils/upload');
+const { SUPPORTED_COUNTRIES } = require('../utils/phoneNormalizer');
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(restrictTo('admin'));
+
+// Validation rules
+const defaultCountryValidation = body('defaultCountry')
+  .optional()
+  .toUpperCase()
+  .isIn(SUPPORTED_COUNTRIES)
+  .withMessage('Default country must be a supported ISO country code (e.g. US, IN)');
+
+const listValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('source')
+    .optional()
+    .isIn(['manual', 'import', 'agent'])
+    .withMessage('Source must be manual, import, or agent'),
+  query('search')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters')
+];
+
+const createValidation = [
+  body('phone')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Phone must be a non-empty string'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body()
+    .custom(value => Boolean(value.phone || value.name))
+    .withMessage('A phone number or a name is required'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot exceed 200 characters'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date'),
+  defaultCountryValidation
+];
+
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid suppression entry ID format')
+];
+
+// Routes
+router.route('/')
+  .get(listValidation, handleValidationErrors, getSuppressions)
+  .post(createValidation, handleValidationErrors, createSuppression);
+
+router.route('/import')
+  .post(
+    uploadLimiter,
+    uploadMiddleware,
+    defaultCountryValidation,
+    handleValidationErrors,
+    importSuppressions
+  );
+
+router.route('/:id')
+  .delete(idValidation, handleValidationErrors, deleteSuppression);
+
+module.exports = router;
@@ -0,0 +1,127 @@
+/**
+ * Move records embedded in distributions.agents[].records (and the
+ * distributions.unassigned pool) into the Record collection.
+ *
+ * Record ids are preserved so existing links keep working, and the script
+ * is safe to re-run: records that already exist are skipped and a
+ * distribution's embedded arrays are only removed once its records are in.
+ *
+ * Usage: npm run migrate:records
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Record = require('../models/Record');
+const { toPhoneKey } = require('../utils/duplicateDetector');
+
+const BATCH_SIZE = 1000;
+
+const insertBatch = async (docs) => {
+  if (docs.length === 0) return 0;
+
+  // Insert through the driver so legacy values are copied exactly as stored
+  try {
+    const result = await Record.collection.insertMany(docs, { ordered: false });
+    return result.insertedCount;
+  } catch (error) {
+    // Duplicate ids mean the record was migrated by an earlier run
+    const writeErrors = error.writeErrors || [];
+    const unexpected = writeErrors.filter(writeError => writeError.code !== 11000);
+
+    if (writeErrors.length === 0 || unexpected.length > 0) {
+      throw error;
+    }
+
+    return docs.length - writeErrors.length;
+  }
+};
+
+const migrateDistribution = async (distribution) => {
+  const docs = [];
+
+  (distribution.agents || []).forEach(agent => {
+    (agent.records || []).forEach(record => {
+      docs.push({
+        _id: record._id,
+        distribution: distribution._id,
+        assignedAgent: agent.agentId,
+        firstName: record.firstName,
+        phone: record.phone,
+        phoneKey: toPhoneKey(record.phone),
+        notes: record.notes,
+        requiredSkill: record.requiredSkill,
+        status: record.status || 'pending',
+        unassignedReason: null,
+        assignedAt: record.assignedAt,
+        completedAt: record.completedAt,
+        createdAt: record.assignedAt || distribution.createdAt,
+        updatedAt: record.updatedAt || record.assignedAt || distribution.updatedAt
+      });
+    });
+  });
+
+  (distribution.unassigned || []).forEach(record => {
+    docs.push({
+      _id: record._id,
+      distribution: distribution._id,
+      assignedAgent: null,
+      firstName: record.firstName,
+      phone: record.phone,
+      phoneKey: toPhoneKey(record.phone),
+      notes: record.notes,
+      requiredSkill: record.requiredSkill,
+      status: 'pending',
+      unassignedReason: record.reason,
+      createdAt: distribution.createdAt,
+      updatedAt: distribution.updatedAt
+    });
+  });
+
+  let inserted = 0;
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    inserted += await insertBatch(docs.slice(i, i + BATCH_SIZE));
+  }
+
+  await mongoose.connection.db.collection('distributions').updateOne(
+    { _id: distribution._id },
+    { $unset: { 'agents.$[].records': '', unassigned: '' } }
+  );
+
+  return { found: docs.length, inserted };
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB Connected');
+
+  // Make sure the Record indexes exist before bulk inserting
+  await Record.init();
+
+  const cursor = mongoose.connection.db.collection('distributions').find({
+    $or: [
+      { 'agents.records.0': { $exists: true } },
+      { 'unassigned.0': { $exists: true } }
+    ]
+  });
+
+  let distributions = 0;
+  let found = 0;
+  let inserted = 0;
+
+  for await (const distribution of cursor) {
+    const result = await migrateDistribution(distribution);
+    distributions++;
+    found += result.found;
+    inserted += result.inserted;
+    console.log(`📦 ${distribution._id}: ${result.inserted}/${result.found} records migrated`);
+  }
+
+  console.log(`✅ Migration complete: ${distributions} distributions, ${inserted} of ${found} records inserted`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
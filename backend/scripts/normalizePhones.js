@@ -0,0 +1,90 @@
+/**
+ * Normalize phone numbers stored before imports converted them to E.164,
+ * so duplicate detection and suppression matching find the older records.
+ *
+ * Records and suppression entries whose phone has no +country prefix are
+ * read in the given country (or DEFAULT_PHONE_COUNTRY). Numbers that aren't
+ * possible for that country are left as they are and counted. Safe to
+ * re-run: already normalized numbers are skipped.
+ *
+ * Usage: npm run migrate:phones [-- <ISO country code>]
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { normalizePhone, getDefaultPhoneCountry, SUPPORTED_COUNTRIES } = require('../utils/phoneNormalizer');
+const { toPhoneKey } = require('../utils/duplicateDetector');
+
+const BATCH_SIZE = 1000;
+
+const normalizeCollection = async (name, buildUpdate, country) => {
+  const collection = mongoose.connection.db.collection(name);
+  const cursor = collection.find({ phone: { $exists: true, $not: /^\+/ } });
+
+  let updated = 0;
+  let skipped = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await collection.bulkWrite(operations, { ordered: false });
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    const result = normalizePhone(doc.phone, { defaultCountry: country });
+
+    if (result.error || !result.phone.startsWith('+')) {
+      skipped++;
+      continue;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id, phone: doc.phone },
+        update: { $set: buildUpdate(doc, result) }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return { updated, skipped };
+};
+
+const migrate = async () => {
+  const country = String(process.argv[2] || '').trim().toUpperCase() || getDefaultPhoneCountry();
+
+  if (!country || !SUPPORTED_COUNTRIES.includes(country)) {
+    throw new Error('Pass a supported ISO country code or set DEFAULT_PHONE_COUNTRY');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ MongoDB Connected');
+
+  const records = await normalizeCollection('records', (doc, result) => ({
+    phone: result.phone,
+    phoneOriginal: doc.phoneOriginal || doc.phone,
+    phoneType: result.phoneType,
+    phoneCountry: result.phoneCountry,
+    phoneKey: toPhoneKey(result.phone)
+  }), country);
+  console.log(`📞 Records: ${records.updated} normalized, ${records.skipped} left as they are`);
+
+  const suppressions = await normalizeCollection('suppressionentries', (doc, result) => ({
+    phone: result.phone,
+    phoneKey: toPhoneKey(result.phone)
+  }), country);
+  console.log(`📞 Suppression entries: ${suppressions.updated} normalized, ${suppressions.skipped} left as they are`);
+
+  console.log('✅ Phone normalization complete');
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -14,6 +14,13 @@ const connectDB = require('./config/database');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 const { generalLimiter } = require('./middleware/rateLimiter');
 const { cleanupOldFiles } = require('./utils/upload');
+const { recoverInterruptedJobs } = require('./utils/importJobRunner');
+const { cleanupExpiredUploads } = require('./utils/chunkedUpload');
+const { getDropFolderConfig, processDropFolder } = require('./utils/dropFolder');
+const { startScheduler, runDueReleases } = require('./utils/scheduler');
+const { releaseExpiredLeases } = require('./utils/workQueue');
+const { processFollowUps } = require('./utils/followUps');
+const { runAutoRecycle } = require('./utils/recycling');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -22,6 +29,12 @@ const agentRoutesNew = require('./routes/agentsNew');
 const distributionRoutes = require('./routes/distributions');
 const distributionRoutesNew = require('./routes/distributionsNew');
 const dashboardRoutes = require('./routes/dashboard');
+const importRoutes = require('./routes/imports');
+const mappingTemplateRoutes = require('./routes/mappingTemplates');
+const suppressionRoutes = require('./routes/suppressions');
+const scheduleRoutes = require('./routes/schedules');
+const queueRoutes = require('./routes/queue');
+const dispositionRoutes = require('./routes/dispositions');
 
 // Initialize Express app
 const app = express();
@@ -38,8 +51,16 @@ const io = socketIo(server, {
 // Make io accessible in routes
 app.set('io', io);
 
-// Connect to database
-connectDB();
+// Connect to database, then fail any imports interrupted by a restart and
+// pick up saved schedules
+connectDB().then(() => {
+  recoverInterruptedJobs().catch(error => {
+    console.error('⚠️  Import job recovery failed:', error.message);
+  });
+  startScheduler(io).catch(error => {
+    console.error('⚠️  Scheduler start failed:', error.message);
+  });
+});
 
 // Security middleware
 app.use(helmet({
@@ -119,6 +140,12 @@ app.use('/api/auth', authRoutes);
 app.use('/api/agents', agentRoutesNew);  // Updated to use new agent routes
 app.use('/api/distributions', distributionRoutesNew);  // Updated to use new distribution routes
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/mapping-templates', mappingTemplateRoutes);
+app.use('/api/suppressions', suppressionRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/queue', queueRoutes);
+app.use('/api/dispositions', dispositionRoutes);
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -130,7 +157,13 @@ app.get('/api', (req, res) => {
       auth: '/api/auth',
       agents: '/api/agents',
       distributions: '/api/distributions',
-      dashboard: '/api/dashboard'
+      dashboard: '/api/dashboard',
+      imports: '/api/imports',
+      mappingTemplates: '/api/mapping-templates',
+      suppressions: '/api/suppressions',
+      schedules: '/api/schedules',
+      queue: '/api/queue',
+      dispositions: '/api/dispositions'
     },
     documentation: 'https://github.com/your-repo/api-docs'
   });
@@ -164,8 +197,50 @@ io.on('connection', (socket) => {
 cron.schedule('0 2 * * *', () => {
   console.log('🧹 Running scheduled file cleanup...');
   cleanupOldFiles();
+  cleanupExpiredUploads().catch(error => {
+    console.error('Error expiring chunked uploads:', error.message);
+  });
+});
+
+// Release scheduled distributions that have come due, every minute
+cron.schedule('* * * * *', () => {
+  runDueReleases().catch(error => {
+    console.error('❌ Scheduled release check failed:', error.message);
+  });
+});
+
+// Return work-queue records whose lease expired untouched, every minute
+cron.schedule('* * * * *', () => {
+  releaseExpiredLeases().catch(error => {
+    console.error('❌ Queue lease check failed:', error.message);
+  });
 });
 
+// Remind agents of follow-ups and move due ones up their queue, every minute
+cron.schedule('* * * * *', () => {
+  processFollowUps(io).catch(error => {
+    console.error('❌ Follow-up check failed:', error.message);
+  });
+});
+
+// Give unsuccessful calls another attempt under their distribution's recycling rules, every minute
+cron.schedule('* * * * *', () => {
+  runAutoRecycle(io).catch(error => {
+    console.error('❌ Automatic recycling failed:', error.message);
+  });
+});
+
+// Import files dropped into the configured inbox directory
+const dropFolder = getDropFolderConfig();
+if (dropFolder.enabled) {
+  cron.schedule(dropFolder.schedule, () => {
+    processDropFolder(io).catch(error => {
+      console.error('❌ Drop folder run failed:', error.message);
+    });
+  });
+  console.log(`📂 Watching drop folder ${dropFolder.inbox} (${dropFolder.schedule})`);
+}
+
 // Create admin user on server start (development only)
 if (process.env.NODE_ENV === 'development') {
   setTimeout(async () => {
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const UploadSession = require('../models/UploadSession');
+const { queueImportJob } = require('../utils/importJobRunner');
+const { cleanupExpiredUploads } = require('../utils/chunkedUpload');
+const {
+  getUploadSession,
+  uploadChunk,
+  completeUploadSession
+} = require('../controllers/uploadSessionController');
+
+jest.mock('../utils/importJobRunner', () => ({
+  ...jest.requireActual('../utils/importJobRunner'),
+  queueImportJob: jest.fn()
+}));
+
+const admin = { _id: new mongoose.Types.ObjectId() };
+const content = Buffer.from('firstName,phone,notes\nAnn,+1 415 555 2671,New\nBob,+1 415 555 2672,New\n');
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Run a handler and resolve with the response or the error passed to next
+const call = (handler, { params = {}, query = {}, body = {} } = {}) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn((payload) => resolve({ statusCode: res.status.mock.calls[0]?.[0] || 200, payload }))
+  };
+  const req = { params, query, body, user: admin, app: { get: () => null } };
+
+  handler(req, res, (error) => resolve({ error }));
+});
+
+describe('chunked uploads', () => {
+  let dir;
+  let session;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunked-upload-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Keep one upload session in memory, applying the controller's updates to it
+  beforeEach(() => {
+    session = new UploadSession({
+      originalFileName: 'leads.csv',
+      fileSize: content.length,
+      filePath: path.join(dir, 'chunked-leads.csv'),
+      createdBy: admin._id,
+      expiresAt: new Date(Date.now() + 60 * 1000)
+    });
+    fs.writeFileSync(session.filePath, '');
+
+    const matches = (filter) => Object.keys(filter).every(key => {
+      if (key === '_id') return true;
+      if (key === 'writingChunks') return !(session.writingChunks > 0);
+      return session[key] === filter[key];
+    });
+    const apply = (update) => {
+      Object.entries(update.$inc || {}).forEach(([key, value]) => { session[key] += value; });
+      Object.entries(update.$max || {}).forEach(([key, value]) => { session[key] = Math.max(session[key], value); });
+      Object.entries(update.$set || {}).forEach(([key, value]) => { session[key] = value; });
+    };
+
+    jest.spyOn(UploadSession, 'findOne').mockImplementation(() => ({
+      select: async () => session,
+      then: (resolve, reject) => Promise.resolve(session).then(resolve, reject)
+    }));
+    jest.spyOn(UploadSession, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (!matches(filter)) return null;
+      apply(update);
+      return session;
+    });
+    jest.spyOn(UploadSession, 'updateOne').mockImplementation(async (filter, update) => apply(update));
+    jest.spyOn(UploadSession.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queueImportJob.mockReset();
+  });
+
+  const sendChunk = (offset, bytes) => call(uploadChunk, {
+    params: { uploadId: session._id.toString() },
+    query: { offset: String(offset) },
+    body: bytes
+  });
+
+  it('assembles chunks and reports the offset to resume from', async () => {
+    await expect(sendChunk(0, content.subarray(0, 20))).resolves.toMatchObject({
+      statusCode: 200,
+      payload: { data: { offset: 20, complete: false } }
+    });
+
+    // A client resuming after a dropped connection asks where to continue
+    const status = await call(getUploadSession, { params: { uploadId: session._id.toString() } });
+    expect(status.payload.data.offset).toBe(20);
+
+    await expect(sendChunk(20, content.subarray(20))).resolves.toMatchObject({
+      payload: { data: { offset: content.length, complete: true } }
+    });
+    expect(fs.readFileSync(session.filePath)).toEqual(content);
+  });
+
+  it('accepts chunks that re-send bytes already received', async () => {
+    await sendChunk(0, content.subarray(0, 30));
+    const { payload } = await sendChunk(10, content.subarray(10, 40));
+
+    expect(payload.data.offset).toBe(40);
+    expect(fs.readFileSync(session.filePath)).toEqual(content.subarray(0, 40));
+  });
+
+  it('refuses chunks that start after the received data', async () => {
+    await sendChunk(0, content.subarray(0, 10));
+    const { statusCode, payload } = await sendChunk(30, content.subarray(30, 40));
+
+    expect(statusCode).toBe(409);
+    expect(payload.data.offset).toBe(10);
+    expect(session.receivedBytes).toBe(10);
+    expect(fs.statSync(session.filePath).size).toBe(10);
+  });
+
+  it('refuses chunks past the declared size and chunks once the upload is finished', async () => {
+    await expect(sendChunk(0, Buffer.concat([content, Buffer.from('x')]))).resolves.toMatchObject({ statusCode: 400 });
+
+    session.status = 'completing';
+    await expect(sendChunk(0, content)).resolves.toMatchObject({ statusCode: 409 });
+  });
+
+  it('refuses to complete an upload that is missing bytes', async () => {
+    await sendChunk(0, content.subarray(0, 10));
+    const { statusCode, payload } = await call(completeUploadSession, {
+      params: { uploadId: session._id.toString() },
+      body: { checksum: sha256(content) }
+    });
+
+    expect(statusCode).toBe(409);
+    expect(payload.data.offset).toBe(10);
+    expect(queueImportJob).not.toHaveBeenCalled();
+  });
+
+  it('resets the upload when the checksum does not match', async () => {
+    await sendChunk(0, content);
+    const { statusCode } = await call(completeUploadSession, {
+      params: { uploadId: session._id.toString() },
+      body: { checksum: sha256(Buffer.from('something else')) }
+    });
+
+    expect(statusCode).toBe(400);
+    expect(session).toMatchObject({ status: 'uploading', receivedBytes: 0 });
+    expect(fs.statSync(session.filePath).size).toBe(0);
+  });
+
+  it('hands a verified file to a background import', async () => {
+    const job = { _id: new mongoose.Types.ObjectId(), status: 'queued', reupload: null };
+    queueImportJob.mockResolvedValue({ job });
+    await sendChunk(0, content);
+
+    const { statusCode, payload } = await call(completeUploadSession, {
+      params: { uploadId: session._id.toString() },
+      body: { checksum: sha256(content).toUpperCase() }
+    });
+
+    expect(statusCode).toBe(202);
+    expect(payload.data.jobId).toEqual(job._id);
+    expect(queueImportJob.mock.calls[0][0]).toMatchObject({
+      path: session.filePath,
+      originalname: 'leads.csv',
+      size: content.length
+    });
+    expect(session).toMatchObject({ status: 'completed', importJob: job._id });
+  });
+
+  describe('cleanupExpiredUploads', () => {
+    it('expires idle uploads and removes their partial files', async () => {
+      fs.writeFileSync(session.filePath, content.subarray(0, 10));
+      const find = jest.spyOn(UploadSession, 'find').mockReturnValue({ select: async () => [session] });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await cleanupExpiredUploads();
+
+      expect(find.mock.calls[0][0]).toMatchObject({ status: { $in: ['uploading', 'completing'] } });
+      expect(session.status).toBe('expired');
+      expect(fs.existsSync(session.filePath)).toBe(false);
+    });
+  });
+});
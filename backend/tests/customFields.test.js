@@ -0,0 +1,90 @@
+const {
+  parseFieldSchema,
+  coerceFieldValue,
+  inferFieldValue,
+  extractCustomFields
+} = require('../utils/customFields');
+
+describe('customFields', () => {
+  describe('coerceFieldValue', () => {
+    const field = (type, extra = {}) => ({ key: 'value', label: 'Value', type, options: [], ...extra });
+
+    it('converts numbers, allowing thousands separators', () => {
+      expect(coerceFieldValue(field('number'), ' 1,250.5 ')).toEqual({ value: 1250.5 });
+      expect(coerceFieldValue(field('number'), 'twelve')).toEqual({ error: 'Value must be a number' });
+    });
+
+    it('converts yes/no style booleans', () => {
+      expect(coerceFieldValue(field('boolean'), 'Yes')).toEqual({ value: true });
+      expect(coerceFieldValue(field('boolean'), '0')).toEqual({ value: false });
+      expect(coerceFieldValue(field('boolean'), 'maybe')).toEqual({ error: 'Value must be yes/no or true/false' });
+    });
+
+    it('accepts only http(s) URLs', () => {
+      expect(coerceFieldValue(field('url'), 'https://example.com/a')).toEqual({ value: 'https://example.com/a' });
+      expect(coerceFieldValue(field('url'), 'ftp://example.com')).toEqual({ error: 'Value must be a valid http(s) URL' });
+      expect(coerceFieldValue(field('url'), 'example.com')).toEqual({ error: 'Value must be a valid http(s) URL' });
+    });
+
+    it('matches enum options case-insensitively and returns the declared spelling', () => {
+      const plan = field('enum', { options: ['Gold', 'Silver'] });
+
+      expect(coerceFieldValue(plan, 'gold')).toEqual({ value: 'Gold' });
+      expect(coerceFieldValue(plan, 'bronze')).toEqual({ error: 'Value must be one of: Gold, Silver' });
+    });
+
+    it('trims strings and limits their length', () => {
+      expect(coerceFieldValue(field('string'), '  text  ')).toEqual({ value: 'text' });
+      expect(coerceFieldValue(field('string'), 'x'.repeat(1001))).toEqual({ error: 'Value too long (max 1000 characters)' });
+    });
+  });
+
+  describe('inferFieldValue', () => {
+    it('types unambiguous booleans and numbers', () => {
+      expect(inferFieldValue('TRUE')).toBe(true);
+      expect(inferFieldValue('-12.5')).toBe(-12.5);
+    });
+
+    it('keeps values with leading zeros as strings', () => {
+      expect(inferFieldValue('02134')).toBe('02134');
+      expect(inferFieldValue('yes')).toBe('yes');
+    });
+  });
+
+  describe('parseFieldSchema', () => {
+    it('parses JSON text and normalizes keys', () => {
+      expect(parseFieldSchema('[{"key": "Plan Type", "type": "enum", "options": [" Gold ", ""], "required": 1}]')).toEqual([
+        { key: 'plantype', label: 'Plan Type', type: 'enum', required: true, options: ['Gold'] }
+      ]);
+    });
+
+    it('returns no fields for empty input', () => {
+      expect(parseFieldSchema(undefined)).toEqual([]);
+      expect(parseFieldSchema('')).toEqual([]);
+    });
+
+    it('rejects invalid schemas with 400', () => {
+      const rejects = (input, message) => expect(() => parseFieldSchema(input))
+        .toThrow(expect.objectContaining({ statusCode: 400, message }));
+
+      rejects('{', 'Field schema must be valid JSON');
+      rejects({ key: 'plan' }, 'Field schema must be an array of fields');
+      rejects([{ key: 'First Name' }], '"First Name" is a built-in record field and cannot be redeclared');
+      rejects([{ key: 'plan' }, { key: 'PLAN' }], 'Field "PLAN" is declared more than once');
+      rejects([{ key: 'plan', type: 'date' }], 'Field "plan" has unsupported type "date". Use one of: string, number, boolean, url, enum');
+      rejects([{ key: 'plan', type: 'enum' }], 'Enum field "plan" needs a list of options');
+    });
+  });
+
+  describe('extractCustomFields', () => {
+    it('keeps non-empty columns other than the record fields', () => {
+      expect(extractCustomFields({
+        firstName: 'Ann',
+        phone: '+14155552671',
+        'Plan Type': 'Gold',
+        Region: ' ',
+        Score: 0
+      })).toEqual({ plantype: 'Gold', score: 0 });
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const DispositionCode = require('../models/DispositionCode');
+const Record = require('../models/Record');
+const { validateDispositionFields, resolveDisposition } = require('../utils/dispositions');
+
+const agentId = new mongoose.Types.ObjectId();
+
+const callback = new DispositionCode({
+  code: 'Call back',
+  label: 'Call back',
+  status: 'in-progress',
+  fields: [
+    { key: 'callbacktime', label: 'Callback time', required: true },
+    { key: 'attempts', label: 'Attempts', type: 'number' },
+    { key: 'channel', label: 'Channel', type: 'enum', options: ['Phone', 'SMS'] }
+  ],
+  createdBy: agentId
+});
+
+const interested = new DispositionCode({
+  code: 'interested',
+  label: 'Interested',
+  status: 'completed',
+  createdBy: agentId
+});
+
+describe('dispositions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('DispositionCode', () => {
+    it('normalizes codes', () => {
+      expect(callback.code).toBe('CALL_BACK');
+      expect(DispositionCode.normalizeCode(' no answer! ')).toBe('NO_ANSWER');
+    });
+
+    it('knows which codes close the record', () => {
+      expect(callback.terminal).toBe(false);
+      expect(interested.terminal).toBe(true);
+    });
+  });
+
+  describe('validateDispositionFields', () => {
+    it('types declared fields, matching keys loosely and dropping undeclared ones', () => {
+      expect(validateDispositionFields(callback, {
+        callback_time: ' Tomorrow 3pm ',
+        Attempts: '2',
+        channel: 'sms',
+        mood: 'happy'
+      })).toEqual({ callbacktime: 'Tomorrow 3pm', attempts: 2, channel: 'SMS' });
+    });
+
+    it('lists every missing or invalid field', () => {
+      expect(() => validateDispositionFields(callback, { attempts: 'twice', channel: 'Fax' })).toThrow(expect.objectContaining({
+        statusCode: 400,
+        message: 'Disposition CALL_BACK needs more details',
+        details: {
+          fieldErrors: [
+            { field: 'callbacktime', error: 'Callback time is required' },
+            { field: 'attempts', error: 'Attempts must be a number' },
+            { field: 'channel', error: 'Channel must be one of: Phone, SMS' }
+          ]
+        }
+      }));
+    });
+  });
+
+  describe('resolveDisposition', () => {
+    it('sets the status from the code and keeps the filled-in form', async () => {
+      const findActive = jest.spyOn(DispositionCode, 'findActive').mockResolvedValue(callback);
+
+      const outcome = await resolveDisposition(
+        { disposition: 'call back', dispositionFields: { callbackTime: 'Friday' } },
+        { setBy: agentId }
+      );
+
+      expect(findActive).toHaveBeenCalledWith('call back');
+      expect(outcome).toMatchObject({
+        code: callback,
+        status: 'in-progress',
+        disposition: {
+          code: 'CALL_BACK',
+          label: 'Call back',
+          codeId: callback._id,
+          fields: { callbacktime: 'Friday' },
+          setBy: agentId
+        }
+      });
+    });
+
+    it('refuses unknown or retired codes', async () => {
+      jest.spyOn(DispositionCode, 'findActive').mockResolvedValue(null);
+
+      await expect(resolveDisposition({ disposition: 'gone' }, { setBy: agentId })).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Unknown or retired disposition: gone'
+      });
+    });
+
+    it('refuses a status that disagrees with the code', async () => {
+      jest.spyOn(DispositionCode, 'findActive').mockResolvedValue(interested);
+
+      await expect(resolveDisposition({ disposition: 'interested', status: 'failed' }, { setBy: agentId }))
+        .rejects.toMatchObject({
+          statusCode: 400,
+          details: { disposition: 'INTERESTED', dispositionStatus: 'completed', requestedStatus: 'failed' }
+        });
+      await expect(resolveDisposition({ disposition: 'interested', status: 'completed' }, { setBy: agentId }))
+        .resolves.toMatchObject({ status: 'completed' });
+    });
+  });
+
+  describe('recording a disposition', () => {
+    it('stores it on the record and in its history as a call attempt', async () => {
+      jest.spyOn(DispositionCode, 'findActive').mockResolvedValue(callback);
+      const record = new Record({
+        distribution: new mongoose.Types.ObjectId(),
+        firstName: 'Jo',
+        phone: '+14155552671',
+        status: 'in-progress'
+      });
+      const outcome = await resolveDisposition(
+        { disposition: 'CALL_BACK', dispositionFields: { callbacktime: 'Friday' } },
+        { setBy: agentId }
+      );
+
+      // The status doesn't change, but the outcome is still recorded
+      record.recordChange({
+        status: outcome.status,
+        changedBy: agentId,
+        source: 'agent-ui',
+        disposition: outcome.disposition
+      });
+
+      expect(record.disposition).toMatchObject({ code: 'CALL_BACK', fields: { callbacktime: 'Friday' } });
+      expect(record.lastAttemptAt).toEqual(expect.any(Date));
+      expect(record.history[record.history.length - 1]).toMatchObject({
+        fromStatus: 'in-progress',
+        toStatus: 'in-progress',
+        disposition: 'CALL_BACK',
+        source: 'agent-ui'
+      });
+    });
+  });
+});
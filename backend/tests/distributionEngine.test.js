@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const DistributionEngine = require('../utils/distributionEngine');
+
+const agent = (name, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  isActive: true,
+  ...fields
+});
+
+const rows = (count, fields = {}) => Array.from({ length: count }, (value, index) => ({
+  firstName: `Lead ${index + 1}`,
+  phone: `+1415555${String(index).padStart(4, '0')}`,
+  notes: '',
+  ...fields
+}));
+
+const countsOf = (result) => result.agents.map(assigned => assigned.records.length);
+
+describe('DistributionEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new DistributionEngine();
+  });
+
+  describe('distribute', () => {
+    it('splits records evenly, giving the remainder to the first agents', async () => {
+      const result = await engine.distribute(rows(7), [agent('Ann'), agent('Bob'), agent('Cat')]);
+
+      expect(countsOf(result)).toEqual([3, 2, 2]);
+      expect(result.unassigned).toEqual([]);
+      expect(result.agents[0].records[0]).toMatchObject({ status: 'pending', assignedAt: expect.any(Date) });
+    });
+
+    it('skips inactive agents', async () => {
+      const inactive = agent('Bob', { isActive: false });
+      const result = await engine.distribute(rows(4), [agent('Ann'), inactive]);
+
+      expect(result.agents).toHaveLength(1);
+      expect(countsOf(result)).toEqual([4]);
+    });
+
+    it('fails without records or active agents', async () => {
+      await expect(engine.distribute([], [agent('Ann')])).rejects.toThrow('No records to distribute');
+      await expect(engine.distribute(rows(1), [agent('Ann', { isActive: false })]))
+        .rejects.toThrow('No active agents available');
+    });
+  });
+
+  describe('capacity', () => {
+    it('moves records beyond a cap to agents with room', async () => {
+      const ann = agent('Ann');
+      const bob = agent('Bob');
+      const capacity = { [ann._id.toString()]: 1 };
+
+      const result = await engine.distribute(rows(4), [ann, bob], 'equal', { capacity });
+
+      expect(countsOf(result)).toEqual([1, 3]);
+      expect(result.summary.overflowRecords).toBe(0);
+    });
+
+    it('returns records nobody has room for as capacity overflow', async () => {
+      const ann = agent('Ann');
+      const bob = agent('Bob');
+      const capacity = { [ann._id.toString()]: 1, [bob._id.toString()]: 0 };
+
+      const result = await engine.distribute(rows(4), [ann, bob], 'equal', { capacity });
+
+      expect(countsOf(result)).toEqual([1, 0]);
+      expect(result.unassigned).toHaveLength(3);
+      expect(result.summary.overflowRecords).toBe(3);
+      result.unassigned.forEach(record => {
+        expect(record.reason).toBe('capacity');
+        expect(record).not.toHaveProperty('status');
+        expect(record).not.toHaveProperty('assignedAt');
+      });
+    });
+
+    it('treats agents missing from the capacity map as uncapped', async () => {
+      const result = await engine.distribute(rows(5), [agent('Ann'), agent('Bob')], 'equal', { capacity: {} });
+
+      expect(countsOf(result)).toEqual([3, 2]);
+    });
+  });
+
+  describe('skills', () => {
+    it('routes records to agents with the skill or language, case-insensitively', async () => {
+      const ann = agent('Ann', { skills: ['Billing'] });
+      const bob = agent('Bob', { languages: ['spanish'] });
+      const records = [
+        ...rows(2, { requiredSkill: 'billing' }),
+        ...rows(2, { requiredSkill: ' Spanish ' })
+      ];
+
+      const result = await engine.distribute(records, [ann, bob], 'skills');
+
+      expect(result.agents[0].records.map(record => record.requiredSkill)).toEqual(['billing', 'billing']);
+      expect(result.agents[1].records.map(record => record.requiredSkill)).toEqual([' Spanish ', ' Spanish ']);
+      expect(result.agents[0]).not.toHaveProperty('profile');
+    });
+
+    it('balances records without a required skill across all agents', async () => {
+      const result = await engine.distribute(rows(4), [agent('Ann'), agent('Bob')], 'skills');
+
+      expect(countsOf(result)).toEqual([2, 2]);
+    });
+
+    it('leaves records nobody can take unassigned', async () => {
+      const result = await engine.distribute(
+        rows(2, { requiredSkill: 'french' }),
+        [agent('Ann', { skills: ['billing'] })],
+        'skills'
+      );
+
+      expect(countsOf(result)).toEqual([0]);
+      expect(result.unassigned.map(record => record.reason)).toEqual(['no-matching-skill', 'no-matching-skill']);
+      expect(result.summary.unassignedRecords).toBe(2);
+    });
+
+    it('only moves capacity overflow to agents with the skill', async () => {
+      const ann = agent('Ann', { skills: ['billing'] });
+      const bob = agent('Bob', { skills: ['retention'] });
+      const capacity = { [ann._id.toString()]: 1 };
+
+      const result = await engine.distribute(rows(3, { requiredSkill: 'billing' }), [ann, bob], 'skills', { capacity });
+
+      expect(countsOf(result)).toEqual([1, 0]);
+      expect(result.unassigned.map(record => record.reason)).toEqual(['capacity', 'capacity']);
+    });
+  });
+
+  describe('pinned records', () => {
+    it('gives pinned records to their agent regardless of capacity', async () => {
+      const ann = agent('Ann');
+      const bob = agent('Bob');
+      const [pinnedRecord] = rows(1);
+      const capacity = { [ann._id.toString()]: 0 };
+
+      const result = await engine.distribute(rows(2), [ann, bob], 'equal', {
+        capacity,
+        pinned: [{ record: pinnedRecord, agentId: ann._id }]
+      });
+
+      expect(result.agents[0].records).toEqual([expect.objectContaining({ phone: pinnedRecord.phone, status: 'pending' })]);
+      expect(countsOf(result)).toEqual([1, 2]);
+    });
+
+    it('distributes records pinned to agents outside the run normally', async () => {
+      const [pinnedRecord] = rows(1);
+      const result = await engine.distribute([], [agent('Ann')], 'equal', {
+        pinned: [{ record: pinnedRecord, agentId: new mongoose.Types.ObjectId() }]
+      });
+
+      expect(countsOf(result)).toEqual([1]);
+    });
+  });
+
+  describe('redistributeTasks', () => {
+    it('moves records to the least loaded other agent', async () => {
+      const ann = agent('Ann');
+      const bob = agent('Bob');
+      const cat = agent('Cat');
+      const records = [{ _id: 1, assignedAgent: ann._id }, { _id: 2, assignedAgent: ann._id }];
+
+      const { assignments, unassigned } = await engine.redistributeTasks(records, [ann, bob, cat], {
+        openCounts: { [bob._id.toString()]: 6, [cat._id.toString()]: 4 }
+      });
+
+      expect(assignments.map(({ agent: target }) => target.name)).toEqual(['Cat', 'Cat']);
+      expect(unassigned).toEqual([]);
+    });
+
+    it('respects capacity and required skills', async () => {
+      const ann = agent('Ann');
+      const bob = agent('Bob', { skills: ['billing'] });
+      const cat = agent('Cat', { skills: ['billing'] });
+      const records = [
+        { _id: 1, assignedAgent: ann._id, requiredSkill: 'Billing' },
+        { _id: 2, assignedAgent: ann._id, requiredSkill: 'billing' },
+        { _id: 3, assignedAgent: bob._id, requiredSkill: 'french' }
+      ];
+
+      const { assignments, unassigned } = await engine.redistributeTasks(records, [ann, bob, cat], {
+        capacity: { [bob._id.toString()]: 1, [cat._id.toString()]: 0 }
+      });
+
+      expect(assignments).toEqual([{ record: records[0], agent: bob }]);
+      expect(unassigned).toEqual([records[1], records[2]]);
+    });
+
+    it('ignores inactive agents', async () => {
+      const ann = agent('Ann');
+      const bob = agent('Bob', { isActive: false });
+
+      const { assignments, unassigned } = await engine.redistributeTasks(
+        [{ _id: 1, assignedAgent: ann._id }],
+        [ann, bob]
+      );
+
+      expect(assignments).toEqual([]);
+      expect(unassigned).toHaveLength(1);
+    });
+  });
+});
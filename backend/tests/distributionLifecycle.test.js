@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Distribution = require('../models/Distribution');
+const Schedule = require('../models/Schedule');
+const {
+  assertLifecycleTransition,
+  assertWorkable,
+  emitLifecycleChange
+} = require('../utils/distributionLifecycle');
+const {
+  activateDistribution,
+  pauseDistribution,
+  resumeDistribution,
+  closeDistribution,
+  archiveDistribution
+} = require('../controllers/distributionControllerNew');
+
+const admin = { _id: new mongoose.Types.ObjectId() };
+const agentId = new mongoose.Types.ObjectId();
+
+// Run a handler and resolve with the response or the error passed to next
+const call = (handler, distribution, io = null) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn((payload) => resolve({ statusCode: res.status.mock.calls[0]?.[0] || 200, payload }))
+  };
+  const req = { params: { id: distribution._id.toString() }, user: admin, app: { get: () => io } };
+
+  handler(req, res, (error) => resolve({ error }));
+});
+
+describe('distribution lifecycle', () => {
+  describe('assertLifecycleTransition', () => {
+    it.each([
+      ['draft', 'active'],
+      ['draft', 'closed'],
+      ['active', 'paused'],
+      ['active', 'closed'],
+      ['paused', 'active'],
+      ['paused', 'closed'],
+      ['closed', 'archived']
+    ])('allows %s -> %s', (from, to) => {
+      expect(() => assertLifecycleTransition(from, to)).not.toThrow();
+    });
+
+    it.each([
+      ['draft', 'paused', ['active', 'closed']],
+      ['active', 'archived', ['paused', 'closed']],
+      ['closed', 'active', ['archived']],
+      ['archived', 'active', []]
+    ])('refuses %s -> %s with 409 and the allowed states', (from, to, allowed) => {
+      expect(() => assertLifecycleTransition(from, to)).toThrow(expect.objectContaining({
+        statusCode: 409,
+        details: { currentLifecycle: from, requestedLifecycle: to, allowedLifecycles: allowed }
+      }));
+    });
+  });
+
+  describe('assertWorkable', () => {
+    it.each(['draft', 'active', 'paused'])('accepts record updates while %s', (lifecycle) => {
+      expect(() => assertWorkable({ lifecycle, status: 'completed' })).not.toThrow();
+    });
+
+    it.each(['closed', 'archived'])('refuses record updates once %s', (lifecycle) => {
+      expect(() => assertWorkable({ lifecycle, status: 'completed' })).toThrow(expect.objectContaining({
+        statusCode: 409,
+        message: `This distribution is ${lifecycle}; its records can no longer be updated`
+      }));
+    });
+
+    it('refuses record updates while the import is still running', () => {
+      expect(() => assertWorkable({ lifecycle: 'active', status: 'processing' }))
+        .toThrow(expect.objectContaining({ statusCode: 409, message: 'This distribution is still being imported' }));
+    });
+  });
+
+  describe('emitLifecycleChange', () => {
+    it('tells the distribution\'s agents and the admins', () => {
+      const emit = jest.fn();
+      const io = { to: jest.fn(() => ({ emit })) };
+      const distribution = {
+        _id: new mongoose.Types.ObjectId(),
+        originalFileName: 'leads.csv',
+        lifecycle: 'paused',
+        agents: [{ agentId }, { agentId: { _id: admin._id } }]
+      };
+
+      emitLifecycleChange(io, distribution, 'active');
+
+      expect(io.to.mock.calls.map(([room]) => room)).toEqual([`agent_${agentId}`, `agent_${admin._id}`, 'admin']);
+      expect(emit).toHaveBeenCalledWith('distributionLifecycleChanged', {
+        distributionId: distribution._id,
+        fileName: 'leads.csv',
+        lifecycle: 'paused',
+        previousLifecycle: 'active'
+      });
+    });
+  });
+
+  describe('admin endpoints', () => {
+    const buildDistribution = (fields) => {
+      const distribution = new Distribution({
+        fileName: 'leads.csv',
+        originalFileName: 'leads.csv',
+        fileSize: 100,
+        uploadedBy: admin._id,
+        totalRecords: 1,
+        agents: [{ agentId, agentName: 'Ann', agentEmail: 'ann@example.com', assignedCount: 1 }],
+        status: 'completed',
+        ...fields
+      });
+      jest.spyOn(Distribution, 'findById').mockResolvedValue(distribution);
+      jest.spyOn(distribution, 'save').mockResolvedValue(distribution);
+      return distribution;
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('pauses an active distribution and tells its agents', async () => {
+      const distribution = buildDistribution({ lifecycle: 'active' });
+      const emit = jest.fn();
+      const io = { to: jest.fn(() => ({ emit })) };
+
+      const { statusCode, payload } = await call(pauseDistribution, distribution, io);
+
+      expect(statusCode).toBe(200);
+      expect(payload.data).toMatchObject({ lifecycle: 'paused', previousLifecycle: 'active' });
+      expect(distribution.lifecycleChangedBy).toBe(admin._id);
+      expect(io.to).toHaveBeenCalledWith(`agent_${agentId}`);
+    });
+
+    it.each([
+      ['resume', 'closed', resumeDistribution],
+      ['pause', 'closed', pauseDistribution],
+      ['archive', 'active', archiveDistribution],
+      ['close', 'archived', closeDistribution]
+    ])('refuses to %s a distribution that is %s with 409', async (label, lifecycle, handler) => {
+      const distribution = buildDistribution({ lifecycle });
+
+      const { error } = await call(handler, distribution);
+
+      expect(error).toMatchObject({ statusCode: 409, details: { currentLifecycle: lifecycle } });
+      expect(distribution.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses lifecycle changes while the import is still running', async () => {
+      const distribution = buildDistribution({ lifecycle: 'active', status: 'processing' });
+
+      const { statusCode, payload } = await call(closeDistribution, distribution);
+
+      expect(statusCode).toBe(409);
+      expect(payload.message).toBe('This distribution is still being imported');
+      expect(distribution.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses to activate a draft waiting for its scheduled release', async () => {
+      const distribution = buildDistribution({ lifecycle: 'draft', status: 'scheduled' });
+      const release = { _id: new mongoose.Types.ObjectId(), runAt: new Date('2026-11-01T09:00:00Z') };
+      jest.spyOn(Schedule, 'findOne').mockResolvedValue(release);
+
+      const { statusCode, payload } = await call(activateDistribution, distribution);
+
+      expect(statusCode).toBe(409);
+      expect(payload.details).toEqual({ scheduleId: release._id, runAt: release.runAt });
+      expect(distribution.lifecycle).toBe('draft');
+    });
+
+    it('cancels the scheduled release when a draft is closed', async () => {
+      const distribution = buildDistribution({ lifecycle: 'draft', status: 'scheduled' });
+      const release = { status: 'active', save: jest.fn() };
+      jest.spyOn(Schedule, 'findOne').mockResolvedValue(release);
+
+      const { statusCode } = await call(closeDistribution, distribution);
+
+      expect(statusCode).toBe(200);
+      expect(release.status).toBe('cancelled');
+      expect(release.save).toHaveBeenCalled();
+      expect(distribution.lifecycle).toBe('closed');
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Imports copy dropped files into the upload directory, resolved on require
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'drop-folder-'));
+process.env.UPLOAD_PATH = path.join(root, 'uploads');
+
+const ImportJob = require('../models/ImportJob');
+const MappingTemplate = require('../models/MappingTemplate');
+const User = require('../models/User');
+const { queueImportJob } = require('../utils/importJobRunner');
+const { processDropFolder } = require('../utils/dropFolder');
+
+jest.mock('../utils/importJobRunner', () => ({
+  ...jest.requireActual('../utils/importJobRunner'),
+  queueImportJob: jest.fn()
+}));
+
+const inbox = path.join(root, 'inbox');
+const systemUser = { _id: new mongoose.Types.ObjectId() };
+const distributionId = new mongoose.Types.ObjectId();
+
+// Drop a file that finished copying a while ago (or just now)
+const dropFile = (name, { settled = true, content = 'firstName,phone,notes\nAnn,+1 415 555 2671,New\n' } = {}) => {
+  const filePath = path.join(inbox, name);
+  fs.writeFileSync(filePath, content);
+  if (settled) {
+    const then = new Date(Date.now() - 5 * 60 * 1000);
+    fs.utimesSync(filePath, then, then);
+  }
+};
+
+const listDir = (dir) => (fs.existsSync(dir) ? fs.readdirSync(dir).sort() : []);
+
+describe('processDropFolder', () => {
+  let io;
+  let jobs;
+
+  beforeEach(() => {
+    fs.rmSync(inbox, { recursive: true, force: true });
+    fs.mkdirSync(inbox, { recursive: true });
+    process.env.DROP_FOLDER_PATH = inbox;
+    process.env.DROP_FOLDER_STRATEGY = 'skills';
+    delete process.env.DROP_FOLDER_MAPPING_TEMPLATE;
+
+    const emit = jest.fn();
+    io = { to: jest.fn(() => ({ emit })), emit };
+    jobs = new Map();
+
+    jest.spyOn(User, 'getSystemUser').mockResolvedValue(systemUser);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // The import job removes its copy of the file when it finishes
+    queueImportJob.mockImplementation(async (file) => {
+      fs.rmSync(file.path);
+      const job = { _id: new mongoose.Types.ObjectId() };
+      jobs.set(job._id.toString(), file.originalname);
+      return { job, finished: Promise.resolve() };
+    });
+    jest.spyOn(ImportJob, 'findById').mockImplementation(async (jobId) => {
+      const fileName = jobs.get(jobId.toString());
+      return fileName.startsWith('bad')
+        ? { _id: jobId, status: 'failed', failureReason: 'No valid records found in the file' }
+        : { _id: jobId, status: 'completed', distribution: distributionId };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    queueImportJob.mockReset();
+    delete process.env.DROP_FOLDER_PATH;
+    delete process.env.DROP_FOLDER_STRATEGY;
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('imports settled files as the system user and moves them to processed', async () => {
+    dropFile('monday.csv');
+
+    await processDropFolder(io);
+
+    const [file, options, context] = queueImportJob.mock.calls[0];
+    expect(file).toMatchObject({ originalname: 'monday.csv' });
+    expect(options).toEqual({ strategy: 'skills', mappingTemplateId: undefined });
+    expect(context.createdBy).toBe(systemUser._id);
+    expect(listDir(inbox)).toEqual(['failed', 'processed']);
+    expect(listDir(path.join(inbox, 'processed'))).toEqual([expect.stringMatching(/-monday\.csv$/)]);
+    expect(io.to).toHaveBeenCalledWith('admin');
+    expect(io.emit).toHaveBeenCalledWith('dropFolderImported', expect.objectContaining({
+      fileName: 'monday.csv',
+      distributionId
+    }));
+    expect(listDir(process.env.UPLOAD_PATH)).toEqual([]);
+  });
+
+  it('moves failed imports to failed with the reason alongside', async () => {
+    dropFile('bad-export.csv');
+
+    await processDropFolder(io);
+
+    const failed = listDir(path.join(inbox, 'failed'));
+    expect(failed).toEqual([expect.stringMatching(/-bad-export\.csv$/), expect.stringMatching(/-bad-export\.csv\.error\.txt$/)]);
+    expect(fs.readFileSync(path.join(inbox, 'failed', failed[1]), 'utf8')).toBe('No valid records found in the file\n');
+    expect(io.emit).toHaveBeenCalledWith('dropFolderFailed', expect.objectContaining({ fileName: 'bad-export.csv' }));
+  });
+
+  it('leaves files still being copied, hidden files and unsupported formats alone', async () => {
+    dropFile('copying.csv', { settled: false });
+    dropFile('.partial.csv');
+    dropFile('readme.txt');
+
+    await processDropFolder(io);
+
+    expect(queueImportJob).not.toHaveBeenCalled();
+    expect(listDir(inbox)).toEqual(['.partial.csv', 'copying.csv', 'failed', 'processed', 'readme.txt']);
+  });
+
+  it('imports with the configured mapping template', async () => {
+    const template = { _id: new mongoose.Types.ObjectId(), name: 'CRM export' };
+    jest.spyOn(MappingTemplate, 'findOne').mockResolvedValue(template);
+    process.env.DROP_FOLDER_MAPPING_TEMPLATE = 'CRM export';
+    dropFile('crm.csv');
+
+    await processDropFolder(io);
+
+    expect(MappingTemplate.findOne).toHaveBeenCalledWith({ name: 'CRM export' });
+    expect(queueImportJob.mock.calls[0][1].mappingTemplateId).toBe(template._id);
+  });
+
+  it('keeps files in the inbox when the mapping template is missing', async () => {
+    jest.spyOn(MappingTemplate, 'findOne').mockResolvedValue(null);
+    process.env.DROP_FOLDER_MAPPING_TEMPLATE = 'Gone';
+    dropFile('crm.csv');
+
+    await expect(processDropFolder(io)).rejects.toThrow('Mapping template "Gone" not found');
+    expect(queueImportJob).not.toHaveBeenCalled();
+    expect(listDir(inbox)).toContain('crm.csv');
+  });
+
+  it('does nothing without a configured inbox', async () => {
+    delete process.env.DROP_FOLDER_PATH;
+    dropFile('monday.csv');
+
+    await processDropFolder(io);
+
+    expect(queueImportJob).not.toHaveBeenCalled();
+  });
+});
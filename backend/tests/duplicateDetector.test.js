@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const Record = require('../models/Record');
+const DistributionEngine = require('../utils/distributionEngine');
+const {
+  toPhoneKey,
+  createDuplicateCounts,
+  detectDuplicates,
+  attachFollowers
+} = require('../utils/duplicateDetector');
+
+// Stub the open-record lookup with the given records
+const mockOpenRecords = (records) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    lean: async () => records
+  };
+  return jest.spyOn(Record, 'find').mockReturnValue(query);
+};
+
+const row = (firstName, phone, notes = '') => ({ firstName, phone, notes });
+
+describe('duplicateDetector', () => {
+  const ann = { _id: new mongoose.Types.ObjectId(), name: 'Ann', isActive: true };
+  const earlierDistribution = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('toPhoneKey', () => {
+    it('keeps only digits', () => {
+      expect(toPhoneKey('+1 (415) 555-2671')).toBe('14155552671');
+      expect(toPhoneKey(null)).toBe('');
+    });
+  });
+
+  describe('detectDuplicates', () => {
+    it('keeps everything under the allow policy without looking up records', async () => {
+      const find = mockOpenRecords([]);
+      const rows = [row('Ann', '+14155552671'), row('Ann', '+14155552671')];
+
+      const result = await detectDuplicates(rows, { policy: 'allow' });
+
+      expect(result.records).toEqual(rows);
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('drops in-file and existing duplicates under the skip policy', async () => {
+      mockOpenRecords([
+        { _id: new mongoose.Types.ObjectId(), phoneKey: '14155550000', firstName: 'Old', distribution: earlierDistribution }
+      ]);
+      const rows = [
+        row('Ann', '+1 415 555 2671'),
+        row('Ann', '+14155552671'),
+        row('Bob', '+14155550000'),
+        row('Cat', '+14155559999')
+      ];
+
+      const result = await detectDuplicates(rows, { policy: 'skip' });
+
+      expect(result.records.map(record => record.firstName)).toEqual(['Ann', 'Cat']);
+      expect(result.counts).toMatchObject({ inFile: 1, existing: 1, skipped: 2 });
+    });
+
+    it('matches on name and phone in name-phone mode', async () => {
+      mockOpenRecords([]);
+      const rows = [row('Ann', '+14155552671'), row(' ann ', '+14155552671'), row('Bob', '+14155552671')];
+
+      const result = await detectDuplicates(rows, { policy: 'skip', matchBy: 'name-phone' });
+
+      expect(result.records.map(record => record.firstName)).toEqual(['Ann', 'Bob']);
+      expect(result.counts.skipped).toBe(1);
+    });
+
+    it('folds duplicate notes into the first row or the existing record under the merge policy', async () => {
+      const existingId = new mongoose.Types.ObjectId();
+      mockOpenRecords([
+        { _id: existingId, phoneKey: '14155550000', firstName: 'Old', distribution: earlierDistribution }
+      ]);
+      const rows = [
+        row('Ann', '+14155552671', 'First call'),
+        row('Ann', '+14155552671', 'Wants a quote'),
+        row('Ann', '+14155552671', 'First call'),
+        row('Bob', '+14155550000', 'Asked for email'),
+        row('Bob', '+14155550000', 'Prefers mornings')
+      ];
+
+      const result = await detectDuplicates(rows, { policy: 'merge' });
+
+      expect(result.records).toHaveLength(1);
+      expect(result.records[0].notes).toBe('First call | Wants a quote');
+      expect(result.merges).toEqual([
+        { recordId: existingId.toString(), notes: 'Asked for email | Prefers mornings' }
+      ]);
+      expect(result.counts).toMatchObject({ inFile: 2, existing: 2, merged: 4 });
+    });
+
+    it('counts matches from the distribution being built as in-file duplicates', async () => {
+      const distributionId = new mongoose.Types.ObjectId();
+      mockOpenRecords([
+        { _id: new mongoose.Types.ObjectId(), phoneKey: '14155552671', firstName: 'Ann', distribution: distributionId }
+      ]);
+      const counts = createDuplicateCounts('skip');
+
+      await detectDuplicates([row('Ann', '+14155552671')], { policy: 'skip', distributionId, counts });
+
+      expect(counts).toMatchObject({ inFile: 1, existing: 0, skipped: 1 });
+    });
+
+    it('pins rows to the active agent who owns the contact under the same-agent policy', async () => {
+      mockOpenRecords([
+        { _id: new mongoose.Types.ObjectId(), phoneKey: '14155550000', firstName: 'Old', assignedAgent: ann._id, distribution: earlierDistribution }
+      ]);
+      const rows = [
+        row('Bob', '+14155550000'),
+        row('Bob', '+14155550000'),
+        row('Cat', '+14155559999'),
+        row('Cat', '+14155559999')
+      ];
+
+      const result = await detectDuplicates(rows, { policy: 'same-agent', agents: [ann] });
+
+      expect(result.pinned.map(pin => [pin.record.firstName, pin.agentId])).toEqual([['Bob', ann._id], ['Bob', ann._id]]);
+      expect(result.records.map(record => record.firstName)).toEqual(['Cat']);
+      expect(result.followers).toEqual([{ record: rows[3], key: '14155559999' }]);
+      expect(result.counts.sameAgent).toBe(3);
+    });
+
+    it('distributes rows normally when the owning agent is inactive', async () => {
+      mockOpenRecords([
+        { _id: new mongoose.Types.ObjectId(), phoneKey: '14155550000', firstName: 'Old', assignedAgent: new mongoose.Types.ObjectId(), distribution: earlierDistribution }
+      ]);
+
+      const result = await detectDuplicates([row('Bob', '+14155550000')], { policy: 'same-agent', agents: [ann] });
+
+      expect(result.pinned).toEqual([]);
+      expect(result.records).toHaveLength(1);
+    });
+  });
+
+  describe('attachFollowers', () => {
+    it('gives followers to the agent who received their contact and updates the summary', async () => {
+      const engine = new DistributionEngine();
+      const bob = { _id: new mongoose.Types.ObjectId(), name: 'Bob', isActive: true };
+      const leader = row('Cat', '+14155559999');
+      const follower = row('Cat', '+14155559999');
+
+      const distributionResult = await engine.distribute([leader, row('Dan', '+14155558888')], [ann, bob]);
+      attachFollowers(distributionResult, [{ record: follower, key: '14155559999' }], 'phone', engine);
+
+      expect(distributionResult.agents[0].records.map(record => record.firstName)).toEqual(['Cat', 'Cat']);
+      expect(distributionResult.agents[0].assignedCount).toBe(2);
+      expect(distributionResult.summary.unassignedRecords).toBe(0);
+    });
+
+    it('leaves followers of unassigned contacts unassigned for the same reason', async () => {
+      const engine = new DistributionEngine();
+      const distributionResult = await engine.distribute(
+        [row('Cat', '+14155559999'), row('Dan', '+14155558888')].map(record => ({ ...record, requiredSkill: 'french' })),
+        [ann],
+        'skills'
+      );
+
+      attachFollowers(distributionResult, [{ record: row('Cat', '+14155559999'), key: '14155559999' }], 'phone', engine);
+
+      expect(distributionResult.unassigned.map(record => record.reason))
+        .toEqual(['no-matching-skill', 'no-matching-skill', 'no-matching-skill']);
+      expect(distributionResult.summary.unassignedRecords).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const FileProcessor = require('../utils/fileProcessor');
+const {
+  detectEncoding,
+  detectDelimiter,
+  readZipEntries,
+  extractZipEntry
+} = require('../utils/fileFormats');
+
+/**
+ * Build a ZIP archive in memory. Entries are { name, content, store } and
+ * deflated unless store is set; `size` overrides the declared size.
+ */
+const buildZip = (entries) => {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+
+  entries.forEach(({ name, content, store, size }) => {
+    const nameBuffer = Buffer.from(name);
+    const data = store ? content : zlib.deflateRawSync(content);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(store ? 0 : 8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size === undefined ? content.length : size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(store ? 0 : 8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size === undefined ? content.length : size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    directory.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const directoryBuffer = Buffer.concat(directory);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(directoryBuffer.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directoryBuffer, eocd]);
+};
+
+const encodeUtf16BE = (text) => Buffer.from(text, 'utf16le').swap16();
+
+describe('fileFormats', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-formats-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Write an upload to disk and read it with FileProcessor
+  const processUpload = (name, content, options) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+
+    return new FileProcessor(options).processFile({
+      path: filePath,
+      originalname: name,
+      size: Buffer.byteLength(content)
+    });
+  };
+
+  describe('detectEncoding', () => {
+    it.each([
+      ['a UTF-8 BOM', Buffer.from('\uFEFFname', 'utf8'), 'utf-8'],
+      ['a UTF-16LE BOM', Buffer.from('\uFEFFname', 'utf16le'), 'utf-16le'],
+      ['a UTF-16BE BOM', encodeUtf16BE('\uFEFFname'), 'utf-16be'],
+      ['UTF-16LE without a BOM', Buffer.from('name,phone', 'utf16le'), 'utf-16le'],
+      ['UTF-16BE without a BOM', encodeUtf16BE('name,phone'), 'utf-16be'],
+      ['plain UTF-8', Buffer.from('José,Zoë', 'utf8'), 'utf-8'],
+      ['bytes that are not UTF-8', Buffer.from([0x4A, 0x6F, 0x73, 0xE9, 0x2C, 0x31]), 'windows-1252']
+    ])('recognises %s', (label, sample, expected) => {
+      expect(detectEncoding(sample)).toBe(expected);
+    });
+  });
+
+  describe('detectDelimiter', () => {
+    it.each([
+      ['firstName,phone,notes', ','],
+      ['firstName;phone;notes', ';'],
+      ['firstName\tphone\tnotes', '\t'],
+      ['firstName|phone|notes', '|']
+    ])('picks the delimiter of %j', (header, expected) => {
+      expect(detectDelimiter(`${header}\nAnn,1,2`)).toBe(expected);
+    });
+
+    it('ignores delimiters inside quotes', () => {
+      expect(detectDelimiter('"Last; First";phone\n')).toBe(';');
+      expect(detectDelimiter('"a;b;c",phone\n')).toBe(',');
+    });
+
+    it('falls back when the header has a single column', () => {
+      expect(detectDelimiter('firstName\nAnn', '\t')).toBe('\t');
+    });
+  });
+
+  describe('reading uploads', () => {
+    it('reads TSV files', async () => {
+      const result = await processUpload('leads.tsv', 'firstName\tphone\tnotes\nAnn\t+1 415 555 2671\tCall back\n');
+
+      expect(result.delimiter).toBe('\t');
+      expect(result.data).toHaveLength(1);
+      expect(result.data[0]).toMatchObject({ firstName: 'Ann', phone: '+14155552671', notes: 'Call back' });
+    });
+
+    it('reads semicolon-separated CSV exports', async () => {
+      const result = await processUpload('leads.csv', 'firstName;phone;notes\nAnn;+1 415 555 2671;"Early; before 9"\n');
+
+      expect(result.delimiter).toBe(';');
+      expect(result.data[0]).toMatchObject({ firstName: 'Ann', notes: 'Early; before 9' });
+    });
+
+    it('decodes Windows-1252 and UTF-16 files', async () => {
+      const latin = Buffer.from('firstName,phone,notes\nJos\xE9,+1 415 555 2671,New\n', 'latin1');
+      const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('firstName,phone,notes\nZoë,+1 415 555 2671,New\n', 'utf16le')]);
+
+      const fromLatin = await processUpload('latin.csv', latin);
+      const fromUtf16 = await processUpload('utf16.csv', utf16);
+
+      expect(fromLatin).toMatchObject({ encoding: 'windows-1252', data: [expect.objectContaining({ firstName: 'José' })] });
+      expect(fromUtf16).toMatchObject({ encoding: 'utf-16le', data: [expect.objectContaining({ firstName: 'Zoë' })] });
+    });
+
+    it('reads JSON arrays and refuses other JSON', async () => {
+      const result = await processUpload('leads.json', JSON.stringify([
+        { firstName: 'Ann', phone: '+1 415 555 2671', notes: 'New' }
+      ]));
+
+      expect(result.data[0]).toMatchObject({ firstName: 'Ann', phone: '+14155552671' });
+      await expect(processUpload('object.json', '{"firstName":"Ann"}')).rejects.toThrow('JSON files must contain an array of records');
+      await expect(processUpload('broken.json', '[{')).rejects.toThrow(/^Invalid JSON/);
+    });
+
+    it('reads NDJSON line by line, rejecting bad lines only', async () => {
+      const result = await processUpload('leads.ndjson', [
+        '{"firstName":"Ann","phone":"+1 415 555 2671","notes":"New"}',
+        '',
+        'not json',
+        '{"firstName":"Bob","phone":"+1 415 555 2672","notes":"New"}'
+      ].join('\n'));
+
+      expect(result.data.map(row => row.firstName)).toEqual(['Ann', 'Bob']);
+      expect(result.rejected).toHaveLength(1);
+      expect(result.errors[0].error).toMatch(/^Invalid JSON/);
+    });
+
+    it('reads every supported file in a ZIP, skipping folders and metadata', async () => {
+      const archive = buildZip([
+        { name: 'leads/', content: Buffer.alloc(0), store: true },
+        { name: 'leads/east.csv', content: Buffer.from('firstName,phone,notes\nAnn,+1 415 555 2671,New\n') },
+        { name: 'leads/west.ndjson', content: Buffer.from('{"firstName":"Bob","phone":"+1 415 555 2672","notes":"New"}\n'), store: true },
+        { name: '__MACOSX/leads/._east.csv', content: Buffer.from('junk') },
+        { name: 'readme.txt', content: Buffer.from('notes') }
+      ]);
+
+      const result = await processUpload('bundle.zip', archive);
+
+      expect(result.data.map(row => [row.firstName, row.sourceFile])).toEqual([
+        ['Ann', 'leads/east.csv'],
+        ['Bob', 'leads/west.ndjson']
+      ]);
+      expect(result.files.map(file => file.name)).toEqual(['leads/east.csv', 'leads/west.ndjson']);
+      expect(fs.readdirSync(dir).filter(name => name.startsWith('bundle.zip-'))).toEqual([]);
+    });
+
+    it('refuses archived files larger than a direct upload', async () => {
+      const big = Buffer.from(`firstName,phone\n${'Ann,+1 415 555 2671\n'.repeat(200)}`);
+      const archive = buildZip([{ name: 'big.csv', content: big }]);
+
+      await expect(processUpload('big.zip', archive, { maxFileSize: 1024 }))
+        .rejects.toThrow('big.csv exceeds the size limit');
+    });
+  });
+
+  describe('readZipEntries', () => {
+    it('refuses ZIP64 archives', () => {
+      const archive = buildZip([{ name: 'leads.csv', content: Buffer.from('firstName\n'), size: 0xFFFFFFFF }]);
+
+      expect(() => readZipEntries(archive)).toThrow('ZIP64 archives are not supported');
+    });
+
+    it('refuses files that are not archives', () => {
+      expect(() => readZipEntries(Buffer.alloc(100))).toThrow('File is not a valid ZIP archive');
+    });
+  });
+
+  describe('extractZipEntry', () => {
+    it('stops inflating an entry whose directory understates its size', async () => {
+      const archive = buildZip([{ name: 'bomb.csv', content: Buffer.alloc(1024 * 1024, 'a'), size: 10 }]);
+      const [entry] = readZipEntries(archive);
+      const destPath = path.join(dir, 'bomb.csv');
+
+      await expect(extractZipEntry(archive, entry, destPath, 64 * 1024)).rejects.toThrow('bomb.csv exceeds the size limit');
+      expect(fs.statSync(destPath).size).toBeLessThanOrEqual(128 * 1024);
+    });
+
+    it('refuses entries whose declared size is over the limit without inflating', async () => {
+      const archive = buildZip([{ name: 'big.csv', content: Buffer.alloc(2048, 'a') }]);
+      const [entry] = readZipEntries(archive);
+      const destPath = path.join(dir, 'never.csv');
+
+      await expect(extractZipEntry(archive, entry, destPath, 1024)).rejects.toThrow('big.csv exceeds the size limit');
+      expect(fs.existsSync(destPath)).toBe(false);
+    });
+
+    it('writes stored and deflated entries out', async () => {
+      const content = Buffer.from('firstName,phone\nAnn,1\n');
+      const archive = buildZip([
+        { name: 'stored.csv', content, store: true },
+        { name: 'deflated.csv', content }
+      ]);
+
+      for (const entry of readZipEntries(archive)) {
+        const destPath = path.join(dir, `out-${entry.name}`);
+        await expect(extractZipEntry(archive, entry, destPath, 1024)).resolves.toBe(content.length);
+        expect(fs.readFileSync(destPath)).toEqual(content);
+      }
+    });
+  });
+});
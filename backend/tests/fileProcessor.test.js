@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const FileProcessor = require('../utils/fileProcessor');
+
+describe('FileProcessor', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-processor-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Write an upload to disk and read it
+  const processUpload = (name, content, options) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+
+    return new FileProcessor(options).processFile({
+      path: filePath,
+      originalname: name,
+      size: Buffer.byteLength(content)
+    });
+  };
+
+  describe('routing columns', () => {
+    it.each(['Skill', 'Required Skill', 'Language', 'required_language'])('reads %s as the required skill', (header) => {
+      expect(new FileProcessor().mapRow({ [header]: 'Spanish' })).toEqual({ requiredSkill: 'Spanish' });
+    });
+
+    it('stores the required skill lowercased and trimmed', async () => {
+      const result = await processUpload('skills.csv', 'firstName,phone,notes,skill\nAnn,+1 415 555 2671,New, Billing \nBob,+1 415 555 2672,New,\n');
+
+      expect(result.data[0].requiredSkill).toBe('billing');
+      expect(result.data[1]).not.toHaveProperty('requiredSkill');
+    });
+
+    it('rejects files with both a skill and a language column', async () => {
+      await expect(processUpload('both.csv', 'firstName,phone,notes,skill,language\nAnn,+1 415 555 2671,New,billing,spanish\n'))
+        .rejects.toMatchObject({
+          statusCode: 400,
+          message: 'Columns skill and language both set the required skill; keep only one of them'
+        });
+      expect(fs.existsSync(path.join(dir, 'both.csv'))).toBe(false);
+    });
+  });
+
+  describe('workbooks', () => {
+    // A workbook with one region per sheet
+    const buildWorkbook = () => {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        ['firstName', 'phone', 'notes'],
+        ['Ann', '+1 415 555 2671', 'New'],
+        ['Bob', '+1 415 555 2672', 'New']
+      ]), 'East');
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        ['firstName', 'phone', 'notes', 'Campaign'],
+        ['Cy', '+1 415 555 2673', 'New', 'Spring']
+      ]), 'West');
+
+      return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    };
+
+    it('lists each sheet with its row count and headers', () => {
+      const filePath = path.join(dir, 'regions.xlsx');
+      fs.writeFileSync(filePath, buildWorkbook());
+
+      expect(new FileProcessor().listSheets({ path: filePath, originalname: 'regions.xlsx' })).toEqual([
+        { name: 'East', rows: 2, headers: ['firstName', 'phone', 'notes'] },
+        { name: 'West', rows: 1, headers: ['firstName', 'phone', 'notes', 'Campaign'] }
+      ]);
+    });
+
+    it('imports the first sheet by default', async () => {
+      const result = await processUpload('regions.xlsx', buildWorkbook());
+
+      expect(result.data.map(row => [row.firstName, row.sheetName])).toEqual([['Ann', 'East'], ['Bob', 'East']]);
+    });
+
+    it('imports a chosen sheet', async () => {
+      const result = await processUpload('regions.xlsx', buildWorkbook(), { sheetName: 'West' });
+
+      expect(result.data.map(row => [row.firstName, row.sheetName])).toEqual([['Cy', 'West']]);
+      expect(result.sheets).toEqual([expect.objectContaining({ name: 'West', totalRows: 1, validRows: 1 })]);
+    });
+
+    it('imports every sheet as tagged segments', async () => {
+      const result = await processUpload('regions.xlsx', buildWorkbook(), { allSheets: true });
+
+      expect(result.data.map(row => [row.firstName, row.sheetName])).toEqual([['Ann', 'East'], ['Bob', 'East'], ['Cy', 'West']]);
+      expect(result.sheets.map(sheet => [sheet.name, sheet.validRows])).toEqual([['East', 2], ['West', 1]]);
+      expect(result.headers).toEqual(['firstName', 'phone', 'notes', 'Campaign']);
+    });
+
+    it('names the available sheets when the chosen one is missing', async () => {
+      await expect(processUpload('regions.xlsx', buildWorkbook(), { sheetName: 'North' }))
+        .rejects.toThrow('Sheet "North" not found. Available sheets: East, West');
+    });
+  });
+});
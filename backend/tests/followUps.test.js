@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const User = require('../models/User');
+const { adjustAgentCount } = require('../utils/recordPool');
+const { resolveFollowUp, listFollowUps, processFollowUps } = require('../utils/followUps');
+
+jest.mock('../utils/recordPool', () => ({
+  ...jest.requireActual('../utils/recordPool'),
+  adjustAgentCount: jest.fn()
+}));
+
+const ann = { _id: new mongoose.Types.ObjectId(), name: 'Ann' };
+const bob = { _id: new mongoose.Types.ObjectId(), name: 'Bob' };
+const admin = new mongoose.Types.ObjectId();
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+const buildRecord = (followUp, fields = {}) => new Record({
+  _id: new mongoose.Types.ObjectId(),
+  distribution: new mongoose.Types.ObjectId(),
+  firstName: 'Jo',
+  phone: '+14155552671',
+  assignedAgent: ann._id,
+  followUp,
+  ...fields
+});
+
+describe('followUps', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    adjustAgentCount.mockClear();
+  });
+
+  describe('resolveFollowUp', () => {
+    it('reads a bare local time in the given time zone', async () => {
+      jest.useFakeTimers({ now: new Date('2026-10-20T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+
+      try {
+        const followUp = await resolveFollowUp(
+          { dueAt: '2026-10-26T15:30', timezone: 'America/New_York', note: 'After lunch' },
+          { setBy: admin }
+        );
+
+        expect(followUp).toMatchObject({
+          dueAt: new Date('2026-10-26T19:30:00Z'),
+          timezone: 'America/New_York',
+          assignee: undefined,
+          note: 'After lunch',
+          setBy: admin
+        });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it.each([
+      ['an unknown time zone', { dueAt: inMinutes(60).toISOString(), timezone: 'Mars/Olympus' }, 'Unknown time zone: Mars/Olympus'],
+      ['an unreadable time', { dueAt: 'next tuesday', timezone: 'UTC' }, 'Invalid follow-up time'],
+      ['a time in the past', { dueAt: inMinutes(-5).toISOString(), timezone: 'UTC' }, 'Follow-up time must be in the future']
+    ])('refuses %s', async (label, request, message) => {
+      await expect(resolveFollowUp(request, { setBy: admin })).rejects.toMatchObject({ statusCode: 400, message });
+    });
+
+    it('hands the callback to an active agent only', async () => {
+      const findOne = jest.spyOn(User, 'findOne').mockResolvedValueOnce(bob).mockResolvedValueOnce(null);
+      const request = { dueAt: inMinutes(60).toISOString(), timezone: 'UTC', assigneeId: bob._id };
+
+      await expect(resolveFollowUp(request, { setBy: admin })).resolves.toMatchObject({ assignee: bob._id });
+      await expect(resolveFollowUp(request, { setBy: admin })).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Follow-up assignee not found or inactive'
+      });
+      expect(findOne).toHaveBeenCalledWith({ _id: bob._id, role: 'agent', isActive: true });
+    });
+  });
+
+  describe('listFollowUps', () => {
+    it('splits an agent\'s follow-ups into overdue and upcoming, leaving out hidden distributions', async () => {
+      const hidden = [new mongoose.Types.ObjectId()];
+      const distribution = { _id: new mongoose.Types.ObjectId(), fileName: 'leads.csv' };
+      const overdue = { _id: 1, __v: 2, distribution, followUp: { dueAt: inMinutes(-30) } };
+      const upcoming = { _id: 2, distribution, followUp: { dueAt: inMinutes(30) } };
+      jest.spyOn(Distribution, 'getHiddenFromAgents').mockResolvedValue(hidden);
+      const query = {
+        select: jest.fn(() => query),
+        sort: jest.fn(() => query),
+        populate: jest.fn(() => query),
+        lean: jest.fn(async () => [overdue, upcoming])
+      };
+      const find = jest.spyOn(Record, 'find').mockReturnValue(query);
+
+      const result = await listFollowUps(ann._id, { days: 3 });
+
+      expect(result.overdue).toEqual([expect.objectContaining({ _id: 1, version: 2, distributionName: 'leads.csv' })]);
+      expect(result.upcoming).toEqual([expect.objectContaining({ _id: 2, version: 0, distributionId: distribution._id })]);
+
+      const filter = find.mock.calls[0][0];
+      expect(filter.distribution).toEqual({ $nin: hidden });
+      expect(filter.$or).toEqual([
+        { 'followUp.assignee': ann._id },
+        { assignedAgent: ann._id, 'followUp.assignee': null }
+      ]);
+      expect(filter['followUp.dueAt'].$lte.getTime()).toBeCloseTo(Date.now() + 3 * 24 * 60 * 60 * 1000, -4);
+    });
+  });
+
+  describe('processFollowUps', () => {
+    let io;
+    let emit;
+
+    beforeEach(() => {
+      emit = jest.fn();
+      io = { to: jest.fn(() => ({ emit })) };
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    // Stub the reminder lookup and the due lookup
+    const mockFind = ({ reminders = [], due = [] }) => jest.spyOn(Record, 'find')
+      .mockReturnValueOnce({ select: async () => reminders })
+      .mockResolvedValueOnce(due);
+
+    it('reminds the agent once per follow-up', async () => {
+      const record = buildRecord({ dueAt: inMinutes(10) });
+      mockFind({ reminders: [record, record] });
+      jest.spyOn(Record, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 });
+
+      await processFollowUps(io);
+
+      expect(io.to).toHaveBeenCalledTimes(1);
+      expect(io.to).toHaveBeenCalledWith(`agent_${ann._id}`);
+      expect(emit).toHaveBeenCalledWith('followUpReminder', expect.objectContaining({ recordId: record._id }));
+    });
+
+    it('moves due follow-ups to the top of the agent\'s queue', async () => {
+      const record = buildRecord({ dueAt: inMinutes(-1) }, { priority: 5 });
+      mockFind({ due: [record] });
+      jest.spyOn(record, 'save').mockResolvedValue(record);
+
+      await processFollowUps(io);
+
+      expect(record.priority).toBe(1000);
+      expect(record.followUp.previousPriority).toBe(5);
+      expect(record.followUp.bumpedAt).toEqual(expect.any(Date));
+      expect(record.assignedAgent).toEqual(ann._id);
+      expect(adjustAgentCount).not.toHaveBeenCalled();
+      expect(emit).toHaveBeenCalledWith('followUpDue', expect.objectContaining({ recordId: record._id }));
+    });
+
+    it('hands a due follow-up to its assignee and moves the agent counts', async () => {
+      const record = buildRecord({ dueAt: inMinutes(-1), assignee: bob._id });
+      mockFind({ due: [record] });
+      jest.spyOn(record, 'save').mockResolvedValue(record);
+      jest.spyOn(User, 'findOne').mockResolvedValue(bob);
+
+      await processFollowUps(io);
+
+      expect(record.assignedAgent).toEqual(bob._id);
+      expect(adjustAgentCount).toHaveBeenCalledWith(record.distribution, { _id: ann._id }, -1);
+      expect(adjustAgentCount).toHaveBeenCalledWith(record.distribution, bob, 1);
+      expect(io.to).toHaveBeenCalledWith(`agent_${ann._id}`);
+      expect(io.to).toHaveBeenCalledWith(`agent_${bob._id}`);
+      expect(emit).toHaveBeenCalledWith('recordReassigned', expect.objectContaining({ recordId: record._id }));
+    });
+
+    it('leaves a record with its agent while they have it claimed', async () => {
+      const record = buildRecord(
+        { dueAt: inMinutes(-1), assignee: bob._id },
+        { claimedBy: ann._id, claimExpiresAt: inMinutes(5) }
+      );
+      mockFind({ due: [record] });
+      jest.spyOn(record, 'save').mockResolvedValue(record);
+      const findOne = jest.spyOn(User, 'findOne');
+
+      await processFollowUps(io);
+
+      expect(findOne).not.toHaveBeenCalled();
+      expect(record.assignedAgent).toEqual(ann._id);
+      expect(record.priority).toBe(1000);
+      expect(adjustAgentCount).not.toHaveBeenCalled();
+    });
+
+    it('skips records changed since they were read', async () => {
+      const record = buildRecord({ dueAt: inMinutes(-1), assignee: bob._id });
+      mockFind({ due: [record] });
+      jest.spyOn(record, 'save').mockRejectedValue(new mongoose.Error.VersionError(record, 0, []));
+      jest.spyOn(User, 'findOne').mockResolvedValue(bob);
+
+      await expect(processFollowUps(io)).resolves.toBeUndefined();
+      expect(adjustAgentCount).not.toHaveBeenCalled();
+      expect(emit).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Distribution = require('../models/Distribution');
+const ImportJob = require('../models/ImportJob');
+const Record = require('../models/Record');
+const RejectedRow = require('../models/RejectedRow');
+const Schedule = require('../models/Schedule');
+const { cleanupFile } = require('../utils/upload');
+const { recoverInterruptedJobs } = require('../utils/importJobRunner');
+
+jest.mock('../utils/upload', () => ({
+  ...jest.requireActual('../utils/upload'),
+  cleanupFile: jest.fn()
+}));
+
+const job = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: 'running',
+  filePath: '/tmp/import.csv',
+  distribution: null,
+  save: jest.fn().mockResolvedValue(),
+  ...fields
+});
+
+describe('importJobRunner', () => {
+  describe('recoverInterruptedJobs', () => {
+    let deletes;
+
+    beforeEach(() => {
+      deletes = {
+        records: jest.spyOn(Record, 'deleteMany').mockResolvedValue({}),
+        rejectedRows: jest.spyOn(RejectedRow, 'deleteMany').mockResolvedValue({}),
+        schedules: jest.spyOn(Schedule, 'deleteMany').mockResolvedValue({}),
+        distribution: jest.spyOn(Distribution, 'deleteOne').mockResolvedValue({})
+      };
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      cleanupFile.mockClear();
+    });
+
+    it('fails interrupted jobs and removes the processing distribution they left behind', async () => {
+      const distributionId = new mongoose.Types.ObjectId();
+      const running = job({ distribution: distributionId });
+      jest.spyOn(ImportJob, 'find').mockReturnValue({ select: async () => [running] });
+
+      await recoverInterruptedJobs();
+
+      expect(deletes.records).toHaveBeenCalledWith({ distribution: distributionId });
+      expect(deletes.rejectedRows).toHaveBeenCalledWith({ distribution: distributionId });
+      expect(deletes.schedules).toHaveBeenCalledWith({ distribution: distributionId });
+      expect(deletes.distribution).toHaveBeenCalledWith({ _id: distributionId });
+
+      expect(running).toMatchObject({
+        status: 'failed',
+        failureReason: 'Interrupted by server restart',
+        distribution: null,
+        completedAt: expect.any(Date)
+      });
+      expect(running.save).toHaveBeenCalled();
+      expect(cleanupFile).toHaveBeenCalledWith('/tmp/import.csv');
+    });
+
+    it('fails queued jobs that never created a distribution', async () => {
+      const queued = job({ status: 'queued' });
+      jest.spyOn(ImportJob, 'find').mockReturnValue({ select: async () => [queued] });
+
+      await recoverInterruptedJobs();
+
+      expect(deletes.distribution).not.toHaveBeenCalled();
+      expect(queued.status).toBe('failed');
+    });
+  });
+});
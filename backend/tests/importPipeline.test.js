@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getAgentCapacity } = require('../utils/agentCapacity');
+const { assertPlanApplies } = require('../utils/importPipeline');
+
+jest.mock('../utils/agentCapacity');
+
+const ann = { _id: new mongoose.Types.ObjectId(), name: 'Ann' };
+const bob = { _id: new mongoose.Types.ObjectId(), name: 'Bob' };
+
+const buildPlan = (counts, fields = {}) => ({
+  agents: [ann, bob].map((agent, index) => ({
+    agentId: agent._id,
+    agentName: agent.name,
+    records: Array.from({ length: counts[index] }, () => ({}))
+  })),
+  ...fields
+});
+
+describe('importPipeline', () => {
+  describe('assertPlanApplies', () => {
+    beforeEach(() => {
+      getAgentCapacity.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('accepts a plan whose agents are active and have room', async () => {
+      jest.spyOn(User, 'find').mockResolvedValue([ann, bob]);
+      getAgentCapacity.mockResolvedValue({ [ann._id.toString()]: 3 });
+
+      await expect(assertPlanApplies(buildPlan([3, 2]))).resolves.toBeUndefined();
+    });
+
+    it('refuses a plan giving records to an agent deactivated since the preview', async () => {
+      const find = jest.spyOn(User, 'find').mockResolvedValue([ann]);
+
+      await expect(assertPlanApplies(buildPlan([2, 2]))).rejects.toMatchObject({
+        statusCode: 409,
+        details: { inactiveAgents: [{ agentId: bob._id, agentName: 'Bob' }], overCapacity: [] }
+      });
+      expect(find.mock.calls[0][0]).toMatchObject({ role: 'agent', isActive: true });
+    });
+
+    it('refuses a plan giving an agent more records than they now have room for', async () => {
+      jest.spyOn(User, 'find').mockResolvedValue([ann, bob]);
+      getAgentCapacity.mockResolvedValue({ [bob._id.toString()]: 1 });
+
+      await expect(assertPlanApplies(buildPlan([2, 4]))).rejects.toMatchObject({
+        statusCode: 409,
+        details: {
+          inactiveAgents: [],
+          overCapacity: [{ agentId: bob._id, agentName: 'Bob', planned: 4, remaining: 1 }]
+        }
+      });
+    });
+
+    it('ignores agents the plan gives nothing to', async () => {
+      const find = jest.spyOn(User, 'find').mockResolvedValue([ann]);
+
+      await expect(assertPlanApplies(buildPlan([2, 0]))).resolves.toBeUndefined();
+      expect(find.mock.calls[0][0]._id.$in).toEqual([ann._id]);
+    });
+
+    it.each([
+      ['held for a release', { release: { runAt: new Date() } }],
+      ['kept for the queue', { assignmentMode: 'pull' }]
+    ])('skips plans %s', async (label, fields) => {
+      const find = jest.spyOn(User, 'find');
+
+      await expect(assertPlanApplies(buildPlan([2, 2], fields))).resolves.toBeUndefined();
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const MappingTemplate = require('../models/MappingTemplate');
+const FileProcessor = require('../utils/fileProcessor');
+
+const buildTemplate = (name, mappings, lastUsedAt) => new MappingTemplate({
+  name,
+  mappings,
+  createdBy: new mongoose.Types.ObjectId(),
+  lastUsedAt
+});
+
+const crmExport = buildTemplate('CRM export', [
+  { source: 'Contact Name', target: 'firstName', transforms: ['trim', 'splitFullName'] },
+  { source: 'Mobile #', target: 'phone', transforms: ['trim'] },
+  { source: 'Region', target: 'country', transforms: ['trim', 'uppercase'] }
+]);
+
+describe('mapping templates', () => {
+  describe('findBestMatch', () => {
+    const narrow = buildTemplate('Phone only', [{ source: 'mobile', target: 'phone' }]);
+    const unrelated = buildTemplate('Webinar list', [
+      { source: 'Attendee', target: 'firstName' },
+      { source: 'Mobile', target: 'phone' }
+    ]);
+
+    // Stub find().sort() with the saved templates
+    const mockTemplates = (templates) => jest.spyOn(MappingTemplate, 'find').mockReturnValue({
+      sort: async () => templates
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('suggests the template matching the most headers, ignoring case and punctuation', async () => {
+      mockTemplates([narrow, crmExport, unrelated]);
+
+      await expect(MappingTemplate.findBestMatch(['contact name', 'MOBILE', 'region', 'Notes'])).resolves.toEqual({
+        templateId: crmExport._id,
+        name: 'CRM export',
+        matchedHeaders: 3
+      });
+    });
+
+    it('skips templates whose source headers are not all in the file', async () => {
+      mockTemplates([crmExport, unrelated]);
+
+      await expect(MappingTemplate.findBestMatch(['Contact Name', 'Mobile'])).resolves.toBeNull();
+    });
+
+    it('returns nothing for a file without headers', async () => {
+      const find = mockTemplates([crmExport]);
+
+      await expect(MappingTemplate.findBestMatch([])).resolves.toBeNull();
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('mapRow with a template', () => {
+    const processor = new FileProcessor({ mappingTemplate: crmExport });
+
+    it('indexes the template mappings once, by normalized source header', () => {
+      expect([...processor.mappingsBySource.keys()]).toEqual(['contactname', 'mobile', 'region']);
+    });
+
+    it('applies transforms and splits full names into firstName and lastName', () => {
+      expect(processor.mapRow({
+        'Contact Name': '  Mary Ann Smith ',
+        'Mobile #': ' +1 415 555 2671 ',
+        Region: ' us'
+      })).toEqual({
+        firstName: 'Mary',
+        lastName: 'Ann Smith',
+        phone: '+1 415 555 2671',
+        country: 'US'
+      });
+    });
+
+    it('keeps single-word names and an explicit lastName column', () => {
+      const withLastName = new FileProcessor({
+        mappingTemplate: buildTemplate('With surname', [
+          { source: 'Surname', target: 'lastName' },
+          { source: 'Name', target: 'firstName', transforms: ['splitFullName'] }
+        ])
+      });
+
+      expect(processor.mapRow({ 'Contact Name': 'Cher' })).toEqual({ firstName: 'Cher' });
+      expect(withLastName.mapRow({ Surname: 'Jones', Name: 'Ann Smith' })).toEqual({ firstName: 'Ann', lastName: 'Jones' });
+    });
+
+    it('applies transforms in order', () => {
+      const lowerFirst = new FileProcessor({
+        mappingTemplate: buildTemplate('Lower', [
+          { source: 'Name', target: 'firstName', transforms: ['splitFullName', 'lowercase'] }
+        ])
+      });
+
+      expect(lowerFirst.mapRow({ Name: 'ANN SMITH' })).toEqual({ firstName: 'ann', lastName: 'SMITH' });
+    });
+
+    it('falls back to the usual header names for columns the template does not cover', () => {
+      expect(processor.mapRow({ 'Contact Name': 'Ann', Comments: 'Call after 5', firstName: 'Ignored' })).toEqual({
+        firstName: 'Ann',
+        notes: 'Call after 5'
+      });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { normalizePhone, getDefaultPhoneCountry } = require('../utils/phoneNormalizer');
+
+describe('phoneNormalizer', () => {
+  describe('normalizePhone', () => {
+    it('normalizes international numbers to E.164 with their type and country', () => {
+      expect(normalizePhone('+1 415 555 2671')).toEqual({
+        phone: '+14155552671',
+        phoneOriginal: '+1 415 555 2671',
+        phoneType: 'mobile-or-landline',
+        phoneCountry: 'US'
+      });
+    });
+
+    it('reads 00 as the international prefix', () => {
+      expect(normalizePhone('0044 20 7946 0958')).toMatchObject({ phone: '+442079460958', phoneType: 'landline' });
+    });
+
+    it('reads national numbers in the default country', () => {
+      expect(normalizePhone('07400 123456', { defaultCountry: 'GB' }))
+        .toMatchObject({ phone: '+447400123456', phoneType: 'mobile', phoneCountry: 'GB' });
+    });
+
+    it('prefers the row country over the default country', () => {
+      expect(normalizePhone('020 7946 0958', { defaultCountry: 'US', country: 'gb' }))
+        .toMatchObject({ phone: '+442079460958', phoneCountry: 'GB' });
+    });
+
+    it('accepts a calling code as the row country', () => {
+      expect(normalizePhone('09876543210', { country: '+91' }))
+        .toMatchObject({ phone: '+919876543210', phoneCountry: 'IN' });
+    });
+
+    it('keeps the digits of national numbers when no country is known', () => {
+      expect(normalizePhone('415-555-2671')).toEqual({
+        phone: '4155552671',
+        phoneOriginal: '415-555-2671',
+        phoneType: 'unknown',
+        phoneCountry: null
+      });
+    });
+
+    it('rejects numbers without a country that are too short or too long', () => {
+      expect(normalizePhone('12345')).toEqual({ error: 'Invalid phone number format' });
+      expect(normalizePhone('1234567890123456')).toEqual({ error: 'Invalid phone number format' });
+    });
+
+    it('rejects numbers that are not possible for their country', () => {
+      expect(normalizePhone('12', { defaultCountry: 'US' }))
+        .toEqual({ error: 'Phone number is not possible for its country' });
+    });
+
+    it('rejects unknown row countries', () => {
+      expect(normalizePhone('4155552671', { country: 'Narnia' })).toEqual({ error: 'Unknown country "Narnia"' });
+    });
+  });
+
+  describe('getDefaultPhoneCountry', () => {
+    const original = process.env.DEFAULT_PHONE_COUNTRY;
+
+    afterEach(() => {
+      if (original === undefined) {
+        delete process.env.DEFAULT_PHONE_COUNTRY;
+      } else {
+        process.env.DEFAULT_PHONE_COUNTRY = original;
+      }
+    });
+
+    it('reads a supported country from the environment', () => {
+      process.env.DEFAULT_PHONE_COUNTRY = ' in ';
+      expect(getDefaultPhoneCountry()).toBe('IN');
+    });
+
+    it('ignores unset or unsupported countries', () => {
+      delete process.env.DEFAULT_PHONE_COUNTRY;
+      expect(getDefaultPhoneCountry()).toBeNull();
+
+      process.env.DEFAULT_PHONE_COUNTRY = 'XX';
+      expect(getDefaultPhoneCountry()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const User = require('../models/User');
+const { adjustAgentCount } = require('../utils/recordPool');
+const { reassignRecord } = require('../controllers/distributionControllerNew');
+
+jest.mock('../utils/recordPool', () => ({
+  ...jest.requireActual('../utils/recordPool'),
+  adjustAgentCount: jest.fn()
+}));
+
+const admin = { _id: new mongoose.Types.ObjectId() };
+const agent = { _id: new mongoose.Types.ObjectId(), name: 'Ann', email: 'ann@example.com' };
+
+const buildRecord = (fields = {}) => new Record({
+  _id: new mongoose.Types.ObjectId(),
+  distribution: new mongoose.Types.ObjectId(),
+  firstName: 'Jo',
+  phone: '+15551234567',
+  ...fields
+});
+
+// Stub findById(...).select(...) on a model
+const mockFound = (Model, doc) => jest.spyOn(Model, 'findById').mockReturnValue({
+  select: async () => doc
+});
+
+// Run the handler and resolve with the response or the error passed to next
+const reassign = (record, body = {}) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn((payload) => resolve({ statusCode: res.status.mock.calls[0]?.[0] || 200, payload }))
+  };
+  const req = {
+    params: { recordId: record._id.toString() },
+    body: { agentId: agent._id.toString(), ...body },
+    user: admin,
+    app: { get: () => null }
+  };
+
+  reassignRecord(req, res, (error) => resolve({ error }));
+});
+
+describe('reassignRecord', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(agent);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    adjustAgentCount.mockClear();
+  });
+
+  it('assigns the record and moves the agent count', async () => {
+    const record = buildRecord();
+    mockFound(Record, record);
+    mockFound(Distribution, { _id: record.distribution, lifecycle: 'active', status: 'completed' });
+    jest.spyOn(record, 'save').mockResolvedValue(record);
+
+    const { statusCode, payload } = await reassign(record);
+
+    expect(statusCode).toBe(200);
+    expect(payload.success).toBe(true);
+    expect(record.assignedAgent).toEqual(agent._id);
+    expect(adjustAgentCount).toHaveBeenCalledWith(record.distribution, agent, 1);
+  });
+
+  it.each([
+    ['closed', 'completed'],
+    ['archived', 'completed'],
+    ['active', 'processing']
+  ])('refuses records of a %s distribution with status %s', async (lifecycle, status) => {
+    const record = buildRecord();
+    mockFound(Record, record);
+    mockFound(Distribution, { _id: record.distribution, lifecycle, status });
+    const save = jest.spyOn(record, 'save');
+
+    const { error } = await reassign(record);
+
+    expect(error).toMatchObject({ statusCode: 409 });
+    expect(save).not.toHaveBeenCalled();
+    expect(adjustAgentCount).not.toHaveBeenCalled();
+  });
+
+  it.each(['suppressed', 'scheduled'])('refuses records held in the pool as %s', async (unassignedReason) => {
+    const record = buildRecord({ unassignedReason });
+    mockFound(Record, record);
+    mockFound(Distribution, { _id: record.distribution, lifecycle: 'active', status: 'scheduled' });
+    const save = jest.spyOn(record, 'save');
+
+    const { statusCode, payload } = await reassign(record);
+
+    expect(statusCode).toBe(409);
+    expect(payload.success).toBe(false);
+    expect(save).not.toHaveBeenCalled();
+    expect(record.assignedAgent).toBeNull();
+  });
+
+  it('refuses records claimed by someone else', async () => {
+    const record = buildRecord({
+      claimedBy: new mongoose.Types.ObjectId(),
+      claimExpiresAt: new Date(Date.now() + 60 * 1000)
+    });
+    mockFound(Record, record);
+    mockFound(Distribution, { _id: record.distribution, lifecycle: 'active', status: 'completed' });
+
+    const { error } = await reassign(record);
+
+    expect(error).toMatchObject({ statusCode: 409, message: 'This record is being worked by someone else' });
+  });
+
+  it('refuses a stale version', async () => {
+    const record = buildRecord();
+    mockFound(Record, record);
+    mockFound(Distribution, { _id: record.distribution, lifecycle: 'active', status: 'completed' });
+
+    const { error } = await reassign(record, { version: 5 });
+
+    expect(error).toMatchObject({ statusCode: 409, details: { current: expect.objectContaining({ version: 0 }) } });
+  });
+});
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Record = require('../models/Record');
+const { assertEditable, saveRecord } = require('../utils/recordLocking');
+
+const userId = new mongoose.Types.ObjectId();
+const otherUser = new mongoose.Types.ObjectId();
+const inMinutes = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+describe('recordLocking', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('assertEditable', () => {
+    it('refuses records claimed by someone else, with their current state', () => {
+      const record = { _id: new mongoose.Types.ObjectId(), __v: 2, claimedBy: otherUser, claimExpiresAt: inMinutes(5) };
+
+      expect(() => assertEditable(record, { userId })).toThrow(expect.objectContaining({
+        statusCode: 409,
+        details: { current: expect.objectContaining({ claimedBy: otherUser, version: 2 }) }
+      }));
+    });
+
+    it('lets the claim holder edit and ignores expired claims', () => {
+      expect(() => assertEditable({ claimedBy: userId, claimExpiresAt: inMinutes(5) }, { userId })).not.toThrow();
+      expect(() => assertEditable({ claimedBy: otherUser, claimExpiresAt: inMinutes(-1) }, { userId })).not.toThrow();
+    });
+
+    it('refuses an out-of-date version', () => {
+      const record = { _id: new mongoose.Types.ObjectId(), __v: 3 };
+
+      expect(() => assertEditable(record, { userId, version: '2' })).toThrow(expect.objectContaining({
+        statusCode: 409,
+        message: expect.stringMatching(/changed since you loaded it/)
+      }));
+      expect(() => assertEditable(record, { userId, version: 3 })).not.toThrow();
+      expect(() => assertEditable(record, { userId })).not.toThrow();
+    });
+  });
+
+  describe('saveRecord', () => {
+    it('turns a concurrent save into a 409 with the stored state', async () => {
+      const record = new Record({ _id: new mongoose.Types.ObjectId() });
+      const stored = { _id: record._id, __v: 4, status: 'contacted' };
+      jest.spyOn(record, 'save').mockRejectedValue(new mongoose.Error.VersionError(record, 0, []));
+      jest.spyOn(Record, 'findById').mockResolvedValue(stored);
+
+      await expect(saveRecord(record)).rejects.toMatchObject({
+        statusCode: 409,
+        details: { current: expect.objectContaining({ version: 4, status: 'contacted' }) }
+      });
+    });
+
+    it('reports a record deleted in the meantime as not found', async () => {
+      const record = new Record({ _id: new mongoose.Types.ObjectId() });
+      jest.spyOn(record, 'save').mockRejectedValue(new mongoose.Error.VersionError(record, 0, []));
+      jest.spyOn(Record, 'findById').mockResolvedValue(null);
+
+      await expect(saveRecord(record)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const User = require('../models/User');
+const { releasePool } = require('../utils/recordPool');
+
+const ann = { _id: new mongoose.Types.ObjectId(), name: 'Ann', email: 'ann@example.com', isActive: true };
+
+const poolRecord = (index) => ({
+  _id: new mongoose.Types.ObjectId(),
+  firstName: `Lead ${index}`,
+  phone: `+1415555000${index}`,
+  notes: ''
+});
+
+// Stub the pool lookup, which is awaited as a query
+const mockPool = (records) => {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    lean: () => query,
+    limit: () => query,
+    then: (resolve, reject) => Promise.resolve(records).then(resolve, reject)
+  };
+  return jest.spyOn(Record, 'find').mockReturnValue(query);
+};
+
+describe('recordPool', () => {
+  describe('releasePool', () => {
+    let distribution;
+    let updateDistribution;
+
+    beforeEach(() => {
+      distribution = {
+        _id: new mongoose.Types.ObjectId(),
+        distributionStrategy: 'equal',
+        agents: [],
+        summary: {},
+        save: jest.fn()
+      };
+      jest.spyOn(User, 'find').mockResolvedValue([ann]);
+      jest.spyOn(Record, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(Record, 'bulkWrite').mockResolvedValue({});
+      updateDistribution = jest.spyOn(Distribution, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('assigns pool records and adds them to the agent\'s count atomically', async () => {
+      const records = [poolRecord(1), poolRecord(2)];
+      mockPool(records);
+      const assign = jest.spyOn(Record, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+      const result = await releasePool(distribution);
+
+      expect(assign).toHaveBeenCalledWith(
+        { _id: { $in: records.map(record => record._id) }, assignedAgent: null },
+        expect.objectContaining({ $set: expect.objectContaining({ assignedAgent: ann._id, unassignedReason: null }) })
+      );
+      expect(updateDistribution).toHaveBeenCalledWith(
+        { _id: distribution._id, 'agents.agentId': ann._id },
+        { $inc: { 'agents.$.assignedCount': 2, 'summary.unassignedRecords': -2 } }
+      );
+      expect(result.releasedCount).toBe(2);
+      expect(distribution.save).not.toHaveBeenCalled();
+    });
+
+    it('only counts records that were still in the pool', async () => {
+      const records = [poolRecord(1), poolRecord(2)];
+      mockPool(records);
+      jest.spyOn(Record, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      // The second record was claimed from the queue first
+      jest.spyOn(Record, 'distinct').mockResolvedValue([records[0]._id]);
+
+      const result = await releasePool(distribution);
+
+      expect(result.releasedCount).toBe(1);
+      expect(result.agents[0].records.map(record => record._id)).toEqual([records[0]._id]);
+      expect(updateDistribution).toHaveBeenCalledWith(
+        { _id: distribution._id, 'agents.agentId': ann._id },
+        { $inc: { 'agents.$.assignedCount': 1, 'summary.unassignedRecords': -1 } }
+      );
+    });
+
+    it('rejects an empty pool with 400', async () => {
+      mockPool([]);
+
+      await expect(releasePool(distribution)).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'This distribution has no unassigned records'
+      });
+    });
+  });
+});
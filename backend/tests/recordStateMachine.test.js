@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const Record = require('../models/Record');
+const { roleForSource, getAllowedTransitions, assertTransition } = require('../utils/recordStateMachine');
+
+describe('recordStateMachine', () => {
+  describe('roleForSource', () => {
+    it('maps history sources to transition roles', () => {
+      expect(roleForSource('agent-ui')).toBe('agent');
+      expect(roleForSource('admin-override')).toBe('admin');
+      expect(roleForSource('automation')).toBe('system');
+    });
+
+    it('passes unknown sources through', () => {
+      expect(roleForSource('admin')).toBe('admin');
+    });
+  });
+
+  describe('getAllowedTransitions', () => {
+    it('lists the statuses a role may move to', () => {
+      expect(getAllowedTransitions('pending', 'agent').map(t => t.status))
+        .toEqual(['in-progress', 'completed', 'failed']);
+    });
+
+    it('flags recycling transitions', () => {
+      expect(getAllowedTransitions('failed', 'system')).toEqual([{ status: 'pending', recycle: true }]);
+    });
+
+    it('returns nothing for closed statuses the role cannot reopen', () => {
+      expect(getAllowedTransitions('completed', 'agent')).toEqual([]);
+    });
+  });
+
+  describe('assertTransition', () => {
+    it('returns the rule for an allowed move', () => {
+      expect(assertTransition('pending', 'completed', 'agent')).toEqual({ roles: ['agent', 'admin', 'system'] });
+    });
+
+    it('returns null when the status is unchanged', () => {
+      expect(assertTransition('completed', 'completed', 'agent')).toBeNull();
+    });
+
+    it('rejects unknown statuses with 400', () => {
+      expect(() => assertTransition('pending', 'archived', 'agent'))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('rejects moves the role may not make with 409 and the allowed statuses', () => {
+      let error;
+      try {
+        assertTransition('failed', 'pending', 'agent');
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.statusCode).toBe(409);
+      expect(error.message).toBe('Cannot change status from failed to pending. No further changes are allowed');
+      expect(error.details).toEqual({
+        currentStatus: 'failed',
+        requestedStatus: 'pending',
+        allowedStatuses: []
+      });
+    });
+
+    it('names the allowed statuses when there are some', () => {
+      expect(() => assertTransition('completed', 'failed', 'admin'))
+        .toThrow('Cannot change status from completed to failed. Allowed: pending');
+    });
+  });
+
+  describe('Record#recordChange', () => {
+    const changedBy = new mongoose.Types.ObjectId();
+
+    it('logs an allowed change in the history', () => {
+      const record = new Record({ status: 'pending', notes: 'Call back' });
+
+      expect(record.recordChange({ status: 'completed', changedBy, source: 'agent-ui' })).toBe(true);
+      expect(record.status).toBe('completed');
+      expect(record.completedAt).toBeInstanceOf(Date);
+      expect(record.history).toHaveLength(1);
+      expect(record.history[0]).toMatchObject({ fromStatus: 'pending', toStatus: 'completed', source: 'agent-ui' });
+    });
+
+    it('leaves the record alone when a move is refused', () => {
+      const record = new Record({ status: 'completed' });
+
+      expect(() => record.recordChange({ status: 'failed', changedBy, source: 'agent-ui' }))
+        .toThrow(expect.objectContaining({ statusCode: 409 }));
+      expect(record.status).toBe('completed');
+      expect(record.history).toHaveLength(0);
+    });
+
+    it('counts recycling transitions', () => {
+      const record = new Record({ status: 'failed' });
+
+      record.recordChange({ status: 'pending', changedBy, source: 'automation' });
+
+      expect(record.recycleCount).toBe(1);
+      expect(record.lastRecycledAt).toBeInstanceOf(Date);
+    });
+
+    it('returns false when nothing changes', () => {
+      const record = new Record({ status: 'pending', notes: 'Same' });
+
+      expect(record.recordChange({ status: 'pending', notes: 'Same', changedBy, source: 'agent-ui' })).toBe(false);
+      expect(record.history).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const Schedule = require('../models/Schedule');
+const User = require('../models/User');
+const { adjustAgentCount } = require('../utils/recordPool');
+const { EXHAUSTED_DISPOSITION, recycleDistribution } = require('../utils/recycling');
+const { runSchedule } = require('../utils/scheduler');
+
+jest.mock('../utils/recordPool');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const systemUser = { _id: new mongoose.Types.ObjectId() };
+const ann = { _id: new mongoose.Types.ObjectId(), name: 'Ann', role: 'agent', isActive: true };
+const bob = { _id: new mongoose.Types.ObjectId(), name: 'Bob', role: 'agent', isActive: true };
+
+const distribution = (recycling = {}, assignmentMode = 'push') => ({
+  _id: new mongoose.Types.ObjectId(),
+  assignmentMode,
+  recycling: {
+    enabled: true,
+    maxAttempts: 3,
+    cooldownMinutes: 60,
+    moveToDifferentAgent: false,
+    recycleFailed: true,
+    dispositions: [],
+    ...recycling
+  }
+});
+
+const record = (fields = {}) => new Record({
+  firstName: 'Lead',
+  phone: '+14155552671',
+  status: 'failed',
+  assignedAgent: ann._id,
+  attempts: 0,
+  lastAttemptAt: new Date('2026-10-19T10:00:00Z'),
+  ...fields
+});
+
+// Stub the recyclable records lookup, returning the find spy
+const mockRecyclable = (records) => jest.spyOn(Record, 'find').mockReturnValue({
+  sort: () => ({ limit: async () => records })
+});
+
+describe('recycling', () => {
+  let save;
+
+  beforeEach(() => {
+    save = jest.spyOn(Record.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    adjustAgentCount.mockClear();
+  });
+
+  describe('recycleDistribution', () => {
+    it('does nothing when no rule can qualify a record', async () => {
+      const find = mockRecyclable([]);
+
+      const result = await recycleDistribution(distribution({ recycleFailed: false }), { systemUser, now });
+
+      expect(result).toEqual({ recycled: 0, exhausted: 0 });
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('looks for qualifying records whose cooldown has passed', async () => {
+      const find = mockRecyclable([]);
+      const target = distribution({ dispositions: ['NO_ANSWER'] });
+
+      await recycleDistribution(target, { systemUser, now });
+
+      const [query] = find.mock.calls[0];
+      expect(query).toMatchObject({
+        distribution: target._id,
+        status: { $ne: 'completed' },
+        lastAttemptAt: { $lte: new Date('2026-10-19T11:00:00Z') },
+        exhaustedAt: null,
+        'followUp.dueAt': null
+      });
+      expect(query.$and[0]).toEqual({
+        $or: [
+          { 'disposition.code': { $in: ['NO_ANSWER'] } },
+          { status: 'failed', 'disposition.code': null }
+        ]
+      });
+    });
+
+    it('reopens records with attempts left and closes the rest as exhausted', async () => {
+      const retry = record({ attempts: 1 });
+      const last = record({ attempts: 2 });
+      mockRecyclable([retry, last]);
+
+      const result = await recycleDistribution(distribution(), { systemUser, now });
+
+      expect(result).toEqual({ recycled: 1, exhausted: 1 });
+
+      expect(retry.status).toBe('pending');
+      expect(retry.attempts).toBe(2);
+      expect(retry.recycleCount).toBe(1);
+      expect(retry.lastAttemptAt).toBeNull();
+      expect(retry.assignedAgent).toEqual(ann._id);
+
+      expect(last.status).toBe('failed');
+      expect(last.attempts).toBe(3);
+      expect(last.exhaustedAt).toEqual(now);
+      expect(last.disposition.code).toBe(EXHAUSTED_DISPOSITION.code);
+      expect(save).toHaveBeenCalledTimes(2);
+      expect(adjustAgentCount).not.toHaveBeenCalled();
+    });
+
+    it('counts a recycled call once when the record is already pending', async () => {
+      const noAnswer = record({ status: 'pending', disposition: { code: 'NO_ANSWER', label: 'No answer' } });
+      mockRecyclable([noAnswer]);
+
+      await recycleDistribution(distribution({ dispositions: ['NO_ANSWER'] }), { systemUser, now });
+
+      expect(noAnswer.recycleCount).toBe(1);
+      expect(noAnswer.history).toHaveLength(0);
+    });
+
+    it('returns records of pull distributions to the work queue', async () => {
+      const queued = record();
+      const emit = jest.fn();
+      const io = { to: jest.fn(() => ({ emit })) };
+      const target = distribution({}, 'pull');
+      mockRecyclable([queued]);
+
+      await recycleDistribution(target, { systemUser, now, io });
+
+      expect(queued.assignedAgent).toBeNull();
+      expect(queued.unassignedReason).toBe('queued');
+      expect(adjustAgentCount).toHaveBeenCalledWith(target._id, { _id: ann._id }, -1);
+      expect(io.to).toHaveBeenCalledWith(`agent_${ann._id}`);
+      expect(emit).toHaveBeenCalledWith('recordReassigned', { recordId: queued._id, distributionId: target._id });
+    });
+
+    it('moves records to a different agent when asked to', async () => {
+      const moving = record();
+      const target = distribution({ moveToDifferentAgent: true });
+      mockRecyclable([moving]);
+      jest.spyOn(User, 'find').mockResolvedValue([ann, bob]);
+      jest.spyOn(Record, 'getOpenRecordCounts').mockResolvedValue({});
+
+      const result = await recycleDistribution(target, { systemUser, now });
+
+      expect(result.recycled).toBe(1);
+      expect(moving.assignedAgent).toEqual(bob._id);
+      expect(adjustAgentCount).toHaveBeenCalledWith(target._id, { _id: ann._id }, -1);
+      expect(adjustAgentCount).toHaveBeenCalledWith(target._id, bob, 1);
+    });
+
+    it('skips records changed since they were read', async () => {
+      const changed = record();
+      mockRecyclable([changed]);
+      save.mockRejectedValue(Object.assign(new Error('No matching document'), { name: 'VersionError' }));
+
+      const result = await recycleDistribution(distribution(), { systemUser, now });
+
+      expect(result).toEqual({ recycled: 0, exhausted: 0 });
+    });
+  });
+
+  describe('with recycle schedules', () => {
+    it('leaves records closed as exhausted to automatic recycling', async () => {
+      const last = record({ attempts: 2 });
+      const target = distribution();
+      mockRecyclable([last]);
+
+      await recycleDistribution(target, { systemUser, now });
+      expect(last.exhaustedAt).toEqual(now);
+
+      // The recurring schedule runs later over the same records; the store
+      // applies its exhaustedAt filter
+      last.assignedAt = new Date('2026-10-01T00:00:00Z');
+      const find = jest.spyOn(Record, 'find').mockImplementation(query => ({
+        sort: () => ({
+          limit: async () => [last].filter(candidate => query.exhaustedAt !== null || !candidate.exhaustedAt)
+        })
+      }));
+      jest.spyOn(Distribution, 'getHiddenFromAgents').mockResolvedValue([]);
+      jest.spyOn(User, 'find').mockResolvedValue([ann, bob]);
+      jest.spyOn(User, 'getSystemUser').mockResolvedValue(systemUser);
+      jest.spyOn(Schedule, 'findByIdAndUpdate').mockImplementation(async (id, update) => update);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const result = await runSchedule({
+        _id: new mongoose.Types.ObjectId(),
+        type: 'recycle',
+        recycle: { statuses: ['failed'], staleHours: 24, distributions: [], strategy: 'equal' }
+      });
+
+      expect(find.mock.calls[0][0]).toMatchObject({ exhaustedAt: null });
+      expect(result.lastResult).toEqual({ records: 0, message: 'No records to recycle' });
+      expect(last).toMatchObject({ status: 'failed', attempts: 3, assignedAgent: ann._id });
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const XLSX = require('xlsx');
+const RejectedRow = require('../models/RejectedRow');
+const FileProcessor = require('../utils/fileProcessor');
+const { buildRejectionReport } = require('../utils/rejectionReport');
+
+const distributionId = new mongoose.Types.ObjectId();
+
+describe('rejectionReport', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rejection-report-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Write an upload to disk and read it
+  const processUpload = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+
+    return new FileProcessor().processFile({
+      path: filePath,
+      originalname: name,
+      size: Buffer.byteLength(content)
+    });
+  };
+
+  // Store rejected rows the way an import does, without a database
+  const recordRejected = async (rejected) => {
+    jest.spyOn(RejectedRow, 'insertMany').mockImplementation(async (docs) => docs.map(doc => new RejectedRow(doc)));
+    return RejectedRow.record(distributionId, rejected);
+  };
+
+  it('reports rejected rows with their original columns, location and errors', async () => {
+    const upload = await processUpload('leads.csv', [
+      'firstName,phone,notes,Region',
+      'Ann,+1 415 555 2671,New,West',
+      'Bob,not a phone,Call,East'
+    ].join('\n'));
+    const rejectedRows = await recordRejected(upload.rejected);
+
+    const report = buildRejectionReport(rejectedRows, { headers: upload.headers });
+    const [header, row, ...rest] = report.content.split('\n');
+
+    expect(report.contentType).toBe('text/csv');
+    expect(header).toBe('firstName,phone,notes,Region,Source File,Source Sheet,Source Row,Validation Error');
+    expect(row).toMatch(/^Bob,not a phone,Call,East,,,2,phone: /);
+    expect(rest).toEqual([]);
+  });
+
+  it('re-imports a corrected report pointing back at the original rows', async () => {
+    const upload = await processUpload('leads.csv', [
+      'firstName,phone,notes',
+      'Ann,+1 415 555 2671,New',
+      'Bob,not a phone,Call',
+      'Cy,also bad,Call'
+    ].join('\n'));
+    const rejectedRows = await recordRejected(upload.rejected);
+    const report = buildRejectionReport(rejectedRows, { headers: upload.headers });
+
+    // Fix one row and leave the other broken
+    const corrected = report.content.replace('not a phone', '+1 415 555 2672');
+    const reimport = await processUpload('corrected.csv', corrected);
+
+    expect(reimport.data).toHaveLength(1);
+    expect(reimport.data[0]).toMatchObject({ firstName: 'Bob', phone: '+14155552672', reportRow: 2 });
+    expect(reimport.data[0]).not.toHaveProperty('customFields');
+    expect(reimport.rejected).toHaveLength(1);
+    expect(reimport.rejected[0]).toMatchObject({
+      reportRow: 3,
+      data: [
+        { column: 'firstName', value: 'Cy' },
+        { column: 'phone', value: 'also bad' },
+        { column: 'notes', value: 'Call' }
+      ]
+    });
+  });
+
+  it('builds an XLSX report with the same rows', async () => {
+    const upload = await processUpload('leads.csv', 'firstName,phone,notes\nBob,not a phone,Call\nAnn,+1 415 555 2671,New');
+    const rejectedRows = await recordRejected(upload.rejected);
+
+    const report = buildRejectionReport(rejectedRows, { headers: upload.headers, format: 'xlsx' });
+    const workbook = XLSX.read(report.content, { type: 'buffer' });
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets['Rejected Rows']);
+
+    expect(report.contentType).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    expect(rows).toEqual([expect.objectContaining({ firstName: 'Bob', phone: 'not a phone', 'Source Row': 1 })]);
+  });
+});
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const { hashFile } = require('../utils/upload');
+const {
+  fingerprintRow,
+  findFileMatch,
+  countRowMatches,
+  findRowMatch,
+  enforceReuploadPolicy,
+  toReuploadMetadata
+} = require('../utils/reuploadDetector');
+
+const earlier = {
+  _id: new mongoose.Types.ObjectId(),
+  originalFileName: 'leads-monday.csv',
+  createdAt: new Date('2026-10-12T09:00:00Z')
+};
+
+// Stub a findOne/findById chain ending in lean()
+const leanQuery = (doc) => {
+  const query = {
+    sort: jest.fn(() => query),
+    select: jest.fn(() => query),
+    lean: jest.fn(async () => doc)
+  };
+  return query;
+};
+
+describe('reuploadDetector', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('file matches', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reupload-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('gives identical files the same content hash', async () => {
+      const content = 'firstName,phone,notes\nAnn,+1 415 555 2671,New\n';
+      fs.writeFileSync(path.join(dir, 'first.csv'), content);
+      fs.writeFileSync(path.join(dir, 'second.csv'), content);
+      fs.writeFileSync(path.join(dir, 'edited.csv'), `${content}Bob,+1 415 555 2672,New\n`);
+
+      const [first, second, edited] = await Promise.all(
+        ['first.csv', 'second.csv', 'edited.csv'].map(name => hashFile(path.join(dir, name)))
+      );
+
+      expect(first).toMatch(/^[a-f0-9]{64}$/);
+      expect(second).toBe(first);
+      expect(edited).not.toBe(first);
+    });
+
+    it('links an upload to the latest distribution with the same hash', async () => {
+      const query = leanQuery(earlier);
+      const findOne = jest.spyOn(Distribution, 'findOne').mockReturnValue(query);
+      const exclude = new mongoose.Types.ObjectId();
+
+      await expect(findFileMatch('abc123', { excludeDistribution: exclude })).resolves.toEqual({
+        match: 'file',
+        distributionId: earlier._id,
+        originalFileName: 'leads-monday.csv',
+        uploadedAt: earlier.createdAt
+      });
+      expect(findOne).toHaveBeenCalledWith({ contentHash: 'abc123', status: { $ne: 'failed' }, _id: { $ne: exclude } });
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+    });
+
+    it('finds nothing for a new file', async () => {
+      jest.spyOn(Distribution, 'findOne').mockReturnValue(leanQuery(null));
+
+      await expect(findFileMatch('abc123')).resolves.toBeNull();
+      await expect(findFileMatch(null)).resolves.toBeNull();
+    });
+  });
+
+  describe('row matches', () => {
+    it('fingerprints rows regardless of formatting and source', () => {
+      const row = { firstName: 'Ann', phone: '+14155552671', notes: 'New', customFields: { region: 'West', tier: 2 } };
+
+      expect(fingerprintRow({
+        firstName: ' ANN ',
+        phone: '+14155552671',
+        notes: 'new',
+        customFields: { tier: 2, region: 'West' },
+        sheetName: 'East',
+        sourceRow: 9
+      })).toBe(fingerprintRow(row));
+      expect(fingerprintRow({ ...row, notes: 'Call back' })).not.toBe(fingerprintRow(row));
+    });
+
+    it('accumulates matches per earlier distribution across batches', async () => {
+      const other = new mongoose.Types.ObjectId();
+      jest.spyOn(Record, 'aggregate')
+        .mockResolvedValueOnce([{ _id: earlier._id, count: 3 }, { _id: other, count: 1 }])
+        .mockResolvedValueOnce([{ _id: earlier._id, count: 5 }]);
+
+      const counts = await countRowMatches(['a', 'b', 'a']);
+      await countRowMatches(['c'], { counts });
+
+      expect(Record.aggregate.mock.calls[0][0][0].$match.fingerprint.$in).toEqual(['a', 'b']);
+      expect(counts).toEqual(new Map([[earlier._id.toString(), 8], [other.toString(), 1]]));
+    });
+
+    it('reports the distribution holding most rows once the overlap reaches the threshold', async () => {
+      jest.spyOn(Distribution, 'findById').mockReturnValue(leanQuery(earlier));
+      const counts = new Map([[earlier._id.toString(), 9], [new mongoose.Types.ObjectId().toString(), 4]]);
+
+      await expect(findRowMatch(counts, 10)).resolves.toMatchObject({
+        match: 'rows',
+        distributionId: earlier._id,
+        matchedRows: 9,
+        totalRows: 10,
+        overlap: 0.9
+      });
+      await expect(findRowMatch(counts, 11)).resolves.toBeNull();
+    });
+  });
+
+  describe('enforceReuploadPolicy', () => {
+    const reupload = {
+      match: 'file',
+      distributionId: earlier._id,
+      originalFileName: earlier.originalFileName,
+      uploadedAt: earlier.createdAt
+    };
+
+    it('blocks a re-upload in block mode with a link to the earlier distribution', () => {
+      expect(() => enforceReuploadPolicy(reupload, { mode: 'block' })).toThrow(expect.objectContaining({
+        statusCode: 409,
+        message: `This file was already uploaded as distribution ${earlier._id} (leads-monday.csv, uploaded 2026-10-12). Pass force=true to upload it again.`,
+        details: { reupload }
+      }));
+    });
+
+    it('lets re-uploads through in warn mode or when forced', () => {
+      expect(() => enforceReuploadPolicy(reupload, { mode: 'warn' })).not.toThrow();
+      expect(() => enforceReuploadPolicy(reupload, { mode: 'block', force: true })).not.toThrow();
+      expect(() => enforceReuploadPolicy(null, { mode: 'block' })).not.toThrow();
+    });
+
+    it('records the link and whether it was forced', () => {
+      expect(toReuploadMetadata(reupload, { force: true })).toEqual({
+        distribution: earlier._id,
+        match: 'file',
+        matchedRows: undefined,
+        overlap: undefined,
+        forced: true
+      });
+      expect(toReuploadMetadata(null)).toBeUndefined();
+    });
+  });
+});
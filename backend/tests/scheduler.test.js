@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const Schedule = require('../models/Schedule');
+const User = require('../models/User');
+const { parseScheduleTime, isValidTimeZone, resolveRelease, runSchedule } = require('../utils/scheduler');
+
+const iso = (value, timeZone) => parseScheduleTime(value, timeZone).toISOString();
+
+describe('scheduler', () => {
+  describe('parseScheduleTime', () => {
+    it('reads local times in the time zone for standard and daylight time', () => {
+      expect(iso('2026-01-15T08:00', 'America/New_York')).toBe('2026-01-15T13:00:00.000Z');
+      expect(iso('2026-07-15T08:00', 'America/New_York')).toBe('2026-07-15T12:00:00.000Z');
+      expect(iso('2026-10-26 08:00:30', 'Asia/Kolkata')).toBe('2026-10-26T02:30:30.000Z');
+    });
+
+    it('uses the offset in force on either side of a change on the same day', () => {
+      expect(iso('2026-03-08T01:00', 'America/New_York')).toBe('2026-03-08T06:00:00.000Z');
+      expect(iso('2026-03-08T08:00', 'America/New_York')).toBe('2026-03-08T12:00:00.000Z');
+      expect(iso('2026-11-01T00:30', 'America/New_York')).toBe('2026-11-01T04:30:00.000Z');
+      expect(iso('2026-11-01T08:00', 'America/New_York')).toBe('2026-11-01T13:00:00.000Z');
+    });
+
+    it('moves times skipped when clocks go forward ahead by the gap', () => {
+      expect(iso('2026-03-08T02:30', 'America/New_York')).toBe('2026-03-08T07:30:00.000Z');
+      expect(iso('2026-03-29T01:30', 'Europe/London')).toBe('2026-03-29T01:30:00.000Z');
+      expect(iso('2026-10-04T02:30', 'Australia/Sydney')).toBe('2026-10-03T16:30:00.000Z');
+    });
+
+    it('resolves times repeated when clocks go back to the first occurrence', () => {
+      expect(iso('2026-11-01T01:30', 'America/New_York')).toBe('2026-11-01T05:30:00.000Z');
+      expect(iso('2026-10-25T01:30', 'Europe/London')).toBe('2026-10-25T00:30:00.000Z');
+      expect(iso('2026-04-05T02:30', 'Australia/Sydney')).toBe('2026-04-04T15:30:00.000Z');
+    });
+
+    it('takes times with an offset as they are', () => {
+      expect(iso('2026-10-26T08:00Z', 'Asia/Kolkata')).toBe('2026-10-26T08:00:00.000Z');
+      expect(iso('2026-10-26T08:00+05:30', 'America/New_York')).toBe('2026-10-26T02:30:00.000Z');
+    });
+
+    it('returns null for values that are not dates', () => {
+      expect(parseScheduleTime('next tuesday', 'UTC')).toBeNull();
+    });
+  });
+
+  describe('isValidTimeZone', () => {
+    it('accepts IANA names and rejects anything else', () => {
+      expect(isValidTimeZone('Europe/London')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+    });
+  });
+
+  describe('resolveRelease', () => {
+    it('returns null without a release time', () => {
+      expect(resolveRelease(undefined, 'UTC')).toBeNull();
+    });
+
+    it('resolves future times in the given time zone', () => {
+      expect(resolveRelease('2999-01-01T09:00', 'Europe/Paris')).toEqual({
+        runAt: new Date('2999-01-01T08:00:00.000Z'),
+        timezone: 'Europe/Paris'
+      });
+    });
+
+    it('rejects unknown zones, invalid times and times in the past with 400', () => {
+      expect(() => resolveRelease('2999-01-01T09:00', 'Mars/Olympus')).toThrow('Unknown time zone: Mars/Olympus');
+      expect(() => resolveRelease('soon', 'UTC')).toThrow('Invalid release time');
+      expect(() => resolveRelease('2000-01-01T09:00', 'UTC'))
+        .toThrow(expect.objectContaining({ statusCode: 400, message: 'Release time must be in the future' }));
+    });
+  });
+
+  describe('recycle schedules', () => {
+    const ann = { _id: new mongoose.Types.ObjectId(), name: 'Ann', email: 'ann@example.com', role: 'agent', isActive: true };
+    const bob = { _id: new mongoose.Types.ObjectId(), name: 'Bob', email: 'bob@example.com', role: 'agent', isActive: true };
+    const distributionId = new mongoose.Types.ObjectId();
+
+    const schedule = {
+      _id: new mongoose.Types.ObjectId(),
+      type: 'recycle',
+      recycle: { statuses: ['pending', 'failed'], staleHours: 24, distributions: [], strategy: 'equal' }
+    };
+
+    let find;
+    let updateDistribution;
+
+    beforeEach(() => {
+      jest.spyOn(Distribution, 'getHiddenFromAgents').mockResolvedValue([]);
+      jest.spyOn(User, 'find').mockResolvedValue([ann, bob]);
+      jest.spyOn(User, 'getSystemUser').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+      jest.spyOn(Record.prototype, 'save').mockResolvedValue();
+      jest.spyOn(Schedule, 'findByIdAndUpdate').mockImplementation(async (id, update) => update);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      updateDistribution = jest.spyOn(Distribution, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const mockStale = (records) => {
+      find = jest.spyOn(Record, 'find').mockReturnValue({
+        sort: () => ({ limit: async () => records })
+      });
+    };
+
+    it('moves stale records to another agent and adjusts both counts atomically', async () => {
+      const stale = new Record({ distribution: distributionId, status: 'failed', assignedAgent: ann._id, assignedAt: new Date('2026-01-01') });
+      mockStale([stale]);
+
+      const result = await runSchedule(schedule);
+
+      expect(result.lastResult).toEqual({ records: 1, message: '1 of 1 records recycled' });
+      expect(stale.assignedAgent).toEqual(bob._id);
+      expect(stale.status).toBe('pending');
+      expect(updateDistribution).toHaveBeenCalledWith(
+        { _id: distributionId, 'agents.agentId': ann._id },
+        { $inc: { 'agents.$.assignedCount': -1, 'summary.unassignedRecords': 1 } }
+      );
+      expect(updateDistribution).toHaveBeenCalledWith(
+        { _id: distributionId, 'agents.agentId': bob._id },
+        { $inc: { 'agents.$.assignedCount': 1, 'summary.unassignedRecords': -1 } }
+      );
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const SuppressionEntry = require('../models/SuppressionEntry');
+const { applySuppressions, holdFlagged, suppressRecord } = require('../utils/suppressionList');
+
+const phoneEntry = { phoneKey: '14155552671', nameKey: 'ann lee', reason: 'Customer request' };
+const nameEntry = { phoneKey: null, nameKey: 'bob stone', reason: 'Legal hold' };
+
+const rows = [
+  { sourceRow: 1, firstName: 'Ann', phone: '+14155552671' },
+  { sourceRow: 2, firstName: 'Bob', phone: '+14155552672', customFields: { lastname: 'Stone' } },
+  { sourceRow: 3, firstName: 'Cy', phone: '+14155552673' }
+];
+
+// Stub find().lean() so lookups only see the entries their query selects
+const mockEntries = (entries) => jest.spyOn(SuppressionEntry, 'find').mockImplementation((query) => ({
+  lean: async () => entries.filter(entry => query.phoneKey === null
+    ? entry.phoneKey === null && query.nameKey.$in.includes(entry.nameKey)
+    : query.phoneKey.$in.includes(entry.phoneKey))
+}));
+
+describe('suppressionList', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('applySuppressions', () => {
+    it('drops rows matching an entry by phone or by full name and reports them', async () => {
+      mockEntries([phoneEntry, nameEntry]);
+
+      const result = await applySuppressions(rows);
+
+      expect(result.records.map(row => row.firstName)).toEqual(['Cy']);
+      expect(result.flagged).toEqual([]);
+      expect(result.counts).toEqual({ mode: 'drop', dropped: 2, flagged: 0 });
+      expect(result.errors).toEqual([
+        { row: 1, column: 'phone', error: 'On do-not-contact list (dropped): Customer request', value: '+14155552671' },
+        { row: 2, column: 'firstName', error: 'On do-not-contact list (dropped): Legal hold', value: 'Bob' }
+      ]);
+    });
+
+    it('keeps flagged rows aside for the unassigned pool in flag mode', async () => {
+      mockEntries([phoneEntry]);
+
+      const result = await applySuppressions(rows, { mode: 'flag' });
+
+      expect(result.records.map(row => row.firstName)).toEqual(['Bob', 'Cy']);
+      expect(result.flagged).toEqual([{ ...rows[0], reason: 'suppressed' }]);
+      expect(result.counts).toEqual({ mode: 'flag', dropped: 0, flagged: 1 });
+      expect(result.errors[0].error).toBe('On do-not-contact list (flagged): Customer request');
+    });
+
+    it('only looks up active entries', async () => {
+      const find = mockEntries([]);
+
+      await applySuppressions(rows);
+
+      expect(find.mock.calls[0][0].$or).toEqual([{ expiresAt: null }, { expiresAt: { $gt: expect.any(Date) } }]);
+    });
+  });
+
+  describe('holdFlagged', () => {
+    it('adds flagged rows to the unassigned pool', () => {
+      const distributionResult = { unassigned: [{ firstName: 'Dee' }], summary: { unassignedRecords: 1 } };
+
+      holdFlagged(distributionResult, [{ firstName: 'Ann', reason: 'suppressed' }]);
+
+      expect(distributionResult.unassigned).toHaveLength(2);
+      expect(distributionResult.summary.unassignedRecords).toBe(2);
+    });
+  });
+
+  describe('suppressRecord', () => {
+    const record = { _id: new mongoose.Types.ObjectId(), firstName: 'Ann', phone: '+1 (415) 555-2671' };
+    const addedBy = new mongoose.Types.ObjectId();
+
+    it('adds the record\'s contact to the list', async () => {
+      jest.spyOn(SuppressionEntry, 'findOne').mockResolvedValue(null);
+      const create = jest.spyOn(SuppressionEntry, 'create').mockImplementation(async (fields) => fields);
+
+      await suppressRecord(record, { addedBy });
+
+      expect(SuppressionEntry.findOne.mock.calls[0][0]).toMatchObject({ phoneKey: '14155552671' });
+      expect(create).toHaveBeenCalledWith({
+        phone: record.phone,
+        name: 'Ann',
+        reason: 'Agent marked do not call',
+        source: 'agent',
+        record: record._id,
+        addedBy
+      });
+    });
+
+    it('reuses an active entry for the same phone', async () => {
+      jest.spyOn(SuppressionEntry, 'findOne').mockResolvedValue(phoneEntry);
+      const create = jest.spyOn(SuppressionEntry, 'create');
+
+      await expect(suppressRecord(record, { addedBy })).resolves.toBe(phoneEntry);
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const { updateRecordStatus } = require('../controllers/distributionControllerNew');
+
+const agent = { _id: new mongoose.Types.ObjectId(), role: 'agent' };
+const distributionId = new mongoose.Types.ObjectId();
+
+// Run the handler and resolve with the response or the error passed to next
+const update = (recordRef) => new Promise((resolve) => {
+  const res = {
+    set: jest.fn(),
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn((payload) => resolve({ res, statusCode: res.status.mock.calls[0]?.[0] || 200, payload }))
+  };
+  const req = {
+    params: { id: distributionId.toString(), recordId: recordRef },
+    body: { status: 'in-progress' },
+    user: agent
+  };
+
+  updateRecordStatus(req, res, (error) => resolve({ error }));
+});
+
+describe('updateRecordStatus', () => {
+  let record;
+
+  beforeEach(() => {
+    record = new Record({
+      _id: new mongoose.Types.ObjectId(),
+      distribution: distributionId,
+      assignedAgent: agent._id,
+      firstName: 'Jo',
+      phone: '+15551234567'
+    });
+    jest.spyOn(record, 'save').mockResolvedValue(record);
+    jest.spyOn(Distribution, 'findById').mockResolvedValue({
+      _id: distributionId,
+      lifecycle: 'active',
+      status: 'completed',
+      agents: [{ agentId: agent._id }]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('updates a record addressed by id', async () => {
+    const findOne = jest.spyOn(Record, 'findOne').mockResolvedValue(record);
+
+    const { res, statusCode } = await update(record._id.toString());
+
+    expect(statusCode).toBe(200);
+    expect(record.status).toBe('in-progress');
+    expect(findOne).toHaveBeenCalledWith({
+      _id: record._id.toString(),
+      distribution: distributionId.toString(),
+      assignedAgent: agent._id
+    });
+    expect(res.set).not.toHaveBeenCalled();
+  });
+
+  it('resolves a legacy record index to the agent\'s record at that position', async () => {
+    const byIndex = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      select: jest.fn().mockResolvedValue({ _id: record._id })
+    };
+    const findOne = jest.spyOn(Record, 'findOne')
+      .mockReturnValueOnce(byIndex)
+      .mockResolvedValueOnce(record);
+
+    const { res, statusCode } = await update('2');
+
+    expect(statusCode).toBe(200);
+    expect(findOne).toHaveBeenNthCalledWith(1, { distribution: distributionId.toString(), assignedAgent: agent._id });
+    expect(byIndex.sort).toHaveBeenCalledWith({ _id: 1 });
+    expect(byIndex.skip).toHaveBeenCalledWith(2);
+    expect(findOne.mock.calls[1][0]._id).toEqual(record._id);
+    expect(res.set).toHaveBeenCalledWith('Deprecation', 'true');
+    expect(record.status).toBe('in-progress');
+  });
+
+  it('returns 404 for an index past the agent\'s records', async () => {
+    const byIndex = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      select: jest.fn().mockResolvedValue(null)
+    };
+    jest.spyOn(Record, 'findOne')
+      .mockReturnValueOnce(byIndex)
+      .mockResolvedValueOnce(null);
+
+    const { statusCode } = await update('40');
+
+    expect(statusCode).toBe(404);
+    expect(record.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const { getAgentCapacity } = require('../utils/agentCapacity');
+const { adjustAgentCount } = require('../utils/recordPool');
+const { claimNextRecord, releaseExpiredLeases } = require('../utils/workQueue');
+
+jest.mock('../utils/agentCapacity');
+jest.mock('../utils/recordPool', () => ({
+  ...jest.requireActual('../utils/recordPool'),
+  adjustAgentCount: jest.fn()
+}));
+
+const agent = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Ann',
+  skills: ['Billing '],
+  languages: ['Spanish']
+};
+const pullDistribution = new mongoose.Types.ObjectId();
+
+// Stub the lookup for a lease the agent already holds
+const mockLeased = (record) => jest.spyOn(Record, 'findOne').mockReturnValue({
+  select: async () => record
+});
+
+describe('workQueue', () => {
+  beforeEach(() => {
+    getAgentCapacity.mockResolvedValue(null);
+    jest.spyOn(Distribution, 'distinct').mockResolvedValue([pullDistribution]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    adjustAgentCount.mockClear();
+  });
+
+  describe('claimNextRecord', () => {
+    it('gives back a record the agent still holds a lease on', async () => {
+      const leased = { _id: new mongoose.Types.ObjectId() };
+      mockLeased(leased);
+      const claim = jest.spyOn(Record, 'findOneAndUpdate');
+
+      await expect(claimNextRecord(agent)).resolves.toEqual({ record: leased, resumed: true });
+      expect(claim).not.toHaveBeenCalled();
+    });
+
+    it('refuses agents at their open record limit', async () => {
+      mockLeased(null);
+      getAgentCapacity.mockResolvedValue({ [agent._id.toString()]: 0 });
+
+      await expect(claimNextRecord(agent)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('returns no record when no active distribution pulls', async () => {
+      mockLeased(null);
+      Distribution.distinct.mockResolvedValue([]);
+
+      await expect(claimNextRecord(agent)).resolves.toEqual({ record: null });
+    });
+
+    it('claims the highest-priority pending record matching the agent\'s skills', async () => {
+      const claimed = { _id: new mongoose.Types.ObjectId(), distribution: pullDistribution };
+      mockLeased(null);
+      const claim = jest.spyOn(Record, 'findOneAndUpdate').mockResolvedValue(claimed);
+
+      await expect(claimNextRecord(agent)).resolves.toEqual({ record: claimed, resumed: false });
+
+      const [filter, update, options] = claim.mock.calls[0];
+      expect(filter).toMatchObject({
+        distribution: { $in: [pullDistribution] },
+        assignedAgent: null,
+        status: 'pending',
+        unassignedReason: { $nin: ['suppressed', 'scheduled'] }
+      });
+      expect(filter.$or).toContainEqual({ requiredSkill: { $in: ['billing', 'spanish'] } });
+      expect(update.$set).toMatchObject({ assignedAgent: agent._id, leaseExpiresAt: expect.any(Date) });
+      expect(options.sort).toEqual({ priority: -1, _id: 1 });
+      expect(adjustAgentCount).toHaveBeenCalledWith(pullDistribution, agent, 1);
+    });
+
+    it('returns no record when the queue is empty', async () => {
+      mockLeased(null);
+      jest.spyOn(Record, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(claimNextRecord(agent)).resolves.toEqual({ record: null });
+      expect(adjustAgentCount).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseExpiredLeases', () => {
+    it('returns expired leases to the pool unless they changed since', async () => {
+      const expired = [
+        { _id: 1, distribution: pullDistribution, assignedAgent: agent._id },
+        { _id: 2, distribution: pullDistribution, assignedAgent: agent._id }
+      ];
+      jest.spyOn(Record, 'find').mockReturnValue({ select: async () => expired });
+      jest.spyOn(Record, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await expect(releaseExpiredLeases()).resolves.toBe(1);
+      expect(adjustAgentCount).toHaveBeenCalledTimes(1);
+      expect(adjustAgentCount).toHaveBeenCalledWith(pullDistribution, { _id: agent._id }, -1);
+    });
+  });
+});
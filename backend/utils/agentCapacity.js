@@ -0,0 +1,47 @@
+const Record = require('../models/Record');
+
+/**
+ * Global cap on open records per agent. Unset or 0 means unlimited.
+ */
+const getDefaultMaxOpenRecords = () => {
+  return parseInt(process.env.DEFAULT_MAX_OPEN_RECORDS) || 0;
+};
+
+/**
+ * Resolve an agent's open-record cap, falling back to the global default.
+ * Returns null when the agent has no cap.
+ */
+const getMaxOpenRecords = (agent) => {
+  if (agent.maxOpenRecords !== undefined && agent.maxOpenRecords !== null) {
+    return agent.maxOpenRecords;
+  }
+
+  const defaultMax = getDefaultMaxOpenRecords();
+  return defaultMax > 0 ? defaultMax : null;
+};
+
+/**
+ * Build the remaining capacity map expected by DistributionEngine
+ * ({ agentId: remaining }). Agents without a cap are left out.
+ */
+const getAgentCapacity = async (agents) => {
+  const cappedAgents = agents.filter(agent => getMaxOpenRecords(agent) !== null);
+
+  if (cappedAgents.length === 0) {
+    return null;
+  }
+
+  const openCounts = await Record.getOpenRecordCounts(cappedAgents.map(agent => agent._id));
+
+  return cappedAgents.reduce((capacity, agent) => {
+    const open = openCounts[agent._id.toString()] || 0;
+    capacity[agent._id.toString()] = Math.max(0, getMaxOpenRecords(agent) - open);
+    return capacity;
+  }, {});
+};
+
+module.exports = {
+  getDefaultMaxOpenRecords,
+  getMaxOpenRecords,
+  getAgentCapacity
+};
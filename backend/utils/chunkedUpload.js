@@ -0,0 +1,53 @@
+const fs = require('fs');
+const UploadSession = require('../models/UploadSession');
+const { cleanupFile } = require('./upload');
+
+const chunkSize = parseInt(process.env.UPLOAD_CHUNK_SIZE) || 5 * 1024 * 1024; // 5MB default
+const sessionTtl = parseInt(process.env.UPLOAD_SESSION_TTL_MS) || 24 * 60 * 60 * 1000; // 24 hours default
+
+/**
+ * When an upload session expires if no further chunk arrives
+ */
+const nextExpiry = () => new Date(Date.now() + sessionTtl);
+
+/**
+ * Write a chunk into the partial file at its byte offset
+ */
+const writeChunk = async (filePath, offset, chunk) => {
+  const handle = await fs.promises.open(filePath, 'r+');
+
+  try {
+    await handle.write(chunk, 0, chunk.length, offset);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Expire upload sessions that stopped receiving chunks and remove their
+ * partial files (run periodically)
+ */
+const cleanupExpiredUploads = async () => {
+  // Completions interrupted by a restart are cleaned up too
+  const sessions = await UploadSession.find({
+    status: { $in: ['uploading', 'completing'] },
+    expiresAt: { $lt: new Date() }
+  }).select('+filePath');
+
+  for (const session of sessions) {
+    cleanupFile(session.filePath);
+    session.status = 'expired';
+    await session.save();
+  }
+
+  if (sessions.length > 0) {
+    console.log(`🧹 Expired ${sessions.length} unfinished chunked upload(s)`);
+  }
+};
+
+module.exports = {
+  chunkSize,
+  nextExpiry,
+  writeChunk,
+  cleanupExpiredUploads
+};
@@ -0,0 +1,164 @@
+const { createError } = require('../middleware/errorHandler');
+
+const FIELD_TYPES = ['string', 'number', 'boolean', 'url', 'enum'];
+
+// Row keys that map to Record columns rather than custom fields
+const CORE_FIELDS = ['firstName', 'phone', 'notes', 'requiredSkill', 'priority', 'country', 'reportFile', 'reportSheet', 'reportRow', 'reportError'];
+
+const MAX_CUSTOM_FIELDS = 50;
+const MAX_VALUE_LENGTH = 1000;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Normalize a column name into a custom field key (lowercase letters and digits)
+ */
+const normalizeFieldKey = (key) => String(key || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Parse and validate a field schema supplied as an array or a JSON string
+ * (multipart uploads send it as text). Throws a 400 error when invalid.
+ */
+const parseFieldSchema = (input) => {
+  if (input === undefined || input === null || input === '') return [];
+
+  let fields = input;
+  if (typeof input === 'string') {
+    try {
+      fields = JSON.parse(input);
+    } catch (error) {
+      throw createError(400, 'Field schema must be valid JSON');
+    }
+  }
+
+  if (!Array.isArray(fields)) {
+    throw createError(400, 'Field schema must be an array of fields');
+  }
+
+  if (fields.length > MAX_CUSTOM_FIELDS) {
+    throw createError(400, `Field schema cannot declare more than ${MAX_CUSTOM_FIELDS} fields`);
+  }
+
+  const seen = new Set();
+
+  return fields.map((field, index) => {
+    const key = normalizeFieldKey(field && field.key);
+    const type = (field && field.type) || 'string';
+
+    if (!key) {
+      throw createError(400, `Field ${index + 1} needs a key`);
+    }
+    if (CORE_FIELDS.some(core => normalizeFieldKey(core) === key)) {
+      throw createError(400, `"${field.key}" is a built-in record field and cannot be redeclared`);
+    }
+    if (seen.has(key)) {
+      throw createError(400, `Field "${field.key}" is declared more than once`);
+    }
+    if (!FIELD_TYPES.includes(type)) {
+      throw createError(400, `Field "${field.key}" has unsupported type "${type}". Use one of: ${FIELD_TYPES.join(', ')}`);
+    }
+
+    const options = Array.isArray(field.options)
+      ? field.options.map(option => String(option).trim()).filter(Boolean)
+      : [];
+
+    if (type === 'enum' && options.length === 0) {
+      throw createError(400, `Enum field "${field.key}" needs a list of options`);
+    }
+
+    seen.add(key);
+
+    return {
+      key,
+      label: field.label ? String(field.label).trim() : String(field.key).trim(),
+      type,
+      required: Boolean(field.required),
+      options: type === 'enum' ? options : []
+    };
+  });
+};
+
+/**
+ * Convert a raw cell value to a field's declared type.
+ * Returns { value } on success or { error } when the value doesn't fit.
+ */
+const coerceFieldValue = (field, rawValue) => {
+  const value = String(rawValue).trim();
+
+  switch (field.type) {
+    case 'number': {
+      const number = Number(value.replace(/,/g, ''));
+      return Number.isFinite(number) ? { value: number } : { error: `${field.label} must be a number` };
+    }
+    case 'boolean': {
+      const lower = value.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return { value: true };
+      if (FALSE_VALUES.includes(lower)) return { value: false };
+      return { error: `${field.label} must be yes/no or true/false` };
+    }
+    case 'url': {
+      try {
+        const url = new URL(value);
+        if (['http:', 'https:'].includes(url.protocol)) return { value: url.toString() };
+      } catch (error) {
+        // fall through to the error below
+      }
+      return { error: `${field.label} must be a valid http(s) URL` };
+    }
+    case 'enum': {
+      const option = field.options.find(candidate => candidate.toLowerCase() === value.toLowerCase());
+      return option ? { value: option } : { error: `${field.label} must be one of: ${field.options.join(', ')}` };
+    }
+    default:
+      return value.length > MAX_VALUE_LENGTH
+        ? { error: `${field.label} too long (max ${MAX_VALUE_LENGTH} characters)` }
+        : { value };
+  }
+};
+
+/**
+ * Type an undeclared column's value. Only unambiguous booleans and numbers
+ * are converted; values with leading zeros (ZIP codes, IDs) stay strings.
+ */
+const inferFieldValue = (rawValue) => {
+  const value = String(rawValue).trim();
+  const lower = value.toLowerCase();
+
+  if (lower === 'true' || lower === 'false') return lower === 'true';
+  if (/^-?(0|[1-9]\d{0,14})(\.\d+)?$/.test(value)) return Number(value);
+
+  return value.slice(0, MAX_VALUE_LENGTH);
+};
+
+/**
+ * Pull the non-core, non-empty columns out of a mapped row, keyed by
+ * normalized field key
+ */
+const extractCustomFields = (row) => {
+  const fields = {};
+
+  Object.keys(row).forEach(rawKey => {
+    if (CORE_FIELDS.includes(rawKey)) return;
+
+    const key = normalizeFieldKey(rawKey);
+    const value = row[rawKey];
+
+    if (!key || value === undefined || value === null || String(value).trim() === '') return;
+    if (Object.keys(fields).length >= MAX_CUSTOM_FIELDS) return;
+
+    fields[key] = value;
+  });
+
+  return fields;
+};
+
+module.exports = {
+  FIELD_TYPES,
+  CORE_FIELDS,
+  normalizeFieldKey,
+  parseFieldSchema,
+  coerceFieldValue,
+  inferFieldValue,
+  extractCustomFields
+};
@@ -0,0 +1,84 @@
+const DispositionCode = require('../models/DispositionCode');
+const { normalizeFieldKey, coerceFieldValue } = require('./customFields');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Check a disposition's extra fields against the code's form and convert
+ * them to their declared types. Keys match like custom field keys
+ * (callbackTime and callback_time are the same field); undeclared keys are
+ * dropped. Throws a 400 error listing every missing or invalid field.
+ */
+const validateDispositionFields = (code, input = {}) => {
+  const values = {};
+  const errors = [];
+
+  const supplied = {};
+  Object.keys(input || {}).forEach(key => {
+    supplied[normalizeFieldKey(key)] = input[key];
+  });
+
+  (code.fields || []).forEach(field => {
+    const rawValue = supplied[field.key];
+
+    if (rawValue === undefined || rawValue === null || String(rawValue).trim() === '') {
+      if (field.required) {
+        errors.push({ field: field.key, error: `${field.label} is required` });
+      }
+      return;
+    }
+
+    const { value, error } = coerceFieldValue(field, rawValue);
+
+    if (error) {
+      errors.push({ field: field.key, error });
+    } else {
+      values[field.key] = value;
+    }
+  });
+
+  if (errors.length > 0) {
+    throw createError(400, `Disposition ${code.code} needs more details`, { fieldErrors: errors });
+  }
+
+  return values;
+};
+
+/**
+ * Look up the disposition a record update names and build the record's
+ * disposition. The disposition decides the record's status, so a status
+ * that disagrees with it is rejected.
+ * Returns { code, status, disposition }.
+ */
+const resolveDisposition = async ({ disposition, dispositionFields, status }, { setBy }) => {
+  const code = await DispositionCode.findActive(disposition);
+
+  if (!code) {
+    throw createError(400, `Unknown or retired disposition: ${disposition}`);
+  }
+
+  if (status && status !== code.status) {
+    throw createError(400, `Disposition ${code.code} sets the status to ${code.status}`, {
+      disposition: code.code,
+      dispositionStatus: code.status,
+      requestedStatus: status
+    });
+  }
+
+  return {
+    code,
+    status: code.status,
+    disposition: {
+      code: code.code,
+      label: code.label,
+      codeId: code._id,
+      fields: validateDispositionFields(code, dispositionFields),
+      setBy,
+      setAt: new Date()
+    }
+  };
+};
+
+module.exports = {
+  validateDispositionFields,
+  resolveDisposition
+};
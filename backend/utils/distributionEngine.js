@@ -6,7 +6,8 @@ class DistributionEngine {
     this.strategies = {
       equal: this.equalDistribution.bind(this),
       weighted: this.weightedDistribution.bind(this),
-      priority: this.priorityDistribution.bind(this)
+      priority: this.priorityDistribution.bind(this),
+      skills: this.skillBasedDistribution.bind(this)
     };
   }
 
@@ -15,8 +16,9 @@ class DistributionEngine {
    */
   async distribute(records, agents, strategy = 'equal', options = {}) {
     const startTime = Date.now();
+    const pinned = options.pinned || [];
     
-    if (!records || records.length === 0) {
+    if ((!records || records.length === 0) && pinned.length === 0) {
       throw new Error('No records to distribute');
     }
 
@@ -31,15 +33,38 @@ class DistributionEngine {
       throw new Error('No active agents available');
     }
 
+    // Pins to agents outside this run fall back to the strategy
+    const activeIds = new Set(activeAgents.map(agent => agent._id.toString()));
+    const activePins = pinned.filter(pin => activeIds.has(pin.agentId.toString()));
+    const toDistribute = [
+      ...(records || []),
+      ...pinned.filter(pin => !activeIds.has(pin.agentId.toString())).map(pin => pin.record)
+    ];
+
     // Apply distribution strategy
+    // Strategies return either the agent list or { agents, unassigned }
     const distributionMethod = this.strategies[strategy] || this.strategies.equal;
-    const distributedData = await distributionMethod(records, activeAgents, options);
+    const result = await distributionMethod(toDistribute, activeAgents, options);
+    const distributedData = Array.isArray(result) ? result : result.agents;
+    const unassigned = Array.isArray(result) ? [] : (result.unassigned || []);
+
+    // Trim assignments to each agent's remaining capacity
+    const overflow = this.applyCapacity(distributedData, activeAgents, options.capacity, strategy);
+    unassigned.push(...overflow);
+
+    // Pinned records go straight to their agent, regardless of strategy or capacity
+    this.applyPins(distributedData, activePins);
 
     const distributionTime = Date.now() - startTime;
+    const assignedCount = distributedData.reduce((total, agent) => total + agent.records.length, 0);
+    const summary = this.generateSummary(distributedData, assignedCount, distributionTime);
+    summary.unassignedRecords = unassigned.length;
+    summary.overflowRecords = overflow.length;
 
     return {
       agents: distributedData,
-      summary: this.generateSummary(distributedData, records.length, distributionTime),
+      unassigned,
+      summary,
       strategy,
       distributionTime
     };
@@ -170,6 +195,147 @@ class DistributionEngine {
     return distributedAgents;
   }
 
+  /**
+   * Skill-based distribution - routes each record only to agents holding its
+   * required skill or language, balancing load within every matching group.
+   * Records nobody can take are returned as unassigned.
+   */
+  async skillBasedDistribution(records, agents, options = {}) {
+    const distributedAgents = agents.map(agent => ({
+      agentId: agent._id,
+      agentName: agent.name,
+      agentEmail: agent.email,
+      assignedCount: 0,
+      records: [],
+      profile: this.getAgentSkillProfile(agent)
+    }));
+
+    const unassigned = [];
+
+    for (const record of records) {
+      const requiredSkill = this.normalizeSkill(record.requiredSkill);
+      const candidates = requiredSkill
+        ? distributedAgents.filter(agent => agent.profile.has(requiredSkill))
+        : distributedAgents;
+
+      if (candidates.length === 0) {
+        unassigned.push({
+          ...record,
+          reason: 'no-matching-skill'
+        });
+        continue;
+      }
+
+      // Least loaded matching agent takes the record
+      const target = candidates.reduce((least, agent) =>
+        agent.assignedCount < least.assignedCount ? agent : least
+      );
+
+      target.records.push({
+        ...record,
+        status: 'pending',
+        assignedAt: new Date()
+      });
+      target.assignedCount++;
+    }
+
+    return {
+      agents: distributedAgents.map(({ profile, ...agent }) => agent),
+      unassigned
+    };
+  }
+
+  /**
+   * Enforce per-agent capacity caps. Records beyond an agent's remaining
+   * capacity move to the least loaded agent with room (and a matching skill
+   * under the skills strategy); whatever is left is returned as overflow.
+   */
+  applyCapacity(distributedAgents, agents, capacity, strategy) {
+    if (!capacity) return [];
+
+    const limitOf = (agent) => {
+      const limit = capacity[agent.agentId.toString()];
+      return limit === undefined || limit === null ? Infinity : Math.max(0, limit);
+    };
+
+    const excess = [];
+    distributedAgents.forEach(agent => {
+      const limit = limitOf(agent);
+      if (agent.records.length > limit) {
+        excess.push(...agent.records.splice(limit));
+        agent.assignedCount = agent.records.length;
+      }
+    });
+
+    const profiles = new Map(
+      agents.map(agent => [agent._id.toString(), this.getAgentSkillProfile(agent)])
+    );
+
+    const overflow = [];
+    for (const record of excess) {
+      const requiredSkill = strategy === 'skills' ? this.normalizeSkill(record.requiredSkill) : '';
+      const candidates = distributedAgents.filter(agent =>
+        agent.records.length < limitOf(agent) &&
+        (!requiredSkill || profiles.get(agent.agentId.toString()).has(requiredSkill))
+      );
+
+      if (candidates.length === 0) {
+        overflow.push({ ...this.withoutAssignment(record), reason: 'capacity' });
+        continue;
+      }
+
+      const target = candidates.reduce((least, agent) =>
+        agent.records.length < least.records.length ? agent : least
+      );
+      target.records.push(record);
+      target.assignedCount = target.records.length;
+    }
+
+    return overflow;
+  }
+
+  /**
+   * Copy a record without the status and time the strategy assigned it
+   */
+  withoutAssignment(record) {
+    const copy = { ...record };
+    delete copy.status;
+    delete copy.assignedAt;
+    return copy;
+  }
+
+  /**
+   * Add records pinned to a specific agent, such as the agent who already
+   * owns a duplicate contact
+   */
+  applyPins(distributedAgents, pins) {
+    pins.forEach(({ record, agentId }) => {
+      const agent = distributedAgents.find(candidate => candidate.agentId.toString() === agentId.toString());
+
+      agent.records.push({
+        ...record,
+        status: 'pending',
+        assignedAt: new Date()
+      });
+      agent.assignedCount = agent.records.length;
+    });
+  }
+
+  /**
+   * Build the set of normalized skills and languages an agent can handle
+   */
+  getAgentSkillProfile(agent) {
+    const skills = [...(agent.skills || []), ...(agent.languages || [])];
+    return new Set(skills.map(skill => this.normalizeSkill(skill)).filter(Boolean));
+  }
+
+  /**
+   * Normalize a skill or language label for comparison
+   */
+  normalizeSkill(skill) {
+    return String(skill || '').trim().toLowerCase();
+  }
+
   /**
    * Calculate agent weights for weighted distribution
    */
@@ -247,6 +413,8 @@ class DistributionEngine {
     const avg = agentCounts.reduce((sum, count) => sum + count, 0) / agentCounts.length;
     const variance = agentCounts.reduce((sum, count) => sum + Math.pow(count - avg, 2), 0) / agentCounts.length;
     const standardDeviation = Math.sqrt(variance);
+
+    if (avg === 0) return 1;
     
     // Lower standard deviation = higher fairness
     // Normalize to 0-1 scale
@@ -254,39 +422,57 @@ class DistributionEngine {
   }
 
   /**
-   * Re-distribute failed or returned tasks
+   * Re-distribute records taken back from their agents (e.g. recycled after
+   * an unsuccessful call) to the least loaded agents, never back to the agent
+   * who had them. Records with a required skill only go to agents who have
+   * it, and capacity caps ({ agentId: remaining }) are respected.
+   * openCounts ({ agentId: open records }) seeds each agent's load.
+   * Returns { assignments: [{ record, agent }], unassigned: [record] }.
    */
-  async redistributeTasks(failedTasks, availableAgents, originalDistribution) {
-    if (!failedTasks || failedTasks.length === 0) {
-      return originalDistribution;
-    }
-
-    // Find agents with lowest current workload
-    const agentWorkloads = originalDistribution.agents.map(agent => ({
-      ...agent,
-      currentLoad: agent.records.filter(r => r.status === 'pending' || r.status === 'in-progress').length
-    })).sort((a, b) => a.currentLoad - b.currentLoad);
+  async redistributeTasks(records, agents, { openCounts = {}, capacity = null } = {}) {
+    const candidates = agents
+      .filter(agent => agent.isActive)
+      .map(agent => {
+        const agentId = agent._id.toString();
+        const remaining = capacity && capacity[agentId] !== undefined ? capacity[agentId] : Infinity;
 
-    // Redistribute failed tasks to agents with lowest workload
-    let agentIndex = 0;
-    for (const task of failedTasks) {
-      const targetAgent = agentWorkloads[agentIndex];
-      targetAgent.records.push({
-        ...task,
-        status: 'pending',
-        assignedAt: new Date(),
-        redistributed: true
+        return {
+          agent,
+          agentId,
+          load: openCounts[agentId] || 0,
+          remaining,
+          profile: this.getAgentSkillProfile(agent)
+        };
       });
-      targetAgent.assignedCount++;
-      targetAgent.currentLoad++;
 
-      agentIndex = (agentIndex + 1) % agentWorkloads.length;
+    const assignments = [];
+    const unassigned = [];
+
+    for (const record of records) {
+      const previousAgent = record.assignedAgent ? record.assignedAgent.toString() : null;
+      const requiredSkill = this.normalizeSkill(record.requiredSkill);
+      const eligible = candidates.filter(candidate =>
+        candidate.agentId !== previousAgent &&
+        candidate.remaining > 0 &&
+        (!requiredSkill || candidate.profile.has(requiredSkill))
+      );
+
+      if (eligible.length === 0) {
+        unassigned.push(record);
+        continue;
+      }
+
+      // Least loaded eligible agent takes the record
+      const target = eligible.reduce((least, candidate) =>
+        candidate.load < least.load ? candidate : least
+      );
+      target.load++;
+      target.remaining--;
+
+      assignments.push({ record, agent: target.agent });
     }
 
-    return {
-      ...originalDistribution,
-      agents: agentWorkloads.map(({ currentLoad, ...agent }) => agent)
-    };
+    return { assignments, unassigned };
   }
 
   /**
@@ -0,0 +1,92 @@
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Distribution lifecycle.
+ *
+ * `status` describes the upload (processing, scheduled, completed, failed);
+ * `lifecycle` describes the campaign. Drafts wait for a scheduled release,
+ * paused distributions drop out of agents' records, and closed or archived
+ * ones no longer accept status updates.
+ */
+const LIFECYCLE_STATES = ['draft', 'active', 'paused', 'closed', 'archived'];
+
+const LIFECYCLE_TRANSITIONS = {
+  draft: ['active', 'closed'],
+  active: ['paused', 'closed'],
+  paused: ['active', 'closed'],
+  closed: ['archived'],
+  archived: []
+};
+
+// Agents only see and work records of active distributions
+const AGENT_VISIBLE_STATES = ['active'];
+
+// Records of these distributions can still be updated
+const WORKABLE_STATES = ['draft', 'active', 'paused'];
+
+/**
+ * Validate a lifecycle change; throws a 409 error when the move is not allowed
+ */
+const assertLifecycleTransition = (from, to) => {
+  const allowed = LIFECYCLE_TRANSITIONS[from] || [];
+
+  if (!allowed.includes(to)) {
+    throw createError(
+      409,
+      `Cannot change a ${from} distribution to ${to}` +
+        (allowed.length > 0 ? `. Allowed: ${allowed.join(', ')}` : ''),
+      { currentLifecycle: from, requestedLifecycle: to, allowedLifecycles: allowed }
+    );
+  }
+};
+
+/**
+ * Throw a 409 error when a distribution doesn't accept record updates:
+ * it is closed or archived, or a background import is still filling it
+ */
+const assertWorkable = (distribution) => {
+  const lifecycle = distribution.lifecycle || 'active';
+
+  if (distribution.status === 'processing') {
+    throw createError(409, 'This distribution is still being imported', {
+      distributionId: distribution._id,
+      status: distribution.status
+    });
+  }
+
+  if (!WORKABLE_STATES.includes(lifecycle)) {
+    throw createError(409, `This distribution is ${lifecycle}; its records can no longer be updated`, {
+      distributionId: distribution._id,
+      lifecycle
+    });
+  }
+};
+
+/**
+ * Tell the distribution's agents and the admins about a lifecycle change
+ */
+const emitLifecycleChange = (io, distribution, previous) => {
+  if (!io) return;
+
+  const payload = {
+    distributionId: distribution._id,
+    fileName: distribution.originalFileName,
+    lifecycle: distribution.lifecycle,
+    previousLifecycle: previous
+  };
+
+  distribution.agents.forEach(agent => {
+    io.to(`agent_${agent.agentId._id || agent.agentId}`).emit('distributionLifecycleChanged', payload);
+  });
+  io.to('admin').emit('distributionLifecycleChanged', payload);
+};
+
+module.exports = {
+  LIFECYCLE_STATES,
+  LIFECYCLE_TRANSITIONS,
+  AGENT_VISIBLE_STATES,
+  WORKABLE_STATES,
+  assertLifecycleTransition,
+  assertWorkable,
+  emitLifecycleChange
+};
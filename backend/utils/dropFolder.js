@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const ImportJob = require('../models/ImportJob');
+const MappingTemplate = require('../models/MappingTemplate');
+const User = require('../models/User');
+const { queueImportJob } = require('./importJobRunner');
+const { getFileFormat } = require('./fileFormats');
+const { uploadDir } = require('./upload');
+
+// Files modified more recently than this may still be being copied in
+const SETTLE_TIME_MS = 60 * 1000;
+
+const getDropFolderConfig = () => {
+  const inbox = process.env.DROP_FOLDER_PATH;
+
+  return {
+    enabled: Boolean(inbox),
+    inbox,
+    processedDir: inbox && path.join(inbox, 'processed'),
+    failedDir: inbox && path.join(inbox, 'failed'),
+    schedule: process.env.DROP_FOLDER_SCHEDULE || '*/5 * * * *',
+    mappingTemplate: process.env.DROP_FOLDER_MAPPING_TEMPLATE || null,
+    strategy: process.env.DROP_FOLDER_STRATEGY || 'equal'
+  };
+};
+
+// A poll can outlast the schedule interval on big files; never run two at once
+let running = false;
+
+/**
+ * Load the configured mapping template, by id or by name
+ */
+const findMappingTemplate = async (reference) => {
+  if (!reference) return null;
+
+  const template = mongoose.isValidObjectId(reference)
+    ? await MappingTemplate.findById(reference)
+    : await MappingTemplate.findOne({ name: reference });
+
+  if (!template) {
+    throw new Error(`Mapping template "${reference}" not found`);
+  }
+
+  return template;
+};
+
+/**
+ * Files in the inbox ready to import, oldest first
+ */
+const listReadyFiles = (inbox) => {
+  const now = Date.now();
+
+  return fs.readdirSync(inbox, { withFileTypes: true })
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.') && getFileFormat(entry.name))
+    .map(entry => {
+      const filePath = path.join(inbox, entry.name);
+      return { name: entry.name, path: filePath, stats: fs.statSync(filePath) };
+    })
+    .filter(file => file.stats.size > 0 && now - file.stats.mtimeMs >= SETTLE_TIME_MS)
+    .sort((a, b) => a.stats.mtimeMs - b.stats.mtimeMs);
+};
+
+/**
+ * Move a file out of the inbox, prefixing a timestamp so repeated drops of
+ * the same name don't collide
+ */
+const moveFile = (filePath, targetDir) => {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const target = path.join(targetDir, `${stamp}-${path.basename(filePath)}`);
+
+  fs.renameSync(filePath, target);
+  return target;
+};
+
+/**
+ * Import one dropped file as the system user and wait for the job to finish.
+ * The import works on a copy in the upload directory, which the job removes.
+ */
+const importDroppedFile = async (file, { config, mappingTemplate, systemUser, io }) => {
+  const copyPath = path.join(uploadDir, `drop-${Date.now()}-${file.name}`);
+  fs.copyFileSync(file.path, copyPath);
+
+  const { job, finished } = await queueImportJob(
+    {
+      path: copyPath,
+      filename: path.basename(copyPath),
+      originalname: file.name,
+      size: file.stats.size
+    },
+    {
+      strategy: config.strategy,
+      mappingTemplateId: mappingTemplate ? mappingTemplate._id : undefined
+    },
+    { createdBy: systemUser._id, io }
+  );
+
+  await finished;
+
+  const result = await ImportJob.findById(job._id);
+
+  if (result.status !== 'completed') {
+    throw new Error(result.failureReason || 'Import failed');
+  }
+
+  return result;
+};
+
+/**
+ * Import every file waiting in the drop folder, then move each to the
+ * processed or failed subfolder. Failed files get a .error.txt alongside.
+ * Admins are told about each file over Socket.IO.
+ */
+const processDropFolder = async (io) => {
+  const config = getDropFolderConfig();
+
+  if (!config.enabled || running) return;
+
+  running = true;
+
+  try {
+    [config.inbox, config.processedDir, config.failedDir].forEach(dir => {
+      fs.mkdirSync(dir, { recursive: true });
+    });
+
+    const files = listReadyFiles(config.inbox);
+
+    if (files.length === 0) return;
+
+    // A missing template is a configuration problem, so leave the files for the next run
+    const mappingTemplate = await findMappingTemplate(config.mappingTemplate);
+    const systemUser = await User.getSystemUser();
+
+    console.log(`📂 Drop folder: importing ${files.length} file(s)`);
+
+    for (const file of files) {
+      try {
+        const job = await importDroppedFile(file, { config, mappingTemplate, systemUser, io });
+        const movedTo = moveFile(file.path, config.processedDir);
+
+        console.log(`✅ Drop folder: ${file.name} imported as distribution ${job.distribution}`);
+
+        if (io) {
+          io.to('admin').emit('dropFolderImported', {
+            fileName: file.name,
+            movedTo: path.basename(movedTo),
+            jobId: job._id,
+            distributionId: job.distribution,
+            progress: job.progress,
+            duplicates: job.duplicates,
+            suppressions: job.suppressions,
+            reupload: job.reupload
+          });
+        }
+      } catch (error) {
+        console.error(`❌ Drop folder: ${file.name} failed:`, error.message);
+
+        const movedTo = moveFile(file.path, config.failedDir);
+        fs.writeFileSync(`${movedTo}.error.txt`, `${error.message}\n`);
+
+        if (io) {
+          io.to('admin').emit('dropFolderFailed', {
+            fileName: file.name,
+            movedTo: path.basename(movedTo),
+            message: error.message
+          });
+        }
+      }
+    }
+  } finally {
+    running = false;
+  }
+};
+
+module.exports = {
+  getDropFolderConfig,
+  processDropFolder
+};
@@ -0,0 +1,256 @@
+const Record = require('../models/Record');
+
+const DUPLICATE_POLICIES = ['allow', 'skip', 'merge', 'same-agent'];
+const DUPLICATE_MATCH_MODES = ['phone', 'name-phone'];
+
+// Only records still being worked count as existing duplicates
+const OPEN_STATUSES = ['pending', 'in-progress'];
+const LOOKUP_CHUNK_SIZE = 1000;
+const MAX_NOTES_LENGTH = 500;
+
+/**
+ * Digits-only phone used to match contacts regardless of formatting
+ */
+const toPhoneKey = (phone) => String(phone || '').replace(/\D/g, '');
+
+const duplicateKey = (firstName, phoneKey, matchBy) => {
+  if (matchBy === 'name-phone') {
+    return `${String(firstName || '').trim().toLowerCase()}|${phoneKey}`;
+  }
+  return phoneKey;
+};
+
+const rowKey = (row, matchBy) => duplicateKey(row.firstName, toPhoneKey(row.phone), matchBy);
+
+/**
+ * Append new notes to existing ones, skipping repeats and keeping within the notes limit
+ */
+const mergeNotes = (existing, incoming) => {
+  const current = String(existing || '').trim();
+  const addition = String(incoming || '').trim();
+
+  if (!addition || current.includes(addition)) return current;
+  if (!current) return addition.slice(0, MAX_NOTES_LENGTH);
+
+  return `${current} | ${addition}`.slice(0, MAX_NOTES_LENGTH);
+};
+
+const createDuplicateCounts = (policy = 'skip', matchBy = 'phone') => ({
+  policy,
+  matchBy,
+  inFile: 0,
+  existing: 0,
+  skipped: 0,
+  merged: 0,
+  sameAgent: 0
+});
+
+/**
+ * Load open records sharing a phone with the given rows, keyed by duplicate key.
+ * The oldest record wins when several match.
+ */
+const findOpenRecords = async (rows, matchBy) => {
+  const phoneKeys = [...new Set(rows.map(row => toPhoneKey(row.phone)).filter(Boolean))];
+  const matches = new Map();
+
+  for (let i = 0; i < phoneKeys.length; i += LOOKUP_CHUNK_SIZE) {
+    const records = await Record.find({
+      phoneKey: { $in: phoneKeys.slice(i, i + LOOKUP_CHUNK_SIZE) },
+      status: { $in: OPEN_STATUSES }
+    })
+      .select('phoneKey firstName assignedAgent distribution')
+      .sort({ _id: 1 })
+      .lean();
+
+    records.forEach(record => {
+      const key = duplicateKey(record.firstName, record.phoneKey, matchBy);
+      if (!matches.has(key)) matches.set(key, record);
+    });
+  }
+
+  return matches;
+};
+
+/**
+ * Find duplicates within a set of parsed rows and against open records from
+ * earlier distributions, and apply the upload's policy:
+ *   allow      - keep everything
+ *   skip       - drop the duplicate row
+ *   merge      - fold the row's notes into the first occurrence and drop it
+ *   same-agent - keep the row but give it to the agent who owns the contact
+ *
+ * Background imports call this once per batch with the distribution being
+ * built, so rows matching an earlier batch are counted as in-file duplicates.
+ * Pass the same `counts` object to every call to accumulate totals.
+ */
+const detectDuplicates = async (rows, {
+  policy = 'skip',
+  matchBy = 'phone',
+  agents = [],
+  distributionId = null,
+  counts = createDuplicateCounts(policy, matchBy)
+} = {}) => {
+  const result = {
+    records: [],
+    pinned: [],
+    followers: [],
+    merges: [],
+    counts
+  };
+
+  if (policy === 'allow') {
+    result.records = rows;
+    return result;
+  }
+
+  const existing = await findOpenRecords(rows, matchBy);
+  const activeAgentIds = new Set(agents.map(agent => agent._id.toString()));
+  const leaders = new Map();
+  const pinnedKeys = new Map();
+  const merges = new Map();
+
+  rows.forEach(row => {
+    const key = rowKey(row, matchBy);
+    const leader = leaders.get(key);
+    const match = leader ? null : existing.get(key);
+
+    if (!leader && !match) {
+      leaders.set(key, row);
+      result.records.push(row);
+      return;
+    }
+
+    if (leader || (distributionId && match.distribution.toString() === distributionId.toString())) {
+      counts.inFile++;
+    } else {
+      counts.existing++;
+    }
+
+    if (policy === 'skip') {
+      counts.skipped++;
+      return;
+    }
+
+    if (policy === 'merge') {
+      if (leader) {
+        leader.notes = mergeNotes(leader.notes, row.notes);
+      } else {
+        const recordId = match._id.toString();
+        merges.set(recordId, mergeNotes(merges.get(recordId), row.notes));
+      }
+      counts.merged++;
+      return;
+    }
+
+    // same-agent
+    if (leader) {
+      if (pinnedKeys.has(key)) {
+        result.pinned.push({ record: row, agentId: pinnedKeys.get(key) });
+      } else {
+        result.followers.push({ record: row, key });
+      }
+      counts.sameAgent++;
+      return;
+    }
+
+    leaders.set(key, row);
+
+    if (match.assignedAgent && activeAgentIds.has(match.assignedAgent.toString())) {
+      pinnedKeys.set(key, match.assignedAgent);
+      result.pinned.push({ record: row, agentId: match.assignedAgent });
+      counts.sameAgent++;
+    } else {
+      // Owner is unassigned or inactive, so distribute the row normally
+      result.records.push(row);
+    }
+  });
+
+  result.merges = [...merges].map(([recordId, notes]) => ({ recordId, notes }));
+
+  return result;
+};
+
+/**
+ * Give same-agent followers to whichever agent received the first occurrence
+ * of their contact in this distribution, then refresh the summary counts
+ */
+const attachFollowers = (distributionResult, followers, matchBy, distributionEngine) => {
+  if (followers.length === 0) return distributionResult;
+
+  const owners = new Map();
+  distributionResult.agents.forEach(agent => {
+    agent.records.forEach(record => owners.set(rowKey(record, matchBy), agent));
+  });
+
+  const unassignedByKey = new Map(
+    distributionResult.unassigned.map(record => [rowKey(record, matchBy), record])
+  );
+
+  followers.forEach(({ record, key }) => {
+    const agent = owners.get(key);
+
+    if (agent) {
+      agent.records.push({
+        ...record,
+        status: 'pending',
+        assignedAt: new Date()
+      });
+      agent.assignedCount = agent.records.length;
+    } else {
+      const leader = unassignedByKey.get(key);
+      distributionResult.unassigned.push({
+        ...record,
+        reason: leader ? leader.reason : 'capacity'
+      });
+    }
+  });
+
+  const assignedCount = distributionResult.agents.reduce((total, agent) => total + agent.records.length, 0);
+  distributionResult.summary = {
+    ...distributionEngine.generateSummary(
+      distributionResult.agents,
+      assignedCount,
+      distributionResult.distributionTime
+    ),
+    unassignedRecords: distributionResult.unassigned.length,
+    overflowRecords: distributionResult.summary.overflowRecords
+  };
+
+  return distributionResult;
+};
+
+/**
+ * Fold merged notes into existing open records, logging each change in the
+ * record's history. Records closed since the preview are left alone.
+ */
+const applyMerges = async (merges, { changedBy }) => {
+  let applied = 0;
+
+  for (const { recordId, notes } of merges) {
+    const record = await Record.findOne({ _id: recordId, status: { $in: OPEN_STATUSES } });
+    if (!record) continue;
+
+    const changed = record.recordChange({
+      notes: mergeNotes(record.notes, notes),
+      changedBy,
+      source: 'automation'
+    });
+
+    if (changed) {
+      await record.save();
+      applied++;
+    }
+  }
+
+  return applied;
+};
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  DUPLICATE_MATCH_MODES,
+  toPhoneKey,
+  createDuplicateCounts,
+  detectDuplicates,
+  attachFollowers,
+  applyMerges
+};
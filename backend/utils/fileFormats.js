@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform, pipeline } = require('stream');
+
+// File extensions accepted for upload, by how their rows are read
+const FILE_FORMATS = {
+  '.csv': 'delimited',
+  '.tsv': 'delimited',
+  '.xlsx': 'workbook',
+  '.xls': 'workbook',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.zip': 'archive'
+};
+
+const SUPPORTED_EXTENSIONS = Object.keys(FILE_FORMATS);
+
+const ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'windows-1252'];
+
+// Delimiters by the names accepted from clients
+const DELIMITERS = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+  pipe: '|'
+};
+
+const SAMPLE_SIZE = 64 * 1024;
+const MAX_ARCHIVE_ENTRIES = 50;
+
+// Directory values that mean the real one is in a ZIP64 extra field
+const ZIP64_COUNT = 0xFFFF;
+const ZIP64_SIZE = 0xFFFFFFFF;
+
+/**
+ * Work out how a file's rows are read from its extension
+ */
+const getFileFormat = (fileName) => FILE_FORMATS[path.extname(fileName).toLowerCase()] || null;
+
+/**
+ * Read the start of a file for format detection
+ */
+const readSample = (filePath) => {
+  const fd = fs.openSync(filePath, 'r');
+
+  try {
+    const buffer = Buffer.alloc(SAMPLE_SIZE);
+    const bytesRead = fs.readSync(fd, buffer, 0, SAMPLE_SIZE, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+};
+
+/**
+ * Detect a text file's encoding from its byte-order mark, the pattern of
+ * zero bytes UTF-16 leaves in ASCII text, or whether it decodes as UTF-8.
+ * Anything else is treated as Windows-1252, the usual spreadsheet export.
+ */
+const detectEncoding = (sample) => {
+  if (sample[0] === 0xEF && sample[1] === 0xBB && sample[2] === 0xBF) return 'utf-8';
+  if (sample[0] === 0xFF && sample[1] === 0xFE) return 'utf-16le';
+  if (sample[0] === 0xFE && sample[1] === 0xFF) return 'utf-16be';
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+
+  const pairs = sample.length / 2;
+  if (pairs > 0 && oddZeros / pairs > 0.3 && evenZeros === 0) return 'utf-16le';
+  if (pairs > 0 && evenZeros / pairs > 0.3 && oddZeros === 0) return 'utf-16be';
+
+  try {
+    // stream: true tolerates a character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return 'utf-8';
+  } catch (error) {
+    return 'windows-1252';
+  }
+};
+
+/**
+ * Pick the delimiter that splits the header line into the most columns,
+ * ignoring anything inside quotes
+ */
+const detectDelimiter = (text, fallback = ',') => {
+  const headerLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+  const counts = Object.values(DELIMITERS).reduce((result, delimiter) => {
+    result[delimiter] = 0;
+    return result;
+  }, {});
+
+  let quoted = false;
+  for (const char of headerLine) {
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && char in counts) counts[char]++;
+  }
+
+  const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count > 0 ? best : fallback;
+};
+
+/**
+ * Transform stream that decodes text in the given encoding to UTF-8,
+ * dropping any byte-order mark
+ */
+const createDecoder = (encoding) => {
+  const decoder = new TextDecoder(encoding);
+
+  return new Transform({
+    transform(chunk, chunkEncoding, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      callback(null, decoder.decode());
+    }
+  });
+};
+
+/**
+ * Decode a whole file in the given (or detected) encoding
+ */
+const readText = (filePath, encoding = 'auto') => {
+  const buffer = fs.readFileSync(filePath);
+  const resolved = encoding === 'auto' ? detectEncoding(buffer.subarray(0, SAMPLE_SIZE)) : encoding;
+
+  return new TextDecoder(resolved).decode(buffer);
+};
+
+/**
+ * List the files in a ZIP archive from its central directory. ZIP64
+ * archives, which hold entries or offsets past 4GB, are refused.
+ */
+const readZipEntries = (buffer) => {
+  // The end-of-central-directory record sits within the last 64KB
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+
+  if (eocd === -1) {
+    throw new Error('File is not a valid ZIP archive');
+  }
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const zip64Locator = eocd >= 20 && buffer.readUInt32LE(eocd - 20) === 0x07064b50;
+
+  if (zip64Locator || count === ZIP64_COUNT || offset === ZIP64_SIZE) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('ZIP archive directory is corrupt');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    const entry = {
+      name,
+      encrypted: Boolean(flags & 0x1),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      headerOffset: buffer.readUInt32LE(offset + 42)
+    };
+
+    if ([entry.compressedSize, entry.size, entry.headerOffset].includes(ZIP64_SIZE)) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+
+    entries.push(entry);
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Transform stream that fails once more than maxSize bytes pass through
+ */
+const createSizeLimit = (maxSize, name) => {
+  let total = 0;
+
+  return new Transform({
+    transform(chunk, chunkEncoding, callback) {
+      total += chunk.length;
+      callback(total > maxSize ? new Error(`${name} exceeds the size limit`) : null, chunk);
+    }
+  });
+};
+
+/**
+ * Extract one ZIP entry to destPath, inflating it as a stream and refusing
+ * entries over maxSize, whether declared in the directory or found while
+ * inflating. Resolves with the number of bytes written.
+ */
+const extractZipEntry = (buffer, entry, destPath, maxSize) => {
+  if (entry.encrypted) {
+    return Promise.reject(new Error(`${entry.name} is encrypted`));
+  }
+
+  if (entry.method !== 0 && entry.method !== 8) {
+    return Promise.reject(new Error(`${entry.name} uses an unsupported compression method`));
+  }
+
+  if (entry.size > maxSize) {
+    return Promise.reject(new Error(`${entry.name} exceeds the size limit`));
+  }
+
+  const header = entry.headerOffset;
+  const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+  const limit = createSizeLimit(maxSize, entry.name);
+  const stages = entry.method === 8
+    ? [Readable.from([data]), zlib.createInflateRaw(), limit]
+    : [Readable.from([data]), limit];
+  const output = fs.createWriteStream(destPath);
+
+  return new Promise((resolve, reject) => {
+    pipeline(...stages, output, (error) => {
+      if (!error) return resolve(output.bytesWritten);
+
+      reject(error.code && error.code.startsWith('Z_')
+        ? new Error(`${entry.name} could not be decompressed`)
+        : error);
+    });
+  });
+};
+
+/**
+ * Files in an archive that can be imported, skipping folders, hidden and
+ * macOS metadata files, nested archives and unsupported formats
+ */
+const selectArchiveEntries = (entries) => {
+  const selected = entries.filter(entry => {
+    const baseName = path.posix.basename(entry.name);
+    const format = getFileFormat(entry.name);
+
+    return !entry.name.endsWith('/') &&
+      !entry.name.startsWith('__MACOSX/') &&
+      !baseName.startsWith('.') &&
+      format && format !== 'archive';
+  });
+
+  if (selected.length > MAX_ARCHIVE_ENTRIES) {
+    throw new Error(`Archive cannot contain more than ${MAX_ARCHIVE_ENTRIES} files`);
+  }
+
+  return selected;
+};
+
+module.exports = {
+  FILE_FORMATS,
+  SUPPORTED_EXTENSIONS,
+  ENCODINGS,
+  DELIMITERS,
+  getFileFormat,
+  readSample,
+  detectEncoding,
+  detectDelimiter,
+  createDecoder,
+  readText,
+  readZipEntries,
+  extractZipEntry,
+  selectArchiveEntries
+};
@@ -2,15 +2,61 @@ const csv = require('csv-parser');
 const XLSX = require('xlsx');
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
+const { pipeline } = require('stream');
+const { extractCustomFields, coerceFieldValue, inferFieldValue } = require('./customFields');
+const { normalizePhone, getDefaultPhoneCountry } = require('./phoneNormalizer');
+const { createError } = require('../middleware/errorHandler');
+const MappingTemplate = require('../models/MappingTemplate');
+const {
+  SUPPORTED_EXTENSIONS,
+  DELIMITERS,
+  getFileFormat,
+  readSample,
+  detectEncoding,
+  detectDelimiter,
+  createDecoder,
+  readText,
+  readZipEntries,
+  extractZipEntry,
+  selectArchiveEntries
+} = require('./fileFormats');
+
+// Files extracted from an archive may total this many times the upload limit
+const MAX_ARCHIVE_EXPANSION = 10;
+
+// Extra columns written by the rejected-rows report
+const REPORT_COLUMNS = {
+  file: 'Source File',
+  sheet: 'Source Sheet',
+  row: 'Source Row',
+  error: 'Validation Error'
+};
 
 /**
- * Advanced CSV/Excel processor with comprehensive validation
+ * Advanced CSV/Excel/JSON processor with comprehensive validation
  */
 class FileProcessor {
-  constructor() {
-    this.supportedFormats = ['.csv', '.xlsx', '.xls'];
+  constructor(options = {}) {
+    this.supportedFormats = SUPPORTED_EXTENSIONS;
     this.requiredColumns = ['firstName', 'phone', 'notes'];
-    this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024; // 5MB
+    this.maxFileSize = options.maxFileSize || parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024; // 5MB
+    this.mappingTemplate = options.mappingTemplate || null;
+    // Template mappings by normalized source header, looked up for every row
+    this.mappingsBySource = new Map(
+      (this.mappingTemplate ? this.mappingTemplate.mappings : [])
+        .map(mapping => [MappingTemplate.normalizeHeaderKey(mapping.source), mapping])
+    );
+    this.fieldSchema = options.fieldSchema || [];
+    this.defaultCountry = options.defaultCountry || getDefaultPhoneCountry();
+    // Workbooks import their first sheet unless a sheet or all sheets are chosen
+    this.sheetName = options.sheetName || null;
+    this.allSheets = Boolean(options.allSheets);
+    // Text encoding and delimiter are detected per file unless given
+    this.encoding = options.encoding || 'auto';
+    this.delimiter = DELIMITERS[options.delimiter] || options.delimiter || 'auto';
+    this.headers = [];
+    this.textFormats = {};
   }
 
   /**
@@ -42,125 +88,343 @@ class FileProcessor {
   }
 
   /**
-   * Process CSV file
+   * Main processing method. Rows are collected in memory, so this is only
+   * used for files within the direct upload limit.
    */
-  async processCSV(filePath) {
-    return new Promise((resolve, reject) => {
-      const results = [];
-      const errors = [];
-      let rowCount = 0;
-
-      fs.createReadStream(filePath)
-        .pipe(csv({
-          mapHeaders: ({ header }) => this.normalizeHeader(header)
-        }))
-        .on('data', (data) => {
-          rowCount++;
-          const validation = this.validateRow(data, rowCount);
-          
-          if (validation.isValid) {
-            results.push(this.sanitizeRow(data));
-          } else {
-            errors.push(...validation.errors);
-          }
-        })
-        .on('end', () => {
-          resolve({
-            data: results,
-            totalRows: rowCount,
-            validRows: results.length,
-            errors,
-            skippedRows: rowCount - results.length
-          });
-        })
-        .on('error', (error) => {
-          reject(new Error(`CSV processing error: ${error.message}`));
-        });
-    });
-  }
+  async processFile(file) {
+    const data = [];
+    const rejected = [];
 
-  /**
-   * Process Excel file
-   */
-  async processExcel(filePath) {
     try {
-      const workbook = XLSX.readFile(filePath);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      
-      // Convert to JSON with header mapping
-      const rawData = XLSX.utils.sheet_to_json(worksheet, {
-        raw: false,
-        dateNF: 'yyyy-mm-dd'
-      });
-
-      const results = [];
-      const errors = [];
-
-      rawData.forEach((row, index) => {
-        const normalizedRow = this.normalizeRowKeys(row);
-        const validation = this.validateRow(normalizedRow, index + 1);
-        
-        if (validation.isValid) {
-          results.push(this.sanitizeRow(normalizedRow));
-        } else {
-          errors.push(...validation.errors);
+      const stats = await this.processFileInBatches(file, {
+        batchSize: Infinity,
+        maxErrors: Infinity,
+        onBatch: async (batch, batchStats, rejectedRows) => {
+          data.push(...batch);
+          rejected.push(...rejectedRows);
         }
       });
 
+      // Additional validation
+      if (data.length === 0) {
+        throw new Error('No valid records found in the file');
+      }
+
+      // Clean up uploaded file
+      this.cleanupFile(file.path);
+
       return {
-        data: results,
-        totalRows: rawData.length,
-        validRows: results.length,
-        errors,
-        skippedRows: rawData.length - results.length
+        data,
+        totalRows: stats.totalRows,
+        validRows: stats.validRows,
+        errors: stats.errors,
+        rejected,
+        sheets: stats.sheets,
+        files: stats.files,
+        encoding: stats.encoding,
+        delimiter: stats.delimiter,
+        skippedRows: stats.skippedRows,
+        headers: this.headers,
+        fileName: file.originalname,
+        fileSize: file.size,
+        processedAt: new Date()
       };
     } catch (error) {
-      throw new Error(`Excel processing error: ${error.message}`);
+      // Clean up uploaded file on error
+      this.cleanupFile(file.path);
+      throw error;
     }
   }
 
   /**
-   * Main processing method
+   * Process a file in batches for background imports. Valid rows are handed
+   * to `onBatch` as soon as a batch fills, so memory stays bounded by the
+   * batch size rather than the file size. Rejected rows travel with the
+   * batch as its third argument.
    */
-  async processFile(file) {
+  async processFileInBatches(file, { batchSize = 1000, onBatch, maxErrors = 1000 }) {
     const validation = this.validateFile(file);
-    
+
     if (!validation.isValid) {
       throw new Error(validation.errors.join(', '));
     }
 
-    const ext = path.extname(file.originalname).toLowerCase();
-    
-    try {
-      let result;
-      
-      if (ext === '.csv') {
-        result = await this.processCSV(file.path);
-      } else if (['.xlsx', '.xls'].includes(ext)) {
-        result = await this.processExcel(file.path);
+    const stats = {
+      totalRows: 0,
+      validRows: 0,
+      skippedRows: 0,
+      errorCount: 0,
+      errors: [],
+      sheets: [],
+      files: []
+    };
+
+    let batch = [];
+    let rejected = [];
+
+    for await (const { row: rawRow, sheetName = null, sourceFile = null, parseError } of this.iterateRawRows(file)) {
+      stats.totalRows++;
+      const source = { sheetName, sourceFile };
+      const row = this.mapRow(rawRow);
+      const result = parseError
+        ? { isValid: false, errors: [{ row: stats.totalRows, column: null, error: parseError, value: '' }] }
+        : this.validateRow(row, stats.totalRows);
+
+      // Per-sheet and per-file counts for workbooks and archives
+      const segments = [
+        sheetName && this.countSegment(stats.sheets, sheetName),
+        sourceFile && this.countSegment(stats.files, sourceFile)
+      ].filter(Boolean);
+      segments.forEach(segment => segment.totalRows++);
+
+      if (result.isValid) {
+        batch.push(this.sanitizeRow(row, stats.totalRows, source));
+        stats.validRows++;
+        segments.forEach(segment => segment.validRows++);
       } else {
+        const errors = this.withSource(result.errors, source);
+        stats.skippedRows++;
+        stats.errorCount += errors.length;
+        stats.errors.push(...errors.slice(0, Math.max(0, maxErrors - stats.errors.length)));
+        rejected.push(this.buildRejectedRow(rawRow, stats.totalRows, result.errors, source));
+      }
+
+      if (batch.length >= batchSize || rejected.length >= batchSize) {
+        await onBatch(batch, stats, rejected);
+        batch = [];
+        rejected = [];
+      }
+    }
+
+    if (batch.length > 0 || rejected.length > 0) {
+      await onBatch(batch, stats, rejected);
+    }
+
+    // Report the detected encoding and delimiter of text files
+    const textFormat = this.textFormats[file.originalname] || {};
+    stats.encoding = textFormat.encoding || null;
+    stats.delimiter = textFormat.delimiter || null;
+    stats.files.forEach(entry => Object.assign(entry, this.textFormats[entry.name]));
+
+    return stats;
+  }
+
+  /**
+   * Find or start the row counts for a sheet or archived file
+   */
+  countSegment(segments, name) {
+    let segment = segments.find(entry => entry.name === name);
+
+    if (!segment) {
+      segment = { name, totalRows: 0, validRows: 0 };
+      segments.push(segment);
+    }
+
+    return segment;
+  }
+
+  /**
+   * Yield normalized rows one at a time
+   */
+  async *iterateRows(file) {
+    for await (const { row } of this.iterateRawRows(file)) {
+      yield this.mapRow(row);
+    }
+  }
+
+  /**
+   * Yield rows as they appear in the file, with the sheet and archived file
+   * they came from
+   */
+  async *iterateRawRows(file) {
+    this.headers = [];
+    this.textFormats = {};
+
+    yield* this.iterateFileRows(file);
+  }
+
+  async *iterateFileRows(file) {
+    switch (getFileFormat(file.originalname)) {
+      case 'delimited':
+        yield* this.iterateDelimitedRows(file);
+        break;
+      case 'workbook':
+        yield* this.iterateWorkbookRows(file);
+        break;
+      case 'json':
+        yield* this.iterateJsonRows(file);
+        break;
+      case 'ndjson':
+        yield* this.iterateNdjsonRows(file);
+        break;
+      case 'archive':
+        yield* this.iterateArchiveRows(file);
+        break;
+      default:
         throw new Error('Unsupported file format');
+    }
+  }
+
+  /**
+   * Stream CSV/TSV rows from disk, decoding the detected encoding and
+   * splitting on the detected delimiter
+   */
+  async *iterateDelimitedRows(file) {
+    const sample = readSample(file.path);
+    const encoding = this.encoding === 'auto' ? detectEncoding(sample) : this.encoding;
+    const fallback = path.extname(file.originalname).toLowerCase() === '.tsv' ? '\t' : ',';
+    const delimiter = this.delimiter === 'auto'
+      ? detectDelimiter(new TextDecoder(encoding).decode(sample), fallback)
+      : this.delimiter;
+
+    this.textFormats[file.originalname] = { encoding, delimiter };
+
+    const parser = csv({
+      separator: delimiter,
+      mapHeaders: ({ header }) => header.trim()
+    });
+    parser.on('headers', (headers) => {
+      this.addHeaders(headers);
+    });
+
+    // Read errors destroy the parser, which ends the loop below with the error
+    pipeline(fs.createReadStream(file.path), createDecoder(encoding), parser, () => {});
+
+    for await (const row of parser) {
+      yield { row };
+    }
+  }
+
+  /**
+   * SheetJS has no streaming reader, so workbooks are loaded once and their
+   * rows handed out incrementally
+   */
+  async *iterateWorkbookRows(file) {
+    const workbook = XLSX.readFile(file.path, { dense: true });
+
+    for (const sheetName of this.selectSheets(workbook)) {
+      const worksheet = workbook.Sheets[sheetName];
+      const rows = XLSX.utils.sheet_to_json(worksheet, {
+        raw: false,
+        dateNF: 'yyyy-mm-dd'
+      });
+      this.addHeaders(this.getSheetHeaders(worksheet));
+
+      for (const row of rows) {
+        yield { row, sheetName };
       }
+    }
+  }
 
-      // Additional validation
-      if (result.data.length === 0) {
-        throw new Error('No valid records found in the file');
+  /**
+   * Read a JSON file holding an array of lead objects
+   */
+  async *iterateJsonRows(file) {
+    let records;
+
+    try {
+      records = JSON.parse(readText(file.path, this.encoding));
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(records)) {
+      throw new Error('JSON files must contain an array of records');
+    }
+
+    for (const record of records) {
+      yield this.toJsonRow(record);
+    }
+  }
+
+  /**
+   * Stream a newline-delimited JSON feed, one lead object per line. Lines
+   * that aren't valid JSON are rejected without stopping the import.
+   */
+  async *iterateNdjsonRows(file) {
+    const encoding = this.encoding === 'auto' ? detectEncoding(readSample(file.path)) : this.encoding;
+    let streamError = null;
+
+    const input = pipeline(fs.createReadStream(file.path), createDecoder(encoding), (error) => {
+      streamError = error || null;
+    });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        yield { row: {}, parseError: `Invalid JSON (${error.message}): ${line.slice(0, 200)}` };
+        continue;
       }
 
-      // Clean up uploaded file
-      this.cleanupFile(file.path);
+      yield this.toJsonRow(record);
+    }
 
-      return {
-        ...result,
-        fileName: file.originalname,
-        fileSize: file.size,
-        processedAt: new Date()
+    if (streamError) {
+      throw streamError;
+    }
+  }
+
+  /**
+   * Flatten a JSON lead into a row of strings like the other formats produce
+   */
+  toJsonRow(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { row: {}, parseError: 'Each record must be a JSON object' };
+    }
+
+    const row = {};
+    Object.keys(record).forEach(key => {
+      const value = record[key];
+      row[key] = value === null || value === undefined
+        ? ''
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+    this.addHeaders(Object.keys(row));
+
+    return { row };
+  }
+
+  /**
+   * Read every supported file in a ZIP archive as one batch. Each file is
+   * extracted next to the upload, read like a direct upload, then removed.
+   * A file may be no larger than a direct upload, and all of them together
+   * no larger than MAX_ARCHIVE_EXPANSION uploads.
+   */
+  async *iterateArchiveRows(file) {
+    const buffer = fs.readFileSync(file.path);
+    const entries = selectArchiveEntries(readZipEntries(buffer));
+
+    if (entries.length === 0) {
+      throw new Error(`Archive contains no supported files (${this.supportedFormats.filter(ext => ext !== '.zip').join(', ')})`);
+    }
+
+    let remaining = this.maxFileSize * MAX_ARCHIVE_EXPANSION;
+
+    if (entries.reduce((total, entry) => total + entry.size, 0) > remaining) {
+      throw new Error('Archive contents exceed the size limit');
+    }
+
+    for (const [index, entry] of entries.entries()) {
+      const entryFile = {
+        path: `${file.path}-${index}${path.extname(entry.name).toLowerCase()}`,
+        originalname: entry.name
       };
-    } catch (error) {
-      // Clean up uploaded file on error
-      this.cleanupFile(file.path);
-      throw error;
+
+      try {
+        entryFile.size = await extractZipEntry(buffer, entry, entryFile.path, Math.min(this.maxFileSize, remaining));
+        remaining -= entryFile.size;
+
+        for await (const entryRow of this.iterateFileRows(entryFile)) {
+          yield { ...entryRow, sourceFile: entry.name };
+        }
+      } finally {
+        this.cleanupFile(entryFile.path);
+      }
     }
   }
 
@@ -184,7 +448,19 @@ class FileProcessor {
       'note': 'notes',
       'comment': 'notes',
       'comments': 'notes',
-      'description': 'notes'
+      'description': 'notes',
+      'skill': 'requiredSkill',
+      'requiredskill': 'requiredSkill',
+      'language': 'requiredSkill',
+      'requiredlanguage': 'requiredSkill',
+      'country': 'country',
+      'countrycode': 'country',
+      'phonecountry': 'country',
+      // Columns added by the rejected-rows report
+      'sourcefile': 'reportFile',
+      'sourcesheet': 'reportSheet',
+      'sourcerow': 'reportRow',
+      'validationerror': 'reportError'
     };
 
     return headerMap[normalized] || normalized;
@@ -195,15 +471,177 @@ class FileProcessor {
    */
   normalizeRowKeys(row) {
     const normalized = {};
+    const routingColumns = [];
     
     Object.keys(row).forEach(key => {
       const normalizedKey = this.normalizeHeader(key);
       normalized[normalizedKey] = row[key];
+      if (normalizedKey === 'requiredSkill') routingColumns.push(key);
     });
 
+    // Skill and language columns both route the record; one would silently
+    // overwrite the other
+    if (routingColumns.length > 1) {
+      throw createError(400, `Columns ${routingColumns.join(' and ')} both set the required skill; keep only one of them`);
+    }
+
     return normalized;
   }
 
+  /**
+   * Map a raw row to record fields, using the mapping template when one is
+   * set. Headers the template doesn't cover fall back to normalizeHeader.
+   */
+  mapRow(row) {
+    if (!this.mappingTemplate) {
+      return this.normalizeRowKeys(row);
+    }
+
+    const mapped = {};
+    const unmapped = {};
+
+    Object.keys(row).forEach(key => {
+      const mapping = this.mappingsBySource.get(MappingTemplate.normalizeHeaderKey(key));
+
+      if (mapping) {
+        this.applyMapping(mapped, mapping, row[key]);
+      } else {
+        unmapped[key] = row[key];
+      }
+    });
+
+    const fallback = this.normalizeRowKeys(unmapped);
+    Object.keys(fallback).forEach(key => {
+      if (mapped[key] === undefined) {
+        mapped[key] = fallback[key];
+      }
+    });
+
+    return mapped;
+  }
+
+  /**
+   * Apply a template mapping's transforms in order and write the value to
+   * its target
+   */
+  applyMapping(mapped, mapping, rawValue) {
+    let value = rawValue === undefined || rawValue === null ? '' : String(rawValue);
+
+    (mapping.transforms || []).forEach(transform => {
+      switch (transform) {
+        case 'trim':
+          value = value.trim();
+          break;
+        case 'uppercase':
+          value = value.toUpperCase();
+          break;
+        case 'lowercase':
+          value = value.toLowerCase();
+          break;
+        case 'splitFullName': {
+          // First word stays with the target field, the rest becomes lastName
+          const [first = '', ...rest] = value.trim().split(/\s+/);
+          value = first;
+          if (rest.length > 0 && mapped.lastName === undefined) {
+            mapped.lastName = rest.join(' ');
+          }
+          break;
+        }
+      }
+    });
+
+    mapped[mapping.target] = value;
+  }
+
+  /**
+   * Read the header row of a worksheet
+   */
+  getSheetHeaders(worksheet) {
+    const [headerRow = []] = XLSX.utils.sheet_to_json(worksheet, { header: 1, range: 0 });
+    return headerRow.map(header => String(header).trim()).filter(Boolean);
+  }
+
+  /**
+   * Read only the header row of a file, used to suggest mapping templates
+   */
+  async readHeaders(file) {
+    const rows = this.iterateRawRows(file);
+
+    try {
+      await rows.next();
+    } finally {
+      await rows.return();
+    }
+
+    return this.headers;
+  }
+
+  /**
+   * List a workbook's sheets with their row counts and headers so the
+   * client can pick one. CSV files have no sheets.
+   */
+  listSheets(file) {
+    const ext = path.extname(file.originalname).toLowerCase();
+
+    if (!['.xlsx', '.xls'].includes(ext)) {
+      return [];
+    }
+
+    const workbook = XLSX.readFile(file.path, { dense: true });
+
+    return workbook.SheetNames.map(name => {
+      const worksheet = workbook.Sheets[name];
+      const range = worksheet['!ref'] ? XLSX.utils.decode_range(worksheet['!ref']) : null;
+
+      return {
+        name,
+        rows: range ? range.e.r - range.s.r : 0,
+        headers: this.getSheetHeaders(worksheet)
+      };
+    });
+  }
+
+  /**
+   * Pick the sheets to import from a workbook
+   */
+  selectSheets(workbook) {
+    if (this.allSheets) {
+      return workbook.SheetNames;
+    }
+
+    if (!this.sheetName) {
+      return workbook.SheetNames.slice(0, 1);
+    }
+
+    if (!workbook.SheetNames.includes(this.sheetName)) {
+      throw new Error(`Sheet "${this.sheetName}" not found. Available sheets: ${workbook.SheetNames.join(', ')}`);
+    }
+
+    return [this.sheetName];
+  }
+
+  /**
+   * Add a sheet's headers to the file's headers, keeping first-seen order
+   */
+  addHeaders(headers) {
+    headers.forEach(header => {
+      if (!this.headers.includes(header)) this.headers.push(header);
+    });
+  }
+
+  /**
+   * Tag validation errors with the sheet and archived file they came from
+   */
+  withSource(errors, { sheetName, sourceFile }) {
+    if (!sheetName && !sourceFile) return errors;
+
+    return errors.map(error => ({
+      ...error,
+      ...(sheetName && { sheet: sheetName }),
+      ...(sourceFile && { file: sourceFile })
+    }));
+  }
+
   /**
    * Validate individual row
    */
@@ -222,16 +660,15 @@ class FileProcessor {
       }
     });
 
-    // Validate phone number
+    // Validate phone number can be normalized to E.164
     if (row.phone) {
-      const phoneRegex = /^\+?\d{10,15}$/;
-      const cleanPhone = String(row.phone).replace(/[^\d+]/g, '');
+      const phone = this.normalizeRowPhone(row);
       
-      if (!phoneRegex.test(cleanPhone)) {
+      if (phone.error) {
         errors.push({
           row: rowNumber,
           column: 'phone',
-          error: 'Invalid phone number format',
+          error: phone.error,
           value: row.phone
         });
       }
@@ -257,6 +694,37 @@ class FileProcessor {
       });
     }
 
+    // Validate declared custom fields
+    if (this.fieldSchema.length > 0) {
+      const customFields = extractCustomFields(row);
+
+      this.fieldSchema.forEach(field => {
+        const value = customFields[field.key];
+
+        if (value === undefined) {
+          if (field.required) {
+            errors.push({
+              row: rowNumber,
+              column: field.key,
+              error: `${field.label} is required`,
+              value: ''
+            });
+          }
+          return;
+        }
+
+        const result = coerceFieldValue(field, value);
+        if (result.error) {
+          errors.push({
+            row: rowNumber,
+            column: field.key,
+            error: result.error,
+            value
+          });
+        }
+      });
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -264,13 +732,104 @@ class FileProcessor {
   }
 
   /**
-   * Sanitize row data
+   * Normalize the row's phone using its country column or the upload default
    */
-  sanitizeRow(row) {
-    return {
+  normalizeRowPhone(row) {
+    return normalizePhone(row.phone, {
+      defaultCountry: this.defaultCountry,
+      country: row.country
+    });
+  }
+
+  /**
+   * Type the row's extra columns, using the field schema where declared
+   */
+  buildCustomFields(row) {
+    const customFields = extractCustomFields(row);
+    const schemaByKey = new Map(this.fieldSchema.map(field => [field.key, field]));
+
+    Object.keys(customFields).forEach(key => {
+      const field = schemaByKey.get(key);
+      customFields[key] = field
+        ? coerceFieldValue(field, customFields[key]).value
+        : inferFieldValue(customFields[key]);
+    });
+
+    return customFields;
+  }
+
+  /**
+   * Sanitize row data. sourceRow keeps the file row number for reports.
+   */
+  sanitizeRow(row, rowNumber, { sheetName = null, sourceFile = null } = {}) {
+    const phone = this.normalizeRowPhone(row);
+    const sanitized = {
       firstName: String(row.firstName || '').trim(),
-      phone: String(row.phone || '').replace(/[^\d+]/g, ''),
-      notes: String(row.notes || '').trim()
+      phone: phone.phone,
+      phoneOriginal: phone.phoneOriginal,
+      phoneType: phone.phoneType,
+      phoneCountry: phone.phoneCountry,
+      notes: String(row.notes || '').trim(),
+      sourceRow: rowNumber
+    };
+
+    // Optional routing column used by the skills strategy
+    const requiredSkill = String(row.requiredSkill || '').trim();
+    if (requiredSkill) {
+      sanitized.requiredSkill = requiredSkill.toLowerCase();
+    }
+
+    // Optional queue priority; higher is worked first
+    const priority = parseInt(row.priority);
+    if (Number.isFinite(priority)) {
+      sanitized.priority = priority;
+    }
+
+    // Rows re-imported from a rejected-rows report point back at their original row
+    const reportRow = parseInt(row.reportRow);
+    if (reportRow > 0) {
+      sanitized.reportRow = reportRow;
+    }
+
+    // Workbook and archive rows keep their sheet and file; re-imported rows keep the original ones
+    const sheet = String((row.reportSheet !== undefined ? row.reportSheet : sheetName) || '').trim();
+    if (sheet) {
+      sanitized.sheetName = sheet;
+    }
+
+    const fileName = String((row.reportFile !== undefined ? row.reportFile : sourceFile) || '').trim();
+    if (fileName) {
+      sanitized.sourceFile = fileName;
+    }
+
+    // Extra columns are kept as typed custom fields
+    const customFields = this.buildCustomFields(row);
+    if (Object.keys(customFields).length > 0) {
+      sanitized.customFields = customFields;
+    }
+
+    return sanitized;
+  }
+
+  /**
+   * Keep a rejected row as it appeared in the file, with its errors, so it
+   * can be reported back to the data provider
+   */
+  buildRejectedRow(rawRow, rowNumber, errors, { sheetName = null, sourceFile = null } = {}) {
+    const toText = (value) => (value === undefined || value === null ? '' : String(value));
+    const fromReport = (column, fallback) =>
+      (column in rawRow ? toText(rawRow[column]).trim() : fallback) || null;
+    const reportRow = parseInt(rawRow[REPORT_COLUMNS.row]);
+
+    return {
+      rowNumber,
+      ...(reportRow > 0 && { reportRow }),
+      sheetName: fromReport(REPORT_COLUMNS.sheet, sheetName),
+      sourceFile: fromReport(REPORT_COLUMNS.file, sourceFile),
+      data: Object.keys(rawRow)
+        .filter(column => !Object.values(REPORT_COLUMNS).includes(column))
+        .map(column => ({ column, value: toText(rawRow[column]) })),
+      errors: errors.map(({ column, error, value }) => ({ column, error, value: toText(value) }))
     };
   }
 
@@ -297,11 +856,18 @@ class FileProcessor {
       invalidRecords: processedData.skippedRows,
       errorRate: processedData.totalRows > 0 ? 
         Math.round((processedData.skippedRows / processedData.totalRows) * 100) : 0,
-      validationErrors: processedData.errors.length
+      validationErrors: processedData.errors.length,
+      ...(processedData.encoding && {
+        encoding: processedData.encoding,
+        delimiter: processedData.delimiter
+      }),
+      ...(processedData.files && processedData.files.length > 0 && { files: processedData.files })
     };
 
     return stats;
   }
 }
 
+FileProcessor.REPORT_COLUMNS = REPORT_COLUMNS;
+
 module.exports = FileProcessor;
@@ -0,0 +1,217 @@
+const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const User = require('../models/User');
+const { adjustAgentCount } = require('./recordPool');
+const { isClaimed } = require('./recordLocking');
+const { getDefaultTimeZone, isValidTimeZone, parseScheduleTime } = require('./scheduler');
+const { createError } = require('../middleware/errorHandler');
+
+const OPEN_STATUSES = ['pending', 'in-progress'];
+
+/**
+ * Minutes before a follow-up is due that its agent is reminded
+ */
+const getReminderMinutes = () => {
+  const minutes = parseInt(process.env.FOLLOW_UP_REMINDER_MINUTES);
+  return minutes >= 0 ? minutes : 15;
+};
+
+/**
+ * Priority given to records whose follow-up is due, so they top the queue
+ */
+const getFollowUpPriority = () => parseInt(process.env.FOLLOW_UP_PRIORITY) || 1000;
+
+/**
+ * Validate a follow-up request and build the record's followUp. Bare local
+ * times such as 2026-10-26T15:30 are read in the given time zone.
+ */
+const resolveFollowUp = async ({ dueAt, timezone, assigneeId, note }, { setBy }) => {
+  const timeZone = timezone || getDefaultTimeZone();
+
+  if (!isValidTimeZone(timeZone)) {
+    throw createError(400, `Unknown time zone: ${timeZone}`);
+  }
+
+  const due = parseScheduleTime(dueAt, timeZone);
+
+  if (!due) {
+    throw createError(400, 'Invalid follow-up time');
+  }
+
+  if (due.getTime() <= Date.now()) {
+    throw createError(400, 'Follow-up time must be in the future');
+  }
+
+  let assignee;
+  if (assigneeId) {
+    assignee = await User.findOne({ _id: assigneeId, role: 'agent', isActive: true });
+
+    if (!assignee) {
+      throw createError(400, 'Follow-up assignee not found or inactive');
+    }
+  }
+
+  return {
+    dueAt: due,
+    timezone: timeZone,
+    assignee: assignee ? assignee._id : undefined,
+    note,
+    setBy,
+    setAt: new Date()
+  };
+};
+
+/**
+ * Query for an agent's follow-ups: ones handed to them, and ones on their
+ * records that aren't handed to someone else
+ */
+const followUpsFor = (agentId) => ({
+  'followUp.dueAt': { $type: 'date' },
+  status: { $in: OPEN_STATUSES },
+  $or: [
+    { 'followUp.assignee': agentId },
+    { assignedAgent: agentId, 'followUp.assignee': null }
+  ]
+});
+
+/**
+ * List an agent's overdue follow-ups and those due within the next `days`
+ */
+const listFollowUps = async (agentId, { days = 7 } = {}) => {
+  const now = new Date();
+  const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+  const hidden = await Distribution.getHiddenFromAgents();
+
+  const records = await Record.find({
+    ...followUpsFor(agentId),
+    'followUp.dueAt': { $lte: until },
+    distribution: { $nin: hidden }
+  })
+    .select('-history')
+    .sort({ 'followUp.dueAt': 1 })
+    .populate('distribution', 'fileName')
+    .lean();
+
+  const items = records.map(({ distribution, ...record }) => ({
+    ...record,
+    version: record.__v || 0,
+    distributionId: distribution ? distribution._id : null,
+    distributionName: distribution ? distribution.fileName : null
+  }));
+
+  return {
+    overdue: items.filter(item => item.followUp.dueAt <= now),
+    upcoming: items.filter(item => item.followUp.dueAt > now)
+  };
+};
+
+/**
+ * Agent a follow-up's reminder and callback belong to
+ */
+const followUpAgent = (record) => record.followUp.assignee || record.assignedAgent;
+
+const emitToAgent = (io, agentId, event, record) => {
+  if (!io || !agentId) return;
+
+  io.to(`agent_${agentId}`).emit(event, {
+    recordId: record._id,
+    distributionId: record.distribution,
+    firstName: record.firstName,
+    phone: record.phone,
+    dueAt: record.followUp.dueAt,
+    timezone: record.followUp.timezone,
+    note: record.followUp.note
+  });
+};
+
+/**
+ * Remind agents of follow-ups coming due, and move due ones to the top of
+ * their queue, handing them to the follow-up's assignee when one was named
+ * (called every minute)
+ */
+const processFollowUps = async (io) => {
+  const now = new Date();
+  const remindBefore = new Date(now.getTime() + getReminderMinutes() * 60 * 1000);
+
+  const reminders = await Record.find({
+    'followUp.dueAt': { $lte: remindBefore },
+    'followUp.remindedAt': null,
+    status: { $in: OPEN_STATUSES }
+  }).select('distribution assignedAgent firstName phone followUp');
+
+  for (const record of reminders) {
+    const { modifiedCount } = await Record.updateOne(
+      { _id: record._id, 'followUp.dueAt': record.followUp.dueAt, 'followUp.remindedAt': null },
+      { $set: { 'followUp.remindedAt': now } }
+    );
+
+    if (modifiedCount > 0) {
+      emitToAgent(io, followUpAgent(record), 'followUpReminder', record);
+    }
+  }
+
+  const due = await Record.find({
+    'followUp.dueAt': { $lte: now },
+    'followUp.bumpedAt': null,
+    status: { $in: OPEN_STATUSES }
+  });
+
+  for (const record of due) {
+    const assigneeId = record.followUp.assignee;
+    const previousAgent = record.assignedAgent;
+
+    // Hand the record over unless it is already theirs or someone is working it
+    let assignee = null;
+    if (assigneeId && (!previousAgent || previousAgent.toString() !== assigneeId.toString()) &&
+        !isClaimed(record, { except: assigneeId })) {
+      assignee = await User.findOne({ _id: assigneeId, role: 'agent', isActive: true });
+    }
+    const handOver = Boolean(assignee);
+
+    record.followUp.previousPriority = record.priority;
+    record.followUp.bumpedAt = now;
+    record.priority = Math.max(record.priority, getFollowUpPriority());
+
+    if (handOver) {
+      record.assignedAgent = assignee._id;
+      record.assignedAt = now;
+      record.unassignedReason = null;
+      record.leaseExpiresAt = null;
+    }
+
+    // Skip records changed since they were read; the next run picks them up
+    try {
+      await record.save();
+    } catch (error) {
+      if (error.name === 'VersionError') continue;
+      throw error;
+    }
+
+    if (handOver) {
+      if (previousAgent) await adjustAgentCount(record.distribution, { _id: previousAgent }, -1);
+      await adjustAgentCount(record.distribution, assignee, 1);
+
+      if (io && previousAgent) {
+        io.to(`agent_${previousAgent}`).emit('recordReassigned', {
+          recordId: record._id,
+          distributionId: record.distribution
+        });
+      }
+    }
+
+    emitToAgent(io, followUpAgent(record), 'followUpDue', record);
+  }
+
+  if (due.length > 0) {
+    console.log(`📞 ${due.length} follow-up(s) came due`);
+  }
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  getReminderMinutes,
+  getFollowUpPriority,
+  resolveFollowUp,
+  listFollowUps,
+  processFollowUps
+};
@@ -0,0 +1,454 @@
+const Distribution = require('../models/Distribution');
+const ImportJob = require('../models/ImportJob');
+const MappingTemplate = require('../models/MappingTemplate');
+const Record = require('../models/Record');
+const RejectedRow = require('../models/RejectedRow');
+const Schedule = require('../models/Schedule');
+const User = require('../models/User');
+const FileProcessor = require('./fileProcessor');
+const DistributionEngine = require('./distributionEngine');
+const { getAgentCapacity } = require('./agentCapacity');
+const { buildRecordDocuments, resolveMappingTemplate, resolveFieldSchema } = require('./importPipeline');
+const {
+  createDuplicateCounts,
+  detectDuplicates,
+  attachFollowers,
+  applyMerges
+} = require('./duplicateDetector');
+const { createSuppressionCounts, applySuppressions, holdFlagged } = require('./suppressionList');
+const {
+  getDefaultMode,
+  fingerprintRow,
+  findFileMatch,
+  countRowMatches,
+  findRowMatch,
+  enforceReuploadPolicy,
+  toReuploadMetadata
+} = require('./reuploadDetector');
+const { resolveRelease, holdForRelease } = require('./scheduler');
+const { holdForQueue } = require('./workQueue');
+const { cleanupFile, hashFile, maxImportFileSize } = require('./upload');
+
+const BATCH_SIZE = parseInt(process.env.IMPORT_BATCH_SIZE) || 1000;
+const MAX_REPORTED_ERRORS = 1000;
+
+// Jobs run one at a time so large imports don't compete for memory
+let queue = Promise.resolve();
+
+/**
+ * Emit a job event to the admin who started the import
+ */
+const emitJobEvent = (io, job, event, payload = {}) => {
+  if (!io) return;
+
+  io.to(`admin_${job.createdBy}`).emit(event, {
+    jobId: job._id,
+    ...payload
+  });
+};
+
+/**
+ * Remove an unfinished import's distribution with everything inserted for it
+ */
+const discardDistribution = async (distributionId) => {
+  await Record.deleteMany({ distribution: distributionId });
+  await RejectedRow.deleteMany({ distribution: distributionId });
+  await Schedule.deleteMany({ distribution: distributionId });
+  await Distribution.deleteOne({ _id: distributionId });
+};
+
+/**
+ * Parse, distribute and insert an import job's file batch by batch
+ */
+const runImportJob = async (jobId, io) => {
+  const job = await ImportJob.findById(jobId).select('+filePath');
+
+  if (!job || job.status !== 'queued') {
+    return;
+  }
+
+  // Records are inserted as batches arrive, so the distribution is created
+  // up front as a processing draft that agents can't see or work, and is
+  // filled in at the end. Its totals aren't known yet, hence no validation.
+  const distribution = new Distribution({
+    fileName: job.originalFileName,
+    originalFileName: job.originalFileName,
+    fileSize: job.fileSize,
+    uploadedBy: job.createdBy,
+    totalRecords: 0,
+    distributionStrategy: job.distributionStrategy,
+    assignmentMode: job.assignmentMode,
+    fieldSchema: job.fieldSchema,
+    status: 'processing',
+    lifecycle: 'draft'
+  });
+  await distribution.save({ validateBeforeSave: false });
+
+  const distributionId = distribution._id;
+  const startTime = Date.now();
+
+  job.status = 'running';
+  job.startedAt = new Date();
+  job.distribution = distributionId;
+  await job.save();
+
+  emitJobEvent(io, job, 'importStarted', { fileName: job.originalFileName });
+
+  try {
+    const agents = await User.find({ role: 'agent', isActive: true });
+
+    if (agents.length === 0) {
+      throw new Error('No active agents found. Please ensure at least one agent is registered.');
+    }
+
+    const mappingTemplate = job.mappingTemplate
+      ? await MappingTemplate.findById(job.mappingTemplate)
+      : null;
+
+    if (job.mappingTemplate && !mappingTemplate) {
+      throw new Error('Mapping template not found');
+    }
+
+    const capacity = await getAgentCapacity(agents);
+    const assignedCounts = new Map(agents.map(agent => [agent._id.toString(), 0]));
+    const distributionEngine = new DistributionEngine();
+    const fileProcessor = new FileProcessor({
+      maxFileSize: maxImportFileSize,
+      mappingTemplate,
+      fieldSchema: job.fieldSchema,
+      defaultCountry: job.defaultCountry,
+      sheetName: job.sheetName,
+      allSheets: job.allSheets,
+      encoding: job.encoding,
+      delimiter: job.delimiter
+    });
+
+    let assignedRecords = 0;
+    let unassignedRecords = 0;
+    let overflowRecords = 0;
+    let batches = 0;
+    const duplicateCounts = createDuplicateCounts(job.duplicatePolicy, job.duplicateMatch);
+    const suppressionCounts = createSuppressionCounts(job.suppressionMode);
+    const rowMatches = new Map();
+    let fingerprintedRows = 0;
+    // Merges touch other distributions' records, so they wait until the import succeeds
+    const merges = [];
+
+    const onBatch = async (batch, stats, rejected) => {
+      // Compare rows with earlier distributions unless the whole file already matched one
+      if (!job.reupload) {
+        const fingerprints = [...new Set(batch.map(fingerprintRow))];
+        await countRowMatches(fingerprints, { excludeDistribution: distributionId, counts: rowMatches });
+        fingerprintedRows += fingerprints.length;
+      }
+
+      // Least loaded agents first so remainders rotate between batches
+      const orderedAgents = [...agents].sort((a, b) =>
+        assignedCounts.get(a._id.toString()) - assignedCounts.get(b._id.toString())
+      );
+
+      const remainingCapacity = capacity && Object.keys(capacity).reduce((remaining, agentId) => {
+        remaining[agentId] = Math.max(0, capacity[agentId] - assignedCounts.get(agentId));
+        return remaining;
+      }, {});
+
+      const suppressions = await applySuppressions(batch, {
+        mode: job.suppressionMode,
+        counts: suppressionCounts
+      });
+
+      // Suppressed rows join the batch's validation errors
+      stats.errorCount += suppressions.errors.length;
+      stats.errors.push(...suppressions.errors.slice(0, Math.max(0, MAX_REPORTED_ERRORS - stats.errors.length)));
+
+      // Earlier batches are already inserted, so they are matched like existing records
+      const duplicates = await detectDuplicates(suppressions.records, {
+        policy: job.duplicatePolicy,
+        matchBy: job.duplicateMatch,
+        agents,
+        distributionId,
+        counts: duplicateCounts
+      });
+
+      let result = { agents: [], unassigned: [], summary: { overflowRecords: 0 } };
+
+      if (duplicates.records.length > 0 || duplicates.pinned.length > 0) {
+        result = await distributionEngine.distribute(
+          duplicates.records,
+          orderedAgents,
+          job.distributionStrategy,
+          { capacity: remainingCapacity, pinned: duplicates.pinned }
+        );
+        attachFollowers(result, duplicates.followers, job.duplicateMatch, distributionEngine);
+      }
+      holdFlagged(result, suppressions.flagged);
+      if (job.releaseAt) {
+        holdForRelease(result);
+      } else if (job.assignmentMode === 'pull') {
+        holdForQueue(result);
+      }
+
+      await Record.insertMany(buildRecordDocuments(result, distributionId));
+      await RejectedRow.record(distributionId, rejected);
+
+      result.agents.forEach(agent => {
+        const agentId = agent.agentId.toString();
+        assignedCounts.set(agentId, assignedCounts.get(agentId) + agent.records.length);
+        assignedRecords += agent.records.length;
+      });
+      unassignedRecords += result.unassigned.length;
+      overflowRecords += result.summary.overflowRecords;
+
+      merges.push(...duplicates.merges);
+      batches++;
+
+      const progress = {
+        processedRows: stats.totalRows,
+        validRows: stats.validRows,
+        skippedRows: stats.skippedRows,
+        assignedRecords,
+        unassignedRecords,
+        batches
+      };
+
+      await ImportJob.updateOne(
+        { _id: job._id },
+        { $set: { progress, duplicates: duplicateCounts, suppressions: suppressionCounts } }
+      );
+      emitJobEvent(io, job, 'importProgress', {
+        progress,
+        duplicates: duplicateCounts,
+        suppressions: suppressionCounts
+      });
+    };
+
+    const stats = await fileProcessor.processFileInBatches(
+      {
+        path: job.filePath,
+        originalname: job.originalFileName,
+        size: job.fileSize
+      },
+      { batchSize: BATCH_SIZE, onBatch, maxErrors: MAX_REPORTED_ERRORS }
+    );
+
+    if (stats.validRows === 0) {
+      throw new Error('No valid records found in the file');
+    }
+
+    const totalRecords = assignedRecords + unassignedRecords;
+
+    if (totalRecords === 0) {
+      throw new Error('No new records to import after removing duplicates');
+    }
+
+    if (!job.reupload) {
+      job.reupload = await findRowMatch(rowMatches, fingerprintedRows);
+      enforceReuploadPolicy(job.reupload, { mode: job.reuploadMode, force: job.force });
+    }
+
+    const distributedAgents = agents.map(agent => ({
+      agentId: agent._id,
+      agentName: agent.name,
+      agentEmail: agent.email,
+      assignedCount: assignedCounts.get(agent._id.toString())
+    }));
+
+    const summary = distributionEngine.generateSummary(
+      distributedAgents,
+      assignedRecords,
+      Date.now() - startTime
+    );
+
+    distribution.set({
+      contentHash: job.contentHash,
+      totalRecords,
+      // Held and pull-mode imports have no assignments until their release or claims
+      agents: job.releaseAt || job.assignmentMode === 'pull' ? [] : distributedAgents,
+      summary: {
+        ...summary,
+        unassignedRecords,
+        overflowRecords
+      },
+      metadata: {
+        validationErrors: stats.errors,
+        skippedRows: stats.skippedRows + suppressionCounts.dropped,
+        mappingTemplate: job.mappingTemplate,
+        duplicates: duplicateCounts,
+        suppressions: suppressionCounts,
+        defaultCountry: fileProcessor.defaultCountry,
+        headers: fileProcessor.headers,
+        sheets: stats.sheets,
+        files: stats.files,
+        encoding: stats.encoding,
+        delimiter: stats.delimiter,
+        reuploadOf: toReuploadMetadata(job.reupload, { force: job.force })
+      },
+      status: job.releaseAt ? 'scheduled' : 'completed',
+      lifecycle: job.releaseAt ? 'draft' : 'active'
+    });
+    await distribution.save();
+
+    if (job.releaseAt) {
+      await Schedule.create({
+        name: `Release ${job.originalFileName}`,
+        type: 'release',
+        distribution: distributionId,
+        runAt: job.releaseAt,
+        timezone: job.timezone,
+        createdBy: job.createdBy
+      });
+    }
+
+    await applyMerges(merges, { changedBy: job.createdBy });
+
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.progress = {
+      processedRows: stats.totalRows,
+      validRows: stats.validRows,
+      skippedRows: stats.skippedRows,
+      assignedRecords,
+      unassignedRecords,
+      batches
+    };
+    job.duplicates = duplicateCounts;
+    job.suppressions = suppressionCounts;
+    job.sheets = stats.sheets;
+    job.files = stats.files;
+    job.validationErrors = stats.errors;
+    job.errorCount = stats.errorCount;
+    await job.save();
+
+    console.log(`📥 Import job ${job._id} completed: ${totalRecords} records in ${Date.now() - startTime}ms`);
+
+    emitJobEvent(io, job, 'importCompleted', {
+      distributionId,
+      progress: job.progress,
+      duplicates: duplicateCounts,
+      suppressions: suppressionCounts,
+      reupload: job.reupload
+    });
+  } catch (error) {
+    console.error(`❌ Import job ${job._id} failed:`, error.message);
+
+    // Remove the distribution and any batches inserted before the failure
+    await discardDistribution(distributionId);
+
+    job.status = 'failed';
+    job.failureReason = error.message;
+    job.distribution = null;
+    job.completedAt = new Date();
+    await job.save();
+
+    emitJobEvent(io, job, 'importFailed', { message: error.message });
+  } finally {
+    cleanupFile(job.filePath);
+  }
+};
+
+/**
+ * Queue an import job to run in the background. The returned promise
+ * settles once the job has run, whatever its outcome.
+ */
+const startImportJob = (job, io) => {
+  queue = queue
+    .then(() => runImportJob(job._id, io))
+    .catch(error => console.error('Import job runner error:', error.message));
+
+  return queue;
+};
+
+/**
+ * Create an import job for an uploaded file and queue it. The options are
+ * the import request's body. A file already imported before is blocked or
+ * flagged here; rows repeating an earlier distribution are checked as the
+ * job runs. Returns the job and a promise that settles when it has run.
+ */
+const queueImportJob = async (file, options, { createdBy, io }) => {
+  const fieldSchema = resolveFieldSchema(options.fieldSchema, file);
+  const mappingTemplate = await resolveMappingTemplate(options.mappingTemplateId, file);
+  const reuploadMode = options.reuploadMode || getDefaultMode();
+  const force = options.force === true;
+
+  let release;
+  try {
+    release = resolveRelease(options.releaseAt, options.timezone);
+  } catch (error) {
+    cleanupFile(file.path);
+    throw error;
+  }
+
+  const contentHash = await hashFile(file.path);
+  const reupload = await findFileMatch(contentHash);
+
+  try {
+    enforceReuploadPolicy(reupload, { mode: reuploadMode, force });
+  } catch (error) {
+    cleanupFile(file.path);
+    throw error;
+  }
+
+  const job = await ImportJob.create({
+    fileName: file.filename,
+    originalFileName: file.originalname,
+    filePath: file.path,
+    fileSize: file.size,
+    contentHash,
+    reuploadMode,
+    force,
+    reupload,
+    distributionStrategy: options.strategy || 'equal',
+    assignmentMode: options.assignmentMode || 'push',
+    fieldSchema,
+    defaultCountry: options.defaultCountry || null,
+    suppressionMode: options.suppressionMode || 'drop',
+    duplicatePolicy: options.duplicatePolicy || 'skip',
+    duplicateMatch: options.duplicateMatch || 'phone',
+    mappingTemplate: mappingTemplate ? mappingTemplate._id : null,
+    sheetName: options.sheetName || null,
+    allSheets: options.allSheets === true,
+    encoding: options.encoding || 'auto',
+    delimiter: options.delimiter || 'auto',
+    releaseAt: release ? release.runAt : null,
+    timezone: release ? release.timezone : null,
+    createdBy
+  });
+
+  const finished = startImportJob(job, io);
+
+  return { job, finished };
+};
+
+/**
+ * Mark jobs left queued or running by a previous process as failed and
+ * remove the distributions and records they had already created
+ */
+const recoverInterruptedJobs = async () => {
+  const jobs = await ImportJob.find({ status: { $in: ['queued', 'running'] } }).select('+filePath');
+
+  for (const job of jobs) {
+    // The processing draft would otherwise never be finished or removed
+    if (job.distribution) {
+      await discardDistribution(job.distribution);
+    }
+
+    job.status = 'failed';
+    job.failureReason = 'Interrupted by server restart';
+    job.distribution = null;
+    job.completedAt = new Date();
+    await job.save();
+
+    cleanupFile(job.filePath);
+  }
+
+  if (jobs.length > 0) {
+    console.log(`⚠️  Marked ${jobs.length} interrupted import job(s) as failed`);
+  }
+};
+
+module.exports = {
+  startImportJob,
+  queueImportJob,
+  runImportJob,
+  recoverInterruptedJobs
+};
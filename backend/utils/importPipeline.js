@@ -0,0 +1,472 @@
+const mongoose = require('mongoose');
+const Distribution = require('../models/Distribution');
+const MappingTemplate = require('../models/MappingTemplate');
+const Record = require('../models/Record');
+const RejectedRow = require('../models/RejectedRow');
+const Schedule = require('../models/Schedule');
+const User = require('../models/User');
+const FileProcessor = require('./fileProcessor');
+const DistributionEngine = require('./distributionEngine');
+const { getAgentCapacity } = require('./agentCapacity');
+const { parseFieldSchema } = require('./customFields');
+const { toPhoneKey, detectDuplicates, attachFollowers, applyMerges } = require('./duplicateDetector');
+const { applySuppressions, holdFlagged } = require('./suppressionList');
+const {
+  fingerprintRow,
+  findFileMatch,
+  countRowMatches,
+  findRowMatch,
+  enforceReuploadPolicy,
+  toReuploadMetadata
+} = require('./reuploadDetector');
+const { addAgentCounts, refreshPoolSummary } = require('./recordPool');
+const { resolveRelease, holdForRelease } = require('./scheduler');
+const { holdForQueue } = require('./workQueue');
+const { hashFile } = require('./upload');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Parse an uploaded file and work out how its records would be distributed,
+ * without writing anything to the database.
+ */
+const planDistribution = async (file, {
+  strategy = 'equal',
+  mappingTemplateId,
+  fieldSchema,
+  duplicatePolicy = 'skip',
+  duplicateMatch = 'phone',
+  defaultCountry,
+  suppressionMode = 'drop',
+  sheetName,
+  allSheets = false,
+  encoding,
+  delimiter,
+  reuploadMode,
+  force = false,
+  excludeDistribution,
+  releaseAt,
+  timezone,
+  assignmentMode = 'push'
+} = {}) => {
+  const schema = resolveFieldSchema(fieldSchema, file);
+  const mappingTemplate = await resolveMappingTemplate(mappingTemplateId, file);
+
+  let release;
+  try {
+    release = resolveRelease(releaseAt, timezone);
+  } catch (error) {
+    new FileProcessor().cleanupFile(file.path);
+    throw error;
+  }
+
+  // The same file uploaded before is caught before it is parsed
+  const contentHash = await hashFile(file.path);
+  let reupload = await findFileMatch(contentHash, { excludeDistribution });
+
+  try {
+    enforceReuploadPolicy(reupload, { mode: reuploadMode, force });
+  } catch (error) {
+    new FileProcessor().cleanupFile(file.path);
+    throw error;
+  }
+  const fileProcessor = new FileProcessor({
+    mappingTemplate,
+    fieldSchema: schema,
+    defaultCountry,
+    sheetName,
+    allSheets,
+    encoding,
+    delimiter
+  });
+
+  // Without a chosen template, suggest a saved one whose headers match
+  let suggestedTemplate = null;
+  if (!mappingTemplate) {
+    const headers = await fileProcessor.readHeaders(file).catch(() => []);
+    suggestedTemplate = await MappingTemplate.findBestMatch(headers);
+  }
+
+  let processedData;
+
+  try {
+    processedData = await fileProcessor.processFile(file);
+  } catch (error) {
+    throw createError(400, error.message, suggestedTemplate ? { suggestedTemplate } : undefined);
+  }
+
+  // A re-export of an earlier file differs byte-wise, so compare its rows too
+  if (!reupload) {
+    const fingerprints = [...new Set(processedData.data.map(fingerprintRow))];
+    const counts = await countRowMatches(fingerprints, { excludeDistribution });
+    reupload = await findRowMatch(counts, fingerprints.length);
+    enforceReuploadPolicy(reupload, { mode: reuploadMode, force });
+  }
+
+  const agents = await User.find({ role: 'agent', isActive: true });
+
+  if (agents.length === 0) {
+    throw createError(400, 'No active agents found. Please ensure at least one agent is registered.');
+  }
+
+  const suppressions = await applySuppressions(processedData.data, { mode: suppressionMode });
+  const duplicates = await detectDuplicates(suppressions.records, {
+    policy: duplicatePolicy,
+    matchBy: duplicateMatch,
+    agents
+  });
+
+  if (duplicates.records.length === 0 && duplicates.pinned.length === 0) {
+    throw createError(400, 'No new records to distribute after removing duplicates and suppressed contacts', {
+      duplicates: duplicates.counts,
+      suppressions: suppressions.counts
+    });
+  }
+
+  // Distribute records among agents within their remaining capacity
+  const capacity = await getAgentCapacity(agents);
+  const distributionEngine = new DistributionEngine();
+  const distributionResult = await distributionEngine.distribute(
+    duplicates.records,
+    agents,
+    strategy,
+    { capacity, pinned: duplicates.pinned }
+  );
+  attachFollowers(distributionResult, duplicates.followers, duplicateMatch, distributionEngine);
+  holdFlagged(distributionResult, suppressions.flagged);
+
+  const totalRecords = distributionResult.unassigned.length +
+    distributionResult.agents.reduce((total, agent) => total + agent.records.length, 0);
+
+  return {
+    strategy,
+    fileName: processedData.fileName,
+    originalFileName: file.originalname,
+    fileSize: processedData.fileSize,
+    contentHash,
+    reupload,
+    forced: force,
+    release,
+    assignmentMode,
+    totalRecords,
+    agentsCount: agents.length,
+    agents: distributionResult.agents,
+    unassigned: distributionResult.unassigned,
+    summary: distributionResult.summary,
+    errors: [...(processedData.errors || []), ...suppressions.errors],
+    skippedRows: (processedData.skippedRows || 0) + suppressions.counts.dropped,
+    rejectedRows: processedData.rejected || [],
+    reportRows: processedData.data.map(row => row.reportRow).filter(Boolean),
+    sample: processedData.data.slice(0, 10),
+    fileStats: fileProcessor.getFileStats(processedData),
+    headers: processedData.headers,
+    sheets: processedData.sheets || [],
+    files: processedData.files || [],
+    encoding: processedData.encoding,
+    delimiter: processedData.delimiter,
+    fieldSchema: schema,
+    defaultCountry: fileProcessor.defaultCountry,
+    duplicates: duplicates.counts,
+    suppressions: suppressions.counts,
+    duplicateMerges: duplicates.merges,
+    mappingTemplate: mappingTemplate ? { templateId: mappingTemplate._id, name: mappingTemplate.name } : null,
+    suggestedTemplate
+  };
+};
+
+/**
+ * Load the mapping template chosen for an upload, discarding the file if
+ * the template doesn't exist
+ */
+const resolveMappingTemplate = async (mappingTemplateId, file) => {
+  if (!mappingTemplateId) return null;
+
+  const mappingTemplate = await MappingTemplate.findById(mappingTemplateId);
+
+  if (!mappingTemplate) {
+    if (file) new FileProcessor().cleanupFile(file.path);
+    throw createError(400, 'Mapping template not found');
+  }
+
+  return mappingTemplate;
+};
+
+/**
+ * Parse the field schema sent with an upload, discarding the file if it
+ * is invalid
+ */
+const resolveFieldSchema = (fieldSchema, file) => {
+  try {
+    return parseFieldSchema(fieldSchema);
+  } catch (error) {
+    if (file) new FileProcessor().cleanupFile(file.path);
+    throw error;
+  }
+};
+
+/**
+ * Throw a 409 error when a previewed plan no longer applies: an agent it
+ * assigns records to has been deactivated, or now has fewer open slots than
+ * the plan gives them. Plans held for a release or for the queue assign
+ * nobody at commit, so they always apply.
+ */
+const assertPlanApplies = async (plan) => {
+  if (plan.release || plan.assignmentMode === 'pull') return;
+
+  const planned = plan.agents.filter(agent => agent.records.length > 0);
+  const agents = await User.find({
+    _id: { $in: planned.map(agent => agent.agentId) },
+    role: 'agent',
+    isActive: true
+  });
+  const active = new Map(agents.map(agent => [agent._id.toString(), agent]));
+  const capacity = (await getAgentCapacity(agents)) || {};
+
+  const inactiveAgents = [];
+  const overCapacity = [];
+  planned.forEach(agent => {
+    const agentId = agent.agentId.toString();
+
+    if (!active.has(agentId)) {
+      inactiveAgents.push({ agentId: agent.agentId, agentName: agent.agentName });
+    } else if (capacity[agentId] !== undefined && agent.records.length > capacity[agentId]) {
+      overCapacity.push({
+        agentId: agent.agentId,
+        agentName: agent.agentName,
+        planned: agent.records.length,
+        remaining: capacity[agentId]
+      });
+    }
+  });
+
+  if (inactiveAgents.length > 0 || overCapacity.length > 0) {
+    throw createError(409, 'Agents have changed since this preview; preview the file again', {
+      inactiveAgents,
+      overCapacity
+    });
+  }
+};
+
+/**
+ * Persist a distribution plan produced by planDistribution. The distribution
+ * keeps per-agent totals; the records themselves go to the Record collection.
+ * A plan with a release time is held in the unassigned pool until then;
+ * a pull-mode plan is kept there for agents to claim from the queue.
+ */
+const commitPlan = async (plan, { uploadedBy }) => {
+  if (plan.release) {
+    holdForRelease(plan);
+  } else if (plan.assignmentMode === 'pull') {
+    holdForQueue(plan);
+  }
+
+  const distribution = new Distribution({
+    fileName: plan.fileName,
+    originalFileName: plan.originalFileName,
+    fileSize: plan.fileSize,
+    contentHash: plan.contentHash,
+    uploadedBy,
+    totalRecords: plan.totalRecords,
+    distributionStrategy: plan.strategy,
+    assignmentMode: plan.assignmentMode,
+    fieldSchema: plan.fieldSchema,
+    agents: plan.agents.map(agent => ({
+      agentId: agent.agentId,
+      agentName: agent.agentName,
+      agentEmail: agent.agentEmail,
+      assignedCount: agent.records.length
+    })),
+    summary: plan.summary,
+    metadata: {
+      validationErrors: plan.errors,
+      skippedRows: plan.skippedRows,
+      mappingTemplate: plan.mappingTemplate ? plan.mappingTemplate.templateId : null,
+      duplicates: plan.duplicates,
+      suppressions: plan.suppressions,
+      defaultCountry: plan.defaultCountry,
+      headers: plan.headers,
+      sheets: plan.sheets,
+      files: plan.files,
+      encoding: plan.encoding,
+      delimiter: plan.delimiter,
+      reuploadOf: toReuploadMetadata(plan.reupload, { force: plan.forced })
+    },
+    status: plan.release ? 'scheduled' : 'completed',
+    lifecycle: plan.release ? 'draft' : 'active'
+  });
+
+  await distribution.save();
+
+  if (plan.mappingTemplate) {
+    await MappingTemplate.updateOne(
+      { _id: plan.mappingTemplate.templateId },
+      { $set: { lastUsedAt: new Date() } }
+    );
+  }
+
+  try {
+    await Record.insertMany(buildRecordDocuments(plan, distribution._id));
+    await RejectedRow.record(distribution._id, plan.rejectedRows || []);
+
+    if (plan.release) {
+      await Schedule.create({
+        name: `Release ${plan.originalFileName}`,
+        type: 'release',
+        distribution: distribution._id,
+        runAt: plan.release.runAt,
+        timezone: plan.release.timezone,
+        createdBy: uploadedBy
+      });
+    }
+  } catch (error) {
+    // Roll back so a half-written distribution is never left behind
+    await Record.deleteMany({ distribution: distribution._id });
+    await RejectedRow.deleteMany({ distribution: distribution._id });
+    await Schedule.deleteMany({ distribution: distribution._id });
+    await Distribution.findByIdAndDelete(distribution._id);
+    throw error;
+  }
+
+  await applyMerges(plan.duplicateMerges || [], { changedBy: uploadedBy });
+
+  return distribution;
+};
+
+/**
+ * Append a plan's records to an existing distribution, typically corrected
+ * rows re-imported from its rejected-rows report. Rows that now pass resolve
+ * the rejected rows they point back at; rows that still fail replace them.
+ */
+const appendPlan = async (distribution, plan, { uploadedBy, fileName }) => {
+  // Rows added before a scheduled release wait for it with the rest
+  if (distribution.status === 'scheduled') {
+    holdForRelease(plan);
+  } else if (distribution.assignmentMode === 'pull') {
+    holdForQueue(plan);
+  }
+
+  const documents = buildRecordDocuments(plan, distribution._id);
+  documents.forEach(document => {
+    document._id = new mongoose.Types.ObjectId();
+  });
+
+  try {
+    await Record.insertMany(documents);
+  } catch (error) {
+    await Record.deleteMany({ _id: { $in: documents.map(document => document._id) } });
+    throw error;
+  }
+
+  await applyMerges(plan.duplicateMerges || [], { changedBy: uploadedBy });
+
+  const resolved = plan.reportRows.length > 0
+    ? await RejectedRow.updateMany(
+      { distribution: distribution._id, status: 'open', rowNumber: { $in: plan.reportRows } },
+      { $set: { status: 'resolved', resolvedAt: new Date() } }
+    )
+    : { modifiedCount: 0 };
+
+  // Rows that still fail replace their original, anything else is new
+  const stillRejected = [];
+  for (const row of plan.rejectedRows) {
+    const updated = row.reportRow && await RejectedRow.findOneAndUpdate(
+      { distribution: distribution._id, status: 'open', rowNumber: row.reportRow },
+      { $set: { data: row.data, validationErrors: row.errors } }
+    );
+    if (!updated) stillRejected.push(row);
+  }
+
+  // Number new rows after the distribution's existing ones so report rows stay unique
+  if (stillRejected.length > 0) {
+    const last = await RejectedRow.findOne({ distribution: distribution._id })
+      .sort({ rowNumber: -1 })
+      .select('rowNumber')
+      .lean();
+    const offset = last ? last.rowNumber : 0;
+    stillRejected.forEach((row, index) => {
+      row.rowNumber = offset + index + 1;
+    });
+  }
+  await RejectedRow.record(distribution._id, stillRejected, { source: 'reimport' });
+
+  addAgentCounts(distribution, plan.agents);
+  await refreshPoolSummary(distribution);
+
+  distribution.totalRecords += plan.totalRecords;
+  distribution.metadata.reimports.push({
+    fileName: fileName || plan.originalFileName,
+    importedBy: uploadedBy,
+    importedAt: new Date(),
+    totalRecords: plan.totalRecords,
+    resolvedRows: resolved.modifiedCount,
+    rejectedRows: plan.rejectedRows.length
+  });
+
+  await distribution.save();
+
+  return {
+    distribution,
+    resolvedRows: resolved.modifiedCount
+  };
+};
+
+/**
+ * Flatten a plan's agent assignments and unassigned pool into Record documents
+ */
+const buildRecordDocuments = (plan, distributionId) => {
+  const assigned = plan.agents.flatMap(agent =>
+    agent.records.map(record => ({
+      ...toRecordFields(record, distributionId),
+      assignedAgent: agent.agentId,
+      assignedAt: record.assignedAt
+    }))
+  );
+
+  const unassigned = plan.unassigned.map(record => ({
+    ...toRecordFields(record, distributionId),
+    assignedAgent: null,
+    unassignedReason: record.reason
+  }));
+
+  return [...assigned, ...unassigned];
+};
+
+// Fields copied from a parsed row onto its Record
+const toRecordFields = (record, distributionId) => ({
+  distribution: distributionId,
+  firstName: record.firstName,
+  phone: record.phone,
+  phoneKey: toPhoneKey(record.phone),
+  phoneOriginal: record.phoneOriginal,
+  phoneType: record.phoneType,
+  phoneCountry: record.phoneCountry,
+  notes: record.notes,
+  requiredSkill: record.requiredSkill,
+  priority: record.priority || 0,
+  sheetName: record.sheetName || null,
+  sourceFile: record.sourceFile || null,
+  fingerprint: fingerprintRow(record),
+  customFields: record.customFields || {},
+  status: 'pending'
+});
+
+/**
+ * Shape the per-agent counts reported back to the client
+ */
+const summarizeAgents = (agents) => {
+  return agents.map(agent => ({
+    agentName: agent.agentName,
+    agentEmail: agent.agentEmail,
+    recordsAssigned: agent.records.length
+  }));
+};
+
+module.exports = {
+  planDistribution,
+  resolveMappingTemplate,
+  resolveFieldSchema,
+  assertPlanApplies,
+  commitPlan,
+  appendPlan,
+  buildRecordDocuments,
+  summarizeAgents
+};
@@ -0,0 +1,105 @@
+const {
+  parsePhoneNumberFromString,
+  isSupportedCountry,
+  getCountries
+} = require('libphonenumber-js/max');
+
+const PHONE_TYPES = ['mobile', 'landline', 'mobile-or-landline', 'toll-free', 'voip', 'other', 'unknown'];
+
+const TYPE_MAP = {
+  MOBILE: 'mobile',
+  FIXED_LINE: 'landline',
+  FIXED_LINE_OR_MOBILE: 'mobile-or-landline',
+  TOLL_FREE: 'toll-free',
+  VOIP: 'voip'
+};
+
+/**
+ * Country used for numbers without an international prefix when the upload
+ * doesn't choose one
+ */
+const getDefaultPhoneCountry = () => {
+  const country = String(process.env.DEFAULT_PHONE_COUNTRY || '').trim().toUpperCase();
+  return country && isSupportedCountry(country) ? country : null;
+};
+
+/**
+ * Resolve a country column value: an ISO code ("IN") or a calling code ("+91")
+ */
+const resolveCountry = (value) => {
+  const raw = String(value || '').trim();
+  if (!raw) return {};
+
+  if (/^\+?\d{1,4}$/.test(raw)) {
+    return { callingCode: raw.replace('+', '') };
+  }
+
+  const iso = raw.toUpperCase();
+  return isSupportedCountry(iso) ? { country: iso } : { error: `Unknown country "${raw}"` };
+};
+
+/**
+ * Normalize a phone number to E.164 using the row's country (if any) or the
+ * upload's default country. Numbers with neither are kept as plain digits.
+ * Returns { phone, phoneOriginal, phoneType, phoneCountry } or { error } for
+ * numbers that cannot exist.
+ */
+const normalizePhone = (rawPhone, { defaultCountry = null, country } = {}) => {
+  const phoneOriginal = String(rawPhone || '').trim();
+  const rowCountry = resolveCountry(country);
+
+  if (rowCountry.error) {
+    return { error: rowCountry.error };
+  }
+
+  let input = phoneOriginal;
+  let regionCode = rowCountry.country || defaultCountry || undefined;
+
+  // A calling code from the country column prefixes national numbers
+  if (rowCountry.callingCode && !input.startsWith('+')) {
+    input = `+${rowCountry.callingCode}${input.replace(/^0+/, '')}`;
+    regionCode = undefined;
+  }
+
+  // 00 is the common international dialling prefix
+  input = input.replace(/^00(?=\d)/, '+');
+
+  // Without a country the number can't be normalized. Keep its digits as
+  // before, so deployments without DEFAULT_PHONE_COUNTRY still import.
+  if (!input.startsWith('+') && !regionCode) {
+    const digits = input.replace(/\D/g, '');
+
+    if (!/^\d{10,15}$/.test(digits)) {
+      return { error: 'Invalid phone number format' };
+    }
+
+    return {
+      phone: digits,
+      phoneOriginal,
+      phoneType: 'unknown',
+      phoneCountry: null
+    };
+  }
+
+  const parsed = parsePhoneNumberFromString(input, regionCode);
+
+  if (!parsed || !parsed.isPossible()) {
+    return { error: 'Phone number is not possible for its country' };
+  }
+
+  const type = parsed.isValid() ? (TYPE_MAP[parsed.getType()] || 'other') : 'unknown';
+
+  return {
+    phone: parsed.number,
+    phoneOriginal,
+    phoneType: type,
+    phoneCountry: parsed.country || null
+  };
+};
+
+module.exports = {
+  PHONE_TYPES,
+  SUPPORTED_COUNTRIES: getCountries(),
+  getDefaultPhoneCountry,
+  normalizePhone
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * In-memory store for upload previews awaiting commit. Each entry holds the
+ * exact distribution plan shown to the admin and expires after the window.
+ * Plans hold every row, so the store keeps a limited number of them and
+ * refuses files too large to hold; those go through background imports.
+ */
+const previews = new Map();
+
+const getPreviewTTL = () => {
+  return parseInt(process.env.UPLOAD_PREVIEW_TTL_MS) || 15 * 60 * 1000; // 15 minutes
+};
+
+const getMaxPreviews = () => {
+  return parseInt(process.env.UPLOAD_PREVIEW_MAX) || 20;
+};
+
+const getMaxPreviewRows = () => {
+  return parseInt(process.env.UPLOAD_PREVIEW_MAX_ROWS) || 50000;
+};
+
+/**
+ * Drop expired previews
+ */
+const purgeExpired = () => {
+  const now = Date.now();
+  previews.forEach((entry, token) => {
+    if (entry.expiresAt.getTime() <= now) {
+      previews.delete(token);
+    }
+  });
+};
+
+/**
+ * Store a plan and return its commit token. When the store is full the
+ * oldest previews are dropped; their tokens can no longer be committed.
+ */
+const savePreview = (plan, userId) => {
+  const maxRows = getMaxPreviewRows();
+  if (plan.totalRecords > maxRows) {
+    throw createError(413, `Files over ${maxRows} rows can't be previewed; upload them directly or as a background import`, {
+      totalRecords: plan.totalRecords,
+      maxRows
+    });
+  }
+
+  purgeExpired();
+
+  // Maps iterate in insertion order, so the first keys are the oldest
+  const maxPreviews = getMaxPreviews();
+  for (const oldest of previews.keys()) {
+    if (previews.size < maxPreviews) break;
+    previews.delete(oldest);
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const expiresAt = new Date(Date.now() + getPreviewTTL());
+
+  previews.set(token, {
+    plan,
+    userId: userId.toString(),
+    expiresAt
+  });
+
+  return { token, expiresAt };
+};
+
+/**
+ * Remove and return the plan for a token if it is still valid for this user
+ */
+const takePreview = (token, userId) => {
+  purgeExpired();
+
+  const entry = previews.get(token);
+  if (!entry || entry.userId !== userId.toString()) {
+    return null;
+  }
+
+  previews.delete(token);
+  return entry.plan;
+};
+
+module.exports = {
+  savePreview,
+  takePreview
+};
@@ -0,0 +1,146 @@
+const Record = require('../models/Record');
+const { createError } = require('../middleware/errorHandler');
+
+/**
+ * Minutes a claim holds a record before others may take it over
+ */
+const getClaimMinutes = () => parseInt(process.env.RECORD_CLAIM_MINUTES) || 30;
+
+/**
+ * The parts of a record a client needs to resolve a conflict
+ */
+const toRecordState = (record) => ({
+  recordId: record._id,
+  status: record.status,
+  notes: record.notes,
+  assignedAgent: record.assignedAgent,
+  claimedBy: isClaimed(record) ? record.claimedBy : null,
+  claimExpiresAt: isClaimed(record) ? record.claimExpiresAt : null,
+  version: record.__v || 0,
+  updatedAt: record.updatedAt
+});
+
+/**
+ * Whether a record has an unexpired claim, optionally by someone other than userId
+ */
+const isClaimed = (record, { except } = {}) => {
+  if (!record.claimedBy || !record.claimExpiresAt || record.claimExpiresAt <= new Date()) {
+    return false;
+  }
+
+  return !except || record.claimedBy.toString() !== except.toString();
+};
+
+/**
+ * 409 error carrying the record's current state
+ */
+const conflictError = (record, message) => createError(409, message, { current: toRecordState(record) });
+
+/**
+ * Throw a 409 error when the record is claimed by someone else, or when the
+ * client's version is out of date. Without a version only the claim is checked.
+ */
+const assertEditable = (record, { userId, version } = {}) => {
+  if (isClaimed(record, { except: userId })) {
+    throw conflictError(record, 'This record is being worked by someone else');
+  }
+
+  if (version !== undefined && version !== null && version !== '' && parseInt(version) !== (record.__v || 0)) {
+    throw conflictError(record, 'This record was changed since you loaded it; reload and try again');
+  }
+};
+
+/**
+ * Save a record, turning a concurrent change into a 409 error with the
+ * record's current state
+ */
+const saveRecord = async (record) => {
+  try {
+    return await record.save();
+  } catch (error) {
+    if (error.name !== 'VersionError') throw error;
+
+    const current = await Record.findById(record._id);
+    throw current
+      ? conflictError(current, 'This record was changed by someone else; reload and try again')
+      : createError(404, 'Record not found');
+  }
+};
+
+/**
+ * Claim a record for the user so nobody else edits or reassigns it.
+ * Agents may only claim their own records. Claiming again extends the claim.
+ */
+const acquireClaim = async (recordId, user) => {
+  const now = new Date();
+  const claimExpiresAt = new Date(now.getTime() + getClaimMinutes() * 60 * 1000);
+
+  const filter = {
+    _id: recordId,
+    $or: [
+      { claimedBy: null },
+      { claimedBy: user._id },
+      { claimExpiresAt: { $lte: now } }
+    ]
+  };
+  if (user.role === 'agent') filter.assignedAgent = user._id;
+
+  // Claiming a work-queue record counts as working it, so its lease is dropped
+  const record = await Record.findOneAndUpdate(
+    filter,
+    {
+      $set: { claimedBy: user._id, claimedAt: now, claimExpiresAt, leaseExpiresAt: null },
+      $inc: { __v: 1 }
+    },
+    { new: true, projection: { history: 0 } }
+  );
+
+  if (record) return record;
+
+  const current = await Record.findOne(
+    user.role === 'agent' ? { _id: recordId, assignedAgent: user._id } : { _id: recordId }
+  ).select('-history');
+
+  if (!current) {
+    throw createError(404, 'Record not found or not assigned to you');
+  }
+
+  throw conflictError(current, 'This record is being worked by someone else');
+};
+
+/**
+ * Release the user's claim on a record. Admins may release anyone's claim.
+ */
+const releaseClaim = async (recordId, user) => {
+  const filter = { _id: recordId };
+  if (user.role !== 'admin') filter.claimedBy = user._id;
+
+  const record = await Record.findOneAndUpdate(
+    filter,
+    {
+      $set: { claimedBy: null, claimedAt: null, claimExpiresAt: null },
+      $inc: { __v: 1 }
+    },
+    { new: true, projection: { history: 0 } }
+  );
+
+  if (record) return record;
+
+  const current = await Record.findById(recordId).select('-history');
+
+  if (!current) {
+    throw createError(404, 'Record not found');
+  }
+
+  throw conflictError(current, 'You do not hold a claim on this record');
+};
+
+module.exports = {
+  getClaimMinutes,
+  toRecordState,
+  isClaimed,
+  assertEditable,
+  saveRecord,
+  acquireClaim,
+  releaseClaim
+};
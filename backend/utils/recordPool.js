@@ -0,0 +1,219 @@
+const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const User = require('../models/User');
+const DistributionEngine = require('./distributionEngine');
+const { getAgentCapacity } = require('./agentCapacity');
+const { createError } = require('../middleware/errorHandler');
+
+// Pool records that a manual release leaves alone: suppressed contacts are
+// never worked, and scheduled ones wait for their release time
+const HELD_REASONS = ['suppressed', 'scheduled'];
+
+/**
+ * Move every record of a distribution result into the unassigned pool with
+ * the given reason. Records already held keep their reason.
+ */
+const holdInPool = (distributionResult, reason) => {
+  const held = distributionResult.agents.flatMap(agent =>
+    agent.records.map(({ status, assignedAt, ...record }) => ({ ...record, reason }))
+  );
+
+  distributionResult.agents = [];
+  distributionResult.unassigned = [
+    ...distributionResult.unassigned.map(record =>
+      HELD_REASONS.includes(record.reason) ? record : { ...record, reason }
+    ),
+    ...held
+  ];
+  distributionResult.summary = {
+    ...distributionResult.summary,
+    unassignedRecords: distributionResult.unassigned.length,
+    overflowRecords: 0
+  };
+
+  return distributionResult;
+};
+
+/**
+ * Add newly assigned records to a distribution's per-agent counts
+ */
+const addAgentCounts = (distribution, assignedAgents) => {
+  assignedAgents.forEach(assigned => {
+    if (assigned.records.length === 0) return;
+
+    const existing = distribution.agents.find(
+      agent => agent.agentId.toString() === assigned.agentId.toString()
+    );
+
+    if (existing) {
+      existing.assignedCount += assigned.records.length;
+    } else {
+      distribution.agents.push({
+        agentId: assigned.agentId,
+        agentName: assigned.agentName,
+        agentEmail: assigned.agentEmail,
+        assignedCount: assigned.records.length
+      });
+    }
+  });
+};
+
+/**
+ * Adjust an agent's assigned count on a distribution without loading it, so
+ * concurrent assignments don't overwrite each other. Records moving to an
+ * agent leave the unassigned pool and vice versa.
+ */
+const adjustAgentCount = async (distributionId, agent, delta) => {
+  const { matchedCount } = await Distribution.updateOne(
+    { _id: distributionId, 'agents.agentId': agent._id },
+    { $inc: { 'agents.$.assignedCount': delta, 'summary.unassignedRecords': -delta } }
+  );
+
+  if (matchedCount === 0 && delta > 0) {
+    await Distribution.updateOne(
+      { _id: distributionId, 'agents.agentId': { $ne: agent._id } },
+      {
+        $push: {
+          agents: {
+            agentId: agent._id,
+            agentName: agent.name,
+            agentEmail: agent.email,
+            assignedCount: delta
+          }
+        },
+        $inc: { 'summary.unassignedRecords': -delta }
+      }
+    );
+  }
+};
+
+/**
+ * Recount a distribution's unassigned and overflow records
+ */
+const refreshPoolSummary = async (distribution) => {
+  const [unassignedRecords, overflowRecords] = await Promise.all([
+    Record.countDocuments({ distribution: distribution._id, assignedAgent: null }),
+    Record.countDocuments({ distribution: distribution._id, assignedAgent: null, unassignedReason: 'capacity' })
+  ]);
+
+  distribution.summary.unassignedRecords = unassignedRecords;
+  distribution.summary.overflowRecords = overflowRecords;
+};
+
+/**
+ * Hand records from a distribution's unassigned pool to agents with free
+ * capacity, oldest first, and record why the rest stay in the pool.
+ * Without a reason, every pool record except held ones is eligible.
+ */
+const releasePool = async (distribution, { agentIds, count, ignoreCapacity = false, reason } = {}) => {
+  const poolQuery = Record.find({
+    distribution: distribution._id,
+    assignedAgent: null,
+    unassignedReason: reason || { $nin: HELD_REASONS }
+  })
+    .sort({ _id: 1 })
+    .select('firstName phone notes requiredSkill')
+    .lean();
+  if (count) poolQuery.limit(parseInt(count));
+
+  const toRelease = await poolQuery;
+
+  if (toRelease.length === 0) {
+    throw createError(400, 'This distribution has no unassigned records');
+  }
+
+  const agentQuery = { role: 'agent', isActive: true };
+  if (agentIds && agentIds.length > 0) {
+    agentQuery._id = { $in: agentIds };
+  }
+
+  const agents = await User.find(agentQuery);
+
+  if (agents.length === 0) {
+    throw createError(400, 'No active agents available to receive records');
+  }
+
+  const capacity = ignoreCapacity ? null : await getAgentCapacity(agents);
+  const distributionEngine = new DistributionEngine();
+  const result = await distributionEngine.distribute(
+    toRelease,
+    agents,
+    distribution.distributionStrategy,
+    { capacity }
+  );
+
+  // Assign released records one agent at a time. Only records still in the
+  // pool are taken, so queue claims that got there first are left alone and
+  // agents are credited with what they actually received.
+  const assignedAt = new Date();
+  for (const assigned of result.agents) {
+    if (assigned.records.length === 0) continue;
+
+    const ids = assigned.records.map(record => record._id);
+    const { modifiedCount } = await Record.updateMany(
+      { _id: { $in: ids }, assignedAgent: null },
+      {
+        $set: { assignedAgent: assigned.agentId, assignedAt, unassignedReason: null },
+        $inc: { __v: 1 }
+      }
+    );
+
+    if (modifiedCount < ids.length) {
+      const received = new Set((await Record.distinct('_id', {
+        _id: { $in: ids },
+        assignedAgent: assigned.agentId,
+        assignedAt
+      })).map(id => id.toString()));
+      assigned.records = assigned.records.filter(record => received.has(record._id.toString()));
+    }
+    assigned.assignedCount = assigned.records.length;
+
+    if (modifiedCount > 0) {
+      await adjustAgentCount(distribution._id, {
+        _id: assigned.agentId,
+        name: assigned.agentName,
+        email: assigned.agentEmail
+      }, modifiedCount);
+    }
+  }
+
+  // Record why the rest stay in the pool
+  if (result.unassigned.length > 0) {
+    await Record.bulkWrite(result.unassigned.map(record => ({
+      updateOne: {
+        filter: { _id: record._id, assignedAgent: null },
+        update: { $set: { unassignedReason: record.reason } }
+      }
+    })));
+  }
+
+  // Write only the recounted summary; saving the whole document would
+  // overwrite per-agent counts adjusted concurrently
+  await refreshPoolSummary(distribution);
+  await Distribution.updateOne(
+    { _id: distribution._id },
+    {
+      $set: {
+        'summary.unassignedRecords': distribution.summary.unassignedRecords,
+        'summary.overflowRecords': distribution.summary.overflowRecords
+      }
+    }
+  );
+
+  const released = result.agents.filter(agent => agent.records.length > 0);
+
+  return {
+    releasedCount: released.reduce((total, agent) => total + agent.records.length, 0),
+    remainingUnassigned: distribution.summary.unassignedRecords,
+    agents: released
+  };
+};
+
+module.exports = {
+  HELD_REASONS,
+  holdInPool,
+  addAgentCounts,
+  adjustAgentCount,
+  refreshPoolSummary,
+  releasePool
+};
@@ -0,0 +1,63 @@
+const { RECORD_STATUSES, transitions } = require('../config/recordStatus');
+const { createError } = require('../middleware/errorHandler');
+
+// Map history sources to the actor role used in the transition table
+const SOURCE_ROLES = {
+  'agent-ui': 'agent',
+  'admin-override': 'admin',
+  automation: 'system'
+};
+
+/**
+ * Resolve the transition-table role for a history source
+ */
+const roleForSource = (source) => SOURCE_ROLES[source] || source;
+
+/**
+ * List the statuses a record may move to from `fromStatus` for a role
+ */
+const getAllowedTransitions = (fromStatus, role) => {
+  const next = transitions[fromStatus] || {};
+
+  return Object.keys(next)
+    .filter(status => (next[status].roles || []).includes(role))
+    .map(status => ({
+      status,
+      recycle: Boolean(next[status].recycle)
+    }));
+};
+
+/**
+ * Validate a status change. Returns the matching transition rule, or null
+ * when the status is unchanged; throws a 409 error when the move is not allowed.
+ */
+const assertTransition = (fromStatus, toStatus, role) => {
+  if (!RECORD_STATUSES.includes(toStatus)) {
+    throw createError(400, `Invalid status. Must be one of: ${RECORD_STATUSES.join(', ')}`);
+  }
+
+  if (fromStatus === toStatus) {
+    return null;
+  }
+
+  const rule = (transitions[fromStatus] || {})[toStatus];
+
+  if (!rule || !(rule.roles || []).includes(role)) {
+    const allowed = getAllowedTransitions(fromStatus, role).map(t => t.status);
+    throw createError(
+      409,
+      `Cannot change status from ${fromStatus} to ${toStatus}` +
+        (allowed.length > 0 ? `. Allowed: ${allowed.join(', ')}` : '. No further changes are allowed'),
+      { currentStatus: fromStatus, requestedStatus: toStatus, allowedStatuses: allowed }
+    );
+  }
+
+  return rule;
+};
+
+module.exports = {
+  RECORD_STATUSES,
+  roleForSource,
+  getAllowedTransitions,
+  assertTransition
+};
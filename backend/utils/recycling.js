@@ -0,0 +1,237 @@
+const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const User = require('../models/User');
+const DistributionEngine = require('./distributionEngine');
+const { getAgentCapacity } = require('./agentCapacity');
+const { adjustAgentCount } = require('./recordPool');
+const { MAX_RECYCLE_RECORDS } = require('./scheduler');
+
+/**
+ * Automatic recycling.
+ *
+ * Distributions with recycling enabled give unsuccessful calls (failed
+ * records, or ones whose disposition is listed in the rules) another
+ * attempt once the cooldown has passed: the record reopens as pending, with
+ * the same agent, another agent, or back in the work queue for pull
+ * distributions. The call that reaches maxAttempts closes the record as
+ * failed with the EXHAUSTED disposition.
+ */
+const EXHAUSTED_DISPOSITION = { code: 'EXHAUSTED', label: 'Attempts exhausted' };
+
+let running = false;
+
+/**
+ * Query for a distribution's records whose last call qualifies for another
+ * attempt and whose cooldown has passed. Returns null when nothing can qualify.
+ */
+const recyclableRecordsQuery = (distribution, now) => {
+  const { cooldownMinutes, recycleFailed, dispositions = [] } = distribution.recycling;
+
+  const qualifying = [];
+  if (dispositions.length > 0) qualifying.push({ 'disposition.code': { $in: dispositions } });
+  if (recycleFailed) qualifying.push({ status: 'failed', 'disposition.code': null });
+
+  if (qualifying.length === 0) return null;
+
+  return {
+    distribution: distribution._id,
+    status: { $ne: 'completed' },
+    lastAttemptAt: { $lte: new Date(now.getTime() - cooldownMinutes * 60 * 1000) },
+    exhaustedAt: null,
+    // Arranged callbacks are left to the follow-up
+    'followUp.dueAt': null,
+    $and: [
+      { $or: qualifying },
+      // Records someone is working right now are left with them
+      { $or: [{ claimedBy: null }, { claimExpiresAt: { $lte: now } }] }
+    ]
+  };
+};
+
+/**
+ * Apply a distribution's recycling rules to its qualifying records
+ */
+const recycleDistribution = async (distribution, { systemUser, now, io }) => {
+  const query = recyclableRecordsQuery(distribution, now);
+  if (!query) return { recycled: 0, exhausted: 0 };
+
+  const records = await Record.find(query)
+    .sort({ lastAttemptAt: 1 })
+    .limit(MAX_RECYCLE_RECORDS);
+
+  if (records.length === 0) return { recycled: 0, exhausted: 0 };
+
+  const { maxAttempts, moveToDifferentAgent } = distribution.recycling;
+  const toQueue = distribution.assignmentMode === 'pull';
+
+  const exhausting = records.filter(record => record.attempts + 1 >= maxAttempts);
+  const recycling = records.filter(record => record.attempts + 1 < maxAttempts);
+
+  // Pick new agents for records that should move on
+  const newAgents = new Map();
+  const moving = !toQueue && moveToDifferentAgent
+    ? recycling.filter(record => record.assignedAgent)
+    : [];
+
+  if (moving.length > 0) {
+    const agents = await User.find({ role: 'agent', isActive: true });
+    const [openCounts, capacity] = await Promise.all([
+      Record.getOpenRecordCounts(agents.map(agent => agent._id)),
+      getAgentCapacity(agents)
+    ]);
+
+    // Records nobody else can take stay with their agent
+    const { assignments } = await new DistributionEngine().redistributeTasks(moving, agents, { openCounts, capacity });
+    assignments.forEach(({ record, agent }) => newAgents.set(record._id.toString(), agent));
+  }
+
+  let exhausted = 0;
+  for (const record of exhausting) {
+    // Custom transition tables may not let automation close some statuses;
+    // the record is still marked exhausted so it isn't picked up again
+    try {
+      record.recordChange({
+        status: 'failed',
+        changedBy: systemUser._id,
+        source: 'automation',
+        disposition: { ...EXHAUSTED_DISPOSITION, setBy: systemUser._id, setAt: now }
+      });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+    }
+
+    record.attempts += 1;
+    record.exhaustedAt = now;
+    record.lastAttemptAt = null;
+
+    if (await saveRecycled(record)) exhausted++;
+  }
+
+  let recycled = 0;
+  for (const record of recycling) {
+    const previousAgent = record.assignedAgent;
+    const recycledBefore = record.recycleCount;
+
+    try {
+      if (record.status !== 'pending') {
+        record.recordChange({ status: 'pending', changedBy: systemUser._id, source: 'automation' });
+      }
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      // Not allowed to reopen; stop looking at this call
+      record.lastAttemptAt = null;
+      await saveRecycled(record);
+      continue;
+    }
+    if (record.recycleCount === recycledBefore) {
+      record.recycleCount += 1;
+      record.lastRecycledAt = now;
+    }
+
+    record.attempts += 1;
+    record.lastAttemptAt = null;
+
+    const newAgent = newAgents.get(record._id.toString());
+    if (newAgent) {
+      record.assignedAgent = newAgent._id;
+      record.assignedAt = now;
+    } else if (toQueue && previousAgent) {
+      record.assignedAgent = null;
+      record.assignedAt = undefined;
+      record.leaseExpiresAt = null;
+      record.unassignedReason = 'queued';
+    }
+
+    if (!(await saveRecycled(record))) continue;
+    recycled++;
+
+    const moved = Boolean(newAgent) || (toQueue && previousAgent);
+    if (!moved) continue;
+
+    if (previousAgent) {
+      await adjustAgentCount(distribution._id, { _id: previousAgent }, -1);
+
+      if (io) {
+        io.to(`agent_${previousAgent}`).emit('recordReassigned', {
+          recordId: record._id,
+          distributionId: distribution._id
+        });
+      }
+    }
+
+    if (newAgent) {
+      await adjustAgentCount(distribution._id, newAgent, 1);
+
+      if (io) {
+        io.to(`agent_${newAgent._id}`).emit('recordsAssigned', {
+          distributionId: distribution._id,
+          count: 1
+        });
+      }
+    }
+  }
+
+  return { recycled, exhausted };
+};
+
+/**
+ * Save a recycled record. Returns false when it changed (or was claimed)
+ * since it was read; the next run picks it up again.
+ */
+const saveRecycled = async (record) => {
+  try {
+    await record.save();
+    return true;
+  } catch (error) {
+    if (error.name === 'VersionError') return false;
+    throw error;
+  }
+};
+
+/**
+ * Apply the recycling rules of every active distribution that has them
+ * enabled (called every minute)
+ */
+const runAutoRecycle = async (io) => {
+  // A large run can outlast the minute; don't start it twice
+  if (running) return;
+
+  running = true;
+
+  try {
+    // Drafts, paused and closed distributions keep their records as they are
+    const hidden = await Distribution.getHiddenFromAgents();
+    const distributions = await Distribution.find({ 'recycling.enabled': true, _id: { $nin: hidden } })
+      .select('recycling assignmentMode');
+
+    if (distributions.length === 0) return;
+
+    const systemUser = await User.getSystemUser();
+    const now = new Date();
+    let recycled = 0;
+    let exhausted = 0;
+
+    for (const distribution of distributions) {
+      const result = await recycleDistribution(distribution, { systemUser, now, io });
+      recycled += result.recycled;
+      exhausted += result.exhausted;
+
+      if (io && (result.recycled > 0 || result.exhausted > 0)) {
+        io.to('admin').emit('recordsRecycled', { distributionId: distribution._id, ...result });
+      }
+    }
+
+    if (recycled > 0 || exhausted > 0) {
+      console.log(`♻️  Recycled ${recycled} record(s); ${exhausted} ran out of attempts`);
+    }
+  } finally {
+    running = false;
+  }
+};
+
+module.exports = {
+  EXHAUSTED_DISPOSITION,
+  recycleDistribution,
+  runAutoRecycle
+};
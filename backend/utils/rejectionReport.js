@@ -0,0 +1,59 @@
+const XLSX = require('xlsx');
+const FileProcessor = require('./fileProcessor');
+
+const REPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Build a downloadable report of rejected rows. Each row keeps its original
+ * columns and gains the file, sheet and row number it came from and the
+ * reasons it was rejected, so the file can be corrected and re-imported as-is.
+ */
+const buildRejectionReport = (rejectedRows, { headers = [], format = 'csv' } = {}) => {
+  const { REPORT_COLUMNS } = FileProcessor;
+  const reportColumns = Object.values(REPORT_COLUMNS);
+
+  // Original header order first, then any columns only some rows carried
+  const columns = headers.filter(header => !reportColumns.includes(header));
+  rejectedRows.forEach(row => {
+    row.data.forEach(cell => {
+      if (!columns.includes(cell.column)) columns.push(cell.column);
+    });
+  });
+
+  const rows = rejectedRows.map(row => ({
+    ...row.toRow(),
+    [REPORT_COLUMNS.file]: row.sourceFile || '',
+    [REPORT_COLUMNS.sheet]: row.sheetName || '',
+    [REPORT_COLUMNS.row]: row.rowNumber,
+    [REPORT_COLUMNS.error]: row.validationErrors
+      .map(error => (error.column ? `${error.column}: ${error.error}` : error.error))
+      .join('; ')
+  }));
+
+  const worksheet = XLSX.utils.json_to_sheet(rows, { header: [...columns, ...reportColumns] });
+
+  if (format === 'xlsx') {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Rejected Rows');
+
+    return {
+      content: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+      contentType: CONTENT_TYPES.xlsx
+    };
+  }
+
+  return {
+    content: XLSX.utils.sheet_to_csv(worksheet),
+    contentType: CONTENT_TYPES.csv
+  };
+};
+
+module.exports = {
+  REPORT_FORMATS,
+  buildRejectionReport
+};
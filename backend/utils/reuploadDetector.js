@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const { toPhoneKey } = require('./duplicateDetector');
+const { createError } = require('../middleware/errorHandler');
+
+const REUPLOAD_MODES = ['warn', 'block'];
+
+const LOOKUP_CHUNK_SIZE = 1000;
+
+const getDefaultMode = () => {
+  return REUPLOAD_MODES.includes(process.env.REUPLOAD_MODE) ? process.env.REUPLOAD_MODE : 'warn';
+};
+
+// Share of an upload's rows that must already exist in one earlier
+// distribution for the upload to count as a re-upload of it
+const getRowOverlapThreshold = () => {
+  const threshold = parseFloat(process.env.REUPLOAD_ROW_OVERLAP);
+  return threshold > 0 && threshold <= 1 ? threshold : 0.9;
+};
+
+/**
+ * Fingerprint of a parsed row's contact data, ignoring formatting and the
+ * file or sheet it came from, so the same row re-exported matches
+ */
+const fingerprintRow = (row) => {
+  const customFields = row.customFields || {};
+  const content = JSON.stringify([
+    String(row.firstName || '').trim().toLowerCase(),
+    toPhoneKey(row.phone),
+    String(row.notes || '').trim().toLowerCase(),
+    Object.keys(customFields).sort().map(key => [key, customFields[key]])
+  ]);
+
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+// Describe the earlier distribution an upload repeats
+const describeMatch = (distribution, match, details = {}) => ({
+  match,
+  distributionId: distribution._id,
+  originalFileName: distribution.originalFileName,
+  uploadedAt: distribution.createdAt,
+  ...details
+});
+
+/**
+ * Find the most recent distribution created from a file with the same content
+ */
+const findFileMatch = async (contentHash, { excludeDistribution } = {}) => {
+  if (!contentHash) return null;
+
+  const distribution = await Distribution.findOne({
+    contentHash,
+    status: { $ne: 'failed' },
+    ...(excludeDistribution && { _id: { $ne: excludeDistribution } })
+  })
+    .sort({ createdAt: -1 })
+    .select('originalFileName createdAt')
+    .lean();
+
+  return distribution ? describeMatch(distribution, 'file') : null;
+};
+
+/**
+ * Count, per earlier distribution, how many of the given fingerprints its
+ * records carry. Pass the same counts map across batches to accumulate.
+ */
+const countRowMatches = async (fingerprints, { excludeDistribution, counts = new Map() } = {}) => {
+  const unique = [...new Set(fingerprints)];
+
+  for (let i = 0; i < unique.length; i += LOOKUP_CHUNK_SIZE) {
+    const matches = await Record.aggregate([
+      {
+        $match: {
+          fingerprint: { $in: unique.slice(i, i + LOOKUP_CHUNK_SIZE) },
+          ...(excludeDistribution && { distribution: { $ne: excludeDistribution } })
+        }
+      },
+      { $group: { _id: { distribution: '$distribution', fingerprint: '$fingerprint' } } },
+      { $group: { _id: '$_id.distribution', count: { $sum: 1 } } }
+    ]);
+
+    matches.forEach(match => {
+      const key = match._id.toString();
+      counts.set(key, (counts.get(key) || 0) + match.count);
+    });
+  }
+
+  return counts;
+};
+
+/**
+ * Pick the earlier distribution that shares the most rows with an upload,
+ * if enough of the upload's rows are in it to count as a re-upload
+ */
+const findRowMatch = async (counts, totalRows) => {
+  if (totalRows === 0 || counts.size === 0) return null;
+
+  const [distributionId, matchedRows] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  const overlap = Math.min(1, matchedRows / totalRows);
+
+  if (overlap < getRowOverlapThreshold()) return null;
+
+  const distribution = await Distribution.findById(distributionId)
+    .select('originalFileName createdAt')
+    .lean();
+
+  if (!distribution) return null;
+
+  return describeMatch(distribution, 'rows', {
+    matchedRows: Math.min(matchedRows, totalRows),
+    totalRows,
+    overlap: Math.round(overlap * 100) / 100
+  });
+};
+
+/**
+ * Message explaining which earlier distribution an upload repeats
+ */
+const describeReupload = (reupload) => {
+  const uploadedAt = new Date(reupload.uploadedAt).toISOString().slice(0, 10);
+  const earlier = `distribution ${reupload.distributionId} (${reupload.originalFileName}, uploaded ${uploadedAt})`;
+
+  return reupload.match === 'file'
+    ? `This file was already uploaded as ${earlier}`
+    : `${Math.round(reupload.overlap * 100)}% of these rows were already uploaded in ${earlier}`;
+};
+
+/**
+ * Stop a re-upload in block mode unless it is forced; otherwise it goes
+ * ahead and the match is reported back as a warning
+ */
+const enforceReuploadPolicy = (reupload, { mode = getDefaultMode(), force = false } = {}) => {
+  if (!reupload || mode !== 'block' || force) return;
+
+  throw createError(409, `${describeReupload(reupload)}. Pass force=true to upload it again.`, {
+    reupload
+  });
+};
+
+/**
+ * Link kept on a distribution to the earlier one it repeats
+ */
+const toReuploadMetadata = (reupload, { force = false } = {}) => {
+  if (!reupload) return undefined;
+
+  return {
+    distribution: reupload.distributionId,
+    match: reupload.match,
+    matchedRows: reupload.matchedRows,
+    overlap: reupload.overlap,
+    forced: force
+  };
+};
+
+module.exports = {
+  REUPLOAD_MODES,
+  getDefaultMode,
+  fingerprintRow,
+  findFileMatch,
+  countRowMatches,
+  findRowMatch,
+  describeReupload,
+  enforceReuploadPolicy,
+  toReuploadMetadata
+};
@@ -0,0 +1,391 @@
+const cron = require('node-cron');
+const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const Schedule = require('../models/Schedule');
+const User = require('../models/User');
+const DistributionEngine = require('./distributionEngine');
+const { getAgentCapacity } = require('./agentCapacity');
+const { releasePool, holdInPool, adjustAgentCount } = require('./recordPool');
+const { emitLifecycleChange } = require('./distributionLifecycle');
+const { queueHeldRecords } = require('./workQueue');
+const { createError } = require('../middleware/errorHandler');
+
+// Most records one recycle run moves; also used by automatic recycling
+const MAX_RECYCLE_RECORDS = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cron tasks of active recurring schedules, by schedule id
+const tasks = new Map();
+let io = null;
+let releasing = false;
+
+const getDefaultTimeZone = () => process.env.SCHEDULE_TIMEZONE || 'UTC';
+
+/**
+ * Whether a name is an IANA time zone this runtime knows
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Milliseconds the time zone is ahead of UTC at the given instant
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).reduce((values, part) => {
+    values[part.type] = parseInt(part.value);
+    return values;
+  }, {});
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Resolve a release time. Times with a UTC offset (or Z) are taken as-is;
+ * a bare local time such as 2026-10-26T08:00 is read in the time zone.
+ */
+const parseScheduleTime = (value, timeZone = getDefaultTimeZone()) => {
+  const local = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(String(value).trim());
+
+  if (!local) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const [year, month, day, hour, minute, second = 0] = local.slice(1).map(part => part && Number(part));
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // The offsets a day either side cover a DST change at this time. A time
+  // that happens twice resolves to the first; one skipped by the change
+  // moves forward by the gap, like cron.
+  const before = getTimeZoneOffset(new Date(asUtc - DAY_MS), timeZone);
+  const after = getTimeZoneOffset(new Date(asUtc + DAY_MS), timeZone);
+  const valid = [before, after].filter(offset => getTimeZoneOffset(new Date(asUtc - offset), timeZone) === offset);
+
+  return new Date(asUtc - (valid.length > 0 ? Math.max(...valid) : before));
+};
+
+/**
+ * Validate the release time requested with an upload. Returns null when the
+ * upload should be released straight away.
+ */
+const resolveRelease = (releaseAt, timezone) => {
+  if (!releaseAt) return null;
+
+  const timeZone = timezone || getDefaultTimeZone();
+
+  if (!isValidTimeZone(timeZone)) {
+    throw createError(400, `Unknown time zone: ${timeZone}`);
+  }
+
+  const runAt = parseScheduleTime(releaseAt, timeZone);
+
+  if (!runAt) {
+    throw createError(400, 'Invalid release time');
+  }
+
+  if (runAt.getTime() <= Date.now()) {
+    throw createError(400, 'Release time must be in the future');
+  }
+
+  return { runAt, timezone: timeZone };
+};
+
+/**
+ * Move every record of a distribution result into the unassigned pool to
+ * wait for its scheduled release. Suppressed records keep their reason.
+ */
+const holdForRelease = (distributionResult) => holdInPool(distributionResult, 'scheduled');
+
+/**
+ * Release a held distribution to agents, or to the work queue in pull mode
+ */
+const runRelease = async (schedule) => {
+  const distribution = await Distribution.findById(schedule.distribution);
+
+  if (!distribution) {
+    throw new Error('Distribution no longer exists');
+  }
+
+  // Distributions scheduled before the lifecycle existed read as active
+  if (!['draft', 'active'].includes(distribution.lifecycle)) {
+    throw new Error(`Distribution is ${distribution.lifecycle} and can no longer be released`);
+  }
+
+  const result = distribution.assignmentMode === 'pull'
+    ? await queueHeldRecords(distribution)
+    : await releasePool(distribution, { reason: 'scheduled' });
+
+  distribution.status = 'completed';
+  const previous = distribution.lifecycle;
+  distribution.lifecycle = 'active';
+  distribution.lifecycleChangedAt = new Date();
+  await distribution.save();
+
+  if (previous === 'draft') emitLifecycleChange(io, distribution, previous);
+
+  if (io) {
+    result.agents.forEach(agent => {
+      io.to(`agent_${agent.agentId}`).emit('recordsAssigned', {
+        distributionId: distribution._id,
+        count: agent.records.length
+      });
+    });
+  }
+
+  return {
+    records: result.releasedCount,
+    message: `${result.releasedCount} records released, ${result.remainingUnassigned} left unassigned`
+  };
+};
+
+/**
+ * Take stale or failed records back from their agents and distribute them
+ * to other agents with free capacity
+ */
+const runRecycle = async (schedule) => {
+  const { statuses, staleHours, distributions, strategy } = schedule.recycle;
+  const cutoff = new Date(Date.now() - staleHours * 60 * 60 * 1000);
+
+  // Paused and closed distributions keep their records where they are
+  const hidden = await Distribution.getHiddenFromAgents();
+  const distributionQuery = { $nin: hidden };
+  if (distributions.length > 0) distributionQuery.$in = distributions;
+
+  const records = await Record.find({
+    status: { $in: statuses },
+    assignedAgent: { $ne: null },
+    assignedAt: { $lte: cutoff },
+    distribution: distributionQuery,
+    // Records automatic recycling closed after their last attempt stay closed
+    exhaustedAt: null,
+    // Records someone is working right now are left with them
+    $or: [{ claimedBy: null }, { claimExpiresAt: { $lte: new Date() } }]
+  })
+    .sort({ assignedAt: 1 })
+    .limit(MAX_RECYCLE_RECORDS);
+
+  if (records.length === 0) {
+    return { records: 0, message: 'No records to recycle' };
+  }
+
+  const agents = await User.find({ role: 'agent', isActive: true });
+
+  if (agents.length === 0) {
+    throw new Error('No active agents available to receive records');
+  }
+
+  const systemUser = await User.getSystemUser();
+  const capacity = await getAgentCapacity(agents);
+  const distributionEngine = new DistributionEngine();
+  const byId = new Map(records.map(record => [record._id.toString(), record]));
+
+  // Distribute each agent's records among the other agents, so nobody gets their own back
+  const byOwner = new Map();
+  records.forEach(record => {
+    const owner = record.assignedAgent.toString();
+    if (!byOwner.has(owner)) byOwner.set(owner, []);
+    byOwner.get(owner).push(record);
+  });
+
+  const moves = [];
+  for (const [owner, owned] of byOwner) {
+    const others = agents.filter(agent => agent._id.toString() !== owner);
+    if (others.length === 0) continue;
+
+    const result = await distributionEngine.distribute(
+      owned.map(record => ({
+        _id: record._id,
+        firstName: record.firstName,
+        phone: record.phone,
+        notes: record.notes,
+        requiredSkill: record.requiredSkill
+      })),
+      others,
+      strategy,
+      { capacity }
+    );
+
+    result.agents.forEach(assigned => {
+      const agentId = assigned.agentId.toString();
+      if (capacity && capacity[agentId] !== undefined) {
+        capacity[agentId] = Math.max(0, capacity[agentId] - assigned.records.length);
+      }
+      assigned.records.forEach(record => moves.push({ record: byId.get(record._id.toString()), agent: assigned }));
+    });
+  }
+
+  let recycled = 0;
+  for (const { record, agent } of moves) {
+    const previousAgent = record.assignedAgent;
+    const recycledBefore = record.recycleCount;
+
+    // Custom transition tables may not let automation reopen some statuses
+    try {
+      if (record.status !== 'pending') {
+        record.recordChange({ status: 'pending', changedBy: systemUser._id, source: 'automation' });
+      }
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      continue;
+    }
+    if (record.recycleCount === recycledBefore) {
+      record.recycleCount += 1;
+      record.lastRecycledAt = new Date();
+    }
+
+    record.assignedAgent = agent.agentId;
+    record.assignedAt = new Date();
+
+    // Skip records changed (or claimed) since they were read
+    try {
+      await record.save();
+    } catch (error) {
+      if (error.name === 'VersionError') continue;
+      throw error;
+    }
+
+    // Counts move atomically so concurrent claims and reassignments aren't lost
+    recycled++;
+    await adjustAgentCount(record.distribution, { _id: previousAgent }, -1);
+    await adjustAgentCount(record.distribution, {
+      _id: agent.agentId,
+      name: agent.agentName,
+      email: agent.agentEmail
+    }, 1);
+  }
+
+  return {
+    records: recycled,
+    message: `${recycled} of ${records.length} records recycled`
+  };
+};
+
+/**
+ * Run a schedule once and record the outcome. One-off releases complete
+ * (or fail) after running; recurring schedules stay active.
+ */
+const runSchedule = async (schedule) => {
+  console.log(`⏰ Running ${schedule.type} schedule ${schedule._id}`);
+
+  const update = {
+    lastRunAt: new Date(),
+    $inc: { runCount: 1 }
+  };
+
+  try {
+    const result = schedule.type === 'release' ? await runRelease(schedule) : await runRecycle(schedule);
+
+    update.lastResult = result;
+    update.lastError = null;
+    if (schedule.type === 'release') update.status = 'completed';
+
+    console.log(`✅ Schedule ${schedule._id}: ${result.message}`);
+    if (io) io.to('admin').emit('scheduleCompleted', { scheduleId: schedule._id, type: schedule.type, ...result });
+  } catch (error) {
+    update.lastError = error.message;
+    if (schedule.type === 'release') update.status = 'failed';
+
+    console.error(`❌ Schedule ${schedule._id} failed:`, error.message);
+    if (io) io.to('admin').emit('scheduleFailed', { scheduleId: schedule._id, type: schedule.type, message: error.message });
+  }
+
+  return Schedule.findByIdAndUpdate(schedule._id, update, { new: true });
+};
+
+/**
+ * Run one-off releases that are due (called every minute)
+ */
+const runDueReleases = async () => {
+  // A large release can outlast the minute; don't start it twice
+  if (releasing) return;
+
+  releasing = true;
+
+  try {
+    const due = await Schedule.find({
+      type: 'release',
+      status: 'active',
+      runAt: { $lte: new Date() }
+    }).sort({ runAt: 1 });
+
+    for (const schedule of due) {
+      await runSchedule(schedule);
+    }
+  } finally {
+    releasing = false;
+  }
+};
+
+/**
+ * Start (or restart) the cron task of a recurring schedule
+ */
+const registerSchedule = (schedule) => {
+  unregisterSchedule(schedule._id);
+
+  if (schedule.type !== 'recycle' || schedule.status !== 'active') return;
+
+  const task = cron.schedule(schedule.cronExpression, async () => {
+    // Re-read in case it was paused or cancelled by another process
+    const current = await Schedule.findById(schedule._id);
+    if (!current || current.status !== 'active') return;
+
+    await runSchedule(current);
+  }, { timezone: schedule.timezone });
+
+  tasks.set(schedule._id.toString(), task);
+};
+
+/**
+ * Stop the cron task of a recurring schedule
+ */
+const unregisterSchedule = (scheduleId) => {
+  const task = tasks.get(scheduleId.toString());
+
+  if (task) {
+    task.stop();
+    tasks.delete(scheduleId.toString());
+  }
+};
+
+/**
+ * Register the cron tasks of all active recurring schedules, so schedules
+ * survive a restart. Releases are picked up by runDueReleases, including
+ * any that came due while the server was down.
+ */
+const startScheduler = async (socketServer) => {
+  io = socketServer;
+
+  const schedules = await Schedule.find({ type: 'recycle', status: 'active' });
+  schedules.forEach(registerSchedule);
+
+  console.log(`⏰ Scheduler started with ${schedules.length} recurring schedule(s)`);
+};
+
+module.exports = {
+  MAX_RECYCLE_RECORDS,
+  getDefaultTimeZone,
+  isValidTimeZone,
+  parseScheduleTime,
+  resolveRelease,
+  holdForRelease,
+  runSchedule,
+  runDueReleases,
+  registerSchedule,
+  unregisterSchedule,
+  startScheduler
+};
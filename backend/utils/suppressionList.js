@@ -0,0 +1,98 @@
+const SuppressionEntry = require('../models/SuppressionEntry');
+
+const SUPPRESSION_MODES = ['drop', 'flag'];
+
+const createSuppressionCounts = (mode = 'drop') => ({
+  mode,
+  dropped: 0,
+  flagged: 0
+});
+
+/**
+ * Check parsed rows against the do-not-contact list before distribution.
+ * In drop mode matching rows are removed; in flag mode they are kept but
+ * held in the unassigned pool so nobody works them. Either way each match
+ * is reported as a validation error so it appears in the upload's report.
+ */
+const applySuppressions = async (rows, {
+  mode = 'drop',
+  counts = createSuppressionCounts(mode)
+} = {}) => {
+  const result = {
+    records: [],
+    flagged: [],
+    errors: [],
+    counts
+  };
+
+  const findEntry = await SuppressionEntry.findMatches(rows);
+
+  rows.forEach(row => {
+    const entry = findEntry(row);
+
+    if (!entry) {
+      result.records.push(row);
+      return;
+    }
+
+    result.errors.push({
+      row: row.sourceRow,
+      column: entry.phoneKey ? 'phone' : 'firstName',
+      error: `On do-not-contact list (${mode === 'flag' ? 'flagged' : 'dropped'}): ${entry.reason}`,
+      value: entry.phoneKey ? row.phone : row.firstName
+    });
+
+    if (mode === 'flag') {
+      result.flagged.push({ ...row, reason: 'suppressed' });
+      counts.flagged++;
+    } else {
+      counts.dropped++;
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Put flagged rows into a distribution result's unassigned pool
+ */
+const holdFlagged = (distributionResult, flagged) => {
+  if (flagged.length === 0) return distributionResult;
+
+  distributionResult.unassigned.push(...flagged);
+  distributionResult.summary.unassignedRecords = distributionResult.unassigned.length;
+
+  return distributionResult;
+};
+
+/**
+ * Add a record's contact to the suppression list after an agent marks it
+ * "do not call". Existing active entries for the phone are reused.
+ */
+const suppressRecord = async (record, { addedBy, reason = 'Agent marked do not call' }) => {
+  const phoneKey = String(record.phone || '').replace(/\D/g, '');
+
+  const existing = await SuppressionEntry.findOne({
+    ...SuppressionEntry.activeFilter(),
+    phoneKey
+  });
+
+  if (existing) return existing;
+
+  return SuppressionEntry.create({
+    phone: record.phone,
+    name: record.firstName,
+    reason,
+    source: 'agent',
+    record: record._id,
+    addedBy
+  });
+};
+
+module.exports = {
+  SUPPRESSION_MODES,
+  createSuppressionCounts,
+  applySuppressions,
+  holdFlagged,
+  suppressRecord
+};
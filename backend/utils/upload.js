@@ -1,6 +1,8 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { SUPPORTED_EXTENSIONS } = require('./fileFormats');
 
 // Ensure upload directory exists
 const uploadDir = process.env.UPLOAD_PATH || './uploads';
@@ -23,7 +25,7 @@ const storage = multer.diskStorage({
 
 // File filter function
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['.csv', '.xlsx', '.xls'];
+  const allowedTypes = SUPPORTED_EXTENSIONS;
   const ext = path.extname(file.originalname).toLowerCase();
   
   if (allowedTypes.includes(ext)) {
@@ -33,11 +35,15 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// Size limits for direct uploads and background imports
+const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024; // 5MB default
+const maxImportFileSize = parseInt(process.env.MAX_IMPORT_FILE_SIZE) || 100 * 1024 * 1024; // 100MB default
+
 // Configure multer
-const upload = multer({
+const createUpload = (fileSize) => multer({
   storage: storage,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
+    fileSize,
     files: 1 // Only allow one file at a time
   },
   fileFilter: fileFilter
@@ -50,7 +56,7 @@ const handleMulterError = (error, req, res, next) => {
       case 'LIMIT_FILE_SIZE':
         return res.status(400).json({
           success: false,
-          message: `File size too large. Maximum size allowed is ${process.env.MAX_FILE_SIZE || 5 * 1024 * 1024} bytes.`
+          message: `File size too large. Maximum size allowed is ${req.uploadSizeLimit || maxFileSize} bytes.`
         });
       case 'LIMIT_FILE_COUNT':
         return res.status(400).json({
@@ -80,28 +86,37 @@ const handleMulterError = (error, req, res, next) => {
   next(error);
 };
 
-// Single file upload middleware
-const uploadSingleFile = upload.single('file');
+// Middleware factory that handles errors and requires a file
+const createUploadMiddleware = (fileSize) => {
+  const uploadSingleFile = createUpload(fileSize).single('file');
 
-// Middleware wrapper that handles errors
-const uploadMiddleware = (req, res, next) => {
-  uploadSingleFile(req, res, (error) => {
-    if (error) {
-      return handleMulterError(error, req, res, next);
-    }
-    
-    // Check if file was uploaded
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No file uploaded. Please select a file to upload.'
-      });
-    }
-    
-    next();
-  });
+  return (req, res, next) => {
+    req.uploadSizeLimit = fileSize;
+
+    uploadSingleFile(req, res, (error) => {
+      if (error) {
+        return handleMulterError(error, req, res, next);
+      }
+      
+      // Check if file was uploaded
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded. Please select a file to upload.'
+        });
+      }
+      
+      next();
+    });
+  };
 };
 
+// Single file upload middleware
+const uploadMiddleware = createUploadMiddleware(maxFileSize);
+
+// Single file upload middleware for background imports of large files
+const importUploadMiddleware = createUploadMiddleware(maxImportFileSize);
+
 // Cleanup function to remove uploaded files
 const cleanupFile = (filePath) => {
   try {
@@ -133,6 +148,16 @@ const cleanupOldFiles = (maxAge = 24 * 60 * 60 * 1000) => { // 24 hours default
   }
 };
 
+// SHA-256 of a file on disk, as hex
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+
+  fs.createReadStream(filePath)
+    .on('data', (data) => hash.update(data))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
+
 // Validate file before processing
 const validateUploadedFile = (file) => {
   const errors = [];
@@ -153,7 +178,7 @@ const validateUploadedFile = (file) => {
   }
   
   // Check file extension
-  const allowedExtensions = ['.csv', '.xlsx', '.xls'];
+  const allowedExtensions = SUPPORTED_EXTENSIONS;
   const fileExtension = path.extname(file.originalname).toLowerCase();
   
   if (!allowedExtensions.includes(fileExtension)) {
@@ -168,9 +193,12 @@ const validateUploadedFile = (file) => {
 
 module.exports = {
   uploadMiddleware,
+  importUploadMiddleware,
+  maxImportFileSize,
   handleMulterError,
   cleanupFile,
   cleanupOldFiles,
+  hashFile,
   validateUploadedFile,
   uploadDir
 };
@@ -0,0 +1,152 @@
+const Distribution = require('../models/Distribution');
+const Record = require('../models/Record');
+const { getAgentCapacity } = require('./agentCapacity');
+const { HELD_REASONS, holdInPool, adjustAgentCount, refreshPoolSummary } = require('./recordPool');
+const { createError } = require('../middleware/errorHandler');
+
+// Assignment modes (see Distribution.ASSIGNMENT_MODES) that let agents claim from the pool
+const PULL_MODES = ['pull', 'hybrid'];
+
+/**
+ * Minutes an agent has to work a claimed record before it returns to the pool
+ */
+const getLeaseMinutes = () => parseInt(process.env.QUEUE_LEASE_MINUTES) || 15;
+
+/**
+ * Keep every record of a pull-mode distribution result in the pool for the queue
+ */
+const holdForQueue = (distributionResult) => holdInPool(distributionResult, 'queued');
+
+/**
+ * Hand a pull-mode distribution's held records to the queue at its release
+ */
+const queueHeldRecords = async (distribution) => {
+  const { modifiedCount } = await Record.updateMany(
+    { distribution: distribution._id, assignedAgent: null, unassignedReason: 'scheduled' },
+    { $set: { unassignedReason: 'queued' } }
+  );
+
+  await refreshPoolSummary(distribution);
+  await distribution.save();
+
+  return {
+    releasedCount: modifiedCount,
+    remainingUnassigned: distribution.summary.unassignedRecords,
+    agents: []
+  };
+};
+
+/**
+ * Claim the highest-priority record the agent may work, oldest first among
+ * equals. An agent still holding an untouched lease gets that record back.
+ * Returns { record, resumed }, or { record: null } when the queue is empty.
+ */
+const claimNextRecord = async (agent) => {
+  const now = new Date();
+
+  const leased = await Record.findOne({
+    assignedAgent: agent._id,
+    leaseExpiresAt: { $gt: now }
+  }).select('-history');
+
+  if (leased) {
+    return { record: leased, resumed: true };
+  }
+
+  const capacity = await getAgentCapacity([agent]);
+  if (capacity && capacity[agent._id.toString()] === 0) {
+    throw createError(409, 'You have reached your open record limit; finish some records first');
+  }
+
+  const distributions = await Distribution.distinct('_id', {
+    assignmentMode: { $in: PULL_MODES },
+    lifecycle: 'active'
+  });
+
+  if (distributions.length === 0) {
+    return { record: null };
+  }
+
+  const skills = [...(agent.skills || []), ...(agent.languages || [])]
+    .map(skill => String(skill).trim().toLowerCase())
+    .filter(Boolean);
+
+  const leaseExpiresAt = new Date(now.getTime() + getLeaseMinutes() * 60 * 1000);
+
+  // Matching on assignedAgent: null makes the claim atomic between agents
+  const record = await Record.findOneAndUpdate(
+    {
+      distribution: { $in: distributions },
+      assignedAgent: null,
+      status: 'pending',
+      unassignedReason: { $nin: HELD_REASONS },
+      $or: [
+        { requiredSkill: null },
+        { requiredSkill: '' },
+        { requiredSkill: { $in: skills } }
+      ]
+    },
+    {
+      $set: {
+        assignedAgent: agent._id,
+        assignedAt: now,
+        leaseExpiresAt,
+        unassignedReason: null
+      },
+      $inc: { __v: 1 }
+    },
+    { sort: { priority: -1, _id: 1 }, new: true, projection: { history: 0 } }
+  );
+
+  if (!record) {
+    return { record: null };
+  }
+
+  await adjustAgentCount(record.distribution, agent, 1);
+
+  return { record, resumed: false };
+};
+
+/**
+ * Return claimed records whose lease ran out untouched to the pool
+ */
+const releaseExpiredLeases = async () => {
+  const expired = await Record.find({
+    assignedAgent: { $ne: null },
+    leaseExpiresAt: { $lte: new Date() }
+  }).select('_id distribution assignedAgent');
+
+  let released = 0;
+
+  for (const record of expired) {
+    // Skip records touched (or re-claimed) since they were read
+    const result = await Record.updateOne(
+      { _id: record._id, assignedAgent: record.assignedAgent, leaseExpiresAt: { $lte: new Date() } },
+      {
+        $set: { assignedAgent: null, unassignedReason: 'queued', leaseExpiresAt: null },
+        $unset: { assignedAt: 1 },
+        $inc: { __v: 1 }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      await adjustAgentCount(record.distribution, { _id: record.assignedAgent }, -1);
+      released++;
+    }
+  }
+
+  if (released > 0) {
+    console.log(`⏳ Returned ${released} expired queue lease(s) to the pool`);
+  }
+
+  return released;
+};
+
+module.exports = {
+  PULL_MODES,
+  getLeaseMinutes,
+  holdForQueue,
+  queueHeldRecords,
+  claimNextRecord,
+  releaseExpiredLeases
+};